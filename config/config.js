@@ -3,74 +3,286 @@
  * @module config
  */
 
-const fs = require('fs').promises;
+const EventEmitter = require('events');
+const { watchFile, unwatchFile, promises: fs } = require('fs');
 const path = require('path');
+const dotenv = require('dotenv');
+const schema = require('./schema');
+const { logger } = require('../utils/logger');
+
+/**
+ * Intervalo de sondeo de los archivos de configuración vigilados (ms)
+ * @constant {number}
+ */
+const WATCH_INTERVAL = 2000;
+
+/**
+ * Texto con el que se sustituyen los secretos en la vista enmascarada
+ * @constant {string}
+ */
+const MASK = '[REDACTED]';
 
 /**
  * Clase que maneja la configuración centralizada de la aplicación
  * @class ConfigManager
+ * @extends EventEmitter
+ * @fires ConfigManager#change
  */
-class ConfigManager {
+class ConfigManager extends EventEmitter {
   /**
    * Crea una instancia de ConfigManager
    * @constructor
    */
   constructor() {
+    super();
     this.config = {};
     this.isLoaded = false;
+    this.loadedAt = null;
+    this.loading = null;
+    this.reloading = null;
+    this.envFileKeys = new Set();
+    this.watchedFiles = [];
+    this.onSighup = null;
   }
 
   /**
    * Carga la configuración desde archivos de entorno
+   * @description Orden de precedencia (de menor a mayor): valores por defecto del
+   * esquema, `config/<entorno>.json` y variables de entorno (incluidas las de `.env`).
+   * Las llamadas repetidas devuelven la misma carga; si falla se puede reintentar.
    * @async
    * @returns {Promise<void>}
+   * @throws {Error} Si la configuración no es válida
+   */
+  loadConfig() {
+    if (!this.loading) {
+      this.loading = this.resolveConfig()
+        .then((config) => {
+          this.config = config;
+          this.isLoaded = true;
+          this.loadedAt = new Date();
+          logger.info('Configuración cargada exitosamente', { environment: config.environment });
+        })
+        .catch((error) => {
+          this.loading = null;
+          throw new Error(`Error de configuración: ${error.message}`);
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Vuelve a leer la configuración y aplica los cambios de claves recargables
+   * @description Los cambios en claves estructurales (puerto, base de datos, secretos...)
+   * se ignoran hasta reiniciar. Si la nueva configuración no es válida se conserva la actual.
+   * @async
+   * @returns {Promise<Array<{key: string, previous: *, current: *}>>} Cambios aplicados
    */
-  async loadConfig() {
+  reload() {
+    if (!this.isLoaded) {
+      return Promise.reject(new Error('La configuración no ha sido cargada aún'));
+    }
+
+    if (!this.reloading) {
+      this.reloading = this.applyReload().finally(() => {
+        this.reloading = null;
+      });
+    }
+
+    return this.reloading;
+  }
+
+  /**
+   * Lee, valida y aplica una nueva configuración
+   * @async
+   * @private
+   * @returns {Promise<Array<{key: string, previous: *, current: *}>>} Cambios aplicados
+   */
+  async applyReload() {
+    let next;
     try {
-      // Carga variables de entorno desde .env
-      await this.loadEnvConfig();
-      
-      // Carga configuración específica del entorno
-      await this.loadEnvironmentConfig();
-      
-      // Valida la configuración cargada
-      this.validateConfig();
-      
-      this.isLoaded = true;
-      console.log('Configuración cargada exitosamente');
+      next = await this.resolveConfig();
     } catch (error) {
-      console.error('Error al cargar la configuración:', error);
-      throw new Error(`Error de configuración: ${error.message}`);
+      logger.error('Recarga de configuración rechazada; se mantiene la actual', { error: error.message });
+      return [];
     }
+
+    const changes = [];
+    const ignored = [];
+
+    Object.keys({ ...this.config, ...next }).forEach((key) => {
+      if (JSON.stringify(this.config[key]) === JSON.stringify(next[key])) {
+        return;
+      }
+
+      if (schema.RELOADABLE_KEYS.includes(key)) {
+        changes.push({ key, previous: this.config[key], current: next[key] });
+      } else {
+        ignored.push(key);
+      }
+    });
+
+    if (ignored.length > 0) {
+      logger.warn('Cambios de configuración que requieren reinicio ignorados', { keys: ignored });
+    }
+
+    if (changes.length === 0) {
+      return changes;
+    }
+
+    changes.forEach(({ key, current }) => {
+      this.config[key] = current;
+    });
+    this.loadedAt = new Date();
+
+    logger.info('Configuración recargada', { keys: changes.map(change => change.key) });
+
+    changes.forEach(({ key, current, previous }) => {
+      this.emit(`change:${key}`, current, previous);
+    });
+
+    /**
+     * Evento de cambio de configuración
+     * @event ConfigManager#change
+     * @type {Array<{key: string, previous: *, current: *}>}
+     */
+    this.emit('change', changes);
+
+    return changes;
+  }
+
+  /**
+   * Suscribe un listener a los cambios de una clave
+   * @param {string} key - Clave de configuración
+   * @param {Function} listener - Recibe `(valorActual, valorAnterior)`
+   * @returns {Function} Función que cancela la suscripción
+   */
+  onChange(key, listener) {
+    const event = `change:${key}`;
+    this.on(event, listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Activa la recarga en caliente por SIGHUP y por cambios en los archivos de configuración
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.watchFiles=true] - Vigila `.env` y `config/<entorno>.json`
+   * @returns {void}
+   */
+  enableHotReload({ watchFiles = true } = {}) {
+    if (!this.onSighup) {
+      this.onSighup = () => {
+        logger.info('SIGHUP recibido, recargando configuración');
+        this.reload();
+      };
+      process.on('SIGHUP', this.onSighup);
+    }
+
+    if (watchFiles && this.watchedFiles.length === 0) {
+      this.watchedFiles = [this.getEnvFilePath(), this.getEnvironmentFilePath()];
+      this.watchedFiles.forEach((file) => {
+        watchFile(file, { interval: WATCH_INTERVAL, persistent: false }, (current, previous) => {
+          if (current.mtimeMs !== previous.mtimeMs) {
+            this.reload();
+          }
+        });
+      });
+    }
+  }
+
+  /**
+   * Desactiva la recarga en caliente
+   * @returns {void}
+   */
+  disableHotReload() {
+    if (this.onSighup) {
+      process.off('SIGHUP', this.onSighup);
+      this.onSighup = null;
+    }
+
+    this.watchedFiles.forEach(file => unwatchFile(file));
+    this.watchedFiles = [];
+  }
+
+  /**
+   * Lee todas las fuentes y devuelve la configuración validada
+   * @async
+   * @private
+   * @returns {Promise<Object>} Configuración con tipos y valores por defecto
+   * @throws {Error} Con todos los problemas encontrados
+   */
+  async resolveConfig() {
+    // Carga variables de entorno desde .env
+    await this.loadEnvConfig();
+
+    // Carga configuración específica del entorno
+    const environmentConfig = await this.loadEnvironmentConfig();
+
+    // Las variables de entorno tienen prioridad sobre el archivo JSON
+    const environmentVariables = schema.fromEnvironment(process.env);
+
+    return this.validateConfig({
+      ...environmentConfig,
+      ...environmentVariables,
+      // Los flags se combinan uno a uno para poder sobrescribir solo algunos
+      featureFlags: {
+        ...environmentConfig.featureFlags,
+        ...environmentVariables.featureFlags
+      }
+    });
+  }
+
+  /**
+   * Ruta del archivo .env
+   * @private
+   * @returns {string} Ruta absoluta
+   */
+  getEnvFilePath() {
+    return path.resolve(process.cwd(), '.env');
+  }
+
+  /**
+   * Ruta del archivo de configuración del entorno actual
+   * @private
+   * @returns {string} Ruta absoluta
+   */
+  getEnvironmentFilePath() {
+    return path.resolve(process.cwd(), `config/${process.env.NODE_ENV || 'development'}.json`);
   }
 
   /**
    * Carga variables de entorno desde archivo .env
+   * @description Las variables definidas fuera de `.env` no se sobrescriben; las que
+   * provienen de `.env` se actualizan en cada recarga
    * @async
    * @private
    * @returns {Promise<void>}
    */
   async loadEnvConfig() {
     try {
-      const envPath = path.resolve(process.cwd(), '.env');
-      const envContent = await fs.readFile(envPath, 'utf8');
-      
-      const envVars = envContent
-        .split('\n')
-        .filter(line => line.trim() && !line.startsWith('#'))
-        .reduce((acc, line) => {
-          const [key, value] = line.split('=');
-          acc[key.trim()] = value ? value.trim().replace(/['"]/g, '') : '';
-          return acc;
-        }, {});
-      
-      Object.assign(process.env, envVars);
+      const envContent = await fs.readFile(this.getEnvFilePath(), 'utf8');
+      const envVars = dotenv.parse(envContent);
+
+      this.envFileKeys.forEach((key) => {
+        if (!(key in envVars)) {
+          delete process.env[key];
+          this.envFileKeys.delete(key);
+        }
+      });
+
+      Object.entries(envVars).forEach(([key, value]) => {
+        if (process.env[key] === undefined || this.envFileKeys.has(key)) {
+          process.env[key] = value;
+          this.envFileKeys.add(key);
+        }
+      });
     } catch (error) {
       if (error.code !== 'ENOENT') {
         throw new Error(`Error al leer el archivo .env: ${error.message}`);
       }
       // Si no existe el archivo .env, continuamos con las variables de entorno
-      console.warn('Archivo .env no encontrado, usando variables de entorno directas');
+      logger.warn('Archivo .env no encontrado, usando variables de entorno directas');
     }
   }
 
@@ -78,63 +290,38 @@ class ConfigManager {
    * Carga configuración específica del entorno
    * @async
    * @private
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Configuración del archivo JSON del entorno
    */
   async loadEnvironmentConfig() {
     const environment = process.env.NODE_ENV || 'development';
-    const configPath = path.resolve(process.cwd(), `config/${environment}.json`);
-    
+
     try {
-      const configContent = await fs.readFile(configPath, 'utf8');
-      const environmentConfig = JSON.parse(configContent);
-      
-      this.config = {
-        ...this.config,
-        ...environmentConfig,
-        environment
-      };
+      const configContent = await fs.readFile(this.getEnvironmentFilePath(), 'utf8');
+      return { ...JSON.parse(configContent), environment };
     } catch (error) {
       if (error.code === 'ENOENT') {
-        console.warn(`Archivo de configuración para ${environment} no encontrado`);
-        this.config.environment = environment;
-      } else {
-        throw new Error(`Error al cargar configuración de entorno: ${error.message}`);
+        logger.warn(`Archivo de configuración para ${environment} no encontrado`);
+        return { environment };
       }
+      throw new Error(`Error al cargar configuración de entorno: ${error.message}`);
     }
   }
 
   /**
-   * Valida que la configuración esté completa y sea válida
+   * Valida la configuración contra el esquema y aplica tipos y valores por defecto
    * @private
-   * @returns {void}
-   * @throws {Error} Si falta alguna configuración requerida
-   */
-  validateConfig() {
-    const required = [
-      'port',
-      'databaseUrl',
-      'jwtSecret'
-    ];
-
-    const missing = required.filter(key => !this.config[key]);
-    
-    if (missing.length > 0) {
-      throw new Error(`Configuración incompleta. Faltan: ${missing.join(', ')}`);
-    }
-
-    // Validaciones específicas
-    if (this.config.port && (this.config.port < 1 || this.config.port > 65535)) {
-      throw new Error('Puerto inválido. Debe estar entre 1 y 65535');
-    }
+   * @param {Object} config - Configuración combinada
+   * @returns {Object} Configuración validada
+   * @throws {Error} Con todos los problemas encontrados
+   */
+  validateConfig(config) {
+    const { value, errors } = schema.validate(config);
 
-    if (!this.config.databaseUrl.startsWith('mongodb://') && 
-        !this.config.databaseUrl.startsWith('postgres://')) {
-      throw new Error('URL de base de datos inválida. Debe ser MongoDB o PostgreSQL');
+    if (errors.length > 0) {
+      throw new Error(`Configuración inválida:\n  - ${errors.join('\n  - ')}`);
     }
 
-    if (this.config.jwtExpiration && isNaN(this.config.jwtExpiration)) {
-      throw new Error('jwtExpiration debe ser un número válido');
-    }
+    return value;
   }
 
   /**
@@ -147,7 +334,7 @@ class ConfigManager {
     if (!this.isLoaded) {
       throw new Error('La configuración no ha sido cargada aún');
     }
-    
+
     return this.config[key] !== undefined ? this.config[key] : defaultValue;
   }
 
@@ -159,18 +346,101 @@ class ConfigManager {
     if (!this.isLoaded) {
       throw new Error('La configuración no ha sido cargada aún');
     }
-    
+
     return { ...this.config };
   }
 
+  /**
+   * Obtiene la configuración con los secretos ocultos, apta para exponerse
+   * @returns {Object} Configuración enmascarada
+   */
+  getMaskedConfig() {
+    const mask = value => Object.fromEntries(Object.entries(value).map(([key, item]) => {
+      if (schema.SECRET_KEYS.test(key)) {
+        return [key, MASK];
+      }
+      if (typeof item === 'string') {
+        // Las credenciales incrustadas en URLs no dependen del nombre de la clave
+        return [key, item.replace(/(\/\/[^:/@]+):[^@/]+@/, `$1:${MASK}@`)];
+      }
+      if (item && typeof item === 'object' && !Array.isArray(item)) {
+        return [key, mask(item)];
+      }
+      return [key, item];
+    }));
+
+    return mask(this.getAll());
+  }
+
   /**
    * Obtiene configuración de base de datos
-   * @returns {Object} Configuración de base de datos
+   * @returns {{url: string, options: Object, poolSize: number, retries: number, retryDelay: number}} Configuración de base de datos
    */
   getDatabaseConfig() {
     return {
       url: this.get('databaseUrl'),
-      options: this.get('databaseOptions', {})
+      options: this.get('databaseOptions', {}),
+      poolSize: this.get('databasePoolSize'),
+      retries: this.get('databaseConnectRetries'),
+      retryDelay: this.get('databaseRetryDelay')
+    };
+  }
+
+  /**
+   * Obtiene configuración de correo
+   * @returns {{transport: string, host: string, port: number, secure: boolean, user: string, pass: string, outputDir: string}} Configuración del transporte
+   */
+  getEmailConfig() {
+    return {
+      transport: this.get('emailTransport'),
+      host: this.get('emailHost'),
+      port: this.get('emailPort'),
+      secure: this.get('emailSecure'),
+      user: this.get('emailUser'),
+      pass: this.get('emailPass'),
+      outputDir: this.get('emailOutputDir')
+    };
+  }
+
+  /**
+   * Obtiene configuración del almacenamiento de ficheros
+   * @returns {{driver: string, directory: string, signingSecret: string, s3: Object}} Configuración del driver
+   */
+  getStorageConfig() {
+    return {
+      driver: this.get('storageDriver'),
+      directory: this.get('storageLocalDir'),
+      signingSecret: this.get('storageSigningSecret') || this.get('sessionSecret'),
+      s3: {
+        bucket: this.get('s3Bucket'),
+        region: this.get('s3Region'),
+        endpoint: this.get('s3Endpoint') || undefined,
+        forcePathStyle: this.get('s3ForcePathStyle'),
+        accessKeyId: this.get('awsAccessKeyId') || undefined,
+        secretAccessKey: this.get('awsSecretAccessKey') || undefined
+      }
+    };
+  }
+
+  /**
+   * Obtiene configuración de los proveedores de pago
+   * @returns {{currency: string, stripe: (Object|null), paypal: (Object|null)}} Moneda y credenciales; null si el proveedor no está configurado
+   */
+  getPaymentConfig() {
+    return {
+      currency: this.get('paymentCurrency'),
+      stripe: this.get('stripeSecretKey') ? {
+        secretKey: this.get('stripeSecretKey'),
+        publishableKey: this.get('stripePublishableKey'),
+        webhookSecret: this.get('stripeWebhookSecret'),
+        apiUrl: this.get('stripeApiUrl')
+      } : null,
+      paypal: this.get('paypalClientId') ? {
+        clientId: this.get('paypalClientId'),
+        clientSecret: this.get('paypalClientSecret'),
+        webhookId: this.get('paypalWebhookId'),
+        mode: this.get('paypalMode')
+      } : null
     };
   }
 
@@ -181,8 +451,9 @@ class ConfigManager {
   getSecurityConfig() {
     return {
       jwtSecret: this.get('jwtSecret'),
-      jwtExpiration: this.get('jwtExpiration', '24h'),
-      sessionSecret: this.get('sessionSecret', 'default-session-secret')
+      jwtExpiration: this.get('jwtExpiration', 900),
+      refreshTokenExpiration: this.get('refreshTokenExpiration', 7 * 24 * 60 * 60),
+      sessionSecret: this.get('sessionSecret')
     };
   }
 
@@ -199,13 +470,6 @@ class ConfigManager {
   }
 }
 
-// Exporta una instancia única de ConfigManager
-const configManager = new ConfigManager();
-
-// Carga la configuración automáticamente al importar
-configManager.loadConfig().catch(error => {
-  console.error('No se pudo cargar la configuración:', error);
-  process.exit(1);
-});
-
-module.exports = configManager;
\ No newline at end of file
+// Exporta una instancia única de ConfigManager; la carga es explícita con loadConfig()
+module.exports = new ConfigManager();
+module.exports.ConfigManager = ConfigManager;
@@ -0,0 +1,23 @@
+/**
+ * Valores fijos compartidos por modelos, servicios y validación
+ * @module config/constants
+ * @description Viven aquí para que la validación de solicitudes no tenga que cargar
+ * servicios ni modelos solo para leer una lista.
+ */
+
+/**
+ * Proveedores de pago soportados
+ * @constant {string[]}
+ */
+const PAYMENT_PROVIDERS = Object.freeze(['stripe', 'paypal']);
+
+/**
+ * Campos por los que se permite ordenar el catálogo
+ * @constant {string[]}
+ */
+const PRODUCT_SORTABLE_FIELDS = Object.freeze(['name', 'price', 'category', 'createdAt']);
+
+module.exports = {
+  PAYMENT_PROVIDERS,
+  PRODUCT_SORTABLE_FIELDS
+};
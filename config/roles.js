@@ -0,0 +1,59 @@
+/**
+ * Definición de roles y permisos de la aplicación
+ * @module config/roles
+ */
+
+/**
+ * Roles disponibles
+ * @constant {Object<string, string>}
+ */
+const ROLES = Object.freeze({
+  USER: 'user',
+  ADMIN: 'admin'
+});
+
+/**
+ * Permisos disponibles
+ * @constant {Object<string, string>}
+ */
+const PERMISSIONS = Object.freeze({
+  PROFILE_READ: 'profile:read',
+  PROFILE_UPDATE: 'profile:update',
+  ORDERS_READ: 'orders:read',
+  USERS_READ: 'users:read',
+  USERS_UPDATE: 'users:update',
+  USERS_DELETE: 'users:delete',
+  USERS_MANAGE_ROLES: 'users:manage-roles',
+  PAYMENTS_CREATE: 'payments:create',
+  API_KEYS_MANAGE: 'api-keys:manage',
+  ADMIN_ACCESS: 'admin:access'
+});
+
+/**
+ * Permisos concedidos a cada rol
+ * @constant {Object<string, string[]>}
+ */
+const ROLE_PERMISSIONS = Object.freeze({
+  [ROLES.USER]: [
+    PERMISSIONS.PROFILE_READ,
+    PERMISSIONS.PROFILE_UPDATE,
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.PAYMENTS_CREATE,
+    PERMISSIONS.API_KEYS_MANAGE
+  ],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS)
+});
+
+/**
+ * Obtiene los permisos asociados a un rol
+ * @param {string} role - Rol del usuario
+ * @returns {string[]} Permisos del rol (vacío si el rol no existe)
+ */
+const getPermissions = (role) => [...(ROLE_PERMISSIONS[role] || [])];
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissions
+};
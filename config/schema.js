@@ -0,0 +1,457 @@
+/**
+ * Esquema de configuración y mapeo de variables de entorno
+ * @module config/schema
+ */
+
+const Joi = require('joi');
+
+/**
+ * Secretos de ejemplo o por defecto que no se aceptan en producción
+ * @constant {string[]}
+ */
+const WEAK_SECRETS = [
+  'secret',
+  'changeme',
+  'default-session-secret',
+  'my_jwt_secret_key',
+  'your_jwt_secret_here',
+  'your_production_secret',
+  'your_session_secret'
+];
+
+/**
+ * Longitud mínima de los secretos en producción
+ * @constant {number}
+ */
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Segundos por unidad de duración
+ * @constant {Object<string, number>}
+ */
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Duración en segundos; acepta números o cadenas como `15m`, `24h` o `7d`
+ * @type {Joi.Schema}
+ */
+const duration = Joi.alternatives()
+  .try(
+    Joi.number().integer().positive(),
+    Joi.string().pattern(/^\d+[smhd]$/).custom((value) => {
+      const amount = parseInt(value, 10);
+      return amount * DURATION_UNITS[value.slice(-1)];
+    })
+  )
+  .messages({ 'alternatives.match': '{{#label}} must be a number of seconds or a duration like 15m, 24h or 7d' });
+
+/**
+ * Lista separada por comas convertida en array
+ * @type {Joi.Schema}
+ */
+const commaList = Joi.alternatives().try(
+  Joi.array().items(Joi.string()),
+  Joi.string().custom(value => value.split(',').map(item => item.trim()).filter(Boolean))
+);
+
+/**
+ * Tamaño máximo de un cuerpo, en bytes o con unidad (`100kb`, `1mb`)
+ * @type {Joi.Schema}
+ */
+const bodySize = Joi.alternatives()
+  .try(Joi.number().integer().positive(), Joi.string().lowercase().pattern(/^\d+(b|kb|mb)$/))
+  .messages({ 'alternatives.match': '{{#label}} must be a number of bytes or a size like 100kb or 1mb' });
+
+/**
+ * Definición de un feature flag
+ * @description Con `enabled` en false el flag está apagado para todos. Si no hay
+ * segmentación (`users`, `roles`, `percentage`) está encendido para todos.
+ * @type {Joi.ObjectSchema}
+ */
+const featureFlag = Joi.object({
+  enabled: Joi.boolean().default(true),
+  percentage: Joi.number().min(0).max(100),
+  roles: commaList,
+  users: commaList
+});
+
+/**
+ * Secreto que en producción debe ser largo y no coincidir con valores de ejemplo
+ * @param {Joi.Schema} base - Esquema base del secreto
+ * @returns {Joi.Schema} Esquema con las reglas de producción
+ */
+const secret = (base = Joi.string()) => base.when(Joi.ref('/environment'), {
+  is: 'production',
+  then: Joi.string()
+    .min(MIN_SECRET_LENGTH)
+    .invalid(...WEAK_SECRETS)
+    .messages({
+      'string.min': `{{#label}} must be at least ${MIN_SECRET_LENGTH} characters long in production`,
+      'any.invalid': '{{#label}} must not use a default or example value in production'
+    })
+});
+
+/**
+ * Esquema de la configuración de la aplicación
+ * @type {Joi.ObjectSchema}
+ */
+const configSchema = Joi.object({
+  environment: Joi.string().valid('development', 'test', 'staging', 'production').default('development'),
+
+  // Servidor
+  port: Joi.number().port().default(3000),
+  host: Joi.string().hostname().default('localhost'),
+  sslEnabled: Joi.boolean().default(false),
+  healthCheckPath: Joi.string().pattern(/^\//).default('/health'),
+  // Proxies de confianza para req.ip (rate limiting, auditoría): false, true, número de saltos o lista de IPs/subredes
+  trustProxy: Joi.alternatives()
+    .try(Joi.boolean(), Joi.number().integer().min(0), commaList)
+    .default(false),
+  shutdownTimeout: Joi.number().integer().positive().default(10000),
+
+  // Base de datos
+  databaseUrl: Joi.string()
+    .pattern(/^(mongodb(\+srv)?|postgres(ql)?):\/\//)
+    .required()
+    .messages({ 'string.pattern.base': '{{#label}} must be a MongoDB or PostgreSQL URL' }),
+  databaseOptions: Joi.object().default({}),
+  databasePoolSize: Joi.number().integer().positive().default(10),
+  databaseConnectRetries: Joi.number().integer().min(0).default(5),
+  databaseRetryDelay: Joi.number().integer().positive().default(1000),
+
+  // Seguridad
+  jwtSecret: secret().required(),
+  jwtExpiration: duration.default(900),
+  refreshTokenExpiration: duration.default(7 * 24 * 60 * 60),
+  // Obligatorio en producción: firma las URLs de descarga si no hay storageSigningSecret
+  sessionSecret: secret().when(Joi.ref('/environment'), { is: 'production', then: Joi.required() }),
+
+  // Claves de API: máximo de claves activas por usuario y vigencia máxima (sin ella, solo caducan si se indica al emitirlas)
+  apiKeyMaxPerUser: Joi.number().integer().positive().default(10),
+  apiKeyMaxLifetime: duration,
+
+  // Redis
+  redisHost: Joi.string().hostname(),
+  redisPort: Joi.number().port().default(6379),
+  redisPassword: Joi.string().allow(''),
+  redisDb: Joi.number().integer().min(0).default(0),
+
+  // Logging
+  logLevel: Joi.string().valid('error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly').default('info'),
+  logFilePath: Joi.string(),
+
+  // CORS
+  corsOrigin: commaList.default(['*']),
+  corsMethods: commaList.default(['GET', 'POST', 'PUT', 'DELETE']),
+  corsHeaders: commaList.default(['Content-Type', 'Authorization']),
+  corsCredentials: Joi.boolean().default(false),
+
+  // Rate limiting (ventana en minutos)
+  rateLimitWindow: Joi.number().integer().positive().default(15),
+  rateLimitMax: Joi.number().integer().positive().default(100),
+  rateLimitPolicies: Joi.object().pattern(/^[a-z][a-z0-9-]*$/, Joi.object({
+    window: Joi.number().integer().positive(),
+    max: Joi.number().integer().positive()
+  })).default({}),
+
+  // Pipeline de solicitudes
+  compressionEnabled: Joi.boolean().default(true),
+  compressionThreshold: Joi.number().integer().min(0).default(1024),
+  mongoSanitizeEnabled: Joi.boolean().default(true),
+  hppEnabled: Joi.boolean().default(true),
+  contentTypeEnforced: Joi.boolean().default(true),
+  allowedContentTypes: commaList.default(['application/json', 'application/x-www-form-urlencoded', 'multipart/form-data']),
+  bodyLimit: bodySize.default('100kb'),
+  bodyLimits: Joi.object().pattern(/^\//, bodySize).default({}),
+
+  // Validación de respuestas contra la especificación OpenAPI (por defecto solo en development y test)
+  responseValidationEnabled: Joi.boolean().when('environment', {
+    is: Joi.valid('development', 'test'),
+    then: Joi.boolean().default(true),
+    otherwise: Joi.boolean().default(false)
+  }),
+
+  // Caché
+  cacheTtl: Joi.number().integer().min(0).default(3600),
+  cacheMaxSize: Joi.number().integer().positive().default(1000),
+
+  // Correo (transporte por defecto: memoria en test, ficheros en development, SMTP en el resto)
+  emailTransport: Joi.string().valid('smtp', 'file', 'memory').when('environment', {
+    switch: [
+      { is: 'test', then: Joi.string().default('memory') },
+      { is: 'development', then: Joi.string().default('file') }
+    ],
+    otherwise: Joi.string().default('smtp')
+  }),
+  emailHost: Joi.string().hostname().when('emailTransport', { is: 'smtp', then: Joi.required() }),
+  emailPort: Joi.number().port().default(587),
+  emailSecure: Joi.boolean().default(false),
+  emailUser: Joi.string(),
+  emailPass: Joi.string().allow(''),
+  emailFrom: Joi.string().default('noreply@localhost'),
+  emailOutputDir: Joi.string().default('./tmp/mail'),
+  emailMaxAttempts: Joi.number().integer().positive().default(5),
+  emailRetryDelay: Joi.number().integer().positive().default(1000),
+
+  // Cuentas: URL del cliente para los enlaces de los correos y vigencia de sus tokens
+  appUrl: Joi.string().uri({ scheme: ['http', 'https'] }).default('http://localhost:3000'),
+  emailVerificationExpiration: duration.default(24 * 60 * 60),
+  passwordResetExpiration: duration.default(60 * 60),
+
+  // Almacenamiento de ficheros (el secreto firma las URLs del driver local; si falta, se usa sessionSecret)
+  storageDriver: Joi.string().valid('local', 's3').default('local'),
+  storageLocalDir: Joi.string().default('./uploads'),
+  // Con el driver local hace falta uno de los dos secretos: sin él no se pueden firmar las descargas
+  storageSigningSecret: secret().when('storageDriver', {
+    is: 'local',
+    then: Joi.when('sessionSecret', {
+      not: Joi.exist(),
+      then: Joi.required().messages({
+        'any.required': '{{#label}} or sessionSecret is required to sign download URLs of the local storage driver'
+      })
+    })
+  }),
+  signedUrlExpiration: duration.default(15 * 60),
+  s3Bucket: Joi.string().when('storageDriver', { is: 's3', then: Joi.required() }),
+  s3Region: Joi.string().default('us-east-1'),
+  s3Endpoint: Joi.string().uri({ scheme: ['http', 'https'] }),
+  s3ForcePathStyle: Joi.boolean().default(false),
+  awsAccessKeyId: Joi.string(),
+  awsSecretAccessKey: Joi.string(),
+  avatarMaxSize: bodySize.default('2mb'),
+  productImageMaxSize: bodySize.default('5mb'),
+
+  // Pagos: cada proveedor se activa al definir sus credenciales
+  paymentCurrency: Joi.string().lowercase().length(3).default('usd'),
+  stripeSecretKey: secret(),
+  stripePublishableKey: Joi.string(),
+  stripeWebhookSecret: secret().when('stripeSecretKey', { is: Joi.exist(), then: Joi.required() }),
+  stripeApiUrl: Joi.string().uri({ scheme: ['http', 'https'] }).default('https://api.stripe.com'),
+  paypalClientId: Joi.string(),
+  paypalClientSecret: secret().when('paypalClientId', { is: Joi.exist(), then: Joi.required() }),
+  paypalWebhookId: Joi.string().when('paypalClientId', { is: Joi.exist(), then: Joi.required() }),
+  paypalMode: Joi.string().valid('sandbox', 'live').default('sandbox'),
+
+  // Feature flags
+  featureFlags: Joi.object().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/, featureFlag).default({})
+}).unknown(true);
+
+/**
+ * Patrón de las claves de configuración cuyo valor es secreto
+ * @constant {RegExp}
+ */
+const SECRET_KEYS = /secret|pass(word)?$|private|api[-_]?key$/i;
+
+/**
+ * Claves que pueden cambiar en caliente sin reiniciar el proceso
+ * @constant {string[]}
+ */
+const RELOADABLE_KEYS = Object.freeze([
+  'logLevel',
+  'corsOrigin',
+  'corsMethods',
+  'corsHeaders',
+  'corsCredentials',
+  'rateLimitWindow',
+  'rateLimitMax',
+  'rateLimitPolicies',
+  'cacheTtl',
+  'featureFlags'
+]);
+
+/**
+ * Correspondencia entre variables de entorno y claves de configuración
+ * @constant {Object<string, string>}
+ */
+const ENV_MAP = Object.freeze({
+  NODE_ENV: 'environment',
+  PORT: 'port',
+  HOST: 'host',
+  SSL_ENABLED: 'sslEnabled',
+  HEALTH_CHECK_PATH: 'healthCheckPath',
+  SHUTDOWN_TIMEOUT: 'shutdownTimeout',
+  TRUST_PROXY: 'trustProxy',
+  DATABASE_URL: 'databaseUrl',
+  MONGODB_URI: 'databaseUrl',
+  DB_POOL_SIZE: 'databasePoolSize',
+  DB_CONNECT_RETRIES: 'databaseConnectRetries',
+  DB_RETRY_DELAY: 'databaseRetryDelay',
+  JWT_SECRET: 'jwtSecret',
+  JWT_EXPIRES_IN: 'jwtExpiration',
+  JWT_REFRESH_EXPIRES_IN: 'refreshTokenExpiration',
+  SESSION_SECRET: 'sessionSecret',
+  API_KEY_MAX_PER_USER: 'apiKeyMaxPerUser',
+  API_KEY_MAX_LIFETIME: 'apiKeyMaxLifetime',
+  REDIS_HOST: 'redisHost',
+  REDIS_PORT: 'redisPort',
+  REDIS_PASSWORD: 'redisPassword',
+  REDIS_DB: 'redisDb',
+  LOG_LEVEL: 'logLevel',
+  LOG_FILE_PATH: 'logFilePath',
+  CORS_ORIGIN: 'corsOrigin',
+  CORS_METHODS: 'corsMethods',
+  CORS_HEADERS: 'corsHeaders',
+  CORS_CREDENTIALS: 'corsCredentials',
+  RATE_LIMIT_WINDOW: 'rateLimitWindow',
+  RATE_LIMIT_MAX: 'rateLimitMax',
+  COMPRESSION_ENABLED: 'compressionEnabled',
+  COMPRESSION_THRESHOLD: 'compressionThreshold',
+  MONGO_SANITIZE_ENABLED: 'mongoSanitizeEnabled',
+  HPP_ENABLED: 'hppEnabled',
+  ENFORCE_CONTENT_TYPE: 'contentTypeEnforced',
+  ALLOWED_CONTENT_TYPES: 'allowedContentTypes',
+  BODY_LIMIT: 'bodyLimit',
+  RESPONSE_VALIDATION_ENABLED: 'responseValidationEnabled',
+  CACHE_TTL: 'cacheTtl',
+  CACHE_MAX_SIZE: 'cacheMaxSize',
+  EMAIL_TRANSPORT: 'emailTransport',
+  EMAIL_HOST: 'emailHost',
+  EMAIL_PORT: 'emailPort',
+  EMAIL_SECURE: 'emailSecure',
+  EMAIL_USER: 'emailUser',
+  EMAIL_PASS: 'emailPass',
+  EMAIL_FROM: 'emailFrom',
+  EMAIL_OUTPUT_DIR: 'emailOutputDir',
+  EMAIL_MAX_ATTEMPTS: 'emailMaxAttempts',
+  EMAIL_RETRY_DELAY: 'emailRetryDelay',
+  APP_URL: 'appUrl',
+  EMAIL_VERIFICATION_EXPIRES_IN: 'emailVerificationExpiration',
+  PASSWORD_RESET_EXPIRES_IN: 'passwordResetExpiration',
+  STORAGE_DRIVER: 'storageDriver',
+  STORAGE_LOCAL_DIR: 'storageLocalDir',
+  STORAGE_SIGNING_SECRET: 'storageSigningSecret',
+  SIGNED_URL_EXPIRES_IN: 'signedUrlExpiration',
+  AWS_BUCKET_NAME: 's3Bucket',
+  AWS_REGION: 's3Region',
+  S3_ENDPOINT: 's3Endpoint',
+  S3_FORCE_PATH_STYLE: 's3ForcePathStyle',
+  AWS_ACCESS_KEY_ID: 'awsAccessKeyId',
+  AWS_SECRET_ACCESS_KEY: 'awsSecretAccessKey',
+  AVATAR_MAX_SIZE: 'avatarMaxSize',
+  PRODUCT_IMAGE_MAX_SIZE: 'productImageMaxSize',
+  PAYMENT_CURRENCY: 'paymentCurrency',
+  STRIPE_SECRET_KEY: 'stripeSecretKey',
+  STRIPE_PUBLISHABLE_KEY: 'stripePublishableKey',
+  STRIPE_WEBHOOK_SECRET: 'stripeWebhookSecret',
+  STRIPE_API_URL: 'stripeApiUrl',
+  PAYPAL_CLIENT_ID: 'paypalClientId',
+  PAYPAL_CLIENT_SECRET: 'paypalClientSecret',
+  PAYPAL_WEBHOOK_ID: 'paypalWebhookId',
+  PAYPAL_MODE: 'paypalMode'
+});
+
+/**
+ * Prefijo de las variables de entorno que definen feature flags
+ * @constant {string}
+ */
+const FEATURE_FLAG_PREFIX = 'FEATURE_FLAG_';
+
+/**
+ * Interpreta el valor de una variable `FEATURE_FLAG_*`
+ * @description Acepta un booleano (`true`, `false`, `on`, `off`, `1`, `0`), un
+ * porcentaje de despliegue (`25%`) o un objeto JSON con la definición completa
+ * @param {string} value - Valor de la variable
+ * @returns {Object|string} Definición del flag, o el valor original si no se reconoce (el esquema lo rechazará)
+ */
+const parseFeatureFlag = (value) => {
+  const normalized = value.trim().toLowerCase();
+
+  if (['true', 'on', '1'].includes(normalized)) {
+    return { enabled: true };
+  }
+
+  if (['false', 'off', '0'].includes(normalized)) {
+    return { enabled: false };
+  }
+
+  if (/^\d+(\.\d+)?%$/.test(normalized)) {
+    return { enabled: true, percentage: parseFloat(normalized) };
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Convierte `FEATURE_FLAG_NEW_CHECKOUT` en el nombre de flag `new-checkout`
+ * @param {string} variable - Nombre de la variable de entorno
+ * @returns {string} Nombre del flag
+ */
+const toFlagName = variable => variable.slice(FEATURE_FLAG_PREFIX.length).toLowerCase().replace(/_/g, '-');
+
+/**
+ * Construye la URL de PostgreSQL a partir de las variables DB_*
+ * @param {Object} env - Variables de entorno
+ * @returns {string|undefined} URL de conexión o undefined si no hay DB_HOST
+ */
+const buildDatabaseUrl = (env) => {
+  if (!env.DB_HOST) {
+    return undefined;
+  }
+
+  const credentials = env.DB_USER
+    ? `${encodeURIComponent(env.DB_USER)}${env.DB_PASSWORD ? `:${encodeURIComponent(env.DB_PASSWORD)}` : ''}@`
+    : '';
+
+  return `postgres://${credentials}${env.DB_HOST}:${env.DB_PORT || 5432}/${env.DB_NAME || ''}`;
+};
+
+/**
+ * Extrae la configuración definida en las variables de entorno
+ * @description Las variables vacías se ignoran. `DATABASE_URL`/`MONGODB_URI` tienen
+ * prioridad sobre la URL construida con `DB_*`. Las variables `FEATURE_FLAG_*` se
+ * agrupan en `featureFlags`.
+ * @param {Object} [env=process.env] - Variables de entorno
+ * @returns {Object} Configuración parcial con las claves del esquema
+ */
+const fromEnvironment = (env = process.env) => {
+  const values = {};
+
+  const databaseUrl = buildDatabaseUrl(env);
+  if (databaseUrl) {
+    values.databaseUrl = databaseUrl;
+    values.databaseOptions = { ssl: env.DB_SSL === 'true' };
+  }
+
+  Object.entries(ENV_MAP).forEach(([variable, key]) => {
+    if (env[variable] !== undefined && env[variable] !== '') {
+      values[key] = env[variable];
+    }
+  });
+
+  const flagVariables = Object.keys(env).filter(variable => variable.startsWith(FEATURE_FLAG_PREFIX) && env[variable] !== '');
+  if (flagVariables.length > 0) {
+    values.featureFlags = Object.fromEntries(
+      flagVariables.map(variable => [toFlagName(variable), parseFeatureFlag(env[variable])])
+    );
+  }
+
+  return values;
+};
+
+/**
+ * Valida y normaliza la configuración
+ * @param {Object} config - Configuración combinada
+ * @returns {{value: Object, errors: string[]}} Configuración con tipos y valores por defecto, y todos los problemas encontrados
+ */
+const validate = (config) => {
+  const { value, error } = configSchema.validate(config, { abortEarly: false, convert: true });
+
+  return {
+    value,
+    errors: error ? error.details.map(detail => detail.message) : []
+  };
+};
+
+module.exports = {
+  WEAK_SECRETS,
+  SECRET_KEYS,
+  RELOADABLE_KEYS,
+  ENV_MAP,
+  configSchema,
+  fromEnvironment,
+  validate
+};
@@ -0,0 +1,79 @@
+/**
+ * Admin Controller
+ * @description Controlador para las operaciones de administración
+ * @author Maya - Senior Full-Stack Developer
+ * @version 1.0.0
+ */
+
+const config = require('../config/config');
+const { RELOADABLE_KEYS } = require('../config/schema');
+const featureFlagService = require('../services/featureFlagService');
+const loginProtectionService = require('../services/loginProtectionService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Devuelve la configuración actual con los secretos ocultos
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con la configuración enmascarada
+ */
+const getConfig = (req, res) => res.status(200).json({
+  status: 'success',
+  data: {
+    loadedAt: config.loadedAt,
+    reloadableKeys: RELOADABLE_KEYS,
+    values: config.getMaskedConfig()
+  }
+});
+
+/**
+ * Lista los feature flags con su definición y su estado para el administrador
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con los flags
+ */
+const listFlags = (req, res) => {
+  const states = req.flags.all();
+
+  return res.status(200).json({
+    status: 'success',
+    data: featureFlagService.list().map(flag => ({
+      ...flag,
+      activeForYou: states[flag.name]
+    }))
+  });
+};
+
+/**
+ * Lista las cuentas e IPs bloqueadas por intentos de login fallidos
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con los bloqueos activos
+ */
+const listLockouts = (req, res) => res.status(200).json({
+  status: 'success',
+  data: loginProtectionService.listLocks()
+});
+
+/**
+ * Desbloquea una cuenta y/o una IP y lo deja en el registro de auditoría
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON indicando qué estaba bloqueado
+ */
+const unlockLogin = asyncHandler(async (req, res) => {
+  const { email, ip } = req.body;
+  const unlocked = await loginProtectionService.unlock({ email, ip }, req.user.id);
+
+  return res.status(200).json({
+    status: 'success',
+    data: unlocked
+  });
+});
+
+module.exports = {
+  getConfig,
+  listFlags,
+  listLockouts,
+  unlockLogin
+};
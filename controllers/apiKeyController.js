@@ -0,0 +1,73 @@
+/**
+ * API Key Controller
+ * @description Controlador para la gestión de las claves de API del usuario autenticado
+ * @author Maya - Senior Full-Stack Developer
+ * @version 1.0.0
+ */
+
+const apiKeyService = require('../services/apiKeyService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Lista las claves del usuario autenticado
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con las claves (sin su valor)
+ */
+const listApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await apiKeyService.list(req.user.id);
+
+  return res.status(200).json({
+    status: 'success',
+    data: apiKeys
+  });
+});
+
+/**
+ * Emite una clave de API
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con la clave y su valor en claro
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const result = await apiKeyService.issue(req.user, req.body, { ip: req.ip });
+
+  return res.status(201).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * Sustituye el valor de una clave de API
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con la clave y su nuevo valor en claro
+ */
+const rotateApiKey = asyncHandler(async (req, res) => {
+  const result = await apiKeyService.rotate(req.params.id, req.user, { ip: req.ip });
+
+  return res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * Revoca una clave de API
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {void} Respuesta 204 sin contenido
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  await apiKeyService.revoke(req.params.id, req.user, { ip: req.ip });
+
+  return res.status(204).end();
+});
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+};
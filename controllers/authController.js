@@ -0,0 +1,137 @@
+/**
+ * Auth Controller
+ * @description Controlador para registro, inicio de sesión y gestión de tokens
+ * @author Maya - Senior Full-Stack Developer
+ * @version 1.0.0
+ */
+
+const authService = require('../services/authService');
+const accountService = require('../services/accountService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Registra un nuevo usuario
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el usuario creado y sus tokens
+ */
+const register = asyncHandler(async (req, res) => {
+  const { name, email, password } = req.body;
+  const { user, tokens } = await authService.register({ name, email, password });
+  await accountService.sendVerification(user);
+
+  return res.status(201).json({
+    status: 'success',
+    data: { user, ...tokens }
+  });
+});
+
+/**
+ * Autentica a un usuario y devuelve sus tokens
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el usuario autenticado y sus tokens
+ */
+const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+  const { user, tokens } = await authService.login({ email, password }, { ip: req.ip });
+
+  return res.status(200).json({
+    status: 'success',
+    data: { user, ...tokens }
+  });
+});
+
+/**
+ * Rota el token de refresco y emite un nuevo par de tokens
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con los nuevos tokens
+ */
+const refresh = asyncHandler(async (req, res) => {
+  const tokens = await authService.refresh(req.body.refreshToken);
+
+  return res.status(200).json({
+    status: 'success',
+    data: tokens
+  });
+});
+
+/**
+ * Cierra la sesión revocando los tokens del usuario
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} Respuesta vacía
+ */
+const logout = asyncHandler(async (req, res) => {
+  await authService.logout(req.auth, req.body.refreshToken);
+  return res.status(204).end();
+});
+
+/**
+ * Verifica el email con el token recibido por correo
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el usuario verificado
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await accountService.verifyEmail(req.body.token);
+
+  return res.status(200).json({
+    status: 'success',
+    data: user
+  });
+});
+
+/**
+ * Vuelve a enviar el correo de verificación al usuario autenticado
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con un mensaje de confirmación
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+  await accountService.resendVerification(req.user.id);
+
+  return res.status(202).json({
+    status: 'success',
+    message: 'Verification email sent'
+  });
+});
+
+/**
+ * Envía un enlace para restablecer la contraseña si el email está registrado
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con un mensaje que no revela si la cuenta existe
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  await accountService.requestPasswordReset(req.body.email);
+
+  return res.status(202).json({
+    status: 'success',
+    message: 'If the email is registered, a reset link has been sent'
+  });
+});
+
+/**
+ * Cambia la contraseña con el token recibido por correo
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} Respuesta vacía
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  await accountService.resetPassword(token, password, { ip: req.ip });
+  return res.status(204).end();
+});
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+};
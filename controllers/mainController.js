@@ -13,9 +13,10 @@ const { createError } = require('../utils/errorHandler');
  * Maneja la solicitud de salud del sistema
  * @param {Object} req - Objeto de solicitud HTTP
  * @param {Object} res - Objeto de respuesta HTTP
+ * @param {Function} next - Siguiente middleware
  * @returns {Object} JSON con estado de salud
  */
-const healthCheck = async (req, res) => {
+const healthCheck = async (req, res, next) => {
   try {
     logger.info('Health check requested');
     return res.status(200).json({
@@ -26,10 +27,7 @@ const healthCheck = async (req, res) => {
     });
   } catch (error) {
     logger.error('Health check failed', { error });
-    return res.status(500).json({
-      status: 'error',
-      message: 'Internal server error'
-    });
+    return next(error);
   }
 };
 
@@ -37,9 +35,10 @@ const healthCheck = async (req, res) => {
  * Maneja la solicitud de información del sistema
  * @param {Object} req - Objeto de solicitud HTTP
  * @param {Object} res - Objeto de respuesta HTTP
+ * @param {Function} next - Siguiente middleware
  * @returns {Object} JSON con información del sistema
  */
-const systemInfo = async (req, res) => {
+const systemInfo = async (req, res, next) => {
   try {
     // Validar que no haya errores de validación
     const errors = validationResult(req);
@@ -66,10 +65,7 @@ const systemInfo = async (req, res) => {
     });
   } catch (error) {
     logger.error('Failed to retrieve system info', { error });
-    return res.status(error.statusCode || 500).json({
-      status: 'error',
-      message: error.message || 'Internal server error'
-    });
+    return next(error);
   }
 };
 
@@ -77,9 +73,10 @@ const systemInfo = async (req, res) => {
  * Maneja la solicitud de error simulado para testing
  * @param {Object} req - Objeto de solicitud HTTP
  * @param {Object} res - Objeto de respuesta HTTP
+ * @param {Function} next - Siguiente middleware
  * @returns {Object} JSON con error simulado
  */
-const simulateError = async (req, res) => {
+const simulateError = async (req, res, next) => {
   try {
     // Simular error de validación
     const errors = validationResult(req);
@@ -91,10 +88,7 @@ const simulateError = async (req, res) => {
     throw createError(500, 'Simulated server error for testing purposes');
   } catch (error) {
     logger.error('Simulated error triggered', { error });
-    return res.status(error.statusCode || 500).json({
-      status: 'error',
-      message: error.message || 'Internal server error'
-    });
+    return next(error);
   }
 };
 
@@ -102,9 +96,10 @@ const simulateError = async (req, res) => {
  * Maneja la solicitud de bienvenida
  * @param {Object} req - Objeto de solicitud HTTP
  * @param {Object} res - Objeto de respuesta HTTP
+ * @param {Function} next - Siguiente middleware
  * @returns {Object} JSON con mensaje de bienvenida
  */
-const welcome = async (req, res) => {
+const welcome = async (req, res, next) => {
   try {
     // Validar que no haya errores de validación
     const errors = validationResult(req);
@@ -126,10 +121,27 @@ const welcome = async (req, res) => {
     });
   } catch (error) {
     logger.error('Welcome message failed', { error });
-    return res.status(error.statusCode || 500).json({
-      status: 'error',
-      message: error.message || 'Internal server error'
+    return next(error);
+  }
+};
+
+/**
+ * Maneja la solicitud a un recurso protegido
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @param {Function} next - Siguiente middleware
+ * @returns {Object} JSON con el usuario autenticado
+ */
+const protectedResource = async (req, res, next) => {
+  try {
+    logger.info('Protected resource accessed', { userId: req.user.id });
+    return res.status(200).json({
+      message: 'Access granted',
+      user: req.user
     });
+  } catch (error) {
+    logger.error('Protected resource failed', { error });
+    return next(error);
   }
 };
 
@@ -137,5 +149,6 @@ module.exports = {
   healthCheck,
   systemInfo,
   simulateError,
-  welcome
+  welcome,
+  protectedResource
 };
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * Payment Controller
+ * @description Controlador para pedidos, pagos y webhooks de los proveedores de pago
+ * @author Maya - Senior Full-Stack Developer
+ * @version 1.0.0
+ */
+
+const Order = require('../models/Order');
+const paymentService = require('../services/paymentService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Lista los proveedores de pago disponibles y sus claves públicas
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con la moneda y los proveedores
+ */
+const listProviders = (req, res) => res.status(200).json({
+  status: 'success',
+  data: paymentService.listProviders()
+});
+
+/**
+ * Crea un pedido y una página de pago del proveedor
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el pedido, el pago y la URL de pago
+ */
+const createCheckout = asyncHandler(async (req, res) => {
+  const result = await paymentService.createCheckout(req.user, req.body);
+
+  return res.status(201).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * Crea un pedido y un cobro para completarlo en el cliente
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el pedido, el pago y el secreto del cliente
+ */
+const createPaymentIntent = asyncHandler(async (req, res) => {
+  const result = await paymentService.createPaymentIntent(req.user, req.body);
+
+  return res.status(201).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * Lista los pedidos del usuario autenticado
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con los pedidos y la información de paginación
+ */
+const listOrders = asyncHandler(async (req, res) => {
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 20;
+  const { orders, total } = await Order.findByUser(req.user.id, { page, limit });
+
+  return res.status(200).json({
+    status: 'success',
+    data: orders,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * Obtiene un pedido con sus pagos
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el pedido
+ */
+const getOrder = asyncHandler(async (req, res) => {
+  const order = await paymentService.getOrder(req.params.id, req.user);
+
+  return res.status(200).json({
+    status: 'success',
+    data: order
+  });
+});
+
+/**
+ * Recibe un webhook de un proveedor de pago
+ * @description `req.body` es el Buffer sin parsear; responde 200 también a eventos
+ * repetidos para que el proveedor deje de reenviarlos
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el acuse de recibo
+ */
+const receiveWebhook = asyncHandler(async (req, res) => {
+  const { duplicate } = await paymentService.handleWebhook(req.params.provider, req.body, req.headers);
+
+  return res.status(200).json({
+    received: true,
+    duplicate
+  });
+});
+
+module.exports = {
+  listProviders,
+  createCheckout,
+  createPaymentIntent,
+  listOrders,
+  getOrder,
+  receiveWebhook
+};
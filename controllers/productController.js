@@ -0,0 +1,200 @@
+/**
+ * Product Controller
+ * @description Controlador para el catálogo de productos
+ * @author Maya - Senior Full-Stack Developer
+ * @version 1.0.0
+ */
+
+const Product = require('../models/Product');
+const storageService = require('../services/storageService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { NotFoundError, ConflictError } = require('../utils/errorHandler');
+
+/**
+ * Extrae del cuerpo de la solicitud los campos editables de un producto
+ * @param {Object} body - Cuerpo de la solicitud
+ * @returns {Object} Campos definidos del producto
+ */
+const pickProductFields = ({ name, price, description, category }) => Object.fromEntries(
+  Object.entries({ name, price, description, category }).filter(([, value]) => value !== undefined)
+);
+
+/**
+ * Crea un nuevo producto
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el producto creado
+ */
+const createProduct = asyncHandler(async (req, res) => {
+  const product = await Product.create(pickProductFields(req.body), req.user.id);
+
+  return res.status(201).json({
+    status: 'success',
+    data: product
+  });
+});
+
+/**
+ * Lista productos con paginación, orden, filtros y búsqueda de texto
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con los productos y la información de paginación
+ */
+const listProducts = asyncHandler(async (req, res) => {
+  const { sort, category, minPrice, maxPrice, q } = req.query;
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 20;
+
+  const { products, total } = await Product.findAll({
+    page,
+    limit,
+    sort,
+    category,
+    minPrice,
+    maxPrice,
+    search: q
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    data: products,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * Obtiene un producto por su ID
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el producto
+ */
+const getProduct = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+
+  return res.status(200).json({
+    status: 'success',
+    data: product
+  });
+});
+
+/**
+ * Actualiza un producto
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el producto actualizado
+ */
+const updateProduct = asyncHandler(async (req, res) => {
+  const product = await Product.update(req.params.id, pickProductFields(req.body));
+
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+
+  return res.status(200).json({
+    status: 'success',
+    data: product
+  });
+});
+
+/**
+ * Elimina un producto
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} Respuesta vacía
+ */
+const deleteProduct = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  const deleted = product && await Product.remove(req.params.id);
+
+  if (!deleted) {
+    throw new NotFoundError('Product not found');
+  }
+
+  await storageService.discard(...(product.images || []).map(image => image.key));
+
+  return res.status(204).end();
+});
+
+/**
+ * Añade al producto la imagen subida por el middleware `upload`
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con la imagen añadida
+ */
+const addProductImage = asyncHandler(async (req, res) => {
+  const { product, image } = await Product.addImage(req.params.id, req.file);
+
+  if (!image) {
+    await storageService.discard(req.file.key);
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    throw new ConflictError(`A product can have at most ${Product.MAX_IMAGES} images`, 'PRODUCT_IMAGE_LIMIT');
+  }
+
+  return res.status(201).json({
+    status: 'success',
+    data: image
+  });
+});
+
+/**
+ * Redirige a una URL firmada y temporal de una imagen del producto
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} Redirección 302
+ */
+const getProductImage = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  const image = product && (product.images || []).find(candidate => candidate.id === req.params.imageId);
+
+  if (!image) {
+    throw new NotFoundError('Image not found');
+  }
+
+  const { url } = await storageService.getSignedUrl(image.key);
+
+  // La URL caduca: la redirección no debe guardarse
+  res.set('Cache-Control', 'no-store');
+  return res.redirect(302, url);
+});
+
+/**
+ * Quita una imagen del producto y borra su fichero
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} Respuesta vacía
+ */
+const deleteProductImage = asyncHandler(async (req, res) => {
+  const image = await Product.removeImage(req.params.id, req.params.imageId);
+
+  if (!image) {
+    throw new NotFoundError('Image not found');
+  }
+
+  await storageService.discard(image.key);
+
+  return res.status(204).end();
+});
+
+module.exports = {
+  createProduct,
+  listProducts,
+  getProduct,
+  updateProduct,
+  deleteProduct,
+  addProductImage,
+  getProductImage,
+  deleteProductImage
+};
@@ -0,0 +1,199 @@
+/**
+ * User Controller
+ * @description Controlador para la gestión de usuarios
+ * @author Maya - Senior Full-Stack Developer
+ * @version 1.0.0
+ */
+
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const accountService = require('../services/accountService');
+const storageService = require('../services/storageService');
+const { PERMISSIONS } = require('../config/roles');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { NotFoundError, ForbiddenError } = require('../utils/errorHandler');
+
+/**
+ * Crea un nuevo usuario
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el usuario creado
+ */
+const createUser = asyncHandler(async (req, res) => {
+  const { name, email, password } = req.body;
+  const user = await User.create({ name, email, password });
+  await accountService.sendVerification(user);
+
+  return res.status(201).json({
+    status: 'success',
+    data: user
+  });
+});
+
+/**
+ * Lista los usuarios de forma paginada
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con los usuarios y la información de paginación
+ */
+const listUsers = asyncHandler(async (req, res) => {
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 20;
+  const { users, total } = await User.findAll({ page, limit });
+
+  return res.status(200).json({
+    status: 'success',
+    data: users,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * Obtiene un usuario por su ID
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el usuario
+ */
+const getUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return res.status(200).json({
+    status: 'success',
+    data: user
+  });
+});
+
+/**
+ * Actualiza los datos de un usuario
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el usuario actualizado
+ */
+const updateUser = asyncHandler(async (req, res) => {
+  const { name, email, password, role, currentPassword } = req.body;
+
+  // Solo quien puede gestionar roles puede cambiar el rol de un usuario
+  if (role !== undefined && !req.user.permissions.includes(PERMISSIONS.USERS_MANAGE_ROLES)) {
+    throw new ForbiddenError();
+  }
+
+  const changes = Object.fromEntries(
+    Object.entries({ name, email, password, role }).filter(([, value]) => value !== undefined)
+  );
+
+  const user = await accountService.updateUser(req.params.id, changes, { actor: req.user, currentPassword });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return res.status(200).json({
+    status: 'success',
+    data: user
+  });
+});
+
+/**
+ * Elimina un usuario
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} Respuesta vacía
+ */
+const deleteUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  const deleted = user && await User.remove(req.params.id);
+
+  if (!deleted) {
+    throw new NotFoundError('User not found');
+  }
+
+  await Promise.all([
+    storageService.discard(user.avatar && user.avatar.key),
+    ApiKey.revokeAll(user.id)
+  ]);
+
+  return res.status(204).end();
+});
+
+/**
+ * Sustituye el avatar del usuario por la imagen subida por el middleware `upload`
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} JSON con el usuario actualizado
+ */
+const uploadAvatar = asyncHandler(async (req, res) => {
+  const { key, contentType, size } = req.file;
+  const previous = await User.findById(req.params.id);
+  const user = previous && await User.update(req.params.id, { avatar: { key, contentType, size, uploadedAt: new Date() } });
+
+  if (!user) {
+    await storageService.discard(key);
+    throw new NotFoundError('User not found');
+  }
+
+  await storageService.discard(previous.avatar && previous.avatar.key);
+
+  return res.status(200).json({
+    status: 'success',
+    data: user
+  });
+});
+
+/**
+ * Redirige a una URL firmada y temporal del avatar
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} Redirección 302
+ */
+const getAvatar = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user || !user.avatar) {
+    throw new NotFoundError('Avatar not found');
+  }
+
+  const { url } = await storageService.getSignedUrl(user.avatar.key);
+
+  // La URL caduca: la redirección no debe guardarse
+  res.set('Cache-Control', 'no-store');
+  return res.redirect(302, url);
+});
+
+/**
+ * Elimina el avatar del usuario
+ * @param {Object} req - Objeto de solicitud HTTP
+ * @param {Object} res - Objeto de respuesta HTTP
+ * @returns {Object} Respuesta vacía
+ */
+const deleteAvatar = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user || !user.avatar) {
+    throw new NotFoundError('Avatar not found');
+  }
+
+  await User.update(req.params.id, { avatar: null });
+  await storageService.discard(user.avatar.key);
+
+  return res.status(204).end();
+});
+
+module.exports = {
+  createUser,
+  listUsers,
+  getUser,
+  updateUser,
+  deleteUser,
+  uploadAvatar,
+  getAvatar,
+  deleteAvatar
+};
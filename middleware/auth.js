@@ -0,0 +1,237 @@
+/**
+ * Middleware de autenticación mediante JWT o clave de API
+ * @module auth
+ */
+
+const authService = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
+const { ROLES } = require('../config/roles');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errorHandler');
+
+/**
+ * Extrae el token Bearer de la cabecera Authorization
+ * @param {Object} req - Objeto de solicitud
+ * @returns {string|null} Token o null si no está presente
+ */
+const extractBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  return token;
+};
+
+/**
+ * Cabecera en la que los clientes máquina envían su clave de API
+ * @constant {string}
+ */
+const API_KEY_HEADER = 'x-api-key';
+
+/**
+ * Extrae la clave de API de la cabecera `X-API-Key`
+ * @param {Object} req - Objeto de solicitud
+ * @returns {string|null} Clave o null si no está presente
+ */
+const extractApiKey = (req) => {
+  const key = (req.headers[API_KEY_HEADER] || '').trim();
+  return key || null;
+};
+
+/**
+ * Middleware que exige un token de acceso válido
+ * @description Adjunta el usuario autenticado en `req.user` y el payload en `req.auth`
+ * @param {Object} req - Objeto de solicitud
+ * @param {Object} res - Objeto de respuesta
+ * @param {Function} next - Siguiente middleware
+ * @returns {void}
+ */
+const authenticateToken = (req, res, next) => {
+  const token = extractBearerToken(req);
+
+  if (!token) {
+    return next(new UnauthorizedError());
+  }
+
+  // Los errores de JWT se traducen a 401 en el errorHandler
+  authService.verifyAccessToken(token).then((payload) => {
+    req.auth = payload;
+    req.user = {
+      id: payload.sub,
+      email: payload.email,
+      role: payload.role,
+      permissions: payload.permissions || []
+    };
+
+    next();
+  }, next);
+};
+
+/**
+ * Middleware que exige una clave de API válida
+ * @description Adjunta el propietario en `req.user`, con los permisos de la clave en lugar
+ * de los de su rol, y la clave (sin hash) en `req.apiKey`
+ * @param {Object} req - Objeto de solicitud
+ * @param {Object} res - Objeto de respuesta
+ * @param {Function} next - Siguiente middleware
+ * @returns {void}
+ */
+const authenticateApiKey = (req, res, next) => {
+  const key = extractApiKey(req);
+
+  if (!key) {
+    return next(new UnauthorizedError());
+  }
+
+  apiKeyService.authenticate(key).then((result) => {
+    if (!result) {
+      return next(new UnauthorizedError('Invalid API key', 'API_KEY_INVALID'));
+    }
+
+    req.apiKey = result.apiKey;
+    req.user = result.user;
+    next();
+  }, next);
+};
+
+/**
+ * Middleware que acepta un token de acceso o una clave de API
+ * @description Con cabecera `Authorization: Bearer` se comprueba el JWT; si no, la cabecera
+ * `X-API-Key`. En ambos casos deja el usuario en `req.user`, así que `authorize`,
+ * `requirePermission` y `authorizeOwnership` funcionan igual detrás de cualquiera de ellos.
+ * @param {Object} req - Objeto de solicitud
+ * @param {Object} res - Objeto de respuesta
+ * @param {Function} next - Siguiente middleware
+ * @returns {void}
+ */
+const authenticate = (req, res, next) => {
+  if (!extractBearerToken(req) && extractApiKey(req)) {
+    return authenticateApiKey(req, res, next);
+  }
+
+  authenticateToken(req, res, next);
+};
+
+/**
+ * Middleware que restringe el acceso a los roles indicados
+ * @description Debe encadenarse después de `authenticateToken` o `authenticate`
+ * @param {...string} roles - Roles autorizados
+ * @returns {Function} Middleware de autorización
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return next(new ForbiddenError());
+  }
+
+  next();
+};
+
+/**
+ * Middleware que exige todos los permisos indicados
+ * @description Debe encadenarse después de `authenticateToken` o `authenticate`
+ * @param {...string} permissions - Permisos requeridos
+ * @returns {Function} Middleware de autorización
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+
+  const granted = permissions.every(permission => req.user.permissions.includes(permission));
+  if (!granted) {
+    return next(new ForbiddenError());
+  }
+
+  next();
+};
+
+/**
+ * Middleware que exige a las claves de API los permisos indicados
+ * @description Solo afecta a las solicitudes autenticadas con clave: con un JWT los
+ * permisos son los del rol y los comprueban `authorize` o `authorizeOwnership`. Cada
+ * permiso puede ser una función de la solicitud (p. ej. uno para el recurso propio y
+ * otro para los ajenos). Debe encadenarse después de `authenticate`.
+ * @param {...(string|function(Object): string)} scopes - Permisos requeridos
+ * @returns {Function} Middleware de autorización
+ */
+const requireScope = (...scopes) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const missing = scopes
+    .map(scope => (typeof scope === 'function' ? scope(req) : scope))
+    .filter(scope => !req.user.permissions.includes(scope));
+
+  if (missing.length > 0) {
+    return next(new ForbiddenError(`API key is missing scopes: ${missing.join(', ')}`, 'API_KEY_SCOPE_MISSING'));
+  }
+
+  next();
+};
+
+/**
+ * Middleware que solo permite acceder a los recursos propios
+ * @description Compara el ID del usuario autenticado con un parámetro de la ruta.
+ * Los roles indicados en `bypassRoles` pueden acceder a cualquier recurso.
+ * @param {Object} [options] - Opciones de la comprobación
+ * @param {string} [options.param='id'] - Parámetro de ruta con el ID del propietario
+ * @param {string[]} [options.bypassRoles=['admin']] - Roles exentos de la comprobación
+ * @returns {Function} Middleware de autorización
+ */
+const authorizeOwnership = ({ param = 'id', bypassRoles = [ROLES.ADMIN] } = {}) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+
+  const isOwner = req.user.id === req.params[param];
+  if (!isOwner && !bypassRoles.includes(req.user.role)) {
+    return next(new ForbiddenError());
+  }
+
+  next();
+};
+
+/**
+ * Middleware que solo restringe el acceso en producción
+ * @description Fuera de producción deja pasar todas las solicitudes; en producción
+ * exige un token válido y uno de los roles indicados
+ * @param {...string} roles - Roles autorizados en producción
+ * @returns {Function} Middleware de autorización
+ */
+const restrictInProduction = (...roles) => (req, res, next) => {
+  if (process.env.NODE_ENV !== 'production') {
+    return next();
+  }
+
+  authenticateToken(req, res, (error) => {
+    if (error) {
+      return next(error);
+    }
+    authorize(...roles)(req, res, next);
+  });
+};
+
+module.exports = {
+  API_KEY_HEADER,
+  authenticateToken,
+  authenticateApiKey,
+  authenticate,
+  authorize,
+  restrictInProduction,
+  requirePermission,
+  requireScope,
+  authorizeOwnership,
+  extractBearerToken,
+  extractApiKey
+};
@@ -0,0 +1,246 @@
+/**
+ * Caché de respuestas con ETag e invalidación
+ * @module cache
+ * @description Las respuestas 200 en JSON de las rutas con `cache()` se guardan con su ETag.
+ * Un acierto se sirve sin llegar al controlador y, si el cliente envía un `If-None-Match`
+ * que coincide, Express responde 304 sin cuerpo.
+ *
+ * Cada invalidación abre una generación nueva. Una lectura que empezó antes de una
+ * invalidación que afecta a su clave no guarda su respuesta, porque puede contener los
+ * datos anteriores a la escritura. El registro de generaciones es de este proceso: con un
+ * almacén compartido, protege frente a las escrituras atendidas por la misma instancia.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const { MemoryCacheStore } = require('../utils/cacheStores');
+
+/**
+ * Métodos cuyas respuestas se cachean
+ * @constant {string[]}
+ */
+const CACHEABLE_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Almacén activo (se crea al primer uso con `cacheMaxSize`)
+ * @type {import('../utils/cacheStores').CacheStore|null}
+ */
+let store = null;
+
+/**
+ * Generación actual; aumenta con cada invalidación
+ * @type {number}
+ */
+let generation = 0;
+
+/**
+ * Generación en la que se invalidó por última vez cada prefijo, mientras haya lecturas anteriores en curso
+ * @type {Map<string, number>}
+ */
+const invalidations = new Map();
+
+/**
+ * Lecturas en curso por generación de inicio
+ * @type {Map<number, number>}
+ */
+const reads = new Map();
+
+/**
+ * Registra el inicio de una lectura que puede acabar en la caché
+ * @returns {number} Generación en la que empieza
+ */
+const startRead = () => {
+  reads.set(generation, (reads.get(generation) || 0) + 1);
+  return generation;
+};
+
+/**
+ * Registra el final de una lectura y olvida las invalidaciones que ya no afectan a ninguna
+ * @param {number} startedAt - Generación devuelta por startRead()
+ * @returns {void}
+ */
+const endRead = (startedAt) => {
+  const remaining = reads.get(startedAt) - 1;
+  if (remaining > 0) {
+    reads.set(startedAt, remaining);
+  } else {
+    reads.delete(startedAt);
+  }
+
+  const oldest = reads.size > 0 ? Math.min(...reads.keys()) : generation;
+  invalidations.forEach((invalidatedAt, prefix) => {
+    if (invalidatedAt <= oldest) {
+      invalidations.delete(prefix);
+    }
+  });
+};
+
+/**
+ * Indica si una clave se ha invalidado después de que empezara una lectura
+ * @param {string} cacheKey - Clave
+ * @param {number} startedAt - Generación en la que empezó la lectura
+ * @returns {boolean} Si la respuesta puede estar desfasada
+ */
+const isStale = (cacheKey, startedAt) => [...invalidations]
+  .some(([prefix, invalidatedAt]) => invalidatedAt > startedAt && cacheKey.startsWith(prefix));
+
+/**
+ * Devuelve el almacén de caché activo
+ * @returns {import('../utils/cacheStores').CacheStore} Almacén activo
+ */
+const getCacheStore = () => {
+  if (!store) {
+    store = new MemoryCacheStore({ maxSize: config.get('cacheMaxSize') });
+  }
+
+  return store;
+};
+
+/**
+ * Sustituye el almacén de caché (p. ej. por `RedisCacheStore` para compartirlo entre instancias)
+ * @param {import('../utils/cacheStores').CacheStore} newStore - Almacén que implementa la interfaz CacheStore
+ * @returns {void}
+ */
+const setCacheStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Calcula un ETag fuerte a partir del cuerpo serializado
+ * @param {string} body - Cuerpo de la respuesta
+ * @returns {string} ETag entre comillas
+ */
+const createEtag = body => `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+
+/**
+ * Envía una respuesta guardada; `res.send` responde 304 si el ETag coincide con `If-None-Match`
+ * @param {Object} res - Objeto de respuesta
+ * @param {Object} entry - Entrada de la caché
+ * @returns {void}
+ */
+const sendEntry = (res, entry) => {
+  res.set({
+    'Content-Type': entry.contentType,
+    ETag: entry.etag,
+    'X-Cache': 'HIT'
+  });
+  res.status(entry.statusCode).send(entry.body);
+};
+
+/**
+ * Middleware de caché por ruta
+ * @description Solo cachea GET/HEAD con respuesta 200 enviada con `res.json`. La clave por
+ * defecto es la URL completa, así que las rutas cuya respuesta depende del usuario deben
+ * pasar una `key` que lo incluya. Si el almacén falla, la solicitud sigue sin caché.
+ * @param {Object} [options] - Opciones
+ * @param {number} [options.ttl] - Segundos de vida; por defecto, `cacheTtl` (recargable). 0 desactiva la caché
+ * @param {function(Object): string} [options.key] - Calcula la clave a partir de la solicitud
+ * @returns {Function} Middleware de Express
+ */
+const cache = ({ ttl, key = req => req.originalUrl } = {}) => async (req, res, next) => {
+  const seconds = ttl !== undefined ? ttl : config.get('cacheTtl');
+
+  if (!CACHEABLE_METHODS.includes(req.method) || seconds <= 0) {
+    return next();
+  }
+
+  const cacheKey = key(req);
+  const cacheStore = getCacheStore();
+
+  try {
+    const entry = await cacheStore.get(cacheKey);
+    if (entry) {
+      return sendEntry(res, entry);
+    }
+  } catch (error) {
+    (req.log || logger).warn('Cache read failed', { key: cacheKey, error: error.message });
+  }
+
+  const startedAt = startRead();
+  res.once('close', () => endRead(startedAt));
+
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    res.json = json;
+
+    if (res.statusCode !== 200) {
+      return json(body);
+    }
+
+    const payload = JSON.stringify(body);
+    const entry = {
+      statusCode: 200,
+      contentType: 'application/json; charset=utf-8',
+      etag: createEtag(payload),
+      body: payload
+    };
+
+    res.set({ ETag: entry.etag, 'X-Cache': 'MISS' });
+
+    // Se guarda al terminar: 304 también es válido (el cliente ya tenía esta versión)
+    res.once('finish', () => {
+      if (isStale(cacheKey, startedAt)) {
+        return;
+      }
+
+      if (res.statusCode === 200 || res.statusCode === 304) {
+        cacheStore.set(cacheKey, entry, seconds).catch((error) => {
+          (req.log || logger).warn('Cache write failed', { key: cacheKey, error: error.message });
+        });
+      }
+    });
+
+    return json(body);
+  };
+
+  next();
+};
+
+/**
+ * Invalida las entradas cuyas claves empiezan por alguno de los prefijos
+ * @description Las lecturas en curso que empezaron antes no guardarán su respuesta
+ * @async
+ * @param {...string} prefixes - Prefijos (p. ej. `/api/products`)
+ * @returns {Promise<number>} Entradas eliminadas
+ */
+const invalidateCache = async (...prefixes) => {
+  generation += 1;
+  if (reads.size > 0) {
+    prefixes.forEach(prefix => invalidations.set(prefix, generation));
+  }
+
+  const counts = await Promise.all(prefixes.map(prefix => getCacheStore().deleteByPrefix(prefix)));
+  return counts.reduce((total, count) => total + count, 0);
+};
+
+/**
+ * Middleware que invalida la caché cuando una escritura termina con éxito (2xx)
+ * @param {...(string|function(Object): string)} prefixes - Prefijos o funciones que los calculan a partir de la solicitud (p. ej. `req => req.baseUrl`)
+ * @returns {Function} Middleware de Express
+ */
+const invalidateOnChange = (...prefixes) => (req, res, next) => {
+  // Se resuelven ahora: al terminar, Express ya ha restaurado req.baseUrl
+  const resolved = prefixes.map(prefix => (typeof prefix === 'function' ? prefix(req) : prefix));
+
+  res.once('finish', () => {
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      return;
+    }
+
+    invalidateCache(...resolved).catch((error) => {
+      (req.log || logger).error('Cache invalidation failed', { prefixes: resolved, error: error.message });
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  cache,
+  invalidateCache,
+  invalidateOnChange,
+  getCacheStore,
+  setCacheStore
+};
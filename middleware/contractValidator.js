@@ -0,0 +1,350 @@
+/**
+ * Validación de solicitudes y respuestas contra la especificación OpenAPI
+ * @module contractValidator
+ * @description Las operaciones se localizan por método y ruta en el documento generado
+ * desde las anotaciones `@swagger`; las rutas que no aparecen en él no se validan.
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const { getSpec } = require('../utils/openapi');
+const { ValidationError } = require('../utils/errorHandler');
+
+/**
+ * Ubicaciones de los parámetros OpenAPI y su equivalente en la solicitud de Express
+ * @constant {Object<string, string>}
+ */
+const PARAMETER_LOCATIONS = Object.freeze({
+  path: 'params',
+  query: 'query'
+});
+
+/**
+ * Crea una instancia de Ajv para esquemas OpenAPI 3.0
+ * @description `strict: false` ignora palabras propias de OpenAPI como `example`
+ * @param {Object} [options] - Opciones adicionales de Ajv
+ * @returns {Ajv} Instancia configurada
+ */
+const createAjv = (options = {}) => {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  return ajv;
+};
+
+/**
+ * Cierra los objetos de un esquema a propiedades no declaradas
+ * @description Solo se aplica a objetos con `properties` y sin `additionalProperties`
+ * explícito. No entra en `allOf`, donde cerrar cada parte rechazaría las propiedades de las demás.
+ * @param {*} schema - Esquema (o fragmento)
+ * @returns {*} Copia del esquema con los objetos cerrados
+ */
+const closeObjects = (schema) => {
+  if (Array.isArray(schema)) {
+    return schema.map(closeObjects);
+  }
+
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const closed = Object.fromEntries(Object.entries(schema)
+    .map(([key, value]) => [key, key === 'allOf' ? value : closeObjects(value)]));
+
+  if (closed.properties && closed.additionalProperties === undefined) {
+    closed.additionalProperties = false;
+  }
+
+  return closed;
+};
+
+/**
+ * Convierte una ruta OpenAPI (`/api/users/{id}`) en una expresión regular
+ * @param {string} openApiPath - Ruta OpenAPI
+ * @returns {{pattern: RegExp, names: string[]}} Expresión y nombres de los parámetros
+ */
+const compilePath = (openApiPath) => {
+  const names = [];
+  const source = openApiPath
+    .split(/\{(\w+)\}/)
+    .map((part, index) => {
+      if (index % 2 === 1) {
+        names.push(part);
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return { pattern: new RegExp(`^${source}/?$`), names };
+};
+
+/**
+ * Convierte los errores de Ajv al formato `{ field, message, location }`
+ * @param {Array<Object>} errors - Errores de Ajv
+ * @param {string} location - Ubicación (`body`, `query`, `params` o `response`)
+ * @returns {Array<{field: string, message: string, location: string}>} Errores por campo
+ */
+const toFieldErrors = (errors, location) => errors.map((error) => {
+  const segments = error.instancePath.split('/').filter(Boolean);
+
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  }
+  if (error.keyword === 'additionalProperties') {
+    segments.push(error.params.additionalProperty);
+  }
+
+  return {
+    field: segments.join('.') || location,
+    message: error.message,
+    location
+  };
+});
+
+/**
+ * Clase que compila y aplica los esquemas de cada operación del documento OpenAPI
+ * @class ContractValidator
+ */
+class ContractValidator {
+  /**
+   * Crea una instancia de ContractValidator
+   * @param {Object} spec - Documento OpenAPI 3
+   */
+  constructor(spec) {
+    this.components = spec.components || {};
+    // Sobre el cuerpo se eliminan los campos no declarados, se convierten los tipos (los
+    // formularios llegan como texto) y se aplican los `default` (p. ej. `quantity` de los pedidos)
+    this.requestAjv = createAjv({ removeAdditional: true, coerceTypes: true, useDefaults: true });
+    // Los parámetros de ruta y query llegan como texto
+    this.parameterAjv = createAjv({ coerceTypes: 'array' });
+    this.responseAjv = createAjv();
+    this.closedComponents = closeObjects(this.components);
+    this.validators = new Map();
+
+    this.routes = Object.entries(spec.paths || {}).map(([openApiPath, item]) => ({
+      path: openApiPath,
+      item,
+      ...compilePath(openApiPath)
+    }));
+  }
+
+  /**
+   * Localiza la operación que corresponde a una solicitud
+   * @param {string} method - Método HTTP
+   * @param {string} requestPath - Ruta de la solicitud
+   * @returns {{key: string, operation: Object, params: Object}|null} Operación y parámetros de ruta
+   */
+  match(method, requestPath) {
+    const verb = method.toLowerCase();
+
+    for (const route of this.routes) {
+      const match = route.item[verb] && route.pattern.exec(requestPath);
+      if (match) {
+        const params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+        return { key: `${method.toUpperCase()} ${route.path}`, operation: route.item[verb], params };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Valida parámetros y cuerpo de una solicitud
+   * @description El cuerpo se normaliza en `req.body`: sin campos no declarados, con los
+   * tipos del esquema y con sus valores por defecto
+   * @param {{key: string, operation: Object, params: Object}} match - Operación localizada
+   * @param {Object} req - Objeto de solicitud
+   * @returns {Array<Object>} Errores por campo (vacío si es válida)
+   */
+  validateRequest({ key, operation, params }, req) {
+    const { parameters, body } = this.getRequestValidators(key, operation);
+    const input = { params, query: req.query };
+    const errors = [];
+
+    parameters.forEach(({ location, validate }) => {
+      // Se valida una copia: la coerción de tipos no debe alterar req.query
+      if (!validate({ ...input[location] })) {
+        errors.push(...toFieldErrors(validate.errors, location));
+      }
+    });
+
+    if (body) {
+      const hasBody = req.body !== undefined && !(typeof req.body === 'object' && Object.keys(req.body).length === 0);
+
+      if (!hasBody && body.required) {
+        errors.push({ field: 'body', message: 'Request body is required', location: 'body' });
+      } else if (hasBody && !body.validate(req.body)) {
+        errors.push(...toFieldErrors(body.validate.errors, 'body'));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Valida el cuerpo de una respuesta, rechazando propiedades no declaradas
+   * @param {{key: string, operation: Object}} match - Operación localizada
+   * @param {number} statusCode - Código de estado de la respuesta
+   * @param {*} body - Cuerpo enviado
+   * @returns {Array<Object>} Errores por campo (vacío si es válida o no hay esquema)
+   */
+  validateResponse({ key, operation }, statusCode, body) {
+    const validate = this.getResponseValidator(key, operation, statusCode);
+
+    if (!validate || validate(body)) {
+      return [];
+    }
+
+    return toFieldErrors(validate.errors, 'response');
+  }
+
+  /**
+   * Compila (una sola vez) los validadores de solicitud de una operación
+   * @private
+   * @param {string} key - Clave de la operación
+   * @param {Object} operation - Operación OpenAPI
+   * @returns {{parameters: Array<Object>, body: Object|null}} Validadores
+   */
+  getRequestValidators(key, operation) {
+    const cacheKey = `request ${key}`;
+
+    if (!this.validators.has(cacheKey)) {
+      const parameters = Object.entries(PARAMETER_LOCATIONS)
+        .map(([openApiLocation, location]) => {
+          const declared = (operation.parameters || []).filter(param => param.in === openApiLocation);
+          if (declared.length === 0) {
+            return null;
+          }
+
+          const schema = {
+            type: 'object',
+            properties: Object.fromEntries(declared.map(param => [param.name, param.schema || {}])),
+            required: declared.filter(param => param.required).map(param => param.name)
+          };
+
+          return { location, validate: this.compile(this.parameterAjv, schema, this.components) };
+        })
+        .filter(Boolean);
+
+      const content = operation.requestBody && operation.requestBody.content;
+      // Solo los cuerpos que parsea el pipeline; los multipart los valida después el middleware de subida
+      const media = content && (content['application/json'] || content['application/x-www-form-urlencoded']);
+      const body = media && media.schema
+        ? {
+          required: Boolean(operation.requestBody.required),
+          // Cerrado como las respuestas: `removeAdditional` quita lo que `additionalProperties: false` rechazaría
+          validate: this.compile(this.requestAjv, closeObjects(media.schema), this.closedComponents)
+        }
+        : null;
+
+      this.validators.set(cacheKey, { parameters, body });
+    }
+
+    return this.validators.get(cacheKey);
+  }
+
+  /**
+   * Compila (una sola vez) el validador de respuesta de una operación y código de estado
+   * @private
+   * @param {string} key - Clave de la operación
+   * @param {Object} operation - Operación OpenAPI
+   * @param {number} statusCode - Código de estado
+   * @returns {Function|null} Validador o null si la respuesta no declara esquema JSON
+   */
+  getResponseValidator(key, operation, statusCode) {
+    const cacheKey = `response ${key} ${statusCode}`;
+
+    if (!this.validators.has(cacheKey)) {
+      const responses = operation.responses || {};
+      const response = responses[statusCode] || responses[`${String(statusCode)[0]}XX`] || responses.default;
+      const media = response && response.content && response.content['application/json'];
+
+      this.validators.set(cacheKey, media && media.schema
+        ? this.compile(this.responseAjv, closeObjects(media.schema), this.closedComponents)
+        : null);
+    }
+
+    return this.validators.get(cacheKey);
+  }
+
+  /**
+   * Compila un esquema con los componentes del documento para resolver sus `$ref`
+   * @private
+   * @param {Ajv} ajv - Instancia de Ajv
+   * @param {Object} schema - Esquema
+   * @param {Object} components - Componentes del documento
+   * @returns {Function} Validador
+   */
+  compile(ajv, schema, components) {
+    return ajv.compile({ ...schema, components });
+  }
+}
+
+/**
+ * Registra una respuesta que no cumple el contrato
+ * @param {{operation: string, statusCode: number, errors: Array<Object>}} violation - Divergencia detectada
+ * @param {Object} req - Objeto de solicitud
+ * @returns {void}
+ */
+const logResponseViolation = (violation, req) => {
+  (req.log || logger).error('Response does not match the API contract', violation);
+};
+
+/**
+ * Crea el middleware de validación de contrato
+ * @description Las solicitudes que no cumplen el contrato responden 422 con los errores
+ * por campo. Si se validan las respuestas, un cuerpo JSON que no coincide con el
+ * esquema declarado para su código de estado se notifica a `onResponseViolation` y se
+ * envía igualmente: el controlador ya ha producido sus efectos (p. ej. un POST ya ha
+ * creado el registro) y un 500 haría creer al cliente que la operación falló.
+ * @param {Object} [options] - Opciones
+ * @param {Object} [options.spec] - Documento OpenAPI; por defecto, el generado de las anotaciones
+ * @param {boolean} [options.validateResponses] - Valida respuestas; por defecto, `responseValidationEnabled`
+ * @param {function(Object, Object): void} [options.onResponseViolation] - Recibe la divergencia y la solicitud; por defecto, la registra como error
+ * @returns {Function} Middleware de Express
+ */
+const contractValidator = ({
+  spec = getSpec(),
+  validateResponses = config.get('responseValidationEnabled'),
+  onResponseViolation = logResponseViolation
+} = {}) => {
+  const validator = new ContractValidator(spec);
+
+  return (req, res, next) => {
+    const match = validator.match(req.method, req.path);
+    if (!match) {
+      return next();
+    }
+
+    const errors = validator.validateRequest(match, req);
+    if (errors.length > 0) {
+      return next(new ValidationError('Request does not match the API contract', errors));
+    }
+
+    if (validateResponses) {
+      const json = res.json.bind(res);
+
+      res.json = (body) => {
+        res.json = json;
+        // Se valida lo que recibirá el cliente, tras aplicar los toJSON() del modelo
+        const sent = body === undefined ? body : JSON.parse(JSON.stringify(body));
+        const responseErrors = validator.validateResponse(match, res.statusCode, sent);
+
+        if (responseErrors.length > 0) {
+          onResponseViolation({ operation: match.key, statusCode: res.statusCode, errors: responseErrors }, req);
+        }
+
+        return json(body);
+      };
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  ContractValidator,
+  contractValidator
+};
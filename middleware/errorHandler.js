@@ -3,85 +3,135 @@
  * @module errorHandler
  */
 
+const http = require('http');
+const {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ConflictError,
+  PayloadTooLargeError,
+  ValidationError
+} = require('../utils/errorHandler');
+
 /**
- * Clase para manejo de errores personalizados
- * @class AppError
- * @extends Error
+ * Tipo de contenido de las respuestas de error (RFC 7807)
+ * @constant {string}
  */
-class AppError extends Error {
-  /**
-   * Crea un error personalizado
-   * @param {string} message - Mensaje del error
-   * @param {number} statusCode - Código de estado HTTP
-   * @param {boolean} isOperational - Indica si el error es operacional
-   */
-  constructor(message, statusCode, isOperational = true) {
-    super(message);
-    this.statusCode = statusCode;
-    this.isOperational = isOperational;
-    this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
-    Error.captureStackTrace(this, this.constructor);
-  }
-}
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
 
 /**
- * Middleware para manejo de errores
+ * Convierte cualquier error en un AppError del catálogo
  * @param {Error} err - Error capturado
- * @param {Object} req - Objeto de solicitud
- * @param {Object} res - Objeto de respuesta
- * @param {Function} next - Siguiente middleware
- * @returns {Object} Respuesta con error
+ * @returns {AppError} Error tipado equivalente
  */
-const errorHandler = (err, req, res, next) => {
-  // Establecer valores por defecto para el error
-  err.statusCode = err.statusCode || 500;
-  err.message = err.message || 'Internal Server Error';
-
-  let error = { ...err };
-
-  // Copiar las propiedades del error original
-  error.message = err.message;
-  error.statusCode = err.statusCode;
+const normalizeError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
 
   // Manejo de errores específicos según el tipo de error
   if (err.name === 'CastError') {
-    const message = 'Invalid ID format';
-    error = new AppError(message, 400);
+    return new BadRequestError('Invalid ID format', 'INVALID_ID');
   }
 
   if (err.code === 11000) {
-    const message = 'Duplicate field value entered';
-    error = new AppError(message, 400);
+    const fields = Object.keys(err.keyValue || {});
+    const message = fields.length > 0
+      ? `Duplicate value for field: ${fields.join(', ')}`
+      : 'Duplicate field value entered';
+    return new ConflictError(message, 'DUPLICATE_KEY');
   }
 
   if (err.name === 'ValidationError') {
-    const message = Object.values(err.errors).map(val => val.message).join(', ');
-    error = new AppError(message, 400);
+    const errors = Object.values(err.errors).map(val => ({ field: val.path, message: val.message }));
+    return new ValidationError(errors.map(val => val.message).join(', '), errors);
   }
 
   // Manejo de errores de JWT
   if (err.name === 'JsonWebTokenError') {
-    const message = 'Invalid token';
-    error = new AppError(message, 401);
+    return new UnauthorizedError('Invalid token', 'TOKEN_INVALID');
   }
 
   if (err.name === 'TokenExpiredError') {
-    const message = 'Token expired';
-    error = new AppError(message, 401);
+    return new UnauthorizedError('Token expired', 'TOKEN_EXPIRED');
+  }
+
+  // Errores del parser de cuerpos de express
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Malformed JSON body', 'MALFORMED_BODY');
+  }
+
+  if (err.type === 'entity.too.large') {
+    return new PayloadTooLargeError('Request body too large');
+  }
+
+  const status = err.statusCode || err.status;
+  const statusCode = Number.isInteger(status) && status >= 400 ? status : 500;
+  const error = new AppError(err.message || 'Internal Server Error', statusCode, statusCode < 500);
+  error.stack = err.stack;
+  return error;
+};
+
+/**
+ * Construye el cuerpo problem+json de un error
+ * @param {AppError} error - Error normalizado
+ * @param {Object} req - Objeto de solicitud
+ * @returns {Object} Documento de problema (RFC 7807)
+ */
+const toProblem = (error, req) => {
+  const isDevelopment = process.env.NODE_ENV === 'development';
+  // Los errores no operacionales no exponen detalles fuera de desarrollo
+  const exposeDetail = error.isOperational || isDevelopment;
+
+  const problem = {
+    type: `/problems/${error.code.toLowerCase().replace(/_/g, '-')}`,
+    title: http.STATUS_CODES[error.statusCode] || 'Error',
+    status: error.statusCode,
+    detail: exposeDetail ? error.message : 'An unexpected error occurred',
+    instance: req.originalUrl,
+    code: error.code,
+    requestId: req.id
+  };
+
+  if (error.errors) {
+    problem.errors = error.errors;
+  }
+
+  if (error.retryAfter !== undefined) {
+    problem.retryAfter = error.retryAfter;
+  }
+
+  if (isDevelopment) {
+    problem.stack = error.stack;
+  }
+
+  return problem;
+};
+
+/**
+ * Middleware para manejo de errores
+ * @description Responde con un documento `application/problem+json` (RFC 7807)
+ * @param {Error} err - Error capturado
+ * @param {Object} req - Objeto de solicitud
+ * @param {Object} res - Objeto de respuesta
+ * @param {Function} next - Siguiente middleware
+ * @returns {Object} Respuesta con error
+ */
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
   }
 
-  // Log del error (en producción podría usarse un logger como winston)
-  if (process.env.NODE_ENV === 'development') {
-    console.error('Error:', err);
+  const error = normalizeError(err);
+
+  if (error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
   }
 
-  // Respuesta de error
-  return res.status(error.statusCode).json({
-    status: error.status,
-    error: error,
-    message: error.message,
-    stack: process.env.NODE_ENV === 'development' ? error.stack : {}
-  });
+  return res
+    .status(error.statusCode)
+    .type(PROBLEM_CONTENT_TYPE)
+    .json(toProblem(error, req));
 };
 
 /**
@@ -94,6 +144,8 @@ const asyncHandler = (fn) => (req, res, next) =>
 
 module.exports = {
   AppError,
+  PROBLEM_CONTENT_TYPE,
   errorHandler,
+  normalizeError,
   asyncHandler
-};
\ No newline at end of file
+};
@@ -0,0 +1,56 @@
+/**
+ * Middleware de feature flags
+ * @module featureFlags
+ */
+
+const featureFlagService = require('../services/featureFlagService');
+const { NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * Construye el contexto de evaluación a partir de la solicitud
+ * @param {Object} req - Objeto de solicitud
+ * @returns {import('../services/featureFlagService').FlagContext} Contexto
+ */
+const contextFor = req => ({
+  userId: req.user ? req.user.id : undefined,
+  role: req.user ? req.user.role : undefined,
+  subject: req.ip
+});
+
+/**
+ * Middleware que expone `req.flags` a los controladores
+ * @description Los flags se evalúan al consultarlos, de modo que tienen en cuenta
+ * el usuario que `authenticateToken` adjunte más adelante en la cadena
+ * @param {Object} req - Objeto de solicitud
+ * @param {Object} res - Objeto de respuesta
+ * @param {Function} next - Siguiente middleware
+ * @returns {void}
+ */
+const featureFlags = (req, res, next) => {
+  req.flags = {
+    isEnabled: name => featureFlagService.isEnabled(name, contextFor(req)),
+    all: () => featureFlagService.evaluate(contextFor(req))
+  };
+
+  next();
+};
+
+/**
+ * Middleware que oculta una ruta mientras su flag esté apagado
+ * @description Responde como una ruta inexistente para poder desplegar endpoints
+ * sin exponerlos. Colócalo después de `authenticateToken` si el flag se segmenta por usuario o rol.
+ * @param {string} name - Nombre del flag
+ * @returns {Function} Middleware de Express
+ */
+const requireFlag = name => (req, res, next) => {
+  if (!featureFlagService.isEnabled(name, contextFor(req))) {
+    return next(new NotFoundError(`Route ${req.originalUrl} not found`, 'ROUTE_NOT_FOUND'));
+  }
+
+  next();
+};
+
+module.exports = {
+  featureFlags,
+  requireFlag
+};
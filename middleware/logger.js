@@ -0,0 +1,100 @@
+/**
+ * Middleware de logging de solicitudes y errores
+ * @module logger
+ */
+
+const crypto = require('crypto');
+const { logger: baseLogger } = require('../utils/logger');
+const { normalizeError } = require('./errorHandler');
+
+/**
+ * Cabecera con la que se recibe y se devuelve el ID de la solicitud
+ * @constant {string}
+ */
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * Formato aceptado para IDs de solicitud recibidos del cliente
+ * @constant {RegExp}
+ */
+const VALID_REQUEST_ID = /^[\w-]{1,128}$/;
+
+/**
+ * Nivel de log correspondiente a un código de estado HTTP
+ * @param {number} statusCode - Código de estado de la respuesta
+ * @returns {string} Nivel de log
+ */
+const levelForStatus = (statusCode) => {
+  if (statusCode >= 500) return 'error';
+  if (statusCode >= 400) return 'warn';
+  return 'info';
+};
+
+/**
+ * Middleware que asigna un ID a la solicitud y registra su inicio y su respuesta
+ * @description Reutiliza la cabecera `X-Request-Id` entrante si es válida y expone
+ * en `req.log` un logger hijo que incluye el ID en cada entrada
+ * @param {Object} req - Objeto de solicitud
+ * @param {Object} res - Objeto de respuesta
+ * @param {Function} next - Siguiente middleware
+ * @returns {void}
+ */
+const logger = (req, res, next) => {
+  const incomingId = req.get(REQUEST_ID_HEADER);
+  const requestId = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  req.log = baseLogger.child({ requestId });
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+
+  req.log.debug('Request started', {
+    method: req.method,
+    url: req.originalUrl,
+    ip: req.ip,
+    headers: req.headers
+  });
+
+  res.on('finish', () => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100;
+
+    req.log.log(levelForStatus(res.statusCode), 'Request completed', {
+      method: req.method,
+      url: req.originalUrl,
+      statusCode: res.statusCode,
+      durationMs,
+      contentLength: res.get('Content-Length'),
+      userId: req.user ? req.user.id : undefined
+    });
+  });
+
+  next();
+};
+
+/**
+ * Middleware que registra los errores antes de pasarlos al errorHandler
+ * @param {Error} err - Error capturado
+ * @param {Object} req - Objeto de solicitud
+ * @param {Object} res - Objeto de respuesta
+ * @param {Function} next - Siguiente middleware
+ * @returns {void}
+ */
+const errorLogger = (err, req, res, next) => {
+  const log = req.log || baseLogger;
+  const { statusCode } = normalizeError(err);
+
+  log.log(levelForStatus(statusCode), 'Request failed', {
+    method: req.method,
+    url: req.originalUrl,
+    statusCode,
+    error: err
+  });
+
+  next(err);
+};
+
+module.exports = {
+  logger,
+  errorLogger,
+  REQUEST_ID_HEADER
+};
@@ -0,0 +1,190 @@
+/**
+ * Middleware de rate limiting con políticas con nombre
+ * @module rateLimiter
+ */
+
+const rateLimit = require('express-rate-limit');
+const config = require('../config/config');
+const authService = require('../services/authService');
+const { extractBearerToken } = require('./auth');
+const { RateLimitedError } = require('../utils/errorHandler');
+const { MemoryRateLimitStore } = require('../utils/rateLimitStores');
+
+/**
+ * Métodos HTTP de solo lectura, limitados con la política `read`
+ * @constant {string[]}
+ */
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Políticas incluidas; `rateLimitPolicies` en la configuración puede sobrescribirlas o añadir otras
+ * @description `window` se expresa en minutos, igual que `RATE_LIMIT_WINDOW`
+ * @constant {Object<string, function(): {window: number, max: number}>}
+ */
+const BUILT_IN_POLICIES = Object.freeze({
+  default: () => ({ window: config.get('rateLimitWindow'), max: config.get('rateLimitMax') }),
+  read: () => ({ window: config.get('rateLimitWindow'), max: config.get('rateLimitMax') * 3 }),
+  auth: () => ({ window: 15, max: 10 })
+});
+
+/**
+ * Crea el almacén de contadores de una política
+ * @type {function(string): Object}
+ */
+let storeFactory = () => new MemoryRateLimitStore();
+
+/**
+ * Almacenes por limitador (`política` o `política:ámbito`); sobreviven a las recargas de configuración
+ * @type {Map<string, Object>}
+ */
+const stores = new Map();
+
+/**
+ * Limitadores por política y ámbito; se reconstruyen cuando cambia la configuración
+ * @type {Map<string, Function>}
+ */
+const limiters = new Map();
+
+/**
+ * Resuelve la ventana y el máximo de una política
+ * @description Un ámbito hereda la política y se puede ajustar con `rateLimitPolicies['política-ámbito']`
+ * @param {string} name - Nombre de la política
+ * @param {string} [scope] - Ámbito del contador (p. ej. `login`)
+ * @returns {{window: number, max: number}} Política efectiva
+ * @throws {Error} Si la política no existe
+ */
+const resolvePolicy = (name, scope) => {
+  const builtIn = BUILT_IN_POLICIES[name];
+  const policies = config.get('rateLimitPolicies', {});
+  const configured = policies[name];
+
+  if (!builtIn && !configured) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+
+  return { ...(builtIn && builtIn()), ...configured, ...(scope && policies[`${name}-${scope}`]) };
+};
+
+/**
+ * Clave del cliente: el usuario autenticado o, si no hay, la IP
+ * @description El limitador global se ejecuta antes de `authenticateToken`, así que
+ * aquí se comprueba la firma del token Bearer (sin consultar revocaciones); un token
+ * inválido cuenta contra la IP
+ * @param {Object} req - Objeto de solicitud
+ * @returns {string} Clave del contador
+ */
+const keyFor = (req) => {
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+
+  const token = extractBearerToken(req);
+  if (token) {
+    try {
+      return `user:${authService.verifyToken(token, 'access').sub}`;
+    } catch (error) {
+      // Token inválido o caducado: se limita por IP
+    }
+  }
+
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Obtiene (o construye) el limitador de una política y un ámbito
+ * @param {string} name - Nombre de la política
+ * @param {string} [scope] - Ámbito del contador
+ * @returns {Function} Middleware de express-rate-limit
+ */
+const getLimiter = (name, scope) => {
+  const id = scope ? `${name}:${scope}` : name;
+
+  if (!limiters.has(id)) {
+    const { window, max } = resolvePolicy(name, scope);
+
+    if (!stores.has(id)) {
+      stores.set(id, storeFactory(id));
+    }
+
+    limiters.set(id, rateLimit({
+      windowMs: window * 60 * 1000,
+      max,
+      standardHeaders: true,
+      legacyHeaders: false,
+      store: stores.get(id),
+      keyGenerator: keyFor,
+      handler: (req, res, next, options) => {
+        const { resetTime } = req.rateLimit;
+        const retryAfter = resetTime
+          ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000))
+          : Math.ceil(options.windowMs / 1000);
+
+        next(new RateLimitedError(undefined, retryAfter));
+      }
+    }));
+  }
+
+  return limiters.get(id);
+};
+
+/**
+ * Middleware que aplica una política con nombre
+ * @description Con `scope`, el endpoint tiene su propio contador: agotar el de `login` no
+ * bloquea `forgot-password` aunque ambos usen la política `auth`
+ * @param {string} name - Nombre de la política (`default`, `read`, `auth` o una definida en la configuración)
+ * @param {string} [scope] - Ámbito del contador; sin él, todos los usos de la política lo comparten
+ * @returns {Function} Middleware de Express
+ */
+const rateLimiter = (name, scope) => (req, res, next) => {
+  let limiter;
+  try {
+    limiter = getLimiter(name, scope);
+  } catch (error) {
+    return next(error);
+  }
+
+  return limiter(req, res, next);
+};
+
+const readLimiter = rateLimiter('read');
+const defaultLimiter = rateLimiter('default');
+
+/**
+ * Limitador global: `read` para métodos de lectura y `default` para el resto
+ * @description Las sondas de salud no cuentan contra los clientes
+ * @param {Object} req - Objeto de solicitud
+ * @param {Object} res - Objeto de respuesta
+ * @param {Function} next - Siguiente middleware
+ * @returns {void}
+ */
+const globalRateLimiter = (req, res, next) => {
+  if (req.path.startsWith(config.get('healthCheckPath'))) {
+    return next();
+  }
+
+  const limiter = SAFE_METHODS.includes(req.method) ? readLimiter : defaultLimiter;
+  return limiter(req, res, next);
+};
+
+/**
+ * Sustituye el almacén de contadores (p. ej. por `RedisRateLimitStore` para compartirlos entre instancias)
+ * @param {function(string): Object} factory - Recibe el limitador (`política` o `política:ámbito`) y devuelve un almacén
+ * @returns {void}
+ */
+const setRateLimitStore = (factory) => {
+  storeFactory = factory;
+  stores.clear();
+  limiters.clear();
+};
+
+// Los cambios de configuración reconstruyen los limitadores conservando los contadores
+['rateLimitWindow', 'rateLimitMax', 'rateLimitPolicies'].forEach((key) => {
+  config.onChange(key, () => limiters.clear());
+});
+
+module.exports = {
+  rateLimiter,
+  globalRateLimiter,
+  setRateLimitStore,
+  BUILT_IN_POLICIES
+};
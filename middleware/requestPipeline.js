@@ -0,0 +1,120 @@
+/**
+ * Pipeline de entrada: compresión, tipo de contenido, parseo con límites por ruta y saneado
+ * @module requestPipeline
+ */
+
+const express = require('express');
+const compression = require('compression');
+const mongoSanitize = require('express-mongo-sanitize');
+const hpp = require('hpp');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const { UnsupportedMediaTypeError } = require('../utils/errorHandler');
+
+/**
+ * Métodos cuyo cuerpo se valida y se parsea
+ * @constant {string[]}
+ */
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH'];
+
+/**
+ * Indica si la solicitud trae un cuerpo no vacío
+ * @description `req.is` considera que hay cuerpo con `Content-Length: 0`, que es lo que
+ * envían fetch y los navegadores en un POST sin cuerpo
+ * @param {Object} req - Objeto de solicitud
+ * @returns {boolean} true si hay cuerpo
+ */
+const hasBody = req => req.headers['transfer-encoding'] !== undefined
+  || Number(req.headers['content-length']) > 0;
+
+/**
+ * Middleware que rechaza con 415 los cuerpos con un Content-Type no admitido
+ * @description Solo afecta a métodos de escritura que envían cuerpo; las solicitudes sin cuerpo pasan
+ * @param {string[]} types - Tipos admitidos (p. ej. `application/json`)
+ * @returns {Function} Middleware de Express
+ */
+const requireContentType = types => (req, res, next) => {
+  // req.is devuelve false si falta el Content-Type o no coincide
+  if (WRITE_METHODS.includes(req.method) && hasBody(req) && req.is(types) === false) {
+    return next(new UnsupportedMediaTypeError(
+      `Content-Type must be one of: ${types.join(', ')}`
+    ));
+  }
+
+  next();
+};
+
+/**
+ * Middleware de parseo JSON y urlencoded con límite de tamaño por ruta
+ * @description Usa el límite del prefijo más largo de `limits` que coincida con la
+ * ruta, o `defaultLimit` si ninguno coincide. Un cuerpo mayor responde 413.
+ * @param {Object} settings - Límites
+ * @param {(string|number)} settings.defaultLimit - Límite por defecto (`100kb`, `1mb` o bytes)
+ * @param {Object<string, (string|number)>} [settings.limits={}] - Límites por prefijo de ruta (`/api/products`)
+ * @returns {Function} Middleware de Express
+ */
+const bodyParser = ({ defaultLimit, limits = {} }) => {
+  const createParsers = limit => [
+    express.json({ limit }),
+    express.urlencoded({ extended: true, limit })
+  ];
+
+  const defaultParsers = createParsers(defaultLimit);
+  const routeParsers = Object.entries(limits)
+    .sort(([a], [b]) => b.length - a.length)
+    .map(([prefix, limit]) => ({ prefix, parsers: createParsers(limit) }));
+
+  return (req, res, next) => {
+    const match = routeParsers.find(({ prefix }) => req.path === prefix || req.path.startsWith(`${prefix}/`));
+    const [json, urlencoded] = match ? match.parsers : defaultParsers;
+
+    json(req, res, (error) => {
+      if (error) {
+        return next(error);
+      }
+      urlencoded(req, res, next);
+    });
+  };
+};
+
+/**
+ * Construye los middlewares del pipeline de entrada según la configuración
+ * @description Orden: compresión de respuestas, Content-Type, parseo con límites,
+ * eliminación de operadores NoSQL (`$`, `.`) y protección frente a HTTP Parameter Pollution.
+ * Cada paso salvo el parseo se puede desactivar en la configuración.
+ * @param {Object} [settings] - Ajustes; por defecto, los de la configuración
+ * @returns {Function[]} Middlewares en orden de ejecución
+ */
+const createRequestPipeline = (settings = config.getAll()) => {
+  const pipeline = [];
+
+  if (settings.compressionEnabled) {
+    pipeline.push(compression({ threshold: settings.compressionThreshold }));
+  }
+
+  if (settings.contentTypeEnforced) {
+    pipeline.push(requireContentType(settings.allowedContentTypes));
+  }
+
+  pipeline.push(bodyParser({ defaultLimit: settings.bodyLimit, limits: settings.bodyLimits }));
+
+  if (settings.mongoSanitizeEnabled) {
+    pipeline.push(mongoSanitize({
+      onSanitize: ({ req, key }) => {
+        (req.log || logger).warn('Stripped NoSQL operators from request input', { key, url: req.originalUrl });
+      }
+    }));
+  }
+
+  if (settings.hppEnabled) {
+    pipeline.push(hpp());
+  }
+
+  return pipeline;
+};
+
+module.exports = {
+  requireContentType,
+  bodyParser,
+  createRequestPipeline
+};
@@ -0,0 +1,205 @@
+/**
+ * Políticas de seguridad HTTP: CORS y cabeceras (CSP, HSTS)
+ * @module security
+ * @description Cada política se construye con funciones puras a partir de sus ajustes,
+ * de modo que se puede probar sin arrancar el servidor; los middlewares leen la
+ * configuración en cada solicitud para reflejar las recargas en caliente.
+ */
+
+const cors = require('cors');
+const helmet = require('helmet');
+const config = require('../config/config');
+
+/**
+ * Ruta donde se sirve la documentación interactiva de la API
+ * @constant {string}
+ */
+const DOCS_PATH = '/docs';
+
+/**
+ * Cabeceras de respuesta que el navegador expone al código del cliente
+ * @constant {string[]}
+ */
+const EXPOSED_HEADERS = [
+  'X-Request-Id',
+  'RateLimit-Limit',
+  'RateLimit-Remaining',
+  'RateLimit-Reset',
+  'Retry-After'
+];
+
+/**
+ * Tiempo que el navegador puede cachear un preflight (segundos)
+ * @constant {number}
+ */
+const PREFLIGHT_MAX_AGE = 600;
+
+/**
+ * Duración de HSTS (180 días, en segundos)
+ * @constant {number}
+ */
+const HSTS_MAX_AGE = 180 * 24 * 60 * 60;
+
+/**
+ * CSP de las respuestas de la API: solo JSON, nada que cargar ni incrustar
+ * @constant {Object}
+ */
+const API_CSP = Object.freeze({
+  useDefaults: false,
+  directives: {
+    defaultSrc: ["'none'"],
+    frameAncestors: ["'none'"],
+    baseUri: ["'none'"],
+    formAction: ["'none'"]
+  }
+});
+
+/**
+ * CSP de la documentación: recursos propios; Swagger UI necesita estilos en línea e imágenes data:
+ * @constant {Object}
+ */
+const DOCS_CSP = Object.freeze({
+  useDefaults: false,
+  directives: {
+    defaultSrc: ["'self'"],
+    scriptSrc: ["'self'"],
+    styleSrc: ["'self'", "'unsafe-inline'"],
+    imgSrc: ["'self'", 'data:'],
+    fontSrc: ["'self'", 'data:'],
+    connectSrc: ["'self'"],
+    objectSrc: ["'none'"],
+    frameAncestors: ["'none'"],
+    baseUri: ["'self'"],
+    formAction: ["'self'"]
+  }
+});
+
+/**
+ * Escapa los caracteres especiales de una expresión regular
+ * @param {string} text - Texto a escapar
+ * @returns {string} Texto seguro para usar en una RegExp
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Convierte un patrón de origen en una expresión regular
+ * @description `https://app.example.com` coincide exactamente; `https://*.example.com`
+ * coincide con cualquier subdominio (no con el dominio raíz); sin esquema
+ * (`*.example.com`) se acepta http y https
+ * @param {string} pattern - Patrón de origen
+ * @returns {RegExp} Expresión equivalente
+ */
+const originPattern = (pattern) => {
+  const hasScheme = /^[a-z]+:\/\//i.test(pattern);
+  const body = escapeRegex(pattern.replace(/\/+$/, '')).replace(/^(.*?)\\\*\\\./, '$1([a-z0-9-]+\\.)+');
+
+  return new RegExp(`^${hasScheme ? '' : 'https?://'}${body}$`, 'i');
+};
+
+/**
+ * Crea una función que decide si un origen está permitido
+ * @param {string[]} origins - Orígenes o patrones permitidos (`*` permite todos)
+ * @returns {function(string): boolean} Comprobador de orígenes
+ */
+const createOriginMatcher = (origins) => {
+  if (origins.includes('*')) {
+    return () => true;
+  }
+
+  const patterns = origins.map(originPattern);
+  return origin => patterns.some(pattern => pattern.test(origin));
+};
+
+/**
+ * Construye las opciones de `cors` para una solicitud
+ * @description Con `*` se responde `Access-Control-Allow-Origin: *` y nunca se permiten
+ * credenciales (el navegador las rechazaría); con una lista se refleja el origen solo
+ * si coincide
+ * @param {Object} settings - Ajustes de CORS
+ * @param {string[]} settings.origins - Orígenes o patrones permitidos
+ * @param {string[]} settings.methods - Métodos permitidos
+ * @param {string[]} settings.headers - Cabeceras de solicitud permitidas
+ * @param {boolean} [settings.credentials=false] - Permite cookies y cabeceras de autenticación
+ * @param {string} [origin] - Origen de la solicitud
+ * @param {function(string): boolean} [matcher] - Comprobador ya compilado para `origins`
+ * @returns {Object} Opciones para el middleware `cors`
+ */
+const buildCorsOptions = ({ origins, methods, headers, credentials = false }, origin, matcher = createOriginMatcher(origins)) => {
+  const allowAll = origins.includes('*');
+
+  return {
+    origin: allowAll ? '*' : Boolean(origin) && matcher(origin),
+    methods,
+    allowedHeaders: headers,
+    exposedHeaders: EXPOSED_HEADERS,
+    credentials: credentials && !allowAll,
+    maxAge: PREFLIGHT_MAX_AGE
+  };
+};
+
+/**
+ * Construye las opciones de helmet para la API o para la documentación
+ * @param {Object} settings - Ajustes de seguridad
+ * @param {boolean} [settings.sslEnabled=false] - Activa HSTS
+ * @param {boolean} [settings.docs=false] - Usa la CSP de la documentación
+ * @returns {Object} Opciones de helmet
+ */
+const buildHelmetOptions = ({ sslEnabled = false, docs = false } = {}) => ({
+  contentSecurityPolicy: docs ? DOCS_CSP : API_CSP,
+  strictTransportSecurity: sslEnabled
+    ? { maxAge: HSTS_MAX_AGE, includeSubDomains: true }
+    : false
+});
+
+/**
+ * Middleware de CORS según `corsOrigin`, `corsMethods`, `corsHeaders` y `corsCredentials`
+ * @param {function(): Object} [getSettings] - Devuelve los ajustes actuales; por defecto, los de la configuración
+ * @returns {Function} Middleware de Express
+ */
+const corsPolicy = (getSettings = () => ({
+  origins: config.get('corsOrigin'),
+  methods: config.get('corsMethods'),
+  headers: config.get('corsHeaders'),
+  credentials: config.get('corsCredentials')
+})) => {
+  // El comprobador se recompila solo cuando cambia la lista (p. ej. tras una recarga)
+  let compiledFor = null;
+  let matcher = null;
+
+  return cors((req, callback) => {
+    const settings = getSettings();
+
+    if (settings.origins !== compiledFor) {
+      compiledFor = settings.origins;
+      matcher = createOriginMatcher(settings.origins);
+    }
+
+    callback(null, buildCorsOptions(settings, req.get('Origin'), matcher));
+  });
+};
+
+/**
+ * Middleware de cabeceras de seguridad con CSP distinta para la API y para la documentación
+ * @param {Object} [settings] - Ajustes de seguridad
+ * @param {boolean} [settings.sslEnabled] - Activa HSTS; por defecto, `sslEnabled` de la configuración
+ * @param {string} [settings.docsPath=DOCS_PATH] - Ruta de la documentación
+ * @returns {Function} Middleware de Express
+ */
+const securityHeaders = ({ sslEnabled = config.get('sslEnabled'), docsPath = DOCS_PATH } = {}) => {
+  const apiHeaders = helmet(buildHelmetOptions({ sslEnabled }));
+  const docsHeaders = helmet(buildHelmetOptions({ sslEnabled, docs: true }));
+
+  return (req, res, next) => {
+    const isDocs = req.path === docsPath || req.path.startsWith(`${docsPath}/`);
+    return (isDocs ? docsHeaders : apiHeaders)(req, res, next);
+  };
+};
+
+module.exports = {
+  DOCS_PATH,
+  createOriginMatcher,
+  buildCorsOptions,
+  buildHelmetOptions,
+  corsPolicy,
+  securityHeaders
+};
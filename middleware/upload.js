@@ -0,0 +1,262 @@
+/**
+ * Subida de ficheros multipart
+ * @module upload
+ * @description El fichero se envía al driver de almacenamiento mientras llega, sin
+ * guardarlo entero en memoria ni en disco temporal. El tipo se decide por los primeros
+ * bytes del contenido (no basta con el `Content-Type` que declara el cliente) y la
+ * clave se genera aquí, así que el nombre original nunca llega al almacenamiento.
+ */
+
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const Busboy = require('busboy');
+const storageService = require('../services/storageService');
+const { logger } = require('../utils/logger');
+const {
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  ValidationError
+} = require('../utils/errorHandler');
+
+/**
+ * Firmas de los tipos de imagen admitidos: bytes esperados a partir de un desplazamiento
+ * @constant {Object<string, {extension: string, signatures: Array<Array<[number, number[]]>>}>}
+ */
+const FILE_TYPES = Object.freeze({
+  'image/jpeg': { extension: 'jpg', signatures: [[[0, [0xFF, 0xD8, 0xFF]]]] },
+  'image/png': { extension: 'png', signatures: [[[0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]]]] },
+  'image/gif': { extension: 'gif', signatures: [[[0, [0x47, 0x49, 0x46, 0x38, 0x37, 0x61]]], [[0, [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]]]] },
+  'image/webp': { extension: 'webp', signatures: [[[0, [0x52, 0x49, 0x46, 0x46]], [8, [0x57, 0x45, 0x42, 0x50]]]] }
+});
+
+/**
+ * Tipos de imagen admitidos en avatares e imágenes de producto
+ * @constant {string[]}
+ */
+const IMAGE_TYPES = Object.freeze(Object.keys(FILE_TYPES));
+
+/**
+ * Bytes que se leen antes de decidir el tipo
+ * @constant {number}
+ */
+const SNIFF_BYTES = 12;
+
+/**
+ * Multiplicadores de las unidades de tamaño
+ * @constant {Object<string, number>}
+ */
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+/**
+ * Convierte un tamaño (`2mb`, `500kb` o bytes) a bytes
+ * @param {(string|number)} size - Tamaño
+ * @returns {number} Bytes
+ */
+const toBytes = (size) => {
+  if (typeof size === 'number') {
+    return size;
+  }
+
+  const [, amount, unit = 'b'] = /^(\d+)(b|kb|mb)?$/.exec(String(size).toLowerCase()) || [];
+  if (amount === undefined) {
+    throw new Error(`Invalid size: ${size}`);
+  }
+
+  return Number(amount) * SIZE_UNITS[unit];
+};
+
+/**
+ * Determina el tipo de un fichero por sus primeros bytes
+ * @param {Buffer} head - Primeros bytes
+ * @returns {string|null} Tipo MIME o null si no se reconoce
+ */
+const detectType = (head) => {
+  const matches = ([offset, bytes]) => bytes.every((byte, index) => head[offset + index] === byte);
+  const entry = Object.entries(FILE_TYPES)
+    .find(([, { signatures }]) => signatures.some(signature => signature.every(matches)));
+
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Middleware de subida de un único fichero
+ * @description Los campos de texto del formulario quedan en `req.body` y el fichero
+ * guardado en `req.file` (`{ key, contentType, size, originalName }`). Otros ficheros del
+ * formulario se descartan. Responde 415 si el tipo no está admitido, 413 si supera el
+ * tamaño y 422 si falta el fichero; en esos casos no queda nada en el almacenamiento.
+ * @param {Object} options - Opciones
+ * @param {string} options.field - Campo del formulario que trae el fichero
+ * @param {string} options.prefix - Prefijo de la clave (p. ej. `avatars`)
+ * @param {string[]} [options.types=IMAGE_TYPES] - Tipos MIME admitidos
+ * @param {(number|string|function(): (number|string))} options.maxSize - Tamaño máximo, o función que lo lee de la configuración
+ * @returns {Function} Middleware de Express
+ */
+const upload = ({ field, prefix, types = IMAGE_TYPES, maxSize }) => (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return next(new UnsupportedMediaTypeError('Content-Type must be multipart/form-data'));
+  }
+
+  const limit = toBytes(typeof maxSize === 'function' ? maxSize() : maxSize);
+  let parser;
+
+  try {
+    parser = Busboy({ headers: req.headers, limits: { files: 1, fileSize: limit, fields: 20 } });
+  } catch (error) {
+    return next(new ValidationError('Validation failed', [{ field, message: error.message, location: 'body' }]));
+  }
+
+  const log = req.log || logger;
+  let failure = null;
+  let source = null;
+  let output = null;
+  let stored = null;
+  let storing = null;
+  let finished = false;
+
+  const fail = (error) => {
+    failure = failure || error;
+    if (output) {
+      // Sin almacenamiento en curso nadie escucha el error del stream
+      output.destroy(storing ? error : null);
+    }
+    // Si esperaba a que el almacenamiento drenase, ya no llegará el evento
+    if (source) {
+      source.resume();
+    }
+  };
+
+  // Se ejecuta una sola vez: al terminar el formulario, si el parser falla o si el cliente corta
+  const finish = async () => {
+    if (finished) {
+      return;
+    }
+    finished = true;
+
+    try {
+      await storing;
+    } catch (error) {
+      // Si ya hay un fallo (tipo, tamaño), el error del almacenamiento es su consecuencia
+      failure = failure || error;
+    }
+
+    if (failure) {
+      if (stored) {
+        await storageService.discard(stored.key);
+      }
+      return next(failure);
+    }
+
+    if (!stored) {
+      return next(new ValidationError('Validation failed', [{ field, message: 'File is required', location: 'body' }]));
+    }
+
+    log.info('File uploaded', { key: stored.key, contentType: stored.contentType, size: stored.size });
+    req.file = stored;
+    next();
+  };
+
+  req.body = {};
+
+  parser.on('field', (name, value) => {
+    req.body[name] = value;
+  });
+
+  parser.on('file', (name, file, { filename, mimeType }) => {
+    if (name !== field || output) {
+      file.resume();
+      return;
+    }
+
+    const head = [];
+    let headLength = 0;
+    let size = 0;
+    let checked = false;
+
+    source = file;
+    output = new PassThrough();
+
+    // Decide el tipo con los primeros bytes y, si se admite, empieza a guardar
+    const check = () => {
+      checked = true;
+      const buffer = Buffer.concat(head);
+      const contentType = detectType(buffer);
+
+      if (!types.includes(mimeType) || !types.includes(contentType)) {
+        return fail(new UnsupportedMediaTypeError(`File type must be one of: ${types.join(', ')}`, 'UNSUPPORTED_FILE_TYPE'));
+      }
+
+      const key = `${prefix}/${crypto.randomUUID()}.${FILE_TYPES[contentType].extension}`;
+      stored = { key, contentType, originalName: filename };
+      try {
+        storing = storageService.getDriver().put(key, output, { contentType });
+      } catch (error) {
+        return fail(error);
+      }
+      storing.catch(fail);
+      output.write(buffer);
+    };
+
+    // Tras un fallo se sigue leyendo (y descartando) para que el parser termine el formulario
+    file.on('data', (chunk) => {
+      if (failure) {
+        return;
+      }
+
+      size += chunk.length;
+
+      if (!checked) {
+        head.push(chunk);
+        headLength += chunk.length;
+        if (headLength >= SNIFF_BYTES) {
+          check();
+        }
+        return;
+      }
+
+      if (!output.write(chunk)) {
+        file.pause();
+        output.once('drain', () => file.resume());
+      }
+    });
+
+    file.on('limit', () => {
+      fail(new PayloadTooLargeError(`File must not exceed ${limit} bytes`, 'FILE_TOO_LARGE'));
+    });
+
+    file.on('end', () => {
+      if (!checked && !failure) {
+        check();
+      }
+
+      if (!failure) {
+        stored.size = size;
+        output.end();
+      }
+    });
+  });
+
+  parser.on('close', finish);
+
+  parser.on('error', (error) => {
+    fail(new ValidationError('Validation failed', [{ field, message: error.message, location: 'body' }]));
+    req.unpipe(parser);
+    req.resume();
+    finish();
+  });
+
+  req.on('close', () => {
+    if (!req.complete) {
+      fail(new Error('Upload aborted by the client'));
+      finish();
+    }
+  });
+
+  req.pipe(parser);
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  detectType,
+  toBytes,
+  upload
+};
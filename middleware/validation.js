@@ -0,0 +1,287 @@
+/**
+ * Validación de solicitudes con cadenas de express-validator o esquemas Joi
+ * @module validation
+ * @description Ambos formatos producen el mismo error: un ValidationError (422) con
+ * errores por campo `{ field, message, location }`. Tipos, longitudes y formatos de los
+ * cuerpos los valida antes el contrato OpenAPI (`contractValidator`); las reglas de este
+ * módulo normalizan valores o comprueban lo que un esquema no puede expresar.
+ */
+
+const Joi = require('joi');
+const { body, query, validationResult } = require('express-validator');
+const { PERMISSIONS } = require('../config/roles');
+const { PRODUCT_SORTABLE_FIELDS } = require('../config/constants');
+const { ValidationError } = require('../utils/errorHandler');
+
+/**
+ * Partes de la solicitud que se pueden validar con Joi, en orden de validación
+ * @constant {string[]}
+ */
+const LOCATIONS = ['params', 'headers', 'query', 'body'];
+
+/**
+ * Opciones de Joi: convierte tipos, elimina campos no declarados y devuelve todos los errores
+ * @constant {Object}
+ */
+const JOI_OPTIONS = Object.freeze({
+  abortEarly: false,
+  convert: true,
+  stripUnknown: true,
+  errors: { wrap: { label: false } }
+});
+
+/**
+ * Las cabeceras no declaradas se conservan: el resto de middlewares las necesita
+ * @constant {Object}
+ */
+const JOI_HEADER_OPTIONS = Object.freeze({
+  ...JOI_OPTIONS,
+  stripUnknown: false,
+  allowUnknown: true
+});
+
+/**
+ * Ejecuta cadenas de express-validator
+ * @param {Array} validations - Cadenas de express-validator
+ * @param {Object} req - Objeto de solicitud
+ * @returns {Promise<Array<Object>>} Errores en el formato de express-validator
+ */
+const runChains = async (validations, req) => {
+  await Promise.all(validations.map(validation => validation.run(req)));
+  return validationResult(req).array();
+};
+
+/**
+ * Valida y normaliza las partes de la solicitud con esquemas Joi
+ * @description Los valores convertidos sustituyen a los originales, salvo en las
+ * cabeceras, que solo se comprueban
+ * @param {Object<string, Joi.Schema>} schemas - Esquema por ubicación (`body`, `query`, `params`, `headers`)
+ * @param {Object} req - Objeto de solicitud
+ * @returns {Array<{field: string, message: string, location: string}>} Errores por campo
+ */
+const runSchemas = (schemas, req) => LOCATIONS
+  .filter(location => schemas[location])
+  .flatMap((location) => {
+    const options = location === 'headers' ? JOI_HEADER_OPTIONS : JOI_OPTIONS;
+    const { error, value } = schemas[location].validate(req[location] || {}, options);
+
+    if (error) {
+      return error.details.map(detail => ({
+        field: detail.path.join('.') || location,
+        message: detail.message,
+        location
+      }));
+    }
+
+    if (location !== 'headers') {
+      req[location] = value;
+    }
+
+    return [];
+  });
+
+/**
+ * Middleware de validación para requests HTTP
+ * @description Acepta un array de cadenas de express-validator, un objeto con un
+ * esquema Joi por ubicación (`{ body, query, params, headers }`) o un esquema Joi
+ * suelto, que se aplica al cuerpo
+ * @param {(Array|Object<string, Joi.Schema>|Joi.Schema)} validations - Reglas de validación
+ * @returns {Function} Middleware de validación
+ */
+const validate = (validations) => {
+  const schemas = Joi.isSchema(validations) ? { body: validations } : validations;
+
+  return async (req, res, next) => {
+    try {
+      const errors = Array.isArray(validations)
+        ? await runChains(validations, req)
+        : runSchemas(schemas, req);
+
+      // Si hay errores, responder con 422 Unprocessable Entity
+      if (errors.length > 0) {
+        return next(new ValidationError('Validation failed', errors));
+      }
+
+      next();
+    } catch (error) {
+      // Manejo de errores inesperados en la validación
+      next(error);
+    }
+  };
+};
+
+/**
+ * Normalización del alta de usuario
+ * @description El contrato OpenAPI ya valida nombre, email y contraseña; aquí solo se
+ * normaliza el email con la misma cadena que en el login
+ */
+const userValidationRules = () => {
+  return [
+    body('email').normalizeEmail()
+  ];
+};
+
+/**
+ * Normalización de la actualización de usuario
+ * @description Como en el alta, pero el email es opcional
+ */
+const userUpdateValidationRules = () => {
+  return [
+    body('email').optional().normalizeEmail()
+  ];
+};
+
+/**
+ * Conversión de los parámetros de paginación
+ * @description El contrato OpenAPI valida el rango de `page` y `limit`; aquí llegan como
+ * texto y se convierten a número para el controlador
+ */
+const paginationValidationRules = () => {
+  return [
+    query('page').optional().toInt(),
+    query('limit').optional().toInt()
+  ];
+};
+
+/**
+ * Normalización del login
+ * @description El email se normaliza para que coincida con la clave de la protección de login
+ */
+const loginValidationRules = () => {
+  return [
+    body('email').normalizeEmail()
+  ];
+};
+
+/**
+ * Normalización del token de un solo uso recibido por correo
+ * @description Quita los espacios que se arrastran al copiarlo del correo
+ */
+const emailTokenValidationRules = () => {
+  return [
+    body('token').trim()
+  ];
+};
+
+/**
+ * Normalización de la solicitud de restablecimiento de contraseña
+ * @description El email se normaliza igual que en el registro para encontrar la cuenta
+ */
+const forgotPasswordValidationRules = () => {
+  return [
+    body('email').normalizeEmail()
+  ];
+};
+
+/**
+ * Normalización del restablecimiento de contraseña
+ * @description La nueva contraseña la valida el contrato OpenAPI con las reglas del registro
+ */
+const resetPasswordValidationRules = () => {
+  return emailTokenValidationRules();
+};
+
+/**
+ * Validación del desbloqueo de login
+ * @description Exige un email, una IP o ambos. El email se normaliza con la misma cadena que
+ * en el login, así que coincide con la clave con la que se registraron los fallos.
+ */
+const unlockValidationRules = () => {
+  return [
+    body('email')
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Invalid email format'),
+    body('ip')
+      .optional()
+      .isIP()
+      .withMessage('Invalid IP address'),
+    // Sobre `ip` y no sobre `email`: dos cadenas del mismo campo se pisarían el valor normalizado
+    body('ip')
+      .if(body('email').not().exists())
+      .exists()
+      .withMessage('Either email or ip is required')
+  ];
+};
+
+/**
+ * Validación de la emisión de una clave de API (esquema Joi)
+ * @description Nombre, permisos de la clave y caducidad opcional en el futuro
+ */
+const apiKeyValidationRules = () => ({
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    scopes: Joi.array()
+      .items(Joi.string().valid(...Object.values(PERMISSIONS)))
+      .min(1)
+      .unique()
+      .required(),
+    expiresAt: Joi.date().iso().greater('now').messages({ 'date.greater': 'Expiration must be in the future' })
+  })
+});
+
+/**
+ * Validación de parámetros de búsqueda de productos
+ * @description Validaciones para paginación, orden, filtros por categoría y precio y búsqueda de texto
+ */
+const productQueryValidationRules = () => {
+  const sortValues = PRODUCT_SORTABLE_FIELDS.flatMap(field => [field, `-${field}`]);
+
+  return [
+    ...paginationValidationRules(),
+    query('sort')
+      .optional()
+      .isIn(sortValues)
+      .withMessage(`Sort must be one of: ${sortValues.join(', ')}`),
+    query('category')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Category must be between 1 and 50 characters long'),
+    query('minPrice')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('minPrice must be a positive number')
+      .toFloat(),
+    query('maxPrice')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('maxPrice must be a positive number')
+      .toFloat()
+      .custom((maxPrice, { req }) => req.query.minPrice === undefined || maxPrice >= parseFloat(req.query.minPrice))
+      .withMessage('maxPrice must be greater than or equal to minPrice'),
+    query('q')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Search text must be between 1 and 100 characters long')
+  ];
+};
+
+/**
+ * Validación de ID de entidad
+ * @description Validación para IDs de entidades (UUID o números)
+ */
+const idValidationRules = () => {
+  return [
+    body('id')
+      .matches(/^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/)
+      .withMessage('Invalid ID format (UUID required)')
+  ];
+};
+
+module.exports = {
+  validate,
+  userValidationRules,
+  userUpdateValidationRules,
+  paginationValidationRules,
+  loginValidationRules,
+  emailTokenValidationRules,
+  forgotPasswordValidationRules,
+  resetPasswordValidationRules,
+  unlockValidationRules,
+  apiKeyValidationRules,
+  productQueryValidationRules,
+  idValidationRules
+};
\ No newline at end of file
@@ -0,0 +1,271 @@
+/**
+ * Modelo de claves de API para clientes máquina (integraciones, tareas programadas)
+ * @module models/ApiKey
+ * @description Solo se guarda el hash SHA-256 de la clave; el valor en claro se entrega una
+ * única vez al emitirla o rotarla. El prefijo visible permite reconocerla en los listados.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const MemoryStore = require('./stores/MemoryStore');
+const MongooseStore = require('./stores/MongooseStore');
+const PostgresStore = require('./stores/PostgresStore');
+
+/**
+ * Prefijo con el que empiezan todas las claves
+ * @constant {string}
+ */
+const KEY_PREFIX = 'ak_';
+
+/**
+ * Bytes aleatorios de cada clave
+ * @constant {number}
+ */
+const KEY_BYTES = 32;
+
+/**
+ * Caracteres de la clave que se guardan en claro para identificarla
+ * @constant {number}
+ */
+const VISIBLE_LENGTH = KEY_PREFIX.length + 8;
+
+/**
+ * Esquema de Mongoose para claves de API
+ * @type {mongoose.Schema}
+ */
+const apiKeySchema = new mongoose.Schema({
+  _id: { type: String, default: () => crypto.randomUUID() },
+  userId: { type: String, required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  scopes: { type: [String], default: [] },
+  expiresAt: { type: Date },
+  lastUsedAt: { type: Date },
+  rotatedAt: { type: Date },
+  revokedAt: { type: Date },
+  createdAt: { type: Date },
+  updatedAt: { type: Date }
+});
+
+/**
+ * Modelo de Mongoose para claves de API
+ * @type {mongoose.Model}
+ */
+const ApiKeyModel = mongoose.models.ApiKey || mongoose.model('ApiKey', apiKeySchema);
+
+/**
+ * Almacén activo de claves (en memoria por defecto)
+ * @type {import('./stores/MemoryStore').Store}
+ */
+let store = new MemoryStore({ unique: ['keyHash'] });
+
+/**
+ * Sustituye el almacén de claves
+ * @param {import('./stores/MemoryStore').Store} newStore - Almacén que implementa la interfaz Store
+ * @returns {void}
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Devuelve el almacén de claves activo
+ * @returns {import('./stores/MemoryStore').Store} Almacén activo
+ */
+const getStore = () => store;
+
+/**
+ * Crea un almacén persistente respaldado por MongoDB
+ * @returns {MongooseStore} Almacén de claves en MongoDB
+ */
+const createMongooseStore = () => new MongooseStore(ApiKeyModel);
+
+/**
+ * Crea un almacén persistente respaldado por PostgreSQL
+ * @param {import('pg').Pool} pool - Pool de conexiones
+ * @returns {PostgresStore} Almacén de claves en PostgreSQL
+ */
+const createPostgresStore = pool => new PostgresStore(pool, {
+  table: 'api_keys',
+  unique: ['keyHash'],
+  dates: ['expiresAt', 'lastUsedAt', 'rotatedAt', 'revokedAt', 'createdAt', 'updatedAt']
+});
+
+/**
+ * Calcula el hash con el que se guarda una clave
+ * @param {string} key - Clave en claro
+ * @returns {string} Hash SHA-256 en hexadecimal
+ */
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Genera una clave nueva con los campos que se guardan de ella
+ * @returns {{key: string, prefix: string, keyHash: string}} Clave en claro, prefijo visible y hash
+ */
+const generateKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(KEY_BYTES).toString('base64url')}`;
+  return { key, prefix: key.slice(0, VISIBLE_LENGTH), keyHash: hashKey(key) };
+};
+
+/**
+ * Elimina el hash de una clave antes de devolverla
+ * @param {Object|null} record - Registro del almacén
+ * @returns {Object|null} Clave sin hash o null
+ */
+const toPublic = (record) => {
+  if (!record) {
+    return null;
+  }
+
+  const { keyHash, ...apiKey } = record;
+  return apiKey;
+};
+
+/**
+ * Indica si una clave puede usarse
+ * @param {Object} apiKey - Clave
+ * @param {Date} [now=new Date()] - Momento de referencia
+ * @returns {boolean} false si está revocada o ha caducado
+ */
+const isActive = (apiKey, now = new Date()) => !apiKey.revokedAt
+  && (!apiKey.expiresAt || new Date(apiKey.expiresAt) > now);
+
+/**
+ * Emite una clave nueva
+ * @async
+ * @param {Object} data - Datos de la clave
+ * @param {string} data.userId - ID del propietario
+ * @param {string} data.name - Nombre descriptivo
+ * @param {string[]} data.scopes - Permisos concedidos
+ * @param {Date|null} [data.expiresAt=null] - Caducidad (null si no caduca)
+ * @returns {Promise<{apiKey: Object, key: string}>} Clave guardada y valor en claro
+ */
+const create = async ({ userId, name, scopes, expiresAt = null }) => {
+  const now = new Date();
+  const { key, prefix, keyHash } = generateKey();
+
+  const record = await store.insert({
+    userId,
+    name,
+    prefix,
+    keyHash,
+    scopes,
+    expiresAt,
+    lastUsedAt: null,
+    rotatedAt: null,
+    revokedAt: null,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  return { apiKey: toPublic(record), key };
+};
+
+/**
+ * Busca una clave por su ID
+ * @async
+ * @param {string} id - ID de la clave
+ * @returns {Promise<Object|null>} Clave sin hash o null
+ */
+const findById = async (id) => toPublic(await store.findById(id));
+
+/**
+ * Busca una clave por su valor en claro
+ * @async
+ * @param {string} key - Clave recibida en la solicitud
+ * @returns {Promise<Object|null>} Clave sin hash o null (también si está revocada o caducada)
+ */
+const findByKey = async (key) => {
+  const record = await store.findOne({ keyHash: hashKey(key) });
+  return record && isActive(record) ? toPublic(record) : null;
+};
+
+/**
+ * Lista las claves de un usuario, de la más reciente a la más antigua
+ * @async
+ * @param {string} userId - ID del propietario
+ * @returns {Promise<Object[]>} Claves sin hash, incluidas las revocadas
+ */
+const findByUser = async (userId) => {
+  const records = await store.find({ userId }, { sort: { createdAt: -1 } });
+  return records.map(toPublic);
+};
+
+/**
+ * Cuenta las claves utilizables de un usuario
+ * @async
+ * @param {string} userId - ID del propietario
+ * @returns {Promise<number>} Claves sin revocar ni caducar
+ */
+const countActive = async (userId) => {
+  const now = new Date();
+  const records = await store.find({ userId });
+  return records.filter(record => isActive(record, now)).length;
+};
+
+/**
+ * Sustituye el valor de una clave; el anterior deja de funcionar en el acto
+ * @async
+ * @param {string} id - ID de la clave
+ * @returns {Promise<{apiKey: Object, key: string}|null>} Clave actualizada y valor nuevo, o null si no existe
+ */
+const rotate = async (id) => {
+  const now = new Date();
+  const { key, prefix, keyHash } = generateKey();
+  const record = await store.updateById(id, { prefix, keyHash, lastUsedAt: null, rotatedAt: now, updatedAt: now });
+
+  return record ? { apiKey: toPublic(record), key } : null;
+};
+
+/**
+ * Revoca una clave; se conserva para el historial
+ * @async
+ * @param {string} id - ID de la clave
+ * @returns {Promise<Object|null>} Clave revocada o null si no existe
+ */
+const revoke = async (id) => {
+  const now = new Date();
+  return toPublic(await store.updateById(id, { revokedAt: now, updatedAt: now }));
+};
+
+/**
+ * Anota el último uso de una clave
+ * @async
+ * @param {string} id - ID de la clave
+ * @param {Date} [usedAt=new Date()] - Momento del uso
+ * @returns {Promise<Object|null>} Clave actualizada o null si no existe
+ */
+const touch = async (id, usedAt = new Date()) => toPublic(await store.updateById(id, { lastUsedAt: usedAt }));
+
+/**
+ * Revoca todas las claves de un usuario (por ejemplo, al eliminar la cuenta)
+ * @async
+ * @param {string} userId - ID del propietario
+ * @returns {Promise<number>} Claves revocadas
+ */
+const revokeAll = async (userId) => {
+  const records = await store.find({ userId });
+  const active = records.filter(record => !record.revokedAt);
+  await Promise.all(active.map(record => revoke(record.id)));
+  return active.length;
+};
+
+module.exports = {
+  KEY_PREFIX,
+  ApiKeyModel,
+  setStore,
+  getStore,
+  createMongooseStore,
+  createPostgresStore,
+  isActive,
+  create,
+  findById,
+  findByKey,
+  findByUser,
+  countActive,
+  rotate,
+  revoke,
+  touch,
+  revokeAll
+};
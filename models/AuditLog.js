@@ -0,0 +1,134 @@
+/**
+ * Modelo de registro de auditoría
+ * @module models/AuditLog
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const MemoryStore = require('./stores/MemoryStore');
+const MongooseStore = require('./stores/MongooseStore');
+const PostgresStore = require('./stores/PostgresStore');
+
+/**
+ * Eventos de auditoría conocidos
+ * @constant {Object<string, string>}
+ */
+const AUDIT_EVENTS = Object.freeze({
+  ACCOUNT_LOCKED: 'account.locked',
+  ACCOUNT_UNLOCKED: 'account.unlocked',
+  API_KEY_ISSUED: 'api-key.issued',
+  API_KEY_ROTATED: 'api-key.rotated',
+  API_KEY_REVOKED: 'api-key.revoked',
+  IP_BLOCKED: 'ip.blocked',
+  IP_UNBLOCKED: 'ip.unblocked',
+  PASSWORD_RESET: 'password.reset'
+});
+
+/**
+ * Esquema de Mongoose para registros de auditoría
+ * @type {mongoose.Schema}
+ */
+const auditLogSchema = new mongoose.Schema({
+  _id: { type: String, default: () => crypto.randomUUID() },
+  event: { type: String, required: true, index: true },
+  subject: { type: String, required: true, index: true },
+  actor: { type: String },
+  ip: { type: String },
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, index: true }
+});
+
+/**
+ * Modelo de Mongoose para registros de auditoría
+ * @type {mongoose.Model}
+ */
+const AuditLogModel = mongoose.models.AuditLog || mongoose.model('AuditLog', auditLogSchema);
+
+/**
+ * Almacén activo de registros de auditoría (en memoria por defecto)
+ * @type {import('./stores/MemoryStore').Store}
+ */
+let store = new MemoryStore();
+
+/**
+ * Sustituye el almacén de auditoría
+ * @param {import('./stores/MemoryStore').Store} newStore - Almacén que implementa la interfaz Store
+ * @returns {void}
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Devuelve el almacén de auditoría activo
+ * @returns {import('./stores/MemoryStore').Store} Almacén activo
+ */
+const getStore = () => store;
+
+/**
+ * Crea un almacén persistente respaldado por MongoDB
+ * @returns {MongooseStore} Almacén de auditoría en MongoDB
+ */
+const createMongooseStore = () => new MongooseStore(AuditLogModel);
+
+/**
+ * Crea un almacén persistente respaldado por PostgreSQL
+ * @param {import('pg').Pool} pool - Pool de conexiones
+ * @returns {PostgresStore} Almacén de auditoría en PostgreSQL
+ */
+const createPostgresStore = pool => new PostgresStore(pool, { table: 'audit_logs', dates: ['createdAt'] });
+
+/**
+ * Registra un evento de auditoría
+ * @async
+ * @param {string} event - Evento (ver AUDIT_EVENTS)
+ * @param {Object} data - Datos del evento
+ * @param {string} data.subject - Sujeto afectado (email, IP...)
+ * @param {string} [data.actor] - ID del usuario que provoca el evento, si lo hay
+ * @param {string} [data.ip] - IP de origen
+ * @param {Object} [data.details] - Información adicional
+ * @param {Date} [data.createdAt] - Momento del evento (por defecto, ahora)
+ * @returns {Promise<Object>} Registro creado
+ */
+const record = async (event, { subject, actor, ip, details = {}, createdAt = new Date() }) => store.insert({
+  event,
+  subject,
+  actor,
+  ip,
+  details,
+  createdAt
+});
+
+/**
+ * Busca registros de auditoría, del más reciente al más antiguo
+ * @async
+ * @param {Object} [options] - Opciones de búsqueda
+ * @param {number} [options.page=1] - Página (empezando en 1)
+ * @param {number} [options.limit=20] - Registros por página
+ * @param {string} [options.event] - Filtra por evento
+ * @param {string} [options.subject] - Filtra por sujeto
+ * @returns {Promise<{entries: Object[], total: number}>} Registros de la página y total
+ */
+const findAll = async ({ page = 1, limit = 20, event, subject } = {}) => {
+  const filter = {};
+  if (event) filter.event = event;
+  if (subject) filter.subject = subject;
+
+  const [entries, total] = await Promise.all([
+    store.find(filter, { sort: { createdAt: -1 }, skip: (page - 1) * limit, limit }),
+    store.count(filter)
+  ]);
+
+  return { entries, total };
+};
+
+module.exports = {
+  AUDIT_EVENTS,
+  AuditLogModel,
+  setStore,
+  getStore,
+  createMongooseStore,
+  createPostgresStore,
+  record,
+  findAll
+};
@@ -0,0 +1,170 @@
+/**
+ * Modelo de pedido
+ * @module models/Order
+ * @description Las líneas copian nombre y precio del catálogo al crear el pedido, así que
+ * cambios posteriores en los productos no alteran lo que se cobra. Los importes van en
+ * la unidad mínima de la moneda (céntimos).
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const MemoryStore = require('./stores/MemoryStore');
+const MongooseStore = require('./stores/MongooseStore');
+const PostgresStore = require('./stores/PostgresStore');
+
+/**
+ * Estados de un pedido
+ * @constant {Object<string, string>}
+ */
+const ORDER_STATUS = Object.freeze({
+  PENDING: 'pending',
+  PAID: 'paid',
+  REFUNDED: 'refunded'
+});
+
+/**
+ * Esquema de Mongoose para las líneas de un pedido
+ * @type {mongoose.Schema}
+ */
+const orderItemSchema = new mongoose.Schema({
+  productId: { type: String, required: true },
+  name: { type: String, required: true },
+  unitAmount: { type: Number, required: true, min: 0 },
+  quantity: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+/**
+ * Esquema de Mongoose para pedidos
+ * @type {mongoose.Schema}
+ */
+const orderSchema = new mongoose.Schema({
+  _id: { type: String, default: () => crypto.randomUUID() },
+  userId: { type: String, required: true, index: true },
+  items: { type: [orderItemSchema], required: true },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, required: true },
+  status: { type: String, enum: Object.values(ORDER_STATUS), default: ORDER_STATUS.PENDING },
+  paidAt: { type: Date },
+  createdAt: { type: Date },
+  updatedAt: { type: Date }
+});
+
+/**
+ * Modelo de Mongoose para pedidos
+ * @type {mongoose.Model}
+ */
+const OrderModel = mongoose.models.Order || mongoose.model('Order', orderSchema);
+
+/**
+ * Almacén activo de pedidos (en memoria por defecto)
+ * @type {import('./stores/MemoryStore').Store}
+ */
+let store = new MemoryStore();
+
+/**
+ * Sustituye el almacén de pedidos
+ * @param {import('./stores/MemoryStore').Store} newStore - Almacén que implementa la interfaz Store
+ * @returns {void}
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Devuelve el almacén de pedidos activo
+ * @returns {import('./stores/MemoryStore').Store} Almacén activo
+ */
+const getStore = () => store;
+
+/**
+ * Crea un almacén persistente respaldado por MongoDB
+ * @returns {MongooseStore} Almacén de pedidos en MongoDB
+ */
+const createMongooseStore = () => new MongooseStore(OrderModel);
+
+/**
+ * Crea un almacén persistente respaldado por PostgreSQL
+ * @param {import('pg').Pool} pool - Pool de conexiones
+ * @returns {PostgresStore} Almacén de pedidos en PostgreSQL
+ */
+const createPostgresStore = pool => new PostgresStore(pool, { table: 'orders', dates: ['paidAt', 'createdAt', 'updatedAt'] });
+
+/**
+ * Crea un pedido pendiente de pago
+ * @async
+ * @param {Object} data - Datos del pedido
+ * @param {string} data.userId - ID del comprador
+ * @param {Array<{productId: string, name: string, unitAmount: number, quantity: number}>} data.items - Líneas
+ * @param {string} data.currency - Moneda (ISO 4217 en minúsculas)
+ * @returns {Promise<Object>} Pedido creado
+ */
+const create = async ({ userId, items, currency }) => {
+  const now = new Date();
+
+  return store.insert({
+    userId,
+    items,
+    amount: items.reduce((total, item) => total + item.unitAmount * item.quantity, 0),
+    currency,
+    status: ORDER_STATUS.PENDING,
+    createdAt: now,
+    updatedAt: now
+  });
+};
+
+/**
+ * Busca un pedido por su ID
+ * @async
+ * @param {string} id - ID del pedido
+ * @returns {Promise<Object|null>} Pedido o null
+ */
+const findById = async (id) => store.findById(id);
+
+/**
+ * Busca los pedidos de un usuario, del más reciente al más antiguo
+ * @async
+ * @param {string} userId - ID del usuario
+ * @param {Object} [options] - Opciones de paginación
+ * @param {number} [options.page=1] - Página (empezando en 1)
+ * @param {number} [options.limit=20] - Pedidos por página
+ * @returns {Promise<{orders: Object[], total: number}>} Pedidos de la página y total
+ */
+const findByUser = async (userId, { page = 1, limit = 20 } = {}) => {
+  const [orders, total] = await Promise.all([
+    store.find({ userId }, { sort: { createdAt: -1 }, skip: (page - 1) * limit, limit }),
+    store.count({ userId })
+  ]);
+
+  return { orders, total };
+};
+
+/**
+ * Cambia el estado de un pedido
+ * @async
+ * @param {string} id - ID del pedido
+ * @param {string} status - Estado nuevo (ver ORDER_STATUS)
+ * @returns {Promise<Object|null>} Pedido actualizado o null si no existe
+ */
+const setStatus = async (id, status) => {
+  const now = new Date();
+  const changes = { status, updatedAt: now };
+
+  if (status === ORDER_STATUS.PAID) {
+    changes.paidAt = now;
+  }
+
+  return store.updateById(id, changes);
+};
+
+module.exports = {
+  ORDER_STATUS,
+  OrderModel,
+  setStore,
+  getStore,
+  createMongooseStore,
+  createPostgresStore,
+  create,
+  findById,
+  findByUser,
+  setStatus
+};
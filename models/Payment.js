@@ -0,0 +1,228 @@
+/**
+ * Modelo de pago
+ * @module models/Payment
+ * @description Cada intento de cobro de un pedido es un pago con su proveedor. `reference`
+ * es el objeto creado en el proveedor (sesión de Checkout o PaymentIntent de Stripe, orden
+ * de PayPal) y `transactionId` el cobro que resulta de él, que es lo que citan algunos
+ * eventos (reembolsos, capturas).
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const MemoryStore = require('./stores/MemoryStore');
+const MongooseStore = require('./stores/MongooseStore');
+const PostgresStore = require('./stores/PostgresStore');
+
+/**
+ * Estados de un pago
+ * @constant {Object<string, string>}
+ */
+const PAYMENT_STATUS = Object.freeze({
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELED: 'canceled',
+  REFUNDED: 'refunded'
+});
+
+/**
+ * Formas de iniciar un pago
+ * @constant {Object<string, string>}
+ */
+const PAYMENT_METHODS = Object.freeze({
+  CHECKOUT: 'checkout',
+  INTENT: 'intent'
+});
+
+/**
+ * Estados a los que se puede pasar desde cada estado
+ * @description Los proveedores no garantizan el orden de los eventos; un evento que
+ * llevaría el pago hacia atrás (p. ej. `processing` después de `succeeded`) se ignora.
+ * Un pago fallido puede reintentarse sobre el mismo objeto del proveedor.
+ * @constant {Object<string, string[]>}
+ */
+const TRANSITIONS = Object.freeze({
+  [PAYMENT_STATUS.PENDING]: [PAYMENT_STATUS.PROCESSING, PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.FAILED, PAYMENT_STATUS.CANCELED],
+  [PAYMENT_STATUS.PROCESSING]: [PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.FAILED, PAYMENT_STATUS.CANCELED],
+  [PAYMENT_STATUS.FAILED]: [PAYMENT_STATUS.PROCESSING, PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.CANCELED],
+  [PAYMENT_STATUS.SUCCEEDED]: [PAYMENT_STATUS.REFUNDED],
+  [PAYMENT_STATUS.CANCELED]: [],
+  [PAYMENT_STATUS.REFUNDED]: []
+});
+
+/**
+ * Esquema de Mongoose para pagos
+ * @type {mongoose.Schema}
+ */
+const paymentSchema = new mongoose.Schema({
+  _id: { type: String, default: () => crypto.randomUUID() },
+  orderId: { type: String, required: true, index: true },
+  userId: { type: String, required: true },
+  provider: { type: String, required: true },
+  method: { type: String, enum: Object.values(PAYMENT_METHODS), required: true },
+  reference: { type: String, index: true },
+  transactionId: { type: String, index: true },
+  status: { type: String, enum: Object.values(PAYMENT_STATUS), default: PAYMENT_STATUS.PENDING },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, required: true },
+  createdAt: { type: Date },
+  updatedAt: { type: Date }
+});
+
+/**
+ * Modelo de Mongoose para pagos
+ * @type {mongoose.Model}
+ */
+const PaymentModel = mongoose.models.Payment || mongoose.model('Payment', paymentSchema);
+
+/**
+ * Almacén activo de pagos (en memoria por defecto)
+ * @type {import('./stores/MemoryStore').Store}
+ */
+let store = new MemoryStore();
+
+/**
+ * Sustituye el almacén de pagos
+ * @param {import('./stores/MemoryStore').Store} newStore - Almacén que implementa la interfaz Store
+ * @returns {void}
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Devuelve el almacén de pagos activo
+ * @returns {import('./stores/MemoryStore').Store} Almacén activo
+ */
+const getStore = () => store;
+
+/**
+ * Crea un almacén persistente respaldado por MongoDB
+ * @returns {MongooseStore} Almacén de pagos en MongoDB
+ */
+const createMongooseStore = () => new MongooseStore(PaymentModel);
+
+/**
+ * Crea un almacén persistente respaldado por PostgreSQL
+ * @param {import('pg').Pool} pool - Pool de conexiones
+ * @returns {PostgresStore} Almacén de pagos en PostgreSQL
+ */
+const createPostgresStore = pool => new PostgresStore(pool, { table: 'payments', dates: ['createdAt', 'updatedAt'] });
+
+/**
+ * Crea un pago pendiente para un pedido
+ * @async
+ * @param {Object} order - Pedido
+ * @param {string} provider - Proveedor (`stripe`, `paypal`)
+ * @param {string} method - Forma de pago (ver PAYMENT_METHODS)
+ * @returns {Promise<Object>} Pago creado
+ */
+const create = async (order, provider, method) => {
+  const now = new Date();
+
+  return store.insert({
+    orderId: order.id,
+    userId: order.userId,
+    provider,
+    method,
+    reference: null,
+    transactionId: null,
+    status: PAYMENT_STATUS.PENDING,
+    amount: order.amount,
+    currency: order.currency,
+    createdAt: now,
+    updatedAt: now
+  });
+};
+
+/**
+ * Busca un pago por su ID
+ * @async
+ * @param {string} id - ID del pago
+ * @returns {Promise<Object|null>} Pago o null
+ */
+const findById = async (id) => store.findById(id);
+
+/**
+ * Busca los pagos de un pedido, del más antiguo al más reciente
+ * @async
+ * @param {string} orderId - ID del pedido
+ * @returns {Promise<Object[]>} Pagos
+ */
+const findByOrder = async (orderId) => store.find({ orderId }, { sort: { createdAt: 1 } });
+
+/**
+ * Busca el pago al que se refiere un evento de un proveedor
+ * @async
+ * @param {string} provider - Proveedor
+ * @param {Object} ids - Identificadores del evento
+ * @param {string} [ids.reference] - Objeto creado en el proveedor
+ * @param {string} [ids.transactionId] - Cobro
+ * @param {string} [ids.orderId] - Pedido, si el proveedor lo devuelve en los metadatos
+ * @returns {Promise<Object|null>} Pago o null
+ */
+const findForEvent = async (provider, { reference, transactionId, orderId }) => {
+  const ids = [reference, transactionId].filter(Boolean);
+
+  if (ids.length > 0) {
+    const payment = await store.findOne({ provider, reference: { $in: ids } })
+      || await store.findOne({ provider, transactionId: { $in: ids } });
+
+    if (payment) {
+      return payment;
+    }
+  }
+
+  if (!orderId) {
+    return null;
+  }
+
+  // Sin identificadores conocidos, el último pago del pedido con ese proveedor
+  const [latest] = await store.find({ provider, orderId }, { sort: { createdAt: -1 }, limit: 1 });
+  return latest || null;
+};
+
+/**
+ * Actualiza los datos de un pago sin cambiar su estado
+ * @async
+ * @param {string} id - ID del pago
+ * @param {Object} changes - Campos a modificar (reference, transactionId)
+ * @returns {Promise<Object|null>} Pago actualizado o null si no existe
+ */
+const update = async (id, changes) => store.updateById(id, { ...changes, updatedAt: new Date() });
+
+/**
+ * Cambia el estado de un pago si la transición está permitida
+ * @description La escritura solo se aplica si el pago sigue en el estado leído, así que dos
+ * eventos simultáneos no pueden pisarse.
+ * @async
+ * @param {Object} payment - Pago actual
+ * @param {string} status - Estado nuevo (ver PAYMENT_STATUS)
+ * @param {Object} [changes={}] - Otros campos a modificar a la vez
+ * @returns {Promise<Object|null>} Pago actualizado, o null si la transición no está permitida o el estado ha cambiado entretanto
+ */
+const transition = async (payment, status, changes = {}) => {
+  if (!TRANSITIONS[payment.status].includes(status)) {
+    return null;
+  }
+
+  return store.updateById(payment.id, { ...changes, status, updatedAt: new Date() }, { status: payment.status });
+};
+
+module.exports = {
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  TRANSITIONS,
+  PaymentModel,
+  setStore,
+  getStore,
+  createMongooseStore,
+  createPostgresStore,
+  create,
+  findById,
+  findByOrder,
+  findForEvent,
+  update,
+  transition
+};
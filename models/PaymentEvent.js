@@ -0,0 +1,158 @@
+/**
+ * Modelo de eventos de webhook de pago ya recibidos
+ * @module models/PaymentEvent
+ * @description Los proveedores reenvían un evento hasta recibir un 2xx y pueden entregarlo
+ * más de una vez. Registrar el ID del evento con una restricción de unicidad antes de
+ * procesarlo garantiza que solo una entrega lo aplica, aunque lleguen dos a la vez. El
+ * registro actúa como una reserva: si el proceso cae antes de completarlo, una entrega
+ * posterior al vencimiento de la reserva vuelve a aplicar el evento.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const MemoryStore = require('./stores/MemoryStore');
+const MongooseStore = require('./stores/MongooseStore');
+const PostgresStore = require('./stores/PostgresStore');
+
+/**
+ * Tiempo tras el que un evento recibido y no completado se puede volver a procesar (ms)
+ * @constant {number}
+ */
+const PROCESSING_LEASE = 5 * 60 * 1000;
+
+/**
+ * Esquema de Mongoose para eventos de pago
+ * @type {mongoose.Schema}
+ */
+const paymentEventSchema = new mongoose.Schema({
+  _id: { type: String, default: () => crypto.randomUUID() },
+  eventKey: { type: String, required: true, unique: true },
+  provider: { type: String, required: true },
+  eventId: { type: String, required: true },
+  type: { type: String, required: true },
+  paymentId: { type: String },
+  receivedAt: { type: Date },
+  processedAt: { type: Date }
+});
+
+/**
+ * Modelo de Mongoose para eventos de pago
+ * @type {mongoose.Model}
+ */
+const PaymentEventModel = mongoose.models.PaymentEvent || mongoose.model('PaymentEvent', paymentEventSchema);
+
+/**
+ * Almacén activo de eventos (en memoria por defecto)
+ * @type {import('./stores/MemoryStore').Store}
+ */
+let store = new MemoryStore({ unique: ['eventKey'] });
+
+/**
+ * Sustituye el almacén de eventos
+ * @param {import('./stores/MemoryStore').Store} newStore - Almacén que implementa la interfaz Store
+ * @returns {void}
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Devuelve el almacén de eventos activo
+ * @returns {import('./stores/MemoryStore').Store} Almacén activo
+ */
+const getStore = () => store;
+
+/**
+ * Crea un almacén persistente respaldado por MongoDB
+ * @returns {MongooseStore} Almacén de eventos en MongoDB
+ */
+const createMongooseStore = () => new MongooseStore(PaymentEventModel);
+
+/**
+ * Crea un almacén persistente respaldado por PostgreSQL
+ * @param {import('pg').Pool} pool - Pool de conexiones
+ * @returns {PostgresStore} Almacén de eventos en PostgreSQL
+ */
+const createPostgresStore = pool => new PostgresStore(pool, {
+  table: 'payment_events',
+  unique: ['eventKey'],
+  dates: ['receivedAt', 'processedAt']
+});
+
+/**
+ * Busca el registro de un evento
+ * @async
+ * @param {string} provider - Proveedor
+ * @param {string} eventId - ID del evento en el proveedor
+ * @returns {Promise<Object|null>} Registro o null
+ */
+const find = async (provider, eventId) => store.findOne({ eventKey: `${provider}:${eventId}` });
+
+/**
+ * Registra la recepción de un evento
+ * @description Si el evento ya se había recibido pero no se completó y su reserva ha
+ * vencido (el proceso cayó a mitad), lo vuelve a reservar de forma atómica; de dos
+ * entregas simultáneas solo una lo consigue.
+ * @async
+ * @param {string} provider - Proveedor
+ * @param {Object} event - Evento normalizado (id, type)
+ * @param {Date} [now=new Date()] - Momento de recepción
+ * @returns {Promise<Object|null>} Registro reservado, o null si el evento ya se procesó o se está procesando
+ */
+const begin = async (provider, { id, type }, now = new Date()) => {
+  try {
+    return await store.insert({
+      eventKey: `${provider}:${id}`,
+      provider,
+      eventId: id,
+      type,
+      paymentId: null,
+      receivedAt: now,
+      processedAt: null
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const existing = await find(provider, id);
+  if (!existing) {
+    return null;
+  }
+
+  return store.updateById(existing.id, { receivedAt: now }, {
+    processedAt: null,
+    receivedAt: { $lte: new Date(now.getTime() - PROCESSING_LEASE) }
+  });
+};
+
+/**
+ * Marca un evento como procesado
+ * @async
+ * @param {Object} record - Registro devuelto por begin()
+ * @param {string|null} paymentId - Pago al que se aplicó, si alguno
+ * @returns {Promise<Object|null>} Registro actualizado
+ */
+const complete = async (record, paymentId) => store.updateById(record.id, { paymentId, processedAt: new Date() });
+
+/**
+ * Olvida un evento cuyo procesamiento ha fallado, para que el reintento del proveedor lo aplique
+ * @async
+ * @param {Object} record - Registro devuelto por begin()
+ * @returns {Promise<boolean>} Si el registro existía
+ */
+const release = async (record) => store.deleteById(record.id);
+
+module.exports = {
+  PROCESSING_LEASE,
+  PaymentEventModel,
+  setStore,
+  getStore,
+  createMongooseStore,
+  createPostgresStore,
+  find,
+  begin,
+  complete,
+  release
+};
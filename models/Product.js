@@ -0,0 +1,279 @@
+/**
+ * Modelo de producto
+ * @module models/Product
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const MemoryStore = require('./stores/MemoryStore');
+const MongooseStore = require('./stores/MongooseStore');
+const PostgresStore = require('./stores/PostgresStore');
+
+/**
+ * Máximo de imágenes por producto
+ * @constant {number}
+ */
+const MAX_IMAGES = 10;
+
+/**
+ * Esquema de Mongoose para las imágenes de un producto
+ * @type {mongoose.Schema}
+ */
+const productImageSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  key: { type: String, required: true },
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true },
+  uploadedAt: { type: Date }
+}, { _id: false });
+
+/**
+ * Esquema de Mongoose para productos
+ * @type {mongoose.Schema}
+ */
+const productSchema = new mongoose.Schema({
+  _id: { type: String, default: () => crypto.randomUUID() },
+  name: { type: String, required: true, trim: true },
+  price: { type: Number, required: true, min: 0 },
+  description: { type: String, default: '' },
+  category: { type: String, required: true, trim: true, index: true },
+  images: { type: [productImageSchema], default: [] },
+  createdBy: { type: String },
+  createdAt: { type: Date },
+  updatedAt: { type: Date }
+});
+
+productSchema.index({ price: 1 });
+
+/**
+ * Modelo de Mongoose para productos
+ * @type {mongoose.Model}
+ */
+const ProductModel = mongoose.models.Product || mongoose.model('Product', productSchema);
+
+/**
+ * Almacén activo de productos (en memoria por defecto)
+ * @type {import('./stores/MemoryStore').Store}
+ */
+let store = new MemoryStore();
+
+/**
+ * Sustituye el almacén de productos
+ * @param {import('./stores/MemoryStore').Store} newStore - Almacén que implementa la interfaz Store
+ * @returns {void}
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Devuelve el almacén de productos activo
+ * @returns {import('./stores/MemoryStore').Store} Almacén activo
+ */
+const getStore = () => store;
+
+/**
+ * Crea un almacén persistente respaldado por MongoDB
+ * @returns {MongooseStore} Almacén de productos en MongoDB
+ */
+const createMongooseStore = () => new MongooseStore(ProductModel);
+
+/**
+ * Crea un almacén persistente respaldado por PostgreSQL
+ * @param {import('pg').Pool} pool - Pool de conexiones
+ * @returns {PostgresStore} Almacén de productos en PostgreSQL
+ */
+const createPostgresStore = pool => new PostgresStore(pool, { table: 'products', dates: ['createdAt', 'updatedAt'] });
+
+/**
+ * Escapa los caracteres especiales de una expresión regular
+ * @param {string} text - Texto a escapar
+ * @returns {string} Texto seguro para usar en una RegExp
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Construye el filtro de consulta a partir de los criterios de búsqueda
+ * @param {Object} criteria - Criterios de búsqueda
+ * @param {string} [criteria.category] - Categoría exacta
+ * @param {number} [criteria.minPrice] - Precio mínimo
+ * @param {number} [criteria.maxPrice] - Precio máximo
+ * @param {string} [criteria.search] - Texto a buscar en nombre y descripción
+ * @returns {Object} Filtro de estilo MongoDB
+ */
+const buildFilter = ({ category, minPrice, maxPrice, search }) => {
+  const filter = {};
+
+  if (category) {
+    filter.category = category;
+  }
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) filter.price.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+
+  if (search) {
+    const pattern = escapeRegex(search);
+    filter.$or = [
+      { name: { $regex: pattern, $options: 'i' } },
+      { description: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+
+  return filter;
+};
+
+/**
+ * Convierte un parámetro de orden (`price`, `-price`) en una especificación de orden
+ * @param {string} [sort='-createdAt'] - Campo de orden, con `-` para orden descendente
+ * @returns {Object} Especificación `{ campo: 1 | -1 }`
+ */
+const parseSort = (sort = '-createdAt') => {
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  return { [field]: descending ? -1 : 1 };
+};
+
+/**
+ * Crea un nuevo producto
+ * @async
+ * @param {Object} data - Datos del producto (name, price, description, category)
+ * @param {string} [createdBy] - ID del usuario que lo crea
+ * @returns {Promise<Object>} Producto creado
+ */
+const create = async ({ name, price, description = '', category }, createdBy) => {
+  const now = new Date();
+
+  return store.insert({
+    name,
+    price: Number(price),
+    description,
+    category,
+    images: [],
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  });
+};
+
+/**
+ * Busca un producto por su ID
+ * @async
+ * @param {string} id - ID del producto
+ * @returns {Promise<Object|null>} Producto o null
+ */
+const findById = async (id) => store.findById(id);
+
+/**
+ * Busca productos con filtros, orden y paginación
+ * @async
+ * @param {Object} [options] - Opciones de búsqueda
+ * @param {number} [options.page=1] - Página (empezando en 1)
+ * @param {number} [options.limit=20] - Productos por página
+ * @param {string} [options.sort] - Campo de orden (`-` para descendente)
+ * @param {string} [options.category] - Categoría exacta
+ * @param {number} [options.minPrice] - Precio mínimo
+ * @param {number} [options.maxPrice] - Precio máximo
+ * @param {string} [options.search] - Texto a buscar en nombre y descripción
+ * @returns {Promise<{products: Object[], total: number}>} Productos de la página y total
+ */
+const findAll = async ({ page = 1, limit = 20, sort, ...criteria } = {}) => {
+  const filter = buildFilter(criteria);
+
+  const [products, total] = await Promise.all([
+    store.find(filter, { sort: parseSort(sort), skip: (page - 1) * limit, limit }),
+    store.count(filter)
+  ]);
+
+  return { products, total };
+};
+
+/**
+ * Actualiza un producto
+ * @async
+ * @param {string} id - ID del producto
+ * @param {Object} changes - Campos a modificar
+ * @returns {Promise<Object|null>} Producto actualizado o null si no existe
+ */
+const update = async (id, changes) => {
+  const updates = { ...changes, updatedAt: new Date() };
+
+  if (updates.price !== undefined) {
+    updates.price = Number(updates.price);
+  }
+
+  return store.updateById(id, updates);
+};
+
+/**
+ * Elimina un producto
+ * @async
+ * @param {string} id - ID del producto
+ * @returns {Promise<boolean>} Si el producto existía
+ */
+const remove = async (id) => store.deleteById(id);
+
+/**
+ * Añade una imagen a un producto
+ * @async
+ * @param {string} id - ID del producto
+ * @param {Object} image - Fichero guardado (key, contentType, size)
+ * @returns {Promise<{product: (Object|null), image: (Object|null)}>} Producto actualizado e imagen añadida; image es null si ya tiene MAX_IMAGES
+ */
+const addImage = async (id, { key, contentType, size }) => {
+  const product = await store.findById(id);
+  if (!product) {
+    return { product: null, image: null };
+  }
+
+  const images = product.images || [];
+  if (images.length >= MAX_IMAGES) {
+    return { product, image: null };
+  }
+
+  const image = { id: crypto.randomUUID(), key, contentType, size, uploadedAt: new Date() };
+  const updated = await store.updateById(id, { images: [...images, image], updatedAt: new Date() });
+
+  return { product: updated, image };
+};
+
+/**
+ * Quita una imagen de un producto
+ * @async
+ * @param {string} id - ID del producto
+ * @param {string} imageId - ID de la imagen
+ * @returns {Promise<Object|null>} Imagen quitada (para borrar su fichero) o null si no existe
+ */
+const removeImage = async (id, imageId) => {
+  const product = await store.findById(id);
+  const image = product && (product.images || []).find(candidate => candidate.id === imageId);
+
+  if (!image) {
+    return null;
+  }
+
+  await store.updateById(id, {
+    images: product.images.filter(candidate => candidate.id !== imageId),
+    updatedAt: new Date()
+  });
+
+  return image;
+};
+
+module.exports = {
+  MAX_IMAGES,
+  ProductModel,
+  setStore,
+  getStore,
+  createMongooseStore,
+  createPostgresStore,
+  create,
+  findById,
+  findAll,
+  update,
+  remove,
+  addImage,
+  removeImage
+};
@@ -0,0 +1,158 @@
+/**
+ * Modelo de tokens de refresco emitidos
+ * @module models/RefreshToken
+ * @description Cada registro se identifica por el `jti` del token y pertenece a una familia
+ * de rotación. Usar un token lo marca como revocado de forma atómica, así que dos
+ * refrescos simultáneos con el mismo token no pueden tener éxito ambos.
+ */
+
+const mongoose = require('mongoose');
+const MemoryStore = require('./stores/MemoryStore');
+const MongooseStore = require('./stores/MongooseStore');
+const PostgresStore = require('./stores/PostgresStore');
+
+/**
+ * Esquema de Mongoose para tokens de refresco
+ * @type {mongoose.Schema}
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  userId: { type: String, required: true, index: true },
+  familyId: { type: String, required: true, index: true },
+  revoked: { type: Boolean, default: false },
+  // Índice TTL: MongoDB borra los tokens caducados por su cuenta
+  expiresAt: { type: Date, required: true, expires: 0 },
+  createdAt: { type: Date }
+});
+
+/**
+ * Modelo de Mongoose para tokens de refresco
+ * @type {mongoose.Model}
+ */
+const RefreshTokenModel = mongoose.models.RefreshToken || mongoose.model('RefreshToken', refreshTokenSchema);
+
+/**
+ * Almacén activo de tokens de refresco (en memoria por defecto)
+ * @type {import('./stores/MemoryStore').Store}
+ */
+let store = new MemoryStore();
+
+/**
+ * Sustituye el almacén de tokens de refresco
+ * @param {import('./stores/MemoryStore').Store} newStore - Almacén que implementa la interfaz Store
+ * @returns {void}
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Devuelve el almacén de tokens de refresco activo
+ * @returns {import('./stores/MemoryStore').Store} Almacén activo
+ */
+const getStore = () => store;
+
+/**
+ * Crea un almacén persistente respaldado por MongoDB
+ * @returns {MongooseStore} Almacén de tokens de refresco en MongoDB
+ */
+const createMongooseStore = () => new MongooseStore(RefreshTokenModel);
+
+/**
+ * Crea un almacén persistente respaldado por PostgreSQL
+ * @param {import('pg').Pool} pool - Pool de conexiones
+ * @returns {PostgresStore} Almacén de tokens de refresco en PostgreSQL
+ */
+const createPostgresStore = pool => new PostgresStore(pool, {
+  table: 'refresh_tokens',
+  dates: ['expiresAt', 'createdAt']
+});
+
+/**
+ * Registra un token de refresco emitido
+ * @async
+ * @param {Object} data - Datos del token
+ * @param {string} data.jti - ID del token (claim `jti`)
+ * @param {string} data.userId - ID del usuario
+ * @param {string} data.familyId - Familia de rotación
+ * @param {Date} data.expiresAt - Caducidad
+ * @returns {Promise<Object>} Registro creado
+ */
+const create = async ({ jti, userId, familyId, expiresAt }) => store.insert({
+  id: jti,
+  userId,
+  familyId,
+  revoked: false,
+  expiresAt,
+  createdAt: new Date()
+});
+
+/**
+ * Busca un token de refresco por su `jti`
+ * @async
+ * @param {string} jti - ID del token
+ * @returns {Promise<Object|null>} Registro o null
+ */
+const findById = async (jti) => store.findById(jti);
+
+/**
+ * Usa un token: lo revoca solo si seguía vigente
+ * @async
+ * @param {string} jti - ID del token
+ * @returns {Promise<Object|null>} Registro ya revocado, o null si no existe o ya se había usado
+ */
+const claim = async (jti) => store.updateById(jti, { revoked: true }, { revoked: false });
+
+/**
+ * Revoca los tokens vigentes que cumplen un filtro
+ * @async
+ * @param {Object} filter - Filtro de consulta
+ * @returns {Promise<number>} Tokens revocados
+ */
+const revokeWhere = async (filter) => {
+  const records = await store.find({ ...filter, revoked: false });
+  const revoked = await Promise.all(records.map(record => claim(record.id)));
+  return revoked.filter(Boolean).length;
+};
+
+/**
+ * Revoca todos los tokens de una familia de rotación
+ * @async
+ * @param {string} familyId - ID de la familia
+ * @returns {Promise<number>} Tokens revocados
+ */
+const revokeFamily = async (familyId) => revokeWhere({ familyId });
+
+/**
+ * Revoca todos los tokens de un usuario
+ * @async
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<number>} Tokens revocados
+ */
+const revokeUser = async (userId) => revokeWhere({ userId });
+
+/**
+ * Elimina los tokens caducados
+ * @async
+ * @param {Date} [now=new Date()] - Momento de referencia
+ * @returns {Promise<number>} Tokens eliminados
+ */
+const pruneExpired = async (now = new Date()) => {
+  const records = await store.find({ expiresAt: { $lte: now } });
+  const deleted = await Promise.all(records.map(record => store.deleteById(record.id)));
+  return deleted.filter(Boolean).length;
+};
+
+module.exports = {
+  RefreshTokenModel,
+  setStore,
+  getStore,
+  createMongooseStore,
+  createPostgresStore,
+  create,
+  findById,
+  claim,
+  revokeFamily,
+  revokeUser,
+  pruneExpired
+};
@@ -0,0 +1,112 @@
+/**
+ * Modelo de tokens de acceso revocados antes de caducar (cierre de sesión)
+ * @module models/RevokedToken
+ * @description Cada registro se identifica por el `jti` del token y se conserva solo hasta
+ * que el token habría caducado; después la firma ya lo rechaza.
+ */
+
+const mongoose = require('mongoose');
+const MemoryStore = require('./stores/MemoryStore');
+const MongooseStore = require('./stores/MongooseStore');
+const PostgresStore = require('./stores/PostgresStore');
+
+/**
+ * Esquema de Mongoose para tokens revocados
+ * @type {mongoose.Schema}
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  // Índice TTL: MongoDB borra los registros cuando el token habría caducado
+  expiresAt: { type: Date, required: true, expires: 0 }
+});
+
+/**
+ * Modelo de Mongoose para tokens revocados
+ * @type {mongoose.Model}
+ */
+const RevokedTokenModel = mongoose.models.RevokedToken || mongoose.model('RevokedToken', revokedTokenSchema);
+
+/**
+ * Almacén activo de tokens revocados (en memoria por defecto)
+ * @type {import('./stores/MemoryStore').Store}
+ */
+let store = new MemoryStore();
+
+/**
+ * Sustituye el almacén de tokens revocados
+ * @param {import('./stores/MemoryStore').Store} newStore - Almacén que implementa la interfaz Store
+ * @returns {void}
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Devuelve el almacén de tokens revocados activo
+ * @returns {import('./stores/MemoryStore').Store} Almacén activo
+ */
+const getStore = () => store;
+
+/**
+ * Crea un almacén persistente respaldado por MongoDB
+ * @returns {MongooseStore} Almacén de tokens revocados en MongoDB
+ */
+const createMongooseStore = () => new MongooseStore(RevokedTokenModel);
+
+/**
+ * Crea un almacén persistente respaldado por PostgreSQL
+ * @param {import('pg').Pool} pool - Pool de conexiones
+ * @returns {PostgresStore} Almacén de tokens revocados en PostgreSQL
+ */
+const createPostgresStore = pool => new PostgresStore(pool, { table: 'revoked_tokens', dates: ['expiresAt'] });
+
+/**
+ * Elimina los registros de tokens que ya habrían caducado
+ * @async
+ * @param {Date} [now=new Date()] - Momento de referencia
+ * @returns {Promise<number>} Registros eliminados
+ */
+const pruneExpired = async (now = new Date()) => {
+  const records = await store.find({ expiresAt: { $lte: now } });
+  const deleted = await Promise.all(records.map(record => store.deleteById(record.id)));
+  return deleted.filter(Boolean).length;
+};
+
+/**
+ * Revoca un token de acceso hasta su caducidad
+ * @description Revocar dos veces el mismo token no es un error
+ * @async
+ * @param {string} jti - ID del token
+ * @param {Date} expiresAt - Caducidad del token
+ * @returns {Promise<void>}
+ */
+const revoke = async (jti, expiresAt) => {
+  try {
+    await store.insert({ id: jti, expiresAt });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  await pruneExpired();
+};
+
+/**
+ * Indica si un token de acceso está revocado
+ * @async
+ * @param {string} jti - ID del token
+ * @returns {Promise<boolean>} Si el token está revocado
+ */
+const isRevoked = async (jti) => Boolean(await store.findById(jti));
+
+module.exports = {
+  RevokedTokenModel,
+  setStore,
+  getStore,
+  createMongooseStore,
+  createPostgresStore,
+  revoke,
+  isRevoked,
+  pruneExpired
+};
@@ -0,0 +1,238 @@
+/**
+ * Modelo de usuario
+ * @module models/User
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const MemoryStore = require('./stores/MemoryStore');
+const MongooseStore = require('./stores/MongooseStore');
+const PostgresStore = require('./stores/PostgresStore');
+const { ROLES } = require('../config/roles');
+
+/**
+ * Número de rondas de salt para bcrypt
+ * @constant {number}
+ */
+const SALT_ROUNDS = 10;
+
+/**
+ * Hash ficticio usado para igualar tiempos cuando el email no existe
+ * @constant {string}
+ */
+const DUMMY_HASH = bcrypt.hashSync('timing-safe-dummy-password', SALT_ROUNDS);
+
+/**
+ * Esquema de Mongoose para usuarios
+ * @type {mongoose.Schema}
+ */
+const userSchema = new mongoose.Schema({
+  _id: { type: String, default: () => crypto.randomUUID() },
+  name: { type: String, required: true, trim: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  role: { type: String, enum: Object.values(ROLES), default: ROLES.USER },
+  passwordHash: { type: String, required: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  avatar: {
+    type: new mongoose.Schema({
+      key: { type: String, required: true },
+      contentType: { type: String, required: true },
+      size: { type: Number, required: true },
+      uploadedAt: { type: Date }
+    }, { _id: false }),
+    default: null
+  },
+  createdAt: { type: Date },
+  updatedAt: { type: Date }
+});
+
+/**
+ * Modelo de Mongoose para usuarios
+ * @type {mongoose.Model}
+ */
+const UserModel = mongoose.models.User || mongoose.model('User', userSchema);
+
+/**
+ * Almacén activo de usuarios (en memoria por defecto)
+ * @type {import('./stores/MemoryStore').Store}
+ */
+let store = new MemoryStore({ unique: ['email'] });
+
+/**
+ * Sustituye el almacén de usuarios
+ * @param {import('./stores/MemoryStore').Store} newStore - Almacén que implementa la interfaz Store
+ * @returns {void}
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Devuelve el almacén de usuarios activo
+ * @returns {import('./stores/MemoryStore').Store} Almacén activo
+ */
+const getStore = () => store;
+
+/**
+ * Crea un almacén persistente respaldado por MongoDB
+ * @returns {MongooseStore} Almacén de usuarios en MongoDB
+ */
+const createMongooseStore = () => new MongooseStore(UserModel);
+
+/**
+ * Crea un almacén persistente respaldado por PostgreSQL
+ * @param {import('pg').Pool} pool - Pool de conexiones
+ * @returns {PostgresStore} Almacén de usuarios en PostgreSQL
+ */
+const createPostgresStore = pool => new PostgresStore(pool, { table: 'users', unique: ['email'], dates: ['emailVerifiedAt', 'createdAt', 'updatedAt'] });
+
+/**
+ * Elimina los campos sensibles de un registro de usuario
+ * @param {Object} user - Registro de usuario
+ * @returns {Object|null} Usuario sin el hash de la contraseña
+ */
+const toPublic = (user) => {
+  if (!user) {
+    return null;
+  }
+
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+};
+
+/**
+ * Crea un nuevo usuario con la contraseña hasheada
+ * @async
+ * @param {Object} data - Datos del usuario
+ * @param {string} data.name - Nombre del usuario
+ * @param {string} data.email - Email del usuario
+ * @param {string} data.password - Contraseña en texto plano
+ * @param {string} [data.role='user'] - Rol del usuario
+ * @returns {Promise<Object>} Usuario creado (sin contraseña)
+ * @throws {Error} Error con código 11000 si el email ya existe
+ */
+const create = async ({ name, email, password, role = ROLES.USER }) => {
+  const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+  const now = new Date();
+
+  const user = await store.insert({
+    name,
+    email: email.toLowerCase(),
+    role,
+    passwordHash,
+    emailVerified: false,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  return toPublic(user);
+};
+
+/**
+ * Busca un usuario por su ID
+ * @async
+ * @param {string} id - ID del usuario
+ * @returns {Promise<Object|null>} Usuario encontrado (sin contraseña)
+ */
+const findById = async (id) => toPublic(await store.findById(id));
+
+/**
+ * Busca un usuario por su email
+ * @async
+ * @param {string} email - Email del usuario
+ * @returns {Promise<Object|null>} Usuario encontrado (sin contraseña)
+ */
+const findByEmail = async (email) => toPublic(await store.findOne({ email: email.toLowerCase() }));
+
+/**
+ * Lista usuarios de forma paginada
+ * @async
+ * @param {Object} [options] - Opciones de paginación
+ * @param {number} [options.page=1] - Página (empezando en 1)
+ * @param {number} [options.limit=20] - Usuarios por página
+ * @returns {Promise<{users: Object[], total: number}>} Usuarios de la página y total
+ */
+const findAll = async ({ page = 1, limit = 20 } = {}) => {
+  const [users, total] = await Promise.all([
+    store.find({}, { sort: { createdAt: 1 }, skip: (page - 1) * limit, limit }),
+    store.count({})
+  ]);
+
+  return { users: users.map(toPublic), total };
+};
+
+/**
+ * Actualiza un usuario, volviendo a hashear la contraseña si cambia
+ * @async
+ * @param {string} id - ID del usuario
+ * @param {Object} changes - Campos a modificar (name, email, password, role)
+ * @returns {Promise<Object|null>} Usuario actualizado o null si no existe
+ * @throws {Error} Error con código 11000 si el nuevo email ya existe
+ */
+const update = async (id, { password, email, ...changes }) => {
+  const updates = { ...changes, updatedAt: new Date() };
+
+  if (email !== undefined) {
+    updates.email = email.toLowerCase();
+  }
+
+  if (password !== undefined) {
+    updates.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+  }
+
+  return toPublic(await store.updateById(id, updates));
+};
+
+/**
+ * Elimina un usuario
+ * @async
+ * @param {string} id - ID del usuario
+ * @returns {Promise<boolean>} Si el usuario existía
+ */
+const remove = async (id) => store.deleteById(id);
+
+/**
+ * Verifica las credenciales de un usuario
+ * @async
+ * @param {string} email - Email del usuario
+ * @param {string} password - Contraseña en texto plano
+ * @returns {Promise<Object|null>} Usuario si las credenciales son válidas, null en caso contrario
+ */
+const verifyCredentials = async (email, password) => {
+  const user = await store.findOne({ email: email.toLowerCase() });
+
+  // Se compara siempre para no revelar qué emails existen por tiempo de respuesta
+  const matches = await bcrypt.compare(password, user ? user.passwordHash : DUMMY_HASH);
+  return user && matches ? toPublic(user) : null;
+};
+
+/**
+ * Comprueba la contraseña de un usuario por su ID
+ * @async
+ * @param {string} id - ID del usuario
+ * @param {string} password - Contraseña en texto plano
+ * @returns {Promise<boolean>} Si el usuario existe y la contraseña coincide
+ */
+const verifyPassword = async (id, password) => {
+  const user = await store.findById(id);
+  const matches = await bcrypt.compare(password, user ? user.passwordHash : DUMMY_HASH);
+  return Boolean(user) && matches;
+};
+
+module.exports = {
+  UserModel,
+  setStore,
+  getStore,
+  createMongooseStore,
+  createPostgresStore,
+  create,
+  findById,
+  findByEmail,
+  findAll,
+  update,
+  remove,
+  verifyCredentials,
+  verifyPassword
+};
@@ -0,0 +1,173 @@
+/**
+ * Modelo de tokens de un solo uso (verificación de email, restablecimiento de contraseña)
+ * @module models/UserToken
+ * @description Solo se guarda el hash SHA-256 del token; el valor en claro viaja en el correo.
+ * Consumir un token lo elimina, así que no puede usarse dos veces aunque lleguen dos
+ * solicitudes a la vez.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const MemoryStore = require('./stores/MemoryStore');
+const MongooseStore = require('./stores/MongooseStore');
+const PostgresStore = require('./stores/PostgresStore');
+
+/**
+ * Tipos de token
+ * @constant {Object<string, string>}
+ */
+const TOKEN_TYPES = Object.freeze({
+  EMAIL_VERIFICATION: 'email-verification',
+  PASSWORD_RESET: 'password-reset'
+});
+
+/**
+ * Bytes aleatorios de cada token
+ * @constant {number}
+ */
+const TOKEN_BYTES = 32;
+
+/**
+ * Esquema de Mongoose para tokens de usuario
+ * @type {mongoose.Schema}
+ */
+const userTokenSchema = new mongoose.Schema({
+  _id: { type: String, default: () => crypto.randomUUID() },
+  userId: { type: String, required: true, index: true },
+  type: { type: String, enum: Object.values(TOKEN_TYPES), required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  // Índice TTL: MongoDB borra los tokens caducados por su cuenta
+  expiresAt: { type: Date, required: true, expires: 0 },
+  createdAt: { type: Date }
+});
+
+/**
+ * Modelo de Mongoose para tokens de usuario
+ * @type {mongoose.Model}
+ */
+const UserTokenModel = mongoose.models.UserToken || mongoose.model('UserToken', userTokenSchema);
+
+/**
+ * Almacén activo de tokens (en memoria por defecto)
+ * @type {import('./stores/MemoryStore').Store}
+ */
+let store = new MemoryStore({ unique: ['tokenHash'] });
+
+/**
+ * Sustituye el almacén de tokens
+ * @param {import('./stores/MemoryStore').Store} newStore - Almacén que implementa la interfaz Store
+ * @returns {void}
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Devuelve el almacén de tokens activo
+ * @returns {import('./stores/MemoryStore').Store} Almacén activo
+ */
+const getStore = () => store;
+
+/**
+ * Crea un almacén persistente respaldado por MongoDB
+ * @returns {MongooseStore} Almacén de tokens en MongoDB
+ */
+const createMongooseStore = () => new MongooseStore(UserTokenModel);
+
+/**
+ * Crea un almacén persistente respaldado por PostgreSQL
+ * @param {import('pg').Pool} pool - Pool de conexiones
+ * @returns {PostgresStore} Almacén de tokens en PostgreSQL
+ */
+const createPostgresStore = pool => new PostgresStore(pool, {
+  table: 'user_tokens',
+  unique: ['tokenHash'],
+  dates: ['expiresAt', 'createdAt']
+});
+
+/**
+ * Calcula el hash con el que se guarda un token
+ * @param {string} token - Token en claro
+ * @returns {string} Hash SHA-256 en hexadecimal
+ */
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Elimina los tokens de un usuario de un tipo
+ * @async
+ * @param {string} userId - ID del usuario
+ * @param {string} type - Tipo de token (ver TOKEN_TYPES)
+ * @returns {Promise<number>} Tokens eliminados
+ */
+const revokeAll = async (userId, type) => {
+  const tokens = await store.find({ userId, type });
+  const deleted = await Promise.all(tokens.map(token => store.deleteById(token.id)));
+  return deleted.filter(Boolean).length;
+};
+
+/**
+ * Elimina los tokens caducados
+ * @async
+ * @param {Date} [now=new Date()] - Momento de referencia
+ * @returns {Promise<number>} Tokens eliminados
+ */
+const pruneExpired = async (now = new Date()) => {
+  const tokens = await store.find({ expiresAt: { $lte: now } });
+  const deleted = await Promise.all(tokens.map(token => store.deleteById(token.id)));
+  return deleted.filter(Boolean).length;
+};
+
+/**
+ * Emite un token nuevo e invalida los anteriores del mismo tipo para ese usuario
+ * @async
+ * @param {string} userId - ID del usuario
+ * @param {string} type - Tipo de token (ver TOKEN_TYPES)
+ * @param {number} ttl - Segundos de vigencia
+ * @returns {Promise<{token: string, expiresAt: Date}>} Token en claro y caducidad
+ */
+const issue = async (userId, type, ttl) => {
+  const now = new Date();
+  await Promise.all([revokeAll(userId, type), pruneExpired(now)]);
+
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  const expiresAt = new Date(now.getTime() + ttl * 1000);
+
+  await store.insert({ userId, type, tokenHash: hashToken(token), expiresAt, createdAt: now });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Consume un token: si es válido lo elimina y devuelve su usuario
+ * @async
+ * @param {string} token - Token en claro
+ * @param {string} type - Tipo esperado (ver TOKEN_TYPES)
+ * @returns {Promise<string|null>} ID del usuario, o null si no existe, es de otro tipo, ha caducado o ya se usó
+ */
+const consume = async (token, type) => {
+  const record = await store.findOne({ tokenHash: hashToken(token), type });
+  if (!record) {
+    return null;
+  }
+
+  // Solo la solicitud que consigue borrarlo lo usa
+  const deleted = await store.deleteById(record.id);
+  if (!deleted || new Date(record.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  return record.userId;
+};
+
+module.exports = {
+  TOKEN_TYPES,
+  UserTokenModel,
+  setStore,
+  getStore,
+  createMongooseStore,
+  createPostgresStore,
+  issue,
+  consume,
+  revokeAll,
+  pruneExpired
+};
@@ -0,0 +1,266 @@
+/**
+ * Almacén de documentos en memoria
+ * @module models/stores/MemoryStore
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Interfaz común de los almacenes de documentos
+ * @typedef {Object} Store
+ * @property {function(Object): Promise<Object>} insert - Inserta un documento
+ * @property {function(string): Promise<Object|null>} findById - Busca por ID
+ * @property {function(Object): Promise<Object|null>} findOne - Busca el primer documento que cumpla el filtro
+ * @property {function(Object, Object=): Promise<Object[]>} find - Busca documentos con orden y paginación
+ * @property {function(Object): Promise<number>} count - Cuenta los documentos que cumplen el filtro
+ * @property {function(string, Object, Object=): Promise<Object|null>} updateById - Actualiza un documento,
+ * opcionalmente solo si cumple una condición (comprobación y escritura atómicas)
+ * @property {function(string): Promise<boolean>} deleteById - Elimina un documento
+ */
+
+/**
+ * Crea un error de clave duplicada con la misma forma que los de MongoDB
+ * @param {string} field - Campo con el valor duplicado
+ * @param {*} value - Valor duplicado
+ * @returns {Error} Error con código 11000
+ */
+const duplicateKeyError = (field, value) => {
+  const error = new Error(`E11000 duplicate key error: ${field} "${value}" already exists`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  error.keyValue = { [field]: value };
+  return error;
+};
+
+/**
+ * Evalúa un operador de consulta sobre un valor
+ * @param {*} value - Valor del documento
+ * @param {string} operator - Operador de estilo MongoDB
+ * @param {*} operand - Operando del filtro
+ * @param {Object} condition - Condición completa (para $options)
+ * @returns {boolean} Si el valor cumple el operador
+ */
+const matchOperator = (value, operator, operand, condition) => {
+  switch (operator) {
+    case '$eq':
+      return value === operand;
+    case '$ne':
+      return value !== operand;
+    case '$gt':
+      return value > operand;
+    case '$gte':
+      return value >= operand;
+    case '$lt':
+      return value < operand;
+    case '$lte':
+      return value <= operand;
+    case '$in':
+      return operand.includes(value);
+    case '$nin':
+      return !operand.includes(value);
+    case '$regex': {
+      const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+      return typeof value === 'string' && regex.test(value);
+    }
+    case '$options':
+      return true;
+    default:
+      throw new Error(`Unsupported query operator: ${operator}`);
+  }
+};
+
+/**
+ * Comprueba si un documento cumple un filtro (subconjunto de la sintaxis de MongoDB)
+ * @param {Object} doc - Documento
+ * @param {Object} filter - Filtro de consulta
+ * @returns {boolean} Si el documento cumple el filtro
+ */
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some(sub => matches(doc, sub));
+  }
+
+  if (key === '$and') {
+    return condition.every(sub => matches(doc, sub));
+  }
+
+  const value = doc[key];
+
+  if (condition instanceof RegExp) {
+    return typeof value === 'string' && condition.test(value);
+  }
+
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    return Object.entries(condition)
+      .every(([operator, operand]) => matchOperator(value, operator, operand, condition));
+  }
+
+  return value === condition;
+});
+
+/**
+ * Compara dos documentos según una especificación de orden `{ campo: 1 | -1 }`
+ * @param {Object} sort - Especificación de orden
+ * @returns {Function} Función comparadora
+ */
+const comparator = (sort) => (a, b) => {
+  for (const [field, direction] of Object.entries(sort)) {
+    if (a[field] < b[field]) return -direction;
+    if (a[field] > b[field]) return direction;
+  }
+  return 0;
+};
+
+/**
+ * Almacén en memoria que implementa la interfaz Store
+ * @class MemoryStore
+ */
+class MemoryStore {
+  /**
+   * Crea un almacén en memoria
+   * @constructor
+   * @param {Object} [options] - Opciones del almacén
+   * @param {string[]} [options.unique=[]] - Campos con restricción de unicidad
+   */
+  constructor({ unique = [] } = {}) {
+    this.unique = unique;
+    this.documents = new Map();
+  }
+
+  /**
+   * Inserta un documento asignándole un ID si no lo tiene
+   * @async
+   * @param {Object} doc - Documento a insertar
+   * @returns {Promise<Object>} Documento insertado
+   * @throws {Error} Error 11000 si se viola una restricción de unicidad
+   */
+  async insert(doc) {
+    const record = { id: crypto.randomUUID(), ...doc };
+    this.assertUnique(record);
+    this.documents.set(record.id, record);
+    return { ...record };
+  }
+
+  /**
+   * Busca un documento por su ID
+   * @async
+   * @param {string} id - ID del documento
+   * @returns {Promise<Object|null>} Documento o null
+   */
+  async findById(id) {
+    const record = this.documents.get(id);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Busca el primer documento que cumpla el filtro
+   * @async
+   * @param {Object} filter - Filtro de consulta
+   * @returns {Promise<Object|null>} Documento o null
+   */
+  async findOne(filter) {
+    for (const record of this.documents.values()) {
+      if (matches(record, filter)) {
+        return { ...record };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Busca documentos con orden y paginación
+   * @async
+   * @param {Object} [filter={}] - Filtro de consulta
+   * @param {Object} [options] - Opciones de consulta
+   * @param {Object} [options.sort] - Orden `{ campo: 1 | -1 }`
+   * @param {number} [options.skip=0] - Documentos a omitir
+   * @param {number} [options.limit] - Máximo de documentos
+   * @returns {Promise<Object[]>} Documentos encontrados
+   */
+  async find(filter = {}, { sort, skip = 0, limit } = {}) {
+    let results = [...this.documents.values()].filter(record => matches(record, filter));
+
+    if (sort) {
+      results.sort(comparator(sort));
+    }
+
+    results = results.slice(skip, limit !== undefined ? skip + limit : undefined);
+    return results.map(record => ({ ...record }));
+  }
+
+  /**
+   * Cuenta los documentos que cumplen el filtro
+   * @async
+   * @param {Object} [filter={}] - Filtro de consulta
+   * @returns {Promise<number>} Número de documentos
+   */
+  async count(filter = {}) {
+    let total = 0;
+    for (const record of this.documents.values()) {
+      if (matches(record, filter)) {
+        total += 1;
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Actualiza los campos de un documento
+   * @async
+   * @param {string} id - ID del documento
+   * @param {Object} changes - Campos a modificar
+   * @param {Object} [condition] - Filtro que debe cumplir el documento para actualizarse
+   * @returns {Promise<Object|null>} Documento actualizado o null si no existe o no cumple la condición
+   * @throws {Error} Error 11000 si se viola una restricción de unicidad
+   */
+  async updateById(id, changes, condition) {
+    const record = this.documents.get(id);
+    if (!record || (condition && !matches(record, condition))) {
+      return null;
+    }
+
+    const updated = { ...record, ...changes, id };
+    this.assertUnique(updated);
+    this.documents.set(id, updated);
+    return { ...updated };
+  }
+
+  /**
+   * Elimina un documento
+   * @async
+   * @param {string} id - ID del documento
+   * @returns {Promise<boolean>} Si el documento existía
+   */
+  async deleteById(id) {
+    return this.documents.delete(id);
+  }
+
+  /**
+   * Elimina todos los documentos
+   * @async
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.documents.clear();
+  }
+
+  /**
+   * Comprueba las restricciones de unicidad de un documento
+   * @private
+   * @param {Object} record - Documento a comprobar
+   * @returns {void}
+   * @throws {Error} Error 11000 si otro documento tiene el mismo valor
+   */
+  assertUnique(record) {
+    for (const field of this.unique) {
+      for (const other of this.documents.values()) {
+        if (other.id !== record.id && other[field] === record[field]) {
+          throw duplicateKeyError(field, record[field]);
+        }
+      }
+    }
+  }
+}
+
+module.exports = MemoryStore;
+module.exports.duplicateKeyError = duplicateKeyError;
@@ -0,0 +1,135 @@
+/**
+ * Almacén de documentos respaldado por un modelo de Mongoose
+ * @module models/stores/MongooseStore
+ */
+
+/**
+ * Convierte un documento de Mongoose en un objeto plano con `id`
+ * @param {Object|null} doc - Documento lean de Mongoose
+ * @returns {Object|null} Documento con `id` en lugar de `_id`
+ */
+const toPlain = (doc) => {
+  if (!doc) {
+    return null;
+  }
+
+  const { _id, __v, ...rest } = doc;
+  return { id: String(_id), ...rest };
+};
+
+/**
+ * Adaptador que implementa la interfaz Store sobre un modelo de Mongoose
+ * @class MongooseStore
+ */
+class MongooseStore {
+  /**
+   * Crea un almacén sobre un modelo de Mongoose
+   * @constructor
+   * @param {import('mongoose').Model} model - Modelo de Mongoose
+   */
+  constructor(model) {
+    this.model = model;
+  }
+
+  /**
+   * Inserta un documento
+   * @async
+   * @param {Object} doc - Documento a insertar
+   * @returns {Promise<Object>} Documento insertado
+   */
+  async insert(doc) {
+    const { id, ...rest } = doc;
+    const created = await this.model.create(id ? { _id: id, ...rest } : rest);
+    return toPlain(created.toObject());
+  }
+
+  /**
+   * Busca un documento por su ID
+   * @async
+   * @param {string} id - ID del documento
+   * @returns {Promise<Object|null>} Documento o null
+   */
+  async findById(id) {
+    return toPlain(await this.model.findById(id).lean());
+  }
+
+  /**
+   * Busca el primer documento que cumpla el filtro
+   * @async
+   * @param {Object} filter - Filtro de consulta
+   * @returns {Promise<Object|null>} Documento o null
+   */
+  async findOne(filter) {
+    return toPlain(await this.model.findOne(filter).lean());
+  }
+
+  /**
+   * Busca documentos con orden y paginación
+   * @async
+   * @param {Object} [filter={}] - Filtro de consulta
+   * @param {Object} [options] - Opciones de consulta (sort, skip, limit)
+   * @returns {Promise<Object[]>} Documentos encontrados
+   */
+  async find(filter = {}, { sort, skip = 0, limit } = {}) {
+    let query = this.model.find(filter).skip(skip);
+
+    if (sort) {
+      query = query.sort(sort);
+    }
+
+    if (limit !== undefined) {
+      query = query.limit(limit);
+    }
+
+    const docs = await query.lean();
+    return docs.map(toPlain);
+  }
+
+  /**
+   * Cuenta los documentos que cumplen el filtro
+   * @async
+   * @param {Object} [filter={}] - Filtro de consulta
+   * @returns {Promise<number>} Número de documentos
+   */
+  async count(filter = {}) {
+    return this.model.countDocuments(filter);
+  }
+
+  /**
+   * Actualiza los campos de un documento
+   * @async
+   * @param {string} id - ID del documento
+   * @param {Object} changes - Campos a modificar
+   * @param {Object} [condition] - Filtro que debe cumplir el documento para actualizarse
+   * @returns {Promise<Object|null>} Documento actualizado o null si no existe o no cumple la condición
+   */
+  async updateById(id, changes, condition = {}) {
+    const { id: ignored, ...rest } = changes;
+    const updated = await this.model
+      .findOneAndUpdate({ ...condition, _id: id }, { $set: rest }, { new: true, runValidators: true })
+      .lean();
+    return toPlain(updated);
+  }
+
+  /**
+   * Elimina un documento
+   * @async
+   * @param {string} id - ID del documento
+   * @returns {Promise<boolean>} Si el documento existía
+   */
+  async deleteById(id) {
+    const deleted = await this.model.findByIdAndDelete(id).lean();
+    return Boolean(deleted);
+  }
+
+  /**
+   * Elimina todos los documentos
+   * @async
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.model.deleteMany({});
+  }
+}
+
+module.exports = MongooseStore;
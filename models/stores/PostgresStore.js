@@ -0,0 +1,342 @@
+/**
+ * Almacén de documentos en PostgreSQL
+ * @module models/stores/PostgresStore
+ * @description Cada almacén usa una tabla `(id TEXT, data JSONB)`. Los filtros de estilo
+ * MongoDB se traducen a SQL con los nombres de campo y los valores siempre como parámetros.
+ */
+
+const crypto = require('crypto');
+const { duplicateKeyError } = require('./MemoryStore');
+
+/**
+ * Código de PostgreSQL para violaciones de unicidad
+ * @constant {string}
+ */
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Operadores de comparación y su equivalente en SQL
+ * @constant {Object<string, string>}
+ */
+const COMPARISONS = Object.freeze({
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<='
+});
+
+/**
+ * Añade un valor a la lista de parámetros
+ * @param {Array} params - Parámetros de la consulta
+ * @param {*} value - Valor
+ * @returns {string} Marcador posicional (`$n`)
+ */
+const bind = (params, value) => {
+  params.push(value);
+  return `$${params.length}`;
+};
+
+/**
+ * Serializa un valor como JSON para compararlo con una columna JSONB
+ * @param {*} value - Valor
+ * @returns {string} Valor en JSON
+ */
+const toJson = value => JSON.stringify(value === undefined ? null : value);
+
+/**
+ * Comprueba si una condición es un objeto de operadores (`{ $gte: 1 }`)
+ * @param {*} condition - Condición del filtro
+ * @returns {boolean} Si es un objeto de operadores
+ */
+const isOperatorObject = condition => Boolean(condition)
+  && typeof condition === 'object'
+  && !(condition instanceof Date)
+  && !(condition instanceof RegExp)
+  && !Array.isArray(condition);
+
+/**
+ * Traduce un operador de comparación a SQL
+ * @description Los números se comparan como numeric; textos y fechas (ISO 8601) como texto
+ * @param {string} field - Marcador del nombre de campo
+ * @param {string} operator - Operador de estilo MongoDB
+ * @param {*} operand - Operando
+ * @param {Object} condition - Condición completa (para $options)
+ * @param {Array} params - Parámetros de la consulta
+ * @returns {string} Expresión SQL
+ */
+const compileOperator = (field, operator, operand, condition, params) => {
+  if (COMPARISONS[operator]) {
+    const sqlOperator = COMPARISONS[operator];
+    if (typeof operand === 'number') {
+      return `(data->>${field})::numeric ${sqlOperator} ${bind(params, operand)}`;
+    }
+    const text = operand instanceof Date ? operand.toISOString() : String(operand);
+    return `data->>${field} ${sqlOperator} ${bind(params, text)}`;
+  }
+
+  switch (operator) {
+    case '$eq':
+      return `data->${field} = ${bind(params, toJson(operand))}::jsonb`;
+    case '$ne':
+      return `data->${field} IS DISTINCT FROM ${bind(params, toJson(operand))}::jsonb`;
+    case '$in':
+      return `data->${field} = ANY(${bind(params, operand.map(toJson))}::jsonb[])`;
+    case '$nin':
+      return `NOT COALESCE(data->${field} = ANY(${bind(params, operand.map(toJson))}::jsonb[]), false)`;
+    case '$regex': {
+      const source = operand instanceof RegExp ? operand.source : operand;
+      const flags = operand instanceof RegExp ? operand.flags : (condition.$options || '');
+      return `data->>${field} ${flags.includes('i') ? '~*' : '~'} ${bind(params, source)}`;
+    }
+    default:
+      throw new Error(`Unsupported query operator: ${operator}`);
+  }
+};
+
+/**
+ * Traduce un filtro (subconjunto de la sintaxis de MongoDB) a una condición SQL
+ * @param {Object} filter - Filtro de consulta
+ * @param {Array} params - Parámetros de la consulta
+ * @returns {string} Condición SQL
+ */
+const compileFilter = (filter = {}, params) => {
+  const clauses = Object.entries(filter).map(([key, condition]) => {
+    if (key === '$or' || key === '$and') {
+      if (condition.length === 0) {
+        return key === '$or' ? 'FALSE' : 'TRUE';
+      }
+      return `(${condition.map(sub => `(${compileFilter(sub, params)})`).join(key === '$or' ? ' OR ' : ' AND ')})`;
+    }
+
+    const field = `${bind(params, key)}::text`;
+
+    if (condition instanceof RegExp) {
+      return compileOperator(field, '$regex', condition, {}, params);
+    }
+
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition)
+        .filter(([operator]) => operator !== '$options')
+        .map(([operator, operand]) => compileOperator(field, operator, operand, condition, params))
+        .join(' AND ');
+    }
+
+    return compileOperator(field, '$eq', condition, {}, params);
+  });
+
+  return clauses.length > 0 ? clauses.join(' AND ') : 'TRUE';
+};
+
+/**
+ * Almacén en PostgreSQL que implementa la interfaz Store
+ * @class PostgresStore
+ */
+class PostgresStore {
+  /**
+   * Crea un almacén sobre una tabla de PostgreSQL
+   * @constructor
+   * @param {import('pg').Pool} pool - Pool de conexiones
+   * @param {Object} options - Opciones del almacén
+   * @param {string} options.table - Nombre de la tabla (definido en el modelo, no por el usuario)
+   * @param {string[]} [options.unique=[]] - Campos con restricción de unicidad
+   * @param {string[]} [options.dates=[]] - Campos que se devuelven como Date
+   */
+  constructor(pool, { table, unique = [], dates = [] }) {
+    this.pool = pool;
+    this.table = table;
+    this.unique = unique;
+    this.dates = dates;
+  }
+
+  /**
+   * Crea la tabla y los índices de unicidad si no existen
+   * @async
+   * @returns {Promise<void>}
+   */
+  async init() {
+    await this.pool.query(`CREATE TABLE IF NOT EXISTS "${this.table}" (id TEXT PRIMARY KEY, data JSONB NOT NULL)`);
+
+    for (const field of this.unique) {
+      await this.pool.query(
+        `CREATE UNIQUE INDEX IF NOT EXISTS "${this.indexName(field)}" ON "${this.table}" ((data->>'${field}'))`
+      );
+    }
+  }
+
+  /**
+   * Inserta un documento asignándole un ID si no lo tiene
+   * @async
+   * @param {Object} doc - Documento a insertar
+   * @returns {Promise<Object>} Documento insertado
+   * @throws {Error} Error 11000 si se viola una restricción de unicidad
+   */
+  async insert(doc) {
+    const { id = crypto.randomUUID(), ...data } = doc;
+    const { rows } = await this.query(
+      `INSERT INTO "${this.table}" (id, data) VALUES ($1, $2) RETURNING id, data`,
+      [id, JSON.stringify(data)]
+    );
+    return this.toDocument(rows[0]);
+  }
+
+  /**
+   * Busca un documento por su ID
+   * @async
+   * @param {string} id - ID del documento
+   * @returns {Promise<Object|null>} Documento o null
+   */
+  async findById(id) {
+    const { rows } = await this.query(`SELECT id, data FROM "${this.table}" WHERE id = $1`, [id]);
+    return this.toDocument(rows[0]);
+  }
+
+  /**
+   * Busca el primer documento que cumpla el filtro
+   * @async
+   * @param {Object} filter - Filtro de consulta
+   * @returns {Promise<Object|null>} Documento o null
+   */
+  async findOne(filter) {
+    const [doc] = await this.find(filter, { limit: 1 });
+    return doc || null;
+  }
+
+  /**
+   * Busca documentos con orden y paginación
+   * @async
+   * @param {Object} [filter={}] - Filtro de consulta
+   * @param {Object} [options] - Opciones de consulta
+   * @param {Object} [options.sort] - Orden `{ campo: 1 | -1 }`
+   * @param {number} [options.skip=0] - Documentos a omitir
+   * @param {number} [options.limit] - Máximo de documentos
+   * @returns {Promise<Object[]>} Documentos encontrados
+   */
+  async find(filter = {}, { sort, skip = 0, limit } = {}) {
+    const params = [];
+    let sql = `SELECT id, data FROM "${this.table}" WHERE ${compileFilter(filter, params)}`;
+
+    if (sort && Object.keys(sort).length > 0) {
+      const order = Object.entries(sort)
+        .map(([field, direction]) => `data->${bind(params, field)}::text ${direction < 0 ? 'DESC' : 'ASC'}`);
+      sql += ` ORDER BY ${order.join(', ')}`;
+    }
+
+    if (limit !== undefined) {
+      sql += ` LIMIT ${bind(params, limit)}`;
+    }
+
+    sql += ` OFFSET ${bind(params, skip)}`;
+
+    const { rows } = await this.query(sql, params);
+    return rows.map(row => this.toDocument(row));
+  }
+
+  /**
+   * Cuenta los documentos que cumplen el filtro
+   * @async
+   * @param {Object} [filter={}] - Filtro de consulta
+   * @returns {Promise<number>} Número de documentos
+   */
+  async count(filter = {}) {
+    const params = [];
+    const { rows } = await this.query(
+      `SELECT COUNT(*)::int AS total FROM "${this.table}" WHERE ${compileFilter(filter, params)}`,
+      params
+    );
+    return rows[0].total;
+  }
+
+  /**
+   * Actualiza los campos de un documento
+   * @async
+   * @param {string} id - ID del documento
+   * @param {Object} changes - Campos a modificar
+   * @param {Object} [condition] - Filtro que debe cumplir el documento para actualizarse
+   * @returns {Promise<Object|null>} Documento actualizado o null si no existe o no cumple la condición
+   * @throws {Error} Error 11000 si se viola una restricción de unicidad
+   */
+  async updateById(id, changes, condition = {}) {
+    const { id: ignored, ...rest } = changes;
+    const params = [id, JSON.stringify(rest)];
+    // La condición se evalúa sobre la fila bloqueada, así que dos escrituras concurrentes no la cumplen ambas
+    const { rows } = await this.query(
+      `UPDATE "${this.table}" SET data = data || $2::jsonb WHERE id = $1 AND ${compileFilter(condition, params)} RETURNING id, data`,
+      params
+    );
+    return this.toDocument(rows[0]);
+  }
+
+  /**
+   * Elimina un documento
+   * @async
+   * @param {string} id - ID del documento
+   * @returns {Promise<boolean>} Si el documento existía
+   */
+  async deleteById(id) {
+    const { rowCount } = await this.query(`DELETE FROM "${this.table}" WHERE id = $1`, [id]);
+    return rowCount > 0;
+  }
+
+  /**
+   * Elimina todos los documentos
+   * @async
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.query(`DELETE FROM "${this.table}"`);
+  }
+
+  /**
+   * Ejecuta una consulta traduciendo las violaciones de unicidad al error 11000
+   * @private
+   * @param {string} sql - Consulta
+   * @param {Array} [params=[]] - Parámetros
+   * @returns {Promise<import('pg').QueryResult>} Resultado
+   */
+  async query(sql, params = []) {
+    try {
+      return await this.pool.query(sql, params);
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        // detail: Key ((data ->> 'email'::text))=(a@example.com) already exists.
+        const field = this.unique.find(name => error.constraint === this.indexName(name)) || 'id';
+        const match = /=\((.*)\) already exists/.exec(error.detail || '');
+        throw duplicateKeyError(field, match ? match[1] : params[0]);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Nombre del índice de unicidad de un campo
+   * @private
+   * @param {string} field - Campo
+   * @returns {string} Nombre del índice
+   */
+  indexName(field) {
+    return `${this.table}_${field}_key`;
+  }
+
+  /**
+   * Convierte una fila en un documento con `id` y las fechas como Date
+   * @private
+   * @param {Object} [row] - Fila `{ id, data }`
+   * @returns {Object|null} Documento o null
+   */
+  toDocument(row) {
+    if (!row) {
+      return null;
+    }
+
+    const doc = { id: row.id, ...row.data };
+    this.dates
+      .filter(field => typeof doc[field] === 'string')
+      .forEach((field) => {
+        doc[field] = new Date(doc[field]);
+      });
+
+    return doc;
+  }
+}
+
+module.exports = PostgresStore;
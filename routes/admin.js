@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const { validate, unlockValidationRules } = require('../middleware/validation');
+const {
+  getConfig,
+  listFlags,
+  listLockouts,
+  unlockLogin
+} = require('../controllers/adminController');
+
+/**
+ * @swagger
+ * /api/admin/config:
+ *   get:
+ *     summary: Configuración actual de la aplicación
+ *     description: Vista de solo lectura con los secretos y credenciales ocultos. Indica qué claves se pueden recargar en caliente (SIGHUP o cambio de archivo)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Configuración enmascarada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     loadedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     reloadableKeys:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     values:
+ *                       type: object
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Solo administradores
+ */
+router.get('/config', getConfig);
+
+/**
+ * @swagger
+ * /api/admin/flags:
+ *   get:
+ *     summary: Estado de los feature flags
+ *     description: Lista cada flag (`FEATURE_FLAG_*` o `featureFlags` del archivo de configuración) con su segmentación y si está activo para el administrador que consulta
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de flags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: "new-checkout"
+ *                       enabled:
+ *                         type: boolean
+ *                       percentage:
+ *                         type: number
+ *                         example: 25
+ *                       roles:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       users:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       activeForYou:
+ *                         type: boolean
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Solo administradores
+ */
+router.get('/flags', listFlags);
+
+/**
+ * @swagger
+ * /api/admin/lockouts:
+ *   get:
+ *     summary: Bloqueos de login activos
+ *     description: Cuentas e IPs bloqueadas temporalmente por intentos de login fallidos
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de bloqueos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [account, ip]
+ *                       subject:
+ *                         type: string
+ *                         example: "juan@example.com"
+ *                       failures:
+ *                         type: integer
+ *                         example: 5
+ *                       lockedUntil:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Solo administradores
+ */
+router.get('/lockouts', listLockouts);
+
+/**
+ * @swagger
+ * /api/admin/lockouts/unlock:
+ *   post:
+ *     summary: Desbloquea una cuenta o una IP
+ *     description: Reinicia los contadores de fallos y registra el desbloqueo en la auditoría
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "juan@example.com"
+ *               ip:
+ *                 type: string
+ *                 example: "203.0.113.7"
+ *     responses:
+ *       200:
+ *         description: Indica si la cuenta o la IP estaban bloqueadas
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Solo administradores
+ *       422:
+ *         description: Falta email o ip
+ */
+router.post('/lockouts/unlock', validate(unlockValidationRules()), unlockLogin);
+
+module.exports = router;
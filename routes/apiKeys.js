@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const { validate, apiKeyValidationRules } = require('../middleware/validation');
+const {
+  listApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           description: Propietario; la clave actúa en su nombre
+ *         name:
+ *           type: string
+ *           example: "Exportación nocturna"
+ *         prefix:
+ *           type: string
+ *           description: Inicio de la clave para reconocerla; el valor completo no se guarda
+ *           example: "ak_3kZ9qT1x"
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["orders:read"]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         rotatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     IssuedApiKey:
+ *       type: object
+ *       properties:
+ *         apiKey:
+ *           $ref: '#/components/schemas/ApiKey'
+ *         key:
+ *           type: string
+ *           description: Valor en claro para la cabecera `X-API-Key`. Solo se devuelve en esta respuesta
+ *           example: "ak_3kZ9qT1xQm0bV7yH2cW8nR5sL4pD6fG1jK9aE3uY0iO"
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: Lista tus claves de API
+ *     description: Incluye las revocadas y caducadas; nunca el valor de la clave
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Claves del usuario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Acceso no autorizado
+ */
+router.get('/', listApiKeys);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Emite una clave de API
+ *     description: Para integraciones y tareas programadas. La clave actúa en tu nombre solo con los permisos de `scopes`, que deben estar entre los de tu cuenta. Guarda `key` en cuanto la recibas; no se puede volver a consultar. Si `API_KEY_MAX_LIFETIME` está configurado, limita la caducidad y se aplica a las claves que no la indican
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Exportación nocturna"
+ *               scopes:
+ *                 type: array
+ *                 minItems: 1
+ *                 uniqueItems: true
+ *                 items:
+ *                   type: string
+ *                   enum: [profile:read, profile:update, orders:read, users:read, users:update, users:delete, users:manage-roles, payments:create, api-keys:manage, admin:access]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Clave emitida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/IssuedApiKey'
+ *       401:
+ *         description: Acceso no autorizado
+ *       409:
+ *         description: Ya tienes el máximo de claves activas (`API_KEY_LIMIT_REACHED`, ver `API_KEY_MAX_PER_USER`)
+ *       422:
+ *         description: Datos inválidos, permisos que tu cuenta no tiene o caducidad por encima de la vigencia máxima
+ */
+router.post('/', validate(apiKeyValidationRules()), createApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rota una clave de API
+ *     description: Genera un valor nuevo con el mismo nombre, permisos y caducidad; el anterior deja de funcionar en el acto. Para rotar sin cortes, emite una clave nueva, despliégala y revoca la anterior. Solo el propietario o un administrador
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Clave rotada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/IssuedApiKey'
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: La clave es de otro usuario
+ *       404:
+ *         description: Clave no encontrada
+ *       409:
+ *         description: La clave está revocada o ha caducado (`API_KEY_INACTIVE`)
+ */
+router.post('/:id/rotate', rotateApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoca una clave de API
+ *     description: La clave deja de funcionar en el acto y sigue apareciendo en el listado con `revokedAt`. Solo el propietario o un administrador
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Clave revocada
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: La clave es de otro usuario
+ *       404:
+ *         description: Clave no encontrada
+ */
+router.delete('/:id', revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,323 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rateLimiter');
+const {
+  validate,
+  userValidationRules,
+  loginValidationRules,
+  emailTokenValidationRules,
+  forgotPasswordValidationRules,
+  resetPasswordValidationRules
+} = require('../middleware/validation');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/authController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         accessToken:
+ *           type: string
+ *         refreshToken:
+ *           type: string
+ *         tokenType:
+ *           type: string
+ *           example: "Bearer"
+ *         expiresIn:
+ *           type: integer
+ *           example: 900
+ */
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: Registra un nuevo usuario
+ *     description: Crea la cuenta, devuelve un token de acceso y uno de refresco y envía un correo para verificar el email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - password
+ *             properties:
+ *               name:
+ *                 $ref: '#/components/schemas/PersonName'
+ *               email:
+ *                 $ref: '#/components/schemas/Email'
+ *               password:
+ *                 $ref: '#/components/schemas/Password'
+ *     responses:
+ *       201:
+ *         description: Usuario registrado
+ *       409:
+ *         description: El email ya está registrado
+ *       422:
+ *         description: Datos de entrada inválidos
+ *       429:
+ *         description: Demasiados intentos (política `auth`)
+ */
+router.post('/register', rateLimiter('auth', 'register'), validate(userValidationRules()), register);
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Inicia sesión
+ *     description: Autentica al usuario y devuelve un token de acceso y uno de refresco
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 $ref: '#/components/schemas/Email'
+ *               password:
+ *                 type: string
+ *                 minLength: 1
+ *                 example: "SecurePassword123"
+ *     responses:
+ *       200:
+ *         description: Sesión iniciada
+ *       401:
+ *         description: Credenciales inválidas
+ *       422:
+ *         description: Datos de entrada inválidos
+ *       429:
+ *         description: Demasiados intentos (política `auth`), reintento demasiado pronto tras varios fallos (`LOGIN_THROTTLED`) o cuenta/IP bloqueada temporalmente (`ACCOUNT_LOCKED`, `IP_BLOCKED`)
+ */
+router.post('/login', rateLimiter('auth', 'login'), validate(loginValidationRules()), login);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Rota el token de refresco
+ *     description: Invalida el token de refresco recibido y emite un nuevo par de tokens
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: JWT emitido por login, registro o refresh
+ *                 pattern: '^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$'
+ *     responses:
+ *       200:
+ *         description: Tokens renovados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthTokens'
+ *       401:
+ *         description: Token de refresco inválido, revocado o reutilizado
+ */
+router.post('/refresh', refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Cierra la sesión
+ *     description: Revoca el token de acceso y la sesión del token de refresco indicado, o todas las sesiones si no se envía
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: JWT emitido por login, registro o refresh
+ *                 pattern: '^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$'
+ *     responses:
+ *       204:
+ *         description: Sesión cerrada
+ *       401:
+ *         description: Acceso no autorizado
+ */
+router.post('/logout', authenticateToken, logout);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verifica el email
+ *     description: Consume el token enviado por correo tras el registro; cada token sirve una sola vez
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       200:
+ *         description: Email verificado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Token inválido, caducado o ya usado (`VERIFICATION_TOKEN_INVALID`)
+ *       422:
+ *         description: Datos de entrada inválidos
+ *       429:
+ *         description: Demasiados intentos (política `auth`)
+ */
+router.post('/verify-email', rateLimiter('auth', 'verify-email'), validate(emailTokenValidationRules()), verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Reenvía el correo de verificación
+ *     description: Emite un token nuevo e invalida el anterior
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Correo encolado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Acceso no autorizado
+ *       409:
+ *         description: El email ya está verificado (`EMAIL_ALREADY_VERIFIED`)
+ *       429:
+ *         description: Demasiados intentos (política `auth`)
+ */
+router.post('/verify-email/resend', authenticateToken, rateLimiter('auth', 'verify-email-resend'), resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Solicita restablecer la contraseña
+ *     description: Si el email está registrado, envía un enlace de un solo uso; la respuesta es la misma en ambos casos
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 $ref: '#/components/schemas/Email'
+ *     responses:
+ *       202:
+ *         description: Solicitud aceptada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *       422:
+ *         description: Datos de entrada inválidos
+ *       429:
+ *         description: Demasiados intentos (política `auth`)
+ */
+router.post('/forgot-password', rateLimiter('auth', 'forgot-password'), validate(forgotPasswordValidationRules()), forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Restablece la contraseña
+ *     description: Consume el token enviado por correo, cambia la contraseña, cierra todas las sesiones y levanta el bloqueo de login de la cuenta
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 minLength: 1
+ *               password:
+ *                 $ref: '#/components/schemas/Password'
+ *     responses:
+ *       204:
+ *         description: Contraseña cambiada
+ *       400:
+ *         description: Token inválido, caducado o ya usado (`RESET_TOKEN_INVALID`)
+ *       422:
+ *         description: Datos de entrada inválidos
+ *       429:
+ *         description: Demasiados intentos (política `auth`)
+ */
+router.post('/reset-password', rateLimiter('auth', 'reset-password'), validate(resetPasswordValidationRules()), resetPassword);
+
+module.exports = router;
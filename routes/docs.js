@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-express');
+const { getSpec } = require('../utils/openapi');
+
+/**
+ * Documento OpenAPI 3 generado a partir de las anotaciones `@swagger`
+ */
+router.get('/openapi.json', (req, res) => {
+  res.status(200).json(getSpec());
+});
+
+/**
+ * Interfaz de Swagger UI que carga el documento anterior
+ */
+router.use('/', swaggerUi.serve, swaggerUi.setup(null, {
+  swaggerOptions: { url: 'openapi.json' }
+}));
+
+module.exports = router;
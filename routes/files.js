@@ -0,0 +1,76 @@
+const path = require('path');
+const express = require('express');
+const router = express.Router();
+const storageService = require('../services/storageService');
+const { LocalFileStorage, isValidKey } = require('../utils/fileStorage');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { NotFoundError, ForbiddenError } = require('../utils/errorHandler');
+
+/**
+ * @swagger
+ * /files/{prefix}/{name}:
+ *   get:
+ *     summary: Descarga un fichero con una URL firmada
+ *     description: Solo con el driver local; las URLs las generan los endpoints de avatares e imágenes y caducan según `SIGNED_URL_EXPIRES_IN`
+ *     tags: [Files]
+ *     parameters:
+ *       - in: path
+ *         name: prefix
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contenido del fichero
+ *       403:
+ *         description: Firma inválida o URL caducada (`SIGNED_URL_INVALID`)
+ *       404:
+ *         description: El fichero no existe
+ */
+router.get('/:prefix/:name', asyncHandler(async (req, res) => {
+  const key = `${req.params.prefix}/${req.params.name}`;
+  const storage = storageService.getDriver();
+
+  // Con otros drivers las URLs firmadas apuntan directamente al proveedor
+  if (!(storage instanceof LocalFileStorage) || !isValidKey(key)) {
+    throw new NotFoundError('File not found');
+  }
+
+  const { expires, signature } = req.query;
+  if (!storage.verify(key, expires, signature)) {
+    throw new ForbiddenError('Invalid or expired file URL', 'SIGNED_URL_INVALID');
+  }
+
+  const file = await storage.open(key);
+  if (!file) {
+    throw new NotFoundError('File not found');
+  }
+
+  res.set({
+    'Content-Length': String(file.size),
+    'Cache-Control': `private, max-age=${Math.max(0, Number(expires) - Math.floor(Date.now() / 1000))}`,
+    // Las imágenes se muestran desde el cliente, que puede estar en otro origen
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.type(path.extname(key));
+
+  file.stream.on('error', error => res.destroy(error));
+  file.stream.pipe(res);
+}));
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const healthService = require('../services/healthService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Estado general del servicio
+ *     description: Devuelve el estado de liveness con el uptime del proceso. La ruta base es configurable con HEALTH_CHECK_PATH
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Proceso vivo
+ */
+router.get('/', (req, res) => {
+  res.status(200).json(healthService.getLiveness());
+});
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Sonda de liveness
+ *     description: Indica que el proceso está vivo; no comprueba dependencias
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Proceso vivo
+ */
+router.get('/live', (req, res) => {
+  res.status(200).json(healthService.getLiveness());
+});
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Sonda de readiness
+ *     description: Comprueba configuración, base de datos y Redis con un tiempo máximo por comprobación e informa de la latencia de cada una
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: El servicio puede recibir tráfico
+ *       503:
+ *         description: Alguna dependencia crítica no está disponible o el servicio se está apagando
+ */
+router.get('/ready', asyncHandler(async (req, res) => {
+  const readiness = await healthService.getReadiness();
+  res.status(readiness.ready ? 200 : 503).json(readiness);
+}));
+
+module.exports = router;
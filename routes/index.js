@@ -1,8 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
-const { handleValidationErrors } = require('../middleware/validation');
+const {
+  authenticate,
+  authorize,
+  requirePermission,
+  requireScope,
+  restrictInProduction
+} = require('../middleware/auth');
+const { ROLES, PERMISSIONS } = require('../config/roles');
+const {
+  healthCheck,
+  systemInfo,
+  simulateError,
+  welcome,
+  protectedResource
+} = require('../controllers/mainController');
+const authRoutes = require('./auth');
+const userRoutes = require('./users');
+const productRoutes = require('./products');
+const adminRoutes = require('./admin');
+const paymentRoutes = require('./payments');
+const orderRoutes = require('./orders');
+const apiKeyRoutes = require('./apiKeys');
 
 /**
  * @swagger
@@ -21,115 +40,105 @@ const { handleValidationErrors } = require('../middleware/validation');
  *               properties:
  *                 status:
  *                   type: string
- *                   example: "OK"
+ *                   example: "success"
  *                 message:
  *                   type: string
  *                   example: "Service is running"
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                 version:
+ *                   type: string
+ *                   example: "1.0.0"
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/api', (req, res) => {
-  try {
-    res.status(200).json({
-      status: 'OK',
-      message: 'Service is running'
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
-  }
-});
 
 /**
  * @swagger
- * /api/users:
- *   post:
- *     summary: Crea un nuevo usuario
- *     description: Permite crear un nuevo usuario con validación de datos
- *     tags: [Users]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - password
- *             properties:
- *               name:
- *                 type: string
- *                 example: "Juan Pérez"
- *               email:
- *                 type: string
- *                 example: "juan@example.com"
- *               password:
- *                 type: string
- *                 example: "securePassword123"
+ * /api/welcome:
+ *   get:
+ *     summary: Mensaje de bienvenida de la API
+ *     description: Devuelve el entorno actual y la ruta de la documentación
+ *     tags: [General]
  *     responses:
- *       201:
- *         description: Usuario creado exitosamente
+ *       200:
+ *         description: Mensaje de bienvenida
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 id:
- *                   type: string
- *                   example: "12345"
- *                 name:
- *                   type: string
- *                   example: "Juan Pérez"
- *                 email:
+ *                 status:
  *                   type: string
- *                   example: "juan@example.com"
- *       400:
- *         description: Datos de entrada inválidos
+ *                   example: "success"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     message:
+ *                       type: string
+ *                       example: "Welcome to the API"
+ *                     environment:
+ *                       type: string
+ *                       example: "development"
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *                     documentation:
+ *                       type: string
+ *                       example: "/docs"
  *       500:
  *         description: Error interno del servidor
  */
-router.post('/api/users',
-  [
-    body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
-    body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
-    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
-  ],
-  handleValidationErrors,
-  async (req, res) => {
-    try {
-      const { name, email, password } = req.body;
-      
-      // Simulación de creación de usuario en base de datos
-      // En producción se usaría un modelo real
-      const newUser = {
-        id: Math.random().toString(36).substr(2, 9),
-        name,
-        email,
-        createdAt: new Date()
-      };
 
-      res.status(201).json(newUser);
-    } catch (error) {
-      res.status(500).json({
-        error: 'Failed to create user',
-        message: error.message
-      });
-    }
-  }
-);
+/**
+ * @swagger
+ * /api/system:
+ *   get:
+ *     summary: Información del sistema
+ *     description: Devuelve entorno, versión de Node, uptime y uso de memoria. En producción solo está disponible para administradores
+ *     tags: [System]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Información del sistema
+ *       401:
+ *         description: Acceso no autorizado (solo en producción)
+ *       403:
+ *         description: Solo administradores (solo en producción)
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+/**
+ * @swagger
+ * /api/debug/error:
+ *   get:
+ *     summary: Simula un error del servidor
+ *     description: Provoca un error 500 controlado para probar el manejo de errores. En producción solo está disponible para administradores
+ *     tags: [System]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       401:
+ *         description: Acceso no autorizado (solo en producción)
+ *       403:
+ *         description: Solo administradores (solo en producción)
+ *       500:
+ *         description: Error simulado
+ */
 
 /**
  * @swagger
  * /api/protected:
  *   get:
  *     summary: Endpoint protegido que requiere autenticación
- *     description: Acceso restringido a usuarios autenticados
+ *     description: Acceso restringido a usuarios autenticados con un token de acceso o una clave de API
  *     tags: [Protected]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: Acceso permitido
@@ -141,23 +150,55 @@ router.post('/api/users',
  *                 message:
  *                   type: string
  *                   example: "Access granted"
+ *                 user:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     email:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *                       example: "user"
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
  *       401:
  *         description: Acceso no autorizado
  *       500:
  *         description: Error interno del servidor
  */
-router.get('/api/protected', authenticateToken, (req, res) => {
-  try {
-    res.status(200).json({
-      message: 'Access granted',
-      user: req.user
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
+
+/**
+ * Tabla declarativa de rutas de la API
+ * @description Cada entrada registra un handler de controlador (`method` + `handler`)
+ * o monta un router de recurso (`router`). Las rutas son relativas a `/api`.
+ * @type {Array<{path: string, method?: string, middleware?: Function[], handler?: Function, router?: express.Router}>}
+ */
+const routeTable = [
+  { method: 'get', path: '/', handler: healthCheck },
+  { method: 'get', path: '/welcome', handler: welcome },
+  { method: 'get', path: '/system', middleware: [restrictInProduction(ROLES.ADMIN)], handler: systemInfo },
+  { method: 'get', path: '/debug/error', middleware: [restrictInProduction(ROLES.ADMIN)], handler: simulateError },
+  { method: 'get', path: '/protected', middleware: [authenticate], handler: protectedResource },
+  { path: '/auth', router: authRoutes },
+  { path: '/users', router: userRoutes },
+  { path: '/products', router: productRoutes },
+  { path: '/payments', router: paymentRoutes },
+  { path: '/orders', middleware: [authenticate, requirePermission(PERMISSIONS.ORDERS_READ)], router: orderRoutes },
+  { path: '/api-keys', middleware: [authenticate, requireScope(PERMISSIONS.API_KEYS_MANAGE)], router: apiKeyRoutes },
+  { path: '/admin', middleware: [authenticate, requireScope(PERMISSIONS.ADMIN_ACCESS), authorize(ROLES.ADMIN)], router: adminRoutes }
+];
+
+routeTable.forEach(({ method, path, middleware = [], handler, router: subRouter }) => {
+  if (subRouter) {
+    router.use(path, ...middleware, subRouter);
+    return;
   }
+
+  router[method](path, ...middleware, handler);
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.routeTable = routeTable;
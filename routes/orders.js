@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const { validate, paginationValidationRules } = require('../middleware/validation');
+const { listOrders, getOrder } = require('../controllers/paymentController');
+
+/**
+ * @swagger
+ * /api/orders:
+ *   get:
+ *     summary: Lista los pedidos del usuario autenticado
+ *     description: Del más reciente al más antiguo. Con clave de API requiere el permiso `orders:read`
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Pedidos del usuario
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: La clave de API no tiene el permiso `orders:read`
+ */
+router.get('/', validate(paginationValidationRules()), listOrders);
+
+/**
+ * @swagger
+ * /api/orders/{id}:
+ *   get:
+ *     summary: Obtiene un pedido con sus pagos
+ *     description: Solo el comprador o un administrador. Con clave de API requiere el permiso `orders:read`
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pedido encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: El pedido es de otro usuario o la clave de API no tiene el permiso `orders:read`
+ *       404:
+ *         description: Pedido no encontrado
+ */
+router.get('/:id', getOrder);
+
+module.exports = router;
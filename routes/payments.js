@@ -0,0 +1,258 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireScope } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const {
+  listProviders,
+  createCheckout,
+  createPaymentIntent
+} = require('../controllers/paymentController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrderItem:
+ *       type: object
+ *       properties:
+ *         productId:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Silla Barcelona"
+ *         unitAmount:
+ *           type: integer
+ *           description: Precio unitario en la unidad mínima de la moneda
+ *           example: 129999
+ *         quantity:
+ *           type: integer
+ *           example: 2
+ *     Order:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderItem'
+ *         amount:
+ *           type: integer
+ *           description: Total en la unidad mínima de la moneda
+ *           example: 259998
+ *         currency:
+ *           type: string
+ *           example: "usd"
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, refunded]
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         payments:
+ *           type: array
+ *           description: Solo en el detalle del pedido
+ *           items:
+ *             $ref: '#/components/schemas/Payment'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         orderId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           enum: [stripe, paypal]
+ *         method:
+ *           type: string
+ *           enum: [checkout, intent]
+ *         reference:
+ *           type: string
+ *           nullable: true
+ *           description: Objeto creado en el proveedor (sesión de Checkout, PaymentIntent u orden de PayPal)
+ *         transactionId:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, succeeded, failed, canceled, refunded]
+ *         amount:
+ *           type: integer
+ *         currency:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     PaymentInput:
+ *       type: object
+ *       required:
+ *         - provider
+ *         - items
+ *       properties:
+ *         provider:
+ *           type: string
+ *           enum: [stripe, paypal]
+ *         items:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 50
+ *           items:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 1
+ */
+
+/**
+ * @swagger
+ * /api/payments/providers:
+ *   get:
+ *     summary: Proveedores de pago disponibles
+ *     description: Moneda de cobro y, por cada proveedor configurado, lo que necesita el cliente (clave pública de Stripe, client ID de PayPal)
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Proveedores configurados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currency:
+ *                       type: string
+ *                       example: "usd"
+ *                     providers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             enum: [stripe, paypal]
+ *                           publishableKey:
+ *                             type: string
+ *                           clientId:
+ *                             type: string
+ *                           mode:
+ *                             type: string
+ *                             enum: [sandbox, live]
+ */
+router.get('/providers', listProviders);
+
+/**
+ * @swagger
+ * /api/payments/checkout:
+ *   post:
+ *     summary: Crea un pedido y una página de pago del proveedor
+ *     description: Los precios se toman del catálogo. Redirige al comprador a `url`; al terminar vuelve a `APP_URL/checkout/success` o `APP_URL/checkout/cancel` con `?order=<id>`. El pedido pasa a `paid` cuando llega el webhook del proveedor
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentInput'
+ *     responses:
+ *       201:
+ *         description: Pedido y pago creados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     order:
+ *                       $ref: '#/components/schemas/Order'
+ *                     payment:
+ *                       $ref: '#/components/schemas/Payment'
+ *                     url:
+ *                       type: string
+ *                       format: uri
+ *       401:
+ *         description: Acceso no autorizado
+ *       422:
+ *         description: Datos inválidos, producto inexistente o proveedor no configurado
+ *       502:
+ *         description: El proveedor ha rechazado o no ha respondido la solicitud (`PAYMENT_PROVIDER_ERROR`)
+ */
+router.post('/checkout', authenticate, requireScope(PERMISSIONS.PAYMENTS_CREATE), createCheckout);
+
+/**
+ * @swagger
+ * /api/payments/intents:
+ *   post:
+ *     summary: Crea un pedido y un cobro para completarlo en el cliente
+ *     description: Con Stripe devuelve el `clientSecret` del PaymentIntent para Stripe Elements; con PayPal, `payment.reference` es el ID de la orden para el SDK de JavaScript y `clientSecret` es null
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentInput'
+ *     responses:
+ *       201:
+ *         description: Pedido y pago creados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     order:
+ *                       $ref: '#/components/schemas/Order'
+ *                     payment:
+ *                       $ref: '#/components/schemas/Payment'
+ *                     clientSecret:
+ *                       type: string
+ *                       nullable: true
+ *       401:
+ *         description: Acceso no autorizado
+ *       422:
+ *         description: Datos inválidos, producto inexistente o proveedor no configurado
+ *       502:
+ *         description: El proveedor ha rechazado o no ha respondido la solicitud (`PAYMENT_PROVIDER_ERROR`)
+ */
+router.post('/intents', authenticate, requireScope(PERMISSIONS.PAYMENTS_CREATE), createPaymentIntent);
+
+module.exports = router;
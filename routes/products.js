@@ -0,0 +1,394 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
+const { cache, invalidateOnChange } = require('../middleware/cache');
+const { upload } = require('../middleware/upload');
+const config = require('../config/config');
+const { validate, productQueryValidationRules } = require('../middleware/validation');
+const {
+  createProduct,
+  listProducts,
+  getProduct,
+  updateProduct,
+  deleteProduct,
+  addProductImage,
+  getProductImage,
+  deleteProductImage
+} = require('../controllers/productController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Product:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "7a9d3c1e-2b4f-4e6a-8c0d-1f2e3a4b5c6d"
+ *         name:
+ *           type: string
+ *           example: "Silla Barcelona"
+ *         price:
+ *           type: number
+ *           example: 1299.99
+ *         description:
+ *           type: string
+ *           example: "Silla de cuero y acero inoxidable"
+ *         category:
+ *           type: string
+ *           example: "furniture"
+ *         createdBy:
+ *           type: string
+ *         images:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProductImage'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     ProductImage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "5c2e8f1a-7d3b-4a9c-b6e0-4f1d2a3b9c8e"
+ *         key:
+ *           type: string
+ *           example: "products/9e4d1b7c-2a6f-4c3e-8b5d-0f1a2b3c4d5e.jpg"
+ *         contentType:
+ *           type: string
+ *           example: "image/jpeg"
+ *         size:
+ *           type: integer
+ *           example: 184320
+ *         uploadedAt:
+ *           type: string
+ *           format: date-time
+ *     ProductInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - price
+ *         - category
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 3
+ *           maxLength: 100
+ *         price:
+ *           type: number
+ *           minimum: 0
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *         category:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 50
+ */
+
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     summary: Lista el catálogo de productos
+ *     description: Devuelve productos paginados con orden, filtros por categoría y rango de precio y búsqueda de texto en nombre y descripción
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: sort
+ *         description: Campo de orden; prefijo `-` para orden descendente
+ *         schema:
+ *           type: string
+ *           example: "-price"
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: q
+ *         description: Texto a buscar en nombre y descripción
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lista de productos
+ *       422:
+ *         description: Parámetros de búsqueda inválidos
+ */
+router.get('/', validate(productQueryValidationRules()), cache(), listProducts);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   get:
+ *     summary: Obtiene un producto por su ID
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Producto encontrado
+ *       404:
+ *         description: Producto no encontrado
+ */
+router.get('/:id', cache(), getProduct);
+
+/**
+ * @swagger
+ * /api/products:
+ *   post:
+ *     summary: Crea un producto
+ *     description: Solo administradores
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductInput'
+ *     responses:
+ *       201:
+ *         description: Producto creado
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Solo administradores
+ *       422:
+ *         description: Datos de entrada inválidos
+ */
+router.post('/',
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  invalidateOnChange(req => req.baseUrl),
+  createProduct
+);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   put:
+ *     summary: Actualiza un producto
+ *     description: Solo administradores
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductInput'
+ *     responses:
+ *       200:
+ *         description: Producto actualizado
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Solo administradores
+ *       404:
+ *         description: Producto no encontrado
+ *       422:
+ *         description: Datos de entrada inválidos
+ */
+router.put('/:id',
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  invalidateOnChange(req => req.baseUrl),
+  updateProduct
+);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   delete:
+ *     summary: Elimina un producto
+ *     description: Solo administradores
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Producto eliminado
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Solo administradores
+ *       404:
+ *         description: Producto no encontrado
+ */
+router.delete('/:id',
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  invalidateOnChange(req => req.baseUrl),
+  deleteProduct
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/images:
+ *   post:
+ *     summary: Añade una imagen a un producto
+ *     description: Solo administradores. Imagen JPEG, PNG, GIF o WebP de hasta `PRODUCT_IMAGE_MAX_SIZE`; cada producto admite 10 como máximo
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Imagen añadida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ProductImage'
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Solo administradores
+ *       404:
+ *         description: Producto no encontrado
+ *       409:
+ *         description: El producto ya tiene el máximo de imágenes (`PRODUCT_IMAGE_LIMIT`)
+ *       413:
+ *         description: La imagen supera el tamaño máximo (`FILE_TOO_LARGE`)
+ *       415:
+ *         description: Tipo de fichero no admitido (`UNSUPPORTED_FILE_TYPE`)
+ *       422:
+ *         description: Falta el fichero
+ */
+router.post('/:id/images',
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  upload({ field: 'image', prefix: 'products', maxSize: () => config.get('productImageMaxSize') }),
+  invalidateOnChange(req => req.baseUrl),
+  addProductImage
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/images/{imageId}:
+ *   get:
+ *     summary: Descarga una imagen de un producto
+ *     description: Redirige a una URL firmada que caduca según `SIGNED_URL_EXPIRES_IN`
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirección a la URL firmada
+ *       404:
+ *         description: Imagen no encontrada
+ */
+router.get('/:id/images/:imageId', getProductImage);
+
+/**
+ * @swagger
+ * /api/products/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Elimina una imagen de un producto
+ *     description: Solo administradores
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Imagen eliminada
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Solo administradores
+ *       404:
+ *         description: Imagen no encontrada
+ */
+router.delete('/:id/images/:imageId',
+  authenticateToken,
+  authorize(ROLES.ADMIN),
+  invalidateOnChange(req => req.baseUrl),
+  deleteProductImage
+);
+
+module.exports = router;
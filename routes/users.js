@@ -0,0 +1,426 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize, authorizeOwnership, requireScope } = require('../middleware/auth');
+const { ROLES, PERMISSIONS } = require('../config/roles');
+const { rateLimiter } = require('../middleware/rateLimiter');
+const { upload } = require('../middleware/upload');
+const config = require('../config/config');
+const {
+  validate,
+  userValidationRules,
+  userUpdateValidationRules,
+  paginationValidationRules
+} = require('../middleware/validation');
+const {
+  createUser,
+  listUsers,
+  getUser,
+  updateUser,
+  deleteUser,
+  uploadAvatar,
+  getAvatar,
+  deleteAvatar
+} = require('../controllers/userController');
+
+/**
+ * Permiso que necesita una clave de API según el usuario de la ruta sea su propietario u otro
+ * @param {string} own - Permiso sobre el propio perfil
+ * @param {string} other - Permiso sobre los demás usuarios
+ * @returns {function(Object): string} Permiso requerido para la solicitud
+ */
+const ownOr = (own, other) => req => (req.user.id === req.params.id ? own : other);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "3f1c2a9e-8b7d-4c6e-9f0a-1b2c3d4e5f60"
+ *         name:
+ *           type: string
+ *           example: "Juan Pérez"
+ *         email:
+ *           type: string
+ *           example: "juan@example.com"
+ *         role:
+ *           type: string
+ *           example: "user"
+ *         emailVerified:
+ *           type: boolean
+ *           example: false
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         avatar:
+ *           $ref: '#/components/schemas/StoredFile'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     StoredFile:
+ *       type: object
+ *       nullable: true
+ *       description: Fichero subido; se descarga con el endpoint correspondiente, que redirige a una URL firmada
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: "avatars/0b6f4a52-3c1d-4e8f-9a7b-2c5d6e7f8a90.png"
+ *         contentType:
+ *           type: string
+ *           example: "image/png"
+ *         size:
+ *           type: integer
+ *           example: 48213
+ *         uploadedAt:
+ *           type: string
+ *           format: date-time
+ *     Email:
+ *       type: string
+ *       format: email
+ *       example: "juan@example.com"
+ *     Password:
+ *       type: string
+ *       description: Al menos 8 caracteres, con una mayúscula, una minúscula y un número
+ *       minLength: 8
+ *       pattern: '^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)'
+ *       example: "SecurePassword123"
+ *     PersonName:
+ *       type: string
+ *       description: Solo letras (sin acentos) y espacios
+ *       minLength: 2
+ *       maxLength: 50
+ *       pattern: '^[a-zA-Z\s]+$'
+ *       example: "Juan Perez"
+ */
+
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     summary: Crea un nuevo usuario
+ *     description: Permite crear un nuevo usuario con validación de datos y le envía un correo para verificar el email
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - password
+ *             properties:
+ *               name:
+ *                 $ref: '#/components/schemas/PersonName'
+ *               email:
+ *                 $ref: '#/components/schemas/Email'
+ *               password:
+ *                 $ref: '#/components/schemas/Password'
+ *     responses:
+ *       201:
+ *         description: Usuario creado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       409:
+ *         description: El email ya está registrado
+ *       422:
+ *         description: Datos de entrada inválidos
+ *       429:
+ *         description: Demasiados intentos (política `auth`)
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/', rateLimiter('auth', 'create-user'), validate(userValidationRules()), createUser);
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Lista los usuarios
+ *     description: Devuelve los usuarios de forma paginada (solo administradores)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Lista de usuarios
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Solo administradores
+ */
+router.get('/',
+  authenticate,
+  requireScope(PERMISSIONS.USERS_READ),
+  authorize(ROLES.ADMIN),
+  validate(paginationValidationRules()),
+  listUsers
+);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Obtiene un usuario por su ID
+ *     description: Cada usuario solo puede consultar su propio registro, salvo los administradores
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Usuario encontrado
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Sin permiso para consultar este usuario
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.get('/:id',
+  authenticate,
+  requireScope(ownOr(PERMISSIONS.PROFILE_READ, PERMISSIONS.USERS_READ)),
+  authorizeOwnership(),
+  getUser
+);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   put:
+ *     summary: Actualiza un usuario
+ *     description: Actualiza el nombre, el email o la contraseña del propio usuario. Para cambiar la propia contraseña hay que enviar también `currentPassword`; el cambio cierra todas las sesiones del usuario. Un email nuevo queda sin verificar y recibe un enlace de verificación. Los administradores pueden editar cualquier usuario (también su contraseña, sin la actual) y cambiar su rol
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 $ref: '#/components/schemas/PersonName'
+ *               email:
+ *                 $ref: '#/components/schemas/Email'
+ *               password:
+ *                 $ref: '#/components/schemas/Password'
+ *               currentPassword:
+ *                 type: string
+ *                 description: Obligatoria al cambiar la propia contraseña
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin]
+ *     responses:
+ *       200:
+ *         description: Usuario actualizado
+ *       409:
+ *         description: El email ya está registrado
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Sin permiso para editar este usuario o su rol
+ *       404:
+ *         description: Usuario no encontrado
+ *       422:
+ *         description: Datos de entrada inválidos, o falta la contraseña actual o no coincide (`CURRENT_PASSWORD_INVALID`)
+ */
+router.put('/:id',
+  authenticate,
+  requireScope(ownOr(PERMISSIONS.PROFILE_UPDATE, PERMISSIONS.USERS_UPDATE)),
+  authorizeOwnership(),
+  validate(userUpdateValidationRules()),
+  updateUser
+);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Elimina un usuario
+ *     description: Solo administradores
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Usuario eliminado
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Solo administradores
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.delete('/:id', authenticate, requireScope(PERMISSIONS.USERS_DELETE), authorize(ROLES.ADMIN), deleteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/avatar:
+ *   put:
+ *     summary: Sube o sustituye el avatar de un usuario
+ *     description: Imagen JPEG, PNG, GIF o WebP de hasta `AVATAR_MAX_SIZE`. El tipo se comprueba por el contenido, no solo por el `Content-Type` declarado
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - avatar
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Avatar guardado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Sin permiso para editar este usuario
+ *       404:
+ *         description: Usuario no encontrado
+ *       413:
+ *         description: La imagen supera el tamaño máximo (`FILE_TOO_LARGE`)
+ *       415:
+ *         description: Tipo de fichero no admitido (`UNSUPPORTED_FILE_TYPE`)
+ *       422:
+ *         description: Falta el fichero
+ */
+router.put('/:id/avatar',
+  authenticate,
+  requireScope(ownOr(PERMISSIONS.PROFILE_UPDATE, PERMISSIONS.USERS_UPDATE)),
+  authorizeOwnership(),
+  upload({ field: 'avatar', prefix: 'avatars', maxSize: () => config.get('avatarMaxSize') }),
+  uploadAvatar
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/avatar:
+ *   get:
+ *     summary: Descarga el avatar de un usuario
+ *     description: Redirige a una URL firmada que caduca según `SIGNED_URL_EXPIRES_IN`
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirección a la URL firmada
+ *       401:
+ *         description: Acceso no autorizado
+ *       404:
+ *         description: El usuario no existe o no tiene avatar
+ */
+router.get('/:id/avatar', authenticate, requireScope(ownOr(PERMISSIONS.PROFILE_READ, PERMISSIONS.USERS_READ)), getAvatar);
+
+/**
+ * @swagger
+ * /api/users/{id}/avatar:
+ *   delete:
+ *     summary: Elimina el avatar de un usuario
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Avatar eliminado
+ *       401:
+ *         description: Acceso no autorizado
+ *       403:
+ *         description: Sin permiso para editar este usuario
+ *       404:
+ *         description: El usuario no existe o no tiene avatar
+ */
+router.delete('/:id/avatar',
+  authenticate,
+  requireScope(ownOr(PERMISSIONS.PROFILE_UPDATE, PERMISSIONS.USERS_UPDATE)),
+  authorizeOwnership(),
+  deleteAvatar
+);
+
+module.exports = router;
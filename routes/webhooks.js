@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { receiveWebhook } = require('../controllers/paymentController');
+
+/**
+ * Ruta en la que se montan los webhooks, por delante del parser JSON
+ * @constant {string}
+ */
+const WEBHOOKS_PATH = '/webhooks';
+
+/**
+ * Tamaño máximo del cuerpo de un webhook
+ * @constant {string}
+ */
+const WEBHOOK_BODY_LIMIT = '1mb';
+
+/**
+ * @swagger
+ * /webhooks/{provider}:
+ *   post:
+ *     summary: Recibe los eventos de un proveedor de pago
+ *     description: Registra esta URL en el panel del proveedor. La firma se comprueba sobre el cuerpo sin parsear (`Stripe-Signature` con `STRIPE_WEBHOOK_SECRET`; cabeceras `PayPal-*` contra `PAYPAL_WEBHOOK_ID`). Cada evento se aplica una sola vez; las entregas repetidas responden 200 con `duplicate`. Si una entrega cae a mitad, el evento se vuelve a aplicar en un reintento pasados 5 minutos
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [stripe, paypal]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Evento recibido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 received:
+ *                   type: boolean
+ *                 duplicate:
+ *                   type: boolean
+ *       400:
+ *         description: Firma inválida (`WEBHOOK_SIGNATURE_INVALID`) o evento mal formado
+ *       404:
+ *         description: Proveedor no configurado
+ *       409:
+ *         description: Otra entrega del mismo evento se está aplicando (`WEBHOOK_IN_PROGRESS`); el proveedor lo reintentará
+ *       502:
+ *         description: No se pudo verificar el evento o capturar el pago con el proveedor; el proveedor lo reintentará
+ */
+router.post('/:provider', express.raw({ type: () => true, limit: WEBHOOK_BODY_LIMIT }), receiveWebhook);
+
+module.exports = router;
+module.exports.WEBHOOKS_PATH = WEBHOOKS_PATH;
@@ -0,0 +1,32 @@
+/**
+ * Comprueba que cada ruta montada tiene anotación `@swagger` y que cada
+ * anotación corresponde a una ruta existente. Termina con código 1 si no.
+ * Uso: npm run docs:check
+ */
+
+const { routeTable } = require('../routes');
+const healthRoutes = require('../routes/health');
+const filesRoutes = require('../routes/files');
+const webhookRoutes = require('../routes/webhooks');
+const { WEBHOOKS_PATH } = require('../routes/webhooks');
+const { FILES_PATH } = require('../services/storageService');
+const { getSpec, listRoutes, checkRouteCoverage } = require('../utils/openapi');
+
+// Las anotaciones de salud usan la ruta por defecto de HEALTH_CHECK_PATH
+const mounts = [
+  { prefix: '/api', routeTable },
+  { prefix: '/health', router: healthRoutes },
+  { prefix: FILES_PATH, router: filesRoutes },
+  { prefix: WEBHOOKS_PATH, router: webhookRoutes }
+];
+
+const { undocumented, unknown } = checkRouteCoverage(getSpec(), listRoutes(mounts));
+
+undocumented.forEach(route => console.error(`Missing @swagger annotation: ${route}`));
+unknown.forEach(route => console.error(`Annotation without matching route: ${route}`));
+
+if (undocumented.length || unknown.length) {
+  process.exit(1);
+}
+
+console.log('OpenAPI annotations match the mounted routes');
@@ -1,11 +1,24 @@
 const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const { logger, errorLogger } = require('./middleware/logger');
+const { logger: appLogger, setLogFile } = require('./utils/logger');
 const { errorHandler } = require('./middleware/errorHandler');
-const { validateRequest } = require('./middleware/validation');
+const { NotFoundError } = require('./utils/errorHandler');
+const { featureFlags } = require('./middleware/featureFlags');
+const { globalRateLimiter } = require('./middleware/rateLimiter');
+const { corsPolicy, securityHeaders, DOCS_PATH } = require('./middleware/security');
+const { createRequestPipeline } = require('./middleware/requestPipeline');
+const { contractValidator } = require('./middleware/contractValidator');
+const config = require('./config/config');
 const routes = require('./routes');
+const healthRoutes = require('./routes/health');
+const docsRoutes = require('./routes/docs');
+const filesRoutes = require('./routes/files');
+const webhookRoutes = require('./routes/webhooks');
+const { WEBHOOKS_PATH } = require('./routes/webhooks');
+const shutdownManager = require('./services/shutdownManager');
+const databaseService = require('./services/databaseService');
+const mailService = require('./services/mailService');
+const { FILES_PATH } = require('./services/storageService');
 
 /**
  * Clase principal del servidor Express
@@ -18,10 +31,44 @@ class Server {
    */
   constructor() {
     this.app = express();
-    this.port = process.env.PORT || 3000;
+    this.initialized = false;
+  }
+
+  /**
+   * Carga la configuración y monta middlewares y rutas
+   * @description Idempotente; `start()` la invoca antes de escuchar
+   * @returns {Promise<express.Application>} Aplicación lista para atender solicitudes
+   */
+  async initialize() {
+    if (this.initialized) {
+      return this.app;
+    }
+
+    await config.loadConfig();
+
+    this.port = config.getServerConfig().port;
+    this.healthCheckPath = config.get('healthCheckPath');
+    // Sin esto, detrás de un proxy todas las solicitudes comparten su IP (y su contador de rate limiting)
+    this.app.set('trust proxy', config.get('trustProxy'));
+    this.initializeConfigSubscriptions();
     this.initializeMiddleware();
     this.initializeRoutes();
     this.initializeErrorHandling();
+    this.initialized = true;
+
+    return this.app;
+  }
+
+  /**
+   * Configura el logger (nivel y fichero) y aplica en caliente los cambios de configuración recargables
+   * @private
+   */
+  initializeConfigSubscriptions() {
+    appLogger.level = config.get('logLevel');
+    setLogFile(config.get('logFilePath'));
+    config.onChange('logLevel', (level) => {
+      appLogger.level = level;
+    });
   }
 
   /**
@@ -29,24 +76,32 @@ class Server {
    * @private
    */
   initializeMiddleware() {
-    // Seguridad
-    this.app.use(helmet());
-    this.app.use(cors());
-
-    // Rate limiting
-    const limiter = rateLimit({
-      windowMs: 15 * 60 * 1000, // 15 minutos
-      max: 100, // limita a 100 solicitudes por IP
-      message: 'Demasiadas solicitudes desde esta IP'
-    });
-    this.app.use(limiter);
+    // Logging con ID de solicitud (primero, para medir y registrar toda la solicitud)
+    this.app.use(logger);
 
-    // Parseo de JSON
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true }));
+    // Rechaza solicitudes nuevas durante el apagado
+    this.app.use(shutdownManager.middleware());
 
-    // Logging
-    this.app.use(logger);
+    // Seguridad: cabeceras (CSP, HSTS) y CORS según la configuración
+    this.app.use(securityHeaders());
+    this.app.use(corsPolicy());
+
+    // Webhooks de pago: la firma se calcula sobre el cuerpo sin parsear, así que van antes
+    // del parser JSON; tampoco pasan por el rate limiting, porque los reintentos los marca el proveedor
+    this.app.use(WEBHOOKS_PATH, webhookRoutes);
+
+    // Rate limiting por usuario o IP (las rutas sensibles añaden políticas más estrictas)
+    this.app.use(globalRateLimiter);
+
+    // Compresión, Content-Type, parseo con límites por ruta y saneado de entrada
+    this.app.use(createRequestPipeline());
+
+    // Validación de solicitudes (y respuestas, fuera de producción) contra la especificación OpenAPI;
+    // es la única validación de formato de los cuerpos, así que no se puede desactivar
+    this.app.use(contractValidator());
+
+    // Feature flags disponibles en req.flags
+    this.app.use(featureFlags);
   }
 
   /**
@@ -57,21 +112,18 @@ class Server {
     // Rutas principales
     this.app.use('/api', routes);
 
-    // Ruta de salud
-    this.app.get('/health', (req, res) => {
-      res.status(200).json({
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime()
-      });
-    });
+    // Sondas de salud (liveness y readiness)
+    this.app.use(this.healthCheckPath, healthRoutes);
+
+    // Documentación OpenAPI (especificación y Swagger UI)
+    this.app.use(DOCS_PATH, docsRoutes);
+
+    // Descargas firmadas del almacenamiento local
+    this.app.use(FILES_PATH, filesRoutes);
 
     // Ruta 404 para rutas no definidas
-    this.app.use('*', (req, res) => {
-      res.status(404).json({
-        error: 'Ruta no encontrada',
-        path: req.originalUrl
-      });
+    this.app.use('*', (req, res, next) => {
+      next(new NotFoundError(`Route ${req.originalUrl} not found`, 'ROUTE_NOT_FOUND'));
     });
   }
 
@@ -93,29 +145,27 @@ class Server {
    */
   async start() {
     try {
-      const server = this.app.listen(this.port, () => {
-        console.log(`Servidor corriendo en el puerto ${this.port}`);
-      });
+      await this.initialize();
 
-      // Manejo de señales de proceso
-      process.on('SIGTERM', () => {
-        console.log('SIGTERM recibido, cerrando servidor...');
-        server.close(() => {
-          console.log('Servidor cerrado');
-          process.exit(0);
-        });
-      });
+      // Conexión con reintentos; se registra primero para cerrarse la última al apagar
+      await databaseService.connect();
+      shutdownManager.register('database', () => databaseService.disconnect());
+      shutdownManager.register('mail-queue', () => mailService.close());
 
-      process.on('SIGINT', () => {
-        console.log('SIGINT recibido, cerrando servidor...');
-        server.close(() => {
-          console.log('Servidor cerrado');
-          process.exit(0);
-        });
+      const server = this.app.listen(this.port, () => {
+        appLogger.info(`Servidor corriendo en el puerto ${this.port}`);
       });
 
+      // Apagado ordenado: drena conexiones y ejecuta los hooks registrados
+      shutdownManager.configure({ timeout: config.get('shutdownTimeout') });
+      shutdownManager.attach(server);
+      shutdownManager.listen();
+
+      // Recarga en caliente por SIGHUP o cambios en .env / config/<entorno>.json
+      config.enableHotReload();
+      shutdownManager.register('config-watchers', () => config.disableHotReload());
     } catch (error) {
-      console.error('Error al iniciar el servidor:', error);
+      appLogger.error('Error al iniciar el servidor', { error });
       process.exit(1);
     }
   }
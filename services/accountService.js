@@ -0,0 +1,228 @@
+/**
+ * Flujos de cuenta por correo: verificación de email y restablecimiento de contraseña
+ * @module services/accountService
+ */
+
+const config = require('../config/config');
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const AuditLog = require('../models/AuditLog');
+const authService = require('./authService');
+const loginProtectionService = require('./loginProtectionService');
+const mailService = require('./mailService');
+const { logger } = require('../utils/logger');
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/errorHandler');
+
+/**
+ * Unidades para describir la vigencia de un enlace, de mayor a menor
+ * @constant {Array<[string, number]>}
+ */
+const DURATION_NAMES = [['day', 86400], ['hour', 3600], ['minute', 60]];
+
+/**
+ * Describe una duración en segundos para el texto del correo
+ * @param {number} seconds - Segundos
+ * @returns {string} Por ejemplo `24 hours` o `30 minutes`
+ */
+const describeDuration = (seconds) => {
+  const [unit, size] = DURATION_NAMES.find(([, length]) => seconds >= length && seconds % length === 0)
+    || ['second', 1];
+  const amount = seconds / size;
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+};
+
+/**
+ * Construye el enlace del cliente que recibe el token
+ * @param {string} path - Ruta en el cliente
+ * @param {string} token - Token en claro
+ * @returns {string} URL absoluta
+ */
+const buildLink = (path, token) => {
+  const url = new URL(path, config.get('appUrl'));
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+/**
+ * Clase que implementa los flujos de cuenta que dependen del correo
+ * @class AccountService
+ */
+class AccountService {
+  /**
+   * Emite un token de verificación y encola el correo con el enlace
+   * @async
+   * @param {Object} user - Usuario (sin contraseña)
+   * @returns {Promise<void>}
+   */
+  async sendVerification(user) {
+    const ttl = config.get('emailVerificationExpiration');
+    const { token } = await UserToken.issue(user.id, UserToken.TOKEN_TYPES.EMAIL_VERIFICATION, ttl);
+
+    mailService.send('verify-email', user.email, {
+      name: user.name,
+      url: buildLink('/verify-email', token),
+      expiresIn: describeDuration(ttl)
+    });
+  }
+
+  /**
+   * Vuelve a enviar el correo de verificación
+   * @async
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} Si el usuario ya no existe
+   * @throws {ConflictError} Si el email ya está verificado
+   */
+  async resendVerification(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.emailVerified) {
+      throw new ConflictError('Email already verified', 'EMAIL_ALREADY_VERIFIED');
+    }
+
+    await this.sendVerification(user);
+  }
+
+  /**
+   * Marca como verificado el email del usuario al que pertenece el token
+   * @async
+   * @param {string} token - Token recibido por correo
+   * @returns {Promise<Object>} Usuario actualizado
+   * @throws {BadRequestError} Si el token no es válido, ha caducado o ya se usó
+   */
+  async verifyEmail(token) {
+    const userId = await UserToken.consume(token, UserToken.TOKEN_TYPES.EMAIL_VERIFICATION);
+    const user = userId && await User.update(userId, { emailVerified: true, emailVerifiedAt: new Date() });
+
+    if (!user) {
+      throw new BadRequestError('Invalid or expired verification token', 'VERIFICATION_TOKEN_INVALID');
+    }
+
+    return user;
+  }
+
+  /**
+   * Actualiza los datos de un usuario
+   * @description Quien cambia su propia contraseña debe confirmar la actual; un administrador
+   * puede cambiar la de otro usuario sin ella. Un cambio de contraseña cierra todas las
+   * sesiones del usuario. Un cambio de email deja la cuenta sin verificar y envía un
+   * enlace de verificación a la dirección nueva.
+   * @async
+   * @param {string} id - ID del usuario
+   * @param {Object} changes - Campos a modificar (name, email, password, role)
+   * @param {Object} context - Contexto de la solicitud
+   * @param {Object} context.actor - Usuario autenticado que hace el cambio
+   * @param {string} [context.currentPassword] - Contraseña actual del usuario
+   * @returns {Promise<Object|null>} Usuario actualizado o null si no existe
+   * @throws {ValidationError} Si falta la contraseña actual o no coincide
+   * @throws {Error} Error con código 11000 si el nuevo email ya existe
+   */
+  async updateUser(id, changes, { actor, currentPassword }) {
+    if (changes.password !== undefined && actor.id === id) {
+      if (currentPassword === undefined) {
+        throw new ValidationError('Validation failed', [
+          { field: 'currentPassword', message: 'Current password is required to change the password', location: 'body' }
+        ]);
+      }
+
+      if (!await User.verifyPassword(id, currentPassword)) {
+        throw new ValidationError('Validation failed', [
+          { field: 'currentPassword', message: 'Current password is incorrect', location: 'body' }
+        ], 'CURRENT_PASSWORD_INVALID');
+      }
+    }
+
+    const updates = { ...changes };
+    const current = changes.email !== undefined ? await User.findById(id) : null;
+    const emailChanged = Boolean(current) && current.email !== changes.email.toLowerCase();
+
+    if (emailChanged) {
+      updates.emailVerified = false;
+      updates.emailVerifiedAt = null;
+    }
+
+    const user = await User.update(id, updates);
+
+    if (user && changes.password !== undefined) {
+      await authService.revokeUser(id);
+    }
+
+    if (user && emailChanged) {
+      await this.sendVerification(user);
+    }
+
+    return user;
+  }
+
+  /**
+   * Inicia el restablecimiento de contraseña
+   * @description Responde igual exista o no la cuenta, para no revelar qué emails están registrados
+   * @async
+   * @param {string} email - Email de la cuenta
+   * @returns {Promise<void>}
+   */
+  async requestPasswordReset(email) {
+    const user = await User.findByEmail(email);
+
+    if (!user) {
+      logger.info('Password reset requested for unknown email');
+      return;
+    }
+
+    const ttl = config.get('passwordResetExpiration');
+    const { token } = await UserToken.issue(user.id, UserToken.TOKEN_TYPES.PASSWORD_RESET, ttl);
+
+    mailService.send('password-reset', user.email, {
+      name: user.name,
+      url: buildLink('/reset-password', token),
+      expiresIn: describeDuration(ttl)
+    });
+  }
+
+  /**
+   * Cambia la contraseña con un token de restablecimiento
+   * @description Cierra todas las sesiones del usuario, levanta el bloqueo de login de la
+   * cuenta y avisa por correo del cambio
+   * @async
+   * @param {string} token - Token recibido por correo
+   * @param {string} password - Nueva contraseña
+   * @param {Object} [context] - Contexto de la solicitud
+   * @param {string} [context.ip] - IP de origen
+   * @returns {Promise<void>}
+   * @throws {BadRequestError} Si el token no es válido, ha caducado o ya se usó
+   */
+  async resetPassword(token, password, { ip } = {}) {
+    const userId = await UserToken.consume(token, UserToken.TOKEN_TYPES.PASSWORD_RESET);
+    const user = userId && await User.update(userId, { password });
+
+    if (!user) {
+      throw new BadRequestError('Invalid or expired reset token', 'RESET_TOKEN_INVALID');
+    }
+
+    await authService.revokeUser(user.id);
+    await loginProtectionService.unlock({ email: user.email }, user.id);
+
+    try {
+      await AuditLog.record(AuditLog.AUDIT_EVENTS.PASSWORD_RESET, { subject: user.email, actor: user.id, ip });
+    } catch (error) {
+      logger.error('Failed to write audit record', { event: AuditLog.AUDIT_EVENTS.PASSWORD_RESET, error });
+    }
+
+    mailService.send('password-changed', user.email, { name: user.name });
+  }
+}
+
+// Exporta una instancia única de AccountService
+const accountService = new AccountService();
+
+module.exports = accountService;
+module.exports.AccountService = AccountService;
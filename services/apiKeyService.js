@@ -0,0 +1,237 @@
+/**
+ * Emisión, rotación, revocación y verificación de claves de API
+ * @module services/apiKeyService
+ */
+
+const config = require('../config/config');
+const { ROLES, getPermissions } = require('../config/roles');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+const {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/errorHandler');
+
+/**
+ * Milisegundos mínimos entre dos escrituras de `lastUsedAt` de una misma clave
+ * @description Evita una escritura por solicitud en clientes con mucho tráfico
+ * @constant {number}
+ */
+const LAST_USED_PRECISION = 60 * 1000;
+
+/**
+ * Clase que gestiona las claves de API de los clientes máquina
+ * @class ApiKeyService
+ */
+class ApiKeyService {
+  /**
+   * Lista las claves de un usuario
+   * @async
+   * @param {string} userId - ID del propietario
+   * @returns {Promise<Object[]>} Claves sin hash, de la más reciente a la más antigua
+   */
+  async list(userId) {
+    return ApiKey.findByUser(userId);
+  }
+
+  /**
+   * Emite una clave para el usuario autenticado
+   * @description Los permisos de la clave deben ser un subconjunto de los del usuario. Si hay
+   * una vigencia máxima configurada, las claves sin caducidad la reciben por defecto.
+   * @async
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} data - Datos de la clave
+   * @param {string} data.name - Nombre descriptivo
+   * @param {string[]} data.scopes - Permisos concedidos
+   * @param {Date} [data.expiresAt] - Caducidad
+   * @param {Object} [context] - Contexto de la solicitud
+   * @param {string} [context.ip] - IP del cliente
+   * @returns {Promise<{apiKey: Object, key: string}>} Clave guardada y valor en claro (solo se muestra aquí)
+   * @throws {ValidationError} Si pide permisos que el usuario no tiene o una caducidad demasiado lejana
+   * @throws {ConflictError} Si el usuario ya tiene el máximo de claves activas
+   */
+  async issue(user, { name, scopes, expiresAt }, { ip } = {}) {
+    const errors = [];
+    const denied = scopes.filter(scope => !user.permissions.includes(scope));
+
+    if (denied.length > 0) {
+      errors.push({ field: 'scopes', message: `Scopes not granted to your account: ${denied.join(', ')}`, location: 'body' });
+    }
+
+    const maxLifetime = config.get('apiKeyMaxLifetime');
+    const latest = maxLifetime ? new Date(Date.now() + maxLifetime * 1000) : null;
+
+    if (latest && expiresAt && expiresAt > latest) {
+      errors.push({ field: 'expiresAt', message: `Must be at most ${maxLifetime} seconds from now`, location: 'body' });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Validation failed', errors);
+    }
+
+    if (await ApiKey.countActive(user.id) >= config.get('apiKeyMaxPerUser')) {
+      throw new ConflictError('API key limit reached; revoke an unused key first', 'API_KEY_LIMIT_REACHED');
+    }
+
+    const result = await ApiKey.create({ userId: user.id, name, scopes, expiresAt: expiresAt || latest });
+    await this.audit(AuditLog.AUDIT_EVENTS.API_KEY_ISSUED, result.apiKey, user, ip);
+
+    return result;
+  }
+
+  /**
+   * Sustituye el valor de una clave; el anterior deja de funcionar en el acto
+   * @description Para rotar sin cortes, emite una clave nueva, despliégala y revoca la anterior
+   * @async
+   * @param {string} id - ID de la clave
+   * @param {Object} user - Usuario autenticado (propietario o administrador)
+   * @param {Object} [context] - Contexto de la solicitud
+   * @param {string} [context.ip] - IP del cliente
+   * @returns {Promise<{apiKey: Object, key: string}>} Clave actualizada y valor nuevo
+   * @throws {NotFoundError} Si la clave no existe
+   * @throws {ForbiddenError} Si la clave es de otro usuario
+   * @throws {ConflictError} Si la clave está revocada o ha caducado
+   */
+  async rotate(id, user, { ip } = {}) {
+    const apiKey = await this.findOwned(id, user);
+
+    if (!ApiKey.isActive(apiKey)) {
+      throw new ConflictError('API key is revoked or expired', 'API_KEY_INACTIVE');
+    }
+
+    const result = await ApiKey.rotate(id);
+    await this.audit(AuditLog.AUDIT_EVENTS.API_KEY_ROTATED, result.apiKey, user, ip);
+
+    return result;
+  }
+
+  /**
+   * Revoca una clave
+   * @description Revocar una clave ya revocada no hace nada
+   * @async
+   * @param {string} id - ID de la clave
+   * @param {Object} user - Usuario autenticado (propietario o administrador)
+   * @param {Object} [context] - Contexto de la solicitud
+   * @param {string} [context.ip] - IP del cliente
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} Si la clave no existe
+   * @throws {ForbiddenError} Si la clave es de otro usuario
+   */
+  async revoke(id, user, { ip } = {}) {
+    const apiKey = await this.findOwned(id, user);
+
+    if (apiKey.revokedAt) {
+      return;
+    }
+
+    await this.audit(AuditLog.AUDIT_EVENTS.API_KEY_REVOKED, await ApiKey.revoke(id), user, ip);
+  }
+
+  /**
+   * Verifica una clave recibida en una solicitud
+   * @description Los permisos efectivos son los de la clave que el propietario conserva con su
+   * rol actual, así que degradar a un usuario también limita sus claves
+   * @async
+   * @param {string} key - Clave en claro
+   * @returns {Promise<{user: Object, apiKey: Object}|null>} Usuario con los permisos de la clave, o null si no es válida
+   */
+  async authenticate(key) {
+    const apiKey = await ApiKey.findByKey(key);
+    const owner = apiKey && await User.findById(apiKey.userId);
+
+    if (!owner) {
+      return null;
+    }
+
+    this.recordUse(apiKey);
+
+    const granted = getPermissions(owner.role);
+
+    return {
+      apiKey,
+      user: {
+        id: owner.id,
+        email: owner.email,
+        role: owner.role,
+        permissions: apiKey.scopes.filter(scope => granted.includes(scope))
+      }
+    };
+  }
+
+  /**
+   * Busca una clave comprobando que el usuario puede gestionarla
+   * @private
+   * @async
+   * @param {string} id - ID de la clave
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object>} Clave
+   * @throws {NotFoundError} Si la clave no existe
+   * @throws {ForbiddenError} Si la clave es de otro usuario y no es administrador
+   */
+  async findOwned(id, user) {
+    const apiKey = await ApiKey.findById(id);
+
+    if (!apiKey) {
+      throw new NotFoundError('API key not found');
+    }
+
+    if (apiKey.userId !== user.id && user.role !== ROLES.ADMIN) {
+      throw new ForbiddenError();
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Anota el uso de una clave sin retrasar la solicitud
+   * @private
+   * @param {Object} apiKey - Clave usada
+   * @returns {void}
+   */
+  recordUse(apiKey) {
+    const now = new Date();
+
+    if (apiKey.lastUsedAt && now - new Date(apiKey.lastUsedAt) < LAST_USED_PRECISION) {
+      return;
+    }
+
+    ApiKey.touch(apiKey.id, now).catch((error) => {
+      logger.error('Failed to record API key use', { keyId: apiKey.id, error });
+    });
+  }
+
+  /**
+   * Deja constancia de una operación sobre una clave en la auditoría
+   * @private
+   * @async
+   * @param {string} event - Evento (ver AuditLog.AUDIT_EVENTS)
+   * @param {Object} apiKey - Clave afectada
+   * @param {Object} user - Usuario que realiza la operación
+   * @param {string} [ip] - IP del cliente
+   * @returns {Promise<void>}
+   */
+  async audit(event, apiKey, user, ip) {
+    logger.info('API key event', { event, keyId: apiKey.id, actor: user.id });
+
+    try {
+      await AuditLog.record(event, {
+        subject: apiKey.id,
+        actor: user.id,
+        ip,
+        details: { name: apiKey.name, prefix: apiKey.prefix, owner: apiKey.userId, scopes: apiKey.scopes }
+      });
+    } catch (error) {
+      logger.error('Failed to write audit record', { event, error });
+    }
+  }
+}
+
+// Exporta una instancia única de ApiKeyService
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
+module.exports.ApiKeyService = ApiKeyService;
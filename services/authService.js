@@ -0,0 +1,215 @@
+/**
+ * Servicio de autenticación basado en JWT
+ * @module services/authService
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const loginProtectionService = require('./loginProtectionService');
+const { getPermissions } = require('../config/roles');
+const { UnauthorizedError } = require('../utils/errorHandler');
+
+/**
+ * Clase que emite, rota y revoca tokens de acceso y de refresco
+ * @description Los tokens de refresco y los de acceso revocados se guardan en los modelos
+ * RefreshToken y RevokedToken, así que sobreviven a reinicios y se comparten entre instancias
+ * @class AuthService
+ */
+class AuthService {
+  /**
+   * Registra un nuevo usuario y emite sus tokens
+   * @async
+   * @param {Object} data - Datos de registro (name, email, password)
+   * @returns {Promise<Object>} Usuario creado y par de tokens
+   * @throws {Error} Error con código 11000 si el email ya está registrado
+   */
+  async register({ name, email, password }) {
+    const user = await User.create({ name, email, password });
+    return { user, tokens: await this.issueTokens(user) };
+  }
+
+  /**
+   * Autentica a un usuario con email y contraseña
+   * @description Los fallos cuentan por cuenta y por IP: tras varios seguidos se
+   * exige esperar (retardo progresivo) y al superar el umbral se bloquea temporalmente
+   * @async
+   * @param {Object} credentials - Credenciales (email, password)
+   * @param {Object} [context] - Contexto del intento
+   * @param {string} [context.ip] - IP de origen
+   * @returns {Promise<Object>} Usuario autenticado y par de tokens
+   * @throws {UnauthorizedError} Si las credenciales no son válidas
+   * @throws {RateLimitedError} Si la cuenta o la IP están frenadas o bloqueadas
+   */
+  async login({ email, password }, { ip } = {}) {
+    // El intento cuenta como fallido antes de comparar la contraseña, para que los simultáneos no se salten el umbral
+    const attempt = loginProtectionService.beginAttempt(email, ip);
+
+    const user = await User.verifyCredentials(email, password);
+    if (!user) {
+      await loginProtectionService.recordFailure(attempt);
+      throw new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS');
+    }
+
+    loginProtectionService.recordSuccess(attempt);
+
+    return { user, tokens: await this.issueTokens(user) };
+  }
+
+  /**
+   * Rota un token de refresco y emite un nuevo par de tokens
+   * @async
+   * @param {string} refreshToken - Token de refresco vigente
+   * @returns {Promise<Object>} Nuevo par de tokens
+   * @throws {UnauthorizedError} Si el token no es válido, está revocado o ya fue usado
+   */
+  async refresh(refreshToken) {
+    const payload = this.verifyToken(refreshToken, 'refresh');
+
+    // Se revoca antes de cualquier otra comprobación: de dos refrescos simultáneos solo uno lo consigue
+    const record = await RefreshToken.claim(payload.jti);
+
+    if (!record) {
+      const previous = await RefreshToken.findById(payload.jti);
+
+      if (!previous) {
+        throw new UnauthorizedError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+      }
+
+      // Reutilizar un token ya rotado indica robo: se revoca toda la familia
+      await RefreshToken.revokeFamily(previous.familyId);
+      throw new UnauthorizedError('Refresh token reuse detected', 'REFRESH_TOKEN_REUSED');
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user) {
+      await RefreshToken.revokeFamily(record.familyId);
+      throw new UnauthorizedError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+    }
+
+    return this.issueTokens(user, record.familyId);
+  }
+
+  /**
+   * Cierra la sesión revocando el token de acceso y los de refresco
+   * @async
+   * @param {Object} auth - Payload del token de acceso autenticado
+   * @param {string} [refreshToken] - Token de refresco de la sesión a cerrar
+   * @returns {Promise<void>}
+   * @throws {UnauthorizedError} Si el token de refresco no pertenece al usuario
+   */
+  async logout(auth, refreshToken) {
+    await RevokedToken.revoke(auth.jti, new Date(auth.exp * 1000));
+
+    if (!refreshToken) {
+      // Sin token de refresco se cierran todas las sesiones del usuario
+      await this.revokeUser(auth.sub);
+      return;
+    }
+
+    const payload = this.verifyToken(refreshToken, 'refresh');
+    const record = await RefreshToken.findById(payload.jti);
+
+    if (!record || record.userId !== auth.sub) {
+      throw new UnauthorizedError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+    }
+
+    await RefreshToken.revokeFamily(record.familyId);
+  }
+
+  /**
+   * Verifica un token de acceso y comprueba que no esté revocado
+   * @async
+   * @param {string} token - Token de acceso
+   * @returns {Promise<Object>} Payload del token
+   * @throws {UnauthorizedError|Error} Si el token no es válido o ha sido revocado
+   */
+  async verifyAccessToken(token) {
+    const payload = this.verifyToken(token, 'access');
+
+    if (await RevokedToken.isRevoked(payload.jti)) {
+      throw new UnauthorizedError('Token revoked', 'TOKEN_REVOKED');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Emite un nuevo par de tokens de acceso y refresco
+   * @private
+   * @async
+   * @param {Object} user - Usuario autenticado
+   * @param {string} [familyId] - Familia de rotación a la que pertenece el token de refresco
+   * @returns {Promise<Object>} Tokens emitidos y expiración del de acceso en segundos
+   */
+  async issueTokens(user, familyId = crypto.randomUUID()) {
+    const { jwtSecret, jwtExpiration, refreshTokenExpiration } = config.getSecurityConfig();
+    const accessExpiresIn = Number(jwtExpiration);
+    const refreshExpiresIn = Number(refreshTokenExpiration);
+
+    const accessToken = jwt.sign(
+      { email: user.email, role: user.role, permissions: getPermissions(user.role), type: 'access' },
+      jwtSecret,
+      { subject: user.id, jwtid: crypto.randomUUID(), expiresIn: accessExpiresIn }
+    );
+
+    const refreshJti = crypto.randomUUID();
+    const refreshToken = jwt.sign(
+      { type: 'refresh' },
+      jwtSecret,
+      { subject: user.id, jwtid: refreshJti, expiresIn: refreshExpiresIn }
+    );
+
+    await Promise.all([
+      RefreshToken.create({
+        jti: refreshJti,
+        userId: user.id,
+        familyId,
+        expiresAt: new Date(Date.now() + refreshExpiresIn * 1000)
+      }),
+      RefreshToken.pruneExpired()
+    ]);
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: accessExpiresIn
+    };
+  }
+
+  /**
+   * Verifica la firma y el tipo de un token
+   * @description No consulta las revocaciones; para autenticar usa `verifyAccessToken`
+   * @param {string} token - Token JWT
+   * @param {string} type - Tipo esperado ('access' o 'refresh')
+   * @returns {Object} Payload del token
+   * @throws {UnauthorizedError|Error} Si el token no es válido o es de otro tipo
+   */
+  verifyToken(token, type) {
+    const { jwtSecret } = config.getSecurityConfig();
+    const payload = jwt.verify(token, jwtSecret);
+
+    if (payload.type !== type) {
+      throw new UnauthorizedError('Invalid token type', 'TOKEN_INVALID');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Revoca todos los tokens de refresco de un usuario (p. ej. tras cambiar su contraseña)
+   * @async
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<void>}
+   */
+  async revokeUser(userId) {
+    await RefreshToken.revokeUser(userId);
+  }
+}
+
+// Exporta una instancia única de AuthService
+module.exports = new AuthService();
@@ -0,0 +1,295 @@
+/**
+ * Conexión a la base de datos: MongoDB o PostgreSQL según el esquema de la URL
+ * @module services/databaseService
+ * @description Al conectar, los modelos pasan de sus almacenes en memoria a almacenes
+ * persistentes con la misma interfaz Store, así que rutas y controladores no dependen
+ * del motor elegido.
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const AuditLog = require('../models/AuditLog');
+const UserToken = require('../models/UserToken');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const PaymentEvent = require('../models/PaymentEvent');
+const ApiKey = require('../models/ApiKey');
+
+/**
+ * Modelos cuyo almacén se sustituye al conectar
+ * @constant {Object[]}
+ */
+const MODELS = Object.freeze([User, Product, AuditLog, UserToken, RefreshToken, RevokedToken, Order, Payment, PaymentEvent, ApiKey]);
+
+/**
+ * Estados de la conexión
+ * @constant {Object<string, string>}
+ */
+const STATES = Object.freeze({
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  DISCONNECTING: 'disconnecting'
+});
+
+/**
+ * Espera máxima entre reintentos de conexión (ms)
+ * @constant {number}
+ */
+const MAX_RETRY_DELAY = 30 * 1000;
+
+/**
+ * Tiempo máximo para elegir servidor o abrir una conexión (ms)
+ * @constant {number}
+ */
+const CONNECT_TIMEOUT = 5000;
+
+/**
+ * Adaptadores de cada motor: conexión, almacenes, ping y cierre
+ * @constant {Object<string, Object>}
+ */
+const DRIVERS = Object.freeze({
+  mongodb: {
+    connect: async ({ url, options, poolSize }) => {
+      await mongoose.connect(url, {
+        maxPoolSize: poolSize,
+        serverSelectionTimeoutMS: CONNECT_TIMEOUT,
+        ...options
+      });
+      return mongoose.connection;
+    },
+    createStore: async (connection, model) => model.createMongooseStore(),
+    ping: connection => connection.db.admin().ping(),
+    close: () => mongoose.disconnect()
+  },
+
+  postgres: {
+    connect: async ({ url, options, poolSize }) => {
+      // Solo se carga si se usa PostgreSQL
+      const { Pool } = require('pg');
+      const { ssl, sslRejectUnauthorized, ...rest } = options;
+      const pool = new Pool({
+        connectionString: url,
+        max: poolSize,
+        connectionTimeoutMillis: CONNECT_TIMEOUT,
+        ssl: ssl ? { rejectUnauthorized: sslRejectUnauthorized !== false } : undefined,
+        ...rest
+      });
+
+      // Los errores de clientes inactivos no deben tumbar el proceso; el pool los reemplaza
+      pool.on('error', error => logger.error('PostgreSQL idle client error', { error }));
+
+      try {
+        await pool.query('SELECT 1');
+      } catch (error) {
+        await pool.end().catch(() => {});
+        throw error;
+      }
+
+      return pool;
+    },
+    createStore: async (pool, model) => {
+      const store = model.createPostgresStore(pool);
+      await store.init();
+      return store;
+    },
+    ping: pool => pool.query('SELECT 1'),
+    close: pool => pool.end()
+  }
+});
+
+/**
+ * Determina el motor a partir del esquema de la URL
+ * @param {string} url - URL de conexión
+ * @returns {string} `mongodb` o `postgres`
+ * @throws {Error} Si el esquema no está soportado
+ */
+const driverFor = (url) => {
+  if (/^mongodb(\+srv)?:\/\//.test(url)) {
+    return 'mongodb';
+  }
+
+  if (/^postgres(ql)?:\/\//.test(url)) {
+    return 'postgres';
+  }
+
+  throw new Error('Unsupported database URL scheme');
+};
+
+/**
+ * Describe una URL de conexión sin credenciales, para los logs
+ * @param {string} url - URL de conexión
+ * @returns {string} Host y base de datos
+ */
+const describeUrl = (url) => {
+  try {
+    const { host, pathname } = new URL(url);
+    return `${host}${pathname}`;
+  } catch (error) {
+    return '[unparseable url]';
+  }
+};
+
+/**
+ * Espera un tiempo
+ * @param {number} ms - Milisegundos
+ * @returns {Promise<void>}
+ */
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Clase que gestiona la conexión a la base de datos y los almacenes de los modelos
+ * @class DatabaseService
+ */
+class DatabaseService {
+  /**
+   * Crea una instancia de DatabaseService
+   * @param {Object} [options] - Opciones
+   * @param {function(number): Promise<void>} [options.sleep] - Espera entre reintentos, inyectable en pruebas
+   */
+  constructor({ sleep = wait } = {}) {
+    this.sleep = sleep;
+    this.state = STATES.DISCONNECTED;
+    this.driver = null;
+    this.handle = null;
+    this.connecting = null;
+  }
+
+  /**
+   * Conecta con la base de datos, reintentando con espera exponencial
+   * @description Las llamadas concurrentes comparten el mismo intento. Tras conectar,
+   * los modelos usan almacenes persistentes.
+   * @async
+   * @param {Object} [settings] - Ajustes; por defecto, `config.getDatabaseConfig()`
+   * @param {string} settings.url - URL de conexión
+   * @param {Object} [settings.options={}] - Opciones del driver
+   * @param {number} [settings.poolSize=10] - Conexiones máximas del pool
+   * @param {number} [settings.retries=5] - Reintentos tras el primer fallo
+   * @param {number} [settings.retryDelay=1000] - Espera inicial entre reintentos (ms)
+   * @returns {Promise<void>}
+   * @throws {Error} Si no conecta tras agotar los reintentos
+   */
+  async connect(settings = config.getDatabaseConfig()) {
+    if (this.state === STATES.CONNECTED) {
+      return;
+    }
+
+    if (!this.connecting) {
+      this.connecting = this.establish(settings).finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    await this.connecting;
+  }
+
+  /**
+   * Cierra la conexión y el pool
+   * @async
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (this.state !== STATES.CONNECTED) {
+      return;
+    }
+
+    this.state = STATES.DISCONNECTING;
+
+    try {
+      await DRIVERS[this.driver].close(this.handle);
+      logger.info('Database disconnected', { driver: this.driver });
+    } finally {
+      this.state = STATES.DISCONNECTED;
+      this.handle = null;
+    }
+  }
+
+  /**
+   * Comprobación de readiness para el servicio de salud
+   * @description Si nunca se ha conectado (almacenes en memoria) la comprobación se omite
+   * @async
+   * @returns {Promise<(void|{skipped: boolean, reason: string})>}
+   * @throws {Error} Si la base de datos no responde o no está conectada
+   */
+  async check() {
+    if (!this.driver) {
+      return { skipped: true, reason: 'No database connection; using in-memory stores' };
+    }
+
+    if (this.state !== STATES.CONNECTED) {
+      throw new Error(`Database ${this.state}`);
+    }
+
+    await DRIVERS[this.driver].ping(this.handle);
+  }
+
+  /**
+   * Estado actual de la conexión
+   * @returns {{driver: (string|null), state: string}} Motor y estado
+   */
+  getStatus() {
+    return { driver: this.driver, state: this.state };
+  }
+
+  /**
+   * Conecta con reintentos y sustituye los almacenes de los modelos
+   * @private
+   * @async
+   * @param {Object} settings - Ajustes de conexión (ver connect)
+   * @returns {Promise<void>}
+   */
+  async establish({ url, options = {}, poolSize = 10, retries = 5, retryDelay = 1000 }) {
+    const name = driverFor(url);
+    const driver = DRIVERS[name];
+
+    this.driver = name;
+    this.state = STATES.CONNECTING;
+
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        this.handle = await driver.connect({ url, options, poolSize });
+        break;
+      } catch (error) {
+        if (attempt >= retries) {
+          this.state = STATES.DISCONNECTED;
+          throw new Error(`Could not connect to ${name} after ${attempt + 1} attempts: ${error.message}`);
+        }
+
+        const delay = Math.min(retryDelay * 2 ** attempt, MAX_RETRY_DELAY);
+        logger.warn('Database connection failed, retrying', {
+          driver: name,
+          attempt: attempt + 1,
+          retryInMs: delay,
+          error: error.message
+        });
+        await this.sleep(delay);
+      }
+    }
+
+    try {
+      for (const model of MODELS) {
+        model.setStore(await driver.createStore(this.handle, model));
+      }
+    } catch (error) {
+      await driver.close(this.handle).catch(() => {});
+      this.handle = null;
+      this.state = STATES.DISCONNECTED;
+      throw error;
+    }
+
+    this.state = STATES.CONNECTED;
+    logger.info('Database connected', { driver: name, target: describeUrl(url), poolSize });
+  }
+}
+
+// Exporta una instancia única de DatabaseService
+const databaseService = new DatabaseService();
+
+module.exports = databaseService;
+module.exports.DatabaseService = DatabaseService;
+module.exports.driverFor = driverFor;
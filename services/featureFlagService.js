@@ -0,0 +1,115 @@
+/**
+ * Servicio de feature flags alimentado por la configuración
+ * @module services/featureFlagService
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+
+/**
+ * Calcula el bucket (0-99) estable de un sujeto para un flag
+ * @description El mismo sujeto cae siempre en el mismo bucket de un flag, así que
+ * subir el porcentaje solo añade sujetos y nunca retira a los que ya lo tenían
+ * @param {string} name - Nombre del flag
+ * @param {string} subject - Identificador del sujeto (usuario o IP)
+ * @returns {number} Bucket entre 0 y 99
+ */
+const bucketFor = (name, subject) => crypto
+  .createHash('sha1')
+  .update(`${name}:${subject}`)
+  .digest()
+  .readUInt32BE(0) % 100;
+
+/**
+ * Contexto de evaluación de un flag
+ * @typedef {Object} FlagContext
+ * @property {string} [userId] - ID del usuario autenticado
+ * @property {string} [role] - Rol del usuario autenticado
+ * @property {string} [subject] - Identificador para el porcentaje cuando no hay usuario (p. ej. la IP)
+ */
+
+/**
+ * Clase que evalúa feature flags
+ * @class FeatureFlagService
+ */
+class FeatureFlagService {
+  /**
+   * Crea una instancia de FeatureFlagService
+   * @param {Function} [source] - Devuelve las definiciones actuales; por defecto, `featureFlags` de la configuración
+   */
+  constructor(source = () => config.get('featureFlags', {})) {
+    this.source = source;
+  }
+
+  /**
+   * Obtiene la definición de un flag
+   * @param {string} name - Nombre del flag
+   * @returns {Object|undefined} Definición o undefined si no existe
+   */
+  getFlag(name) {
+    return this.source()[name];
+  }
+
+  /**
+   * Indica si un flag está activo para un contexto
+   * @description Un flag inexistente o con `enabled: false` está apagado. Si tiene
+   * segmentación, basta con que coincida el usuario, el rol o el porcentaje.
+   * @param {string} name - Nombre del flag
+   * @param {FlagContext} [context={}] - Contexto de evaluación
+   * @returns {boolean} true si está activo
+   */
+  isEnabled(name, context = {}) {
+    const flag = this.getFlag(name);
+
+    if (!flag || !flag.enabled) {
+      return false;
+    }
+
+    const { users, roles, percentage } = flag;
+    const targeted = users !== undefined || roles !== undefined || percentage !== undefined;
+
+    if (!targeted) {
+      return true;
+    }
+
+    if (users && context.userId && users.includes(context.userId)) {
+      return true;
+    }
+
+    if (roles && context.role && roles.includes(context.role)) {
+      return true;
+    }
+
+    const subject = context.userId || context.subject;
+    if (percentage !== undefined && subject) {
+      return bucketFor(name, subject) < percentage;
+    }
+
+    return false;
+  }
+
+  /**
+   * Evalúa todos los flags para un contexto
+   * @param {FlagContext} [context={}] - Contexto de evaluación
+   * @returns {Object<string, boolean>} Estado de cada flag
+   */
+  evaluate(context = {}) {
+    return Object.fromEntries(
+      Object.keys(this.source()).map(name => [name, this.isEnabled(name, context)])
+    );
+  }
+
+  /**
+   * Lista las definiciones de todos los flags
+   * @returns {Array<Object>} Flags con su nombre y su definición
+   */
+  list() {
+    return Object.entries(this.source()).map(([name, flag]) => ({ name, ...flag }));
+  }
+}
+
+// Exporta una instancia única de FeatureFlagService
+const featureFlagService = new FeatureFlagService();
+
+module.exports = featureFlagService;
+module.exports.FeatureFlagService = FeatureFlagService;
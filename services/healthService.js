@@ -0,0 +1,197 @@
+/**
+ * Servicio de comprobaciones de salud (liveness y readiness)
+ * @module services/healthService
+ */
+
+const net = require('net');
+const config = require('../config/config');
+const databaseService = require('./databaseService');
+
+/**
+ * Tiempo máximo por defecto de cada comprobación en milisegundos
+ * @constant {number}
+ */
+const DEFAULT_CHECK_TIMEOUT = 2000;
+
+/**
+ * Ejecuta una promesa con un tiempo máximo
+ * @param {Promise} promise - Promesa a ejecutar
+ * @param {number} timeout - Tiempo máximo en milisegundos
+ * @returns {Promise} Resultado de la promesa o rechazo por timeout
+ */
+const withTimeout = (promise, timeout) => {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Check timed out after ${timeout}ms`)), timeout);
+  });
+
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Envía un PING a Redis mediante el protocolo RESP y espera PONG
+ * @param {Object} options - Opciones de conexión
+ * @param {string} options.host - Host de Redis
+ * @param {number} options.port - Puerto de Redis
+ * @param {string} [options.password] - Contraseña de Redis
+ * @returns {Promise<void>} Se resuelve si Redis responde PONG
+ */
+const pingRedis = ({ host, port, password }) => new Promise((resolve, reject) => {
+  const socket = net.createConnection({ host, port });
+  let buffer = '';
+
+  socket.setEncoding('utf8');
+  socket.setTimeout(DEFAULT_CHECK_TIMEOUT, () => socket.destroy(new Error('Redis connection timed out')));
+  socket.once('error', reject);
+  socket.once('close', () => reject(new Error('Redis connection closed')));
+  socket.on('connect', () => {
+    if (password) {
+      socket.write(`AUTH ${password}\r\n`);
+    }
+    socket.write('PING\r\n');
+  });
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    const replies = buffer.split('\r\n');
+
+    const failure = replies.find(reply => reply.startsWith('-'));
+    if (failure) {
+      socket.destroy();
+      reject(new Error(`Redis error: ${failure.slice(1)}`));
+    } else if (replies.includes('+PONG')) {
+      resolve();
+      socket.end();
+    }
+  });
+});
+
+/**
+ * Calcula los milisegundos transcurridos desde un instante de hrtime
+ * @param {bigint} startedAt - Instante inicial
+ * @returns {number} Milisegundos con dos decimales
+ */
+const elapsedMs = (startedAt) => Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100;
+
+/**
+ * Clase que registra y ejecuta las comprobaciones de salud del servicio
+ * @class HealthService
+ */
+class HealthService {
+  /**
+   * Crea una instancia de HealthService
+   * @constructor
+   */
+  constructor() {
+    this.checks = new Map();
+    this.shuttingDown = false;
+  }
+
+  /**
+   * Registra una comprobación de readiness
+   * @param {string} name - Nombre de la comprobación
+   * @param {Function} check - Función asíncrona que lanza un error si la dependencia no está disponible.
+   * Puede devolver `{ skipped: true, reason }` si la dependencia no está configurada
+   * @param {Object} [options] - Opciones de la comprobación
+   * @param {number} [options.timeout] - Tiempo máximo en milisegundos
+   * @param {boolean} [options.critical=true] - Si un fallo marca el servicio como no listo
+   * @returns {void}
+   */
+  registerCheck(name, check, { timeout = DEFAULT_CHECK_TIMEOUT, critical = true } = {}) {
+    this.checks.set(name, { check, timeout, critical });
+  }
+
+  /**
+   * Elimina una comprobación registrada
+   * @param {string} name - Nombre de la comprobación
+   * @returns {boolean} Si la comprobación existía
+   */
+  unregisterCheck(name) {
+    return this.checks.delete(name);
+  }
+
+  /**
+   * Marca el servicio como en proceso de apagado para que deje de estar listo
+   * @returns {void}
+   */
+  markShuttingDown() {
+    this.shuttingDown = true;
+  }
+
+  /**
+   * Estado de liveness: el proceso está vivo y atendiendo solicitudes
+   * @returns {Object} Estado de liveness
+   */
+  getLiveness() {
+    return {
+      status: 'UP',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    };
+  }
+
+  /**
+   * Ejecuta todas las comprobaciones de readiness en paralelo
+   * @async
+   * @returns {Promise<Object>} Estado global, si está listo y el resultado de cada comprobación
+   */
+  async getReadiness() {
+    const entries = await Promise.all(
+      [...this.checks.entries()].map(async ([name, { check, timeout, critical }]) => {
+        const startedAt = process.hrtime.bigint();
+
+        try {
+          const result = await withTimeout(Promise.resolve().then(check), timeout);
+
+          if (result && result.skipped) {
+            return [name, { status: 'SKIPPED', critical, latencyMs: elapsedMs(startedAt), reason: result.reason }];
+          }
+
+          return [name, { status: 'UP', critical, latencyMs: elapsedMs(startedAt) }];
+        } catch (error) {
+          return [name, { status: 'DOWN', critical, latencyMs: elapsedMs(startedAt), error: error.message }];
+        }
+      })
+    );
+
+    const checks = Object.fromEntries(entries);
+    const healthy = entries.every(([, result]) => result.status !== 'DOWN' || !result.critical);
+    const ready = healthy && !this.shuttingDown;
+
+    return {
+      status: ready ? 'UP' : 'DOWN',
+      ready,
+      shuttingDown: this.shuttingDown,
+      timestamp: new Date().toISOString(),
+      checks
+    };
+  }
+}
+
+const healthService = new HealthService();
+
+// Comprobaciones por defecto
+healthService.registerCheck('config', () => {
+  if (!config.isLoaded) {
+    throw new Error('Configuration not loaded');
+  }
+});
+
+healthService.registerCheck('database', () => databaseService.check());
+
+// No crítica: la aplicación funciona sin Redis; solo lo usan los almacenes de rate limiting
+// y caché si se sustituyen por los de Redis
+healthService.registerCheck('redis', () => {
+  if (!config.get('redisHost')) {
+    return { skipped: true, reason: 'REDIS_HOST not configured' };
+  }
+
+  return pingRedis({
+    host: config.get('redisHost'),
+    port: config.get('redisPort'),
+    password: config.get('redisPassword') || undefined
+  });
+}, { critical: false });
+
+// Exporta una instancia única de HealthService
+module.exports = healthService;
+module.exports.HealthService = HealthService;
@@ -0,0 +1,349 @@
+/**
+ * Protección del login frente a fuerza bruta y credential stuffing
+ * @module services/loginProtectionService
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { logger } = require('../utils/logger');
+const { RateLimitedError } = require('../utils/errorHandler');
+
+/**
+ * Opciones por defecto de la protección
+ * @constant {Object}
+ */
+const DEFAULT_OPTIONS = Object.freeze({
+  // Fallos por cuenta antes de bloquearla
+  accountThreshold: 5,
+  // Fallos por IP (sobre cualquier cuenta) antes de bloquear la IP
+  ipThreshold: 20,
+  // Fallos sin retardo antes de empezar a frenar
+  accountFreeAttempts: 2,
+  ipFreeAttempts: 10,
+  // Ventana en la que se acumulan los fallos y duración del bloqueo
+  failureWindowMs: 15 * 60 * 1000,
+  lockDurationMs: 15 * 60 * 1000,
+  // Retardo progresivo: base * 2^n, con tope
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000
+});
+
+/**
+ * Normaliza un email para usarlo como clave
+ * @param {string} email - Email
+ * @returns {string} Email en minúsculas y sin espacios
+ */
+const normalizeEmail = email => String(email || '').trim().toLowerCase();
+
+/**
+ * Segundos (redondeados hacia arriba, mínimo 1) hasta un instante
+ * @param {number} timestamp - Instante en milisegundos
+ * @param {number} now - Marca de tiempo actual
+ * @returns {number} Segundos restantes
+ */
+const secondsUntil = (timestamp, now) => Math.max(1, Math.ceil((timestamp - now) / 1000));
+
+/**
+ * Clase que cuenta los fallos de login por cuenta y por IP, frena los reintentos
+ * y bloquea temporalmente
+ * @class LoginProtectionService
+ */
+class LoginProtectionService {
+  /**
+   * Crea una instancia de LoginProtectionService
+   * @param {Object} [options] - Umbrales y tiempos (ver DEFAULT_OPTIONS)
+   * @param {function(): number} [options.clock=Date.now] - Reloj en milisegundos, inyectable en pruebas
+   */
+  constructor({ clock = Date.now, ...options } = {}) {
+    this.clock = clock;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.accounts = new Map();
+    this.ips = new Map();
+    this.prunedAt = this.clock();
+  }
+
+  /**
+   * Registra un intento de login antes de comprobar la contraseña
+   * @description Comprueba bloqueos y retardos y cuenta el intento como fallido sin
+   * ceder el control, así que varias solicitudes simultáneas no pueden superar el umbral
+   * mientras se compara la contraseña. Si el intento acaba siendo correcto,
+   * recordSuccess() lo descuenta.
+   * @param {string} email - Email del intento
+   * @param {string} [ip] - IP de origen
+   * @returns {{subject: string, ip: (string|undefined), at: number, lockedAccount: boolean, lockedIp: boolean}} Intento en curso
+   * @throws {RateLimitedError} ACCOUNT_LOCKED, IP_BLOCKED o LOGIN_THROTTLED
+   */
+  beginAttempt(email, ip) {
+    const now = this.clock();
+    const subject = normalizeEmail(email);
+    this.prune(now);
+    this.assertCanAttempt(subject, ip, now);
+
+    return {
+      subject,
+      ip,
+      at: now,
+      lockedAccount: this.registerFailure(this.accounts, subject, now, this.options.accountThreshold),
+      lockedIp: ip ? this.registerFailure(this.ips, ip, now, this.options.ipThreshold) : false
+    };
+  }
+
+  /**
+   * Registra que un intento ha fallado y audita los bloqueos que ha provocado
+   * @async
+   * @param {Object} attempt - Intento devuelto por beginAttempt()
+   * @returns {Promise<void>}
+   */
+  async recordFailure({ subject, ip, at, lockedAccount, lockedIp }) {
+    if (lockedAccount) {
+      const account = this.accounts.get(subject);
+      await this.audit(AuditLog.AUDIT_EVENTS.ACCOUNT_LOCKED, {
+        subject,
+        ip,
+        details: { failures: account.failures, lockedUntil: new Date(account.lockedUntil) },
+        createdAt: new Date(at)
+      });
+    }
+
+    if (lockedIp) {
+      const origin = this.ips.get(ip);
+      await this.audit(AuditLog.AUDIT_EVENTS.IP_BLOCKED, {
+        subject: ip,
+        ip,
+        details: { failures: origin.failures, lockedUntil: new Date(origin.lockedUntil) },
+        createdAt: new Date(at)
+      });
+    }
+  }
+
+  /**
+   * Registra un login correcto: reinicia los fallos de la cuenta y descuenta el intento de la IP
+   * @description El resto de fallos de la IP se conservan para que unas credenciales válidas
+   * no limpien el rastro de un ataque de credential stuffing
+   * @param {Object} attempt - Intento devuelto por beginAttempt()
+   * @returns {void}
+   */
+  recordSuccess({ subject, ip, lockedIp }) {
+    this.accounts.delete(subject);
+
+    const origin = ip ? this.ips.get(ip) : null;
+    if (!origin) {
+      return;
+    }
+
+    origin.failures -= 1;
+    if (lockedIp) {
+      origin.lockedUntil = null;
+    }
+    if (origin.failures <= 0) {
+      this.ips.delete(ip);
+    }
+  }
+
+  /**
+   * Desbloquea una cuenta y/o una IP
+   * @async
+   * @param {Object} target - Qué desbloquear
+   * @param {string} [target.email] - Email de la cuenta
+   * @param {string} [target.ip] - IP
+   * @param {string} [actor] - ID del usuario que desbloquea
+   * @returns {Promise<{account: boolean, ip: boolean}>} Qué estaba bloqueado
+   */
+  async unlock({ email, ip }, actor) {
+    const now = this.clock();
+    const result = { account: false, ip: false };
+
+    if (email) {
+      const subject = normalizeEmail(email);
+      const entry = this.getEntry(this.accounts, subject, now);
+      result.account = Boolean(entry && entry.lockedUntil);
+      this.accounts.delete(subject);
+
+      if (result.account) {
+        await this.audit(AuditLog.AUDIT_EVENTS.ACCOUNT_UNLOCKED, { subject, actor, createdAt: new Date(now) });
+      }
+    }
+
+    if (ip) {
+      const entry = this.getEntry(this.ips, ip, now);
+      result.ip = Boolean(entry && entry.lockedUntil);
+      this.ips.delete(ip);
+
+      if (result.ip) {
+        await this.audit(AuditLog.AUDIT_EVENTS.IP_UNBLOCKED, { subject: ip, actor, createdAt: new Date(now) });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Lista las cuentas e IPs bloqueadas en este momento
+   * @returns {Array<{type: string, subject: string, failures: number, lockedUntil: Date}>} Bloqueos activos
+   */
+  listLocks() {
+    const now = this.clock();
+    const collect = (type, map) => [...map.keys()]
+      .map(key => [key, this.getEntry(map, key, now)])
+      .filter(([, entry]) => entry && entry.lockedUntil)
+      .map(([subject, entry]) => ({
+        type,
+        subject,
+        failures: entry.failures,
+        lockedUntil: new Date(entry.lockedUntil)
+      }));
+
+    return [...collect('account', this.accounts), ...collect('ip', this.ips)];
+  }
+
+  /**
+   * Comprueba si se permite un intento de login
+   * @private
+   * @param {string} subject - Email normalizado
+   * @param {string} [ip] - IP de origen
+   * @param {number} now - Marca de tiempo actual
+   * @returns {void}
+   * @throws {RateLimitedError} ACCOUNT_LOCKED, IP_BLOCKED o LOGIN_THROTTLED
+   */
+  assertCanAttempt(subject, ip, now) {
+    const account = this.getEntry(this.accounts, subject, now);
+    const origin = ip ? this.getEntry(this.ips, ip, now) : null;
+
+    if (account && account.lockedUntil) {
+      throw new RateLimitedError(
+        'Account temporarily locked due to too many failed login attempts',
+        secondsUntil(account.lockedUntil, now),
+        'ACCOUNT_LOCKED'
+      );
+    }
+
+    if (origin && origin.lockedUntil) {
+      throw new RateLimitedError(
+        'Too many failed login attempts from this IP',
+        secondsUntil(origin.lockedUntil, now),
+        'IP_BLOCKED'
+      );
+    }
+
+    const nextAttemptAt = Math.max(
+      this.nextAttemptAt(account, this.options.accountFreeAttempts),
+      this.nextAttemptAt(origin, this.options.ipFreeAttempts)
+    );
+
+    if (nextAttemptAt > now) {
+      throw new RateLimitedError(
+        'Too many failed login attempts, please wait before retrying',
+        secondsUntil(nextAttemptAt, now),
+        'LOGIN_THROTTLED'
+      );
+    }
+  }
+
+  /**
+   * Obtiene el estado vigente de una clave, descartando ventanas y bloqueos caducados
+   * @private
+   * @param {Map} map - Contadores de cuentas o de IPs
+   * @param {string} key - Clave
+   * @param {number} now - Marca de tiempo actual
+   * @returns {Object|null} Estado o null si no hay fallos vigentes
+   */
+  getEntry(map, key, now) {
+    const entry = map.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    const expired = entry.lockedUntil
+      ? entry.lockedUntil <= now
+      : now - entry.windowStartedAt >= this.options.failureWindowMs;
+
+    if (expired) {
+      map.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Descarta los contadores caducados, como mucho una vez por ventana
+   * @private
+   * @param {number} now - Marca de tiempo actual
+   * @returns {void}
+   */
+  prune(now) {
+    if (now - this.prunedAt < this.options.failureWindowMs) {
+      return;
+    }
+
+    this.prunedAt = now;
+    [this.accounts, this.ips].forEach((map) => {
+      [...map.keys()].forEach(key => this.getEntry(map, key, now));
+    });
+  }
+
+  /**
+   * Suma un fallo a una clave y la bloquea al alcanzar el umbral
+   * @private
+   * @param {Map} map - Contadores de cuentas o de IPs
+   * @param {string} key - Clave
+   * @param {number} now - Marca de tiempo actual
+   * @param {number} threshold - Fallos que provocan el bloqueo
+   * @returns {boolean} Si este fallo ha bloqueado la clave
+   */
+  registerFailure(map, key, now, threshold) {
+    const entry = this.getEntry(map, key, now) || { failures: 0, windowStartedAt: now, lockedUntil: null };
+
+    entry.failures += 1;
+    entry.lastFailureAt = now;
+    map.set(key, entry);
+
+    if (entry.lockedUntil || entry.failures < threshold) {
+      return false;
+    }
+
+    entry.lockedUntil = now + this.options.lockDurationMs;
+    return true;
+  }
+
+  /**
+   * Momento a partir del cual se admite el siguiente intento
+   * @private
+   * @param {Object|null} entry - Estado de la cuenta o IP
+   * @param {number} freeAttempts - Fallos permitidos sin retardo
+   * @returns {number} Marca de tiempo (0 si no hay retardo)
+   */
+  nextAttemptAt(entry, freeAttempts) {
+    if (!entry || entry.failures <= freeAttempts) {
+      return 0;
+    }
+
+    const { baseDelayMs, maxDelayMs } = this.options;
+    const delay = Math.min(baseDelayMs * 2 ** (entry.failures - freeAttempts - 1), maxDelayMs);
+
+    return entry.lastFailureAt + delay;
+  }
+
+  /**
+   * Escribe un evento de auditoría sin interrumpir el login si falla
+   * @private
+   * @async
+   * @param {string} event - Evento de auditoría
+   * @param {Object} data - Datos del evento
+   * @returns {Promise<void>}
+   */
+  async audit(event, data) {
+    logger.warn('Login protection event', { event, subject: data.subject, actor: data.actor, ip: data.ip });
+
+    try {
+      await AuditLog.record(event, data);
+    } catch (error) {
+      logger.error('Failed to write audit record', { event, error });
+    }
+  }
+}
+
+// Exporta una instancia única de LoginProtectionService
+const loginProtectionService = new LoginProtectionService();
+
+module.exports = loginProtectionService;
+module.exports.LoginProtectionService = LoginProtectionService;
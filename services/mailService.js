@@ -0,0 +1,267 @@
+/**
+ * Envío de correo con plantillas y cola de reintentos
+ * @module services/mailService
+ * @description `send()` genera el mensaje y lo encola; la entrega ocurre en segundo plano.
+ * Si el transporte falla se reintenta con espera exponencial hasta `EMAIL_MAX_ATTEMPTS`
+ * intentos. La cola vive en memoria: lo que quede pendiente al apagar se pierde y se registra.
+ * Los reintentos programados mantienen vivo el proceso hasta que se llama a close().
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const { render } = require('../utils/mailTemplates');
+const { MemoryTransport, FileTransport, SmtpTransport } = require('../utils/mailTransports');
+
+/**
+ * Espera máxima entre reintentos de entrega (ms)
+ * @constant {number}
+ */
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+/**
+ * Mensajes fallidos definitivamente que se conservan para diagnóstico
+ * @constant {number}
+ */
+const FAILED_HISTORY = 100;
+
+/**
+ * Crea el transporte indicado en la configuración
+ * @param {Object} settings - Resultado de `config.getEmailConfig()`
+ * @returns {import('../utils/mailTransports').MailTransport} Transporte
+ * @throws {Error} Si el transporte no está soportado
+ */
+const createTransport = (settings) => {
+  switch (settings.transport) {
+    case 'memory':
+      return new MemoryTransport();
+    case 'file':
+      return new FileTransport({ directory: settings.outputDir });
+    case 'smtp':
+      return new SmtpTransport(settings);
+    default:
+      throw new Error(`Unsupported email transport: ${settings.transport}`);
+  }
+};
+
+/**
+ * Clase que encola y entrega correos
+ * @class MailService
+ */
+class MailService {
+  /**
+   * Crea una instancia de MailService
+   * @param {Object} [options] - Opciones; lo que no se indique se toma de la configuración al usarse
+   * @param {import('../utils/mailTransports').MailTransport} [options.transport] - Transporte
+   * @param {number} [options.maxAttempts] - Intentos por mensaje
+   * @param {number} [options.retryDelay] - Espera antes del primer reintento (ms)
+   */
+  constructor({ transport = null, maxAttempts, retryDelay } = {}) {
+    this.transport = transport;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.queue = [];
+    this.pending = new Set();
+    this.retryTimers = new Set();
+    this.failed = [];
+    this.running = null;
+    this.waiters = [];
+  }
+
+  /**
+   * Devuelve el transporte activo, creándolo a partir de la configuración la primera vez
+   * @returns {import('../utils/mailTransports').MailTransport} Transporte
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport(config.getEmailConfig());
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Sustituye el transporte (p. ej. por un `MemoryTransport` en pruebas)
+   * @param {import('../utils/mailTransports').MailTransport} transport - Transporte
+   * @returns {void}
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Genera un mensaje a partir de una plantilla y lo encola
+   * @param {string} template - Nombre de la plantilla (ver `utils/mailTemplates`)
+   * @param {string} to - Destinatario
+   * @param {Object} [data={}] - Valores de la plantilla
+   * @returns {string} ID del trabajo en la cola
+   * @throws {Error} Si la plantilla no existe o faltan valores (antes de encolar)
+   */
+  send(template, to, data = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      template,
+      message: { from: config.get('emailFrom'), to, ...render(template, data) },
+      attempts: 0
+    };
+
+    this.pending.add(job);
+    this.enqueue(job);
+
+    return job.id;
+  }
+
+  /**
+   * Espera a que se entreguen (o fallen definitivamente) todos los mensajes pendientes
+   * @returns {Promise<void>}
+   */
+  drain() {
+    if (this.pending.size === 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.waiters.push(resolve);
+    });
+  }
+
+  /**
+   * Detiene la cola para el apagado
+   * @description Cancela los reintentos programados, espera a la entrega en curso y
+   * cierra el transporte. Los mensajes que no se han entregado se registran como perdidos.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+
+    const waiting = this.queue.splice(0);
+    await this.running;
+
+    const undelivered = [...this.pending];
+    if (undelivered.length > 0) {
+      logger.warn('Email queue closed with undelivered messages', {
+        count: undelivered.length,
+        ids: undelivered.map(job => job.id),
+        queued: waiting.length
+      });
+    }
+
+    this.pending.clear();
+    this.settle();
+
+    if (this.transport && typeof this.transport.close === 'function') {
+      await this.transport.close();
+    }
+  }
+
+  /**
+   * Estado de la cola
+   * @returns {{pending: number, failed: number}} Mensajes pendientes y fallidos definitivamente
+   */
+  getStatus() {
+    return { pending: this.pending.size, failed: this.failed.length };
+  }
+
+  /**
+   * Añade un trabajo a la cola y arranca el procesamiento si está parado
+   * @private
+   * @param {Object} job - Trabajo
+   * @returns {void}
+   */
+  enqueue(job) {
+    this.queue.push(job);
+
+    if (!this.running) {
+      this.running = this.process().finally(() => {
+        this.running = null;
+      });
+    }
+  }
+
+  /**
+   * Entrega los trabajos de la cola de uno en uno
+   * @private
+   * @async
+   * @returns {Promise<void>}
+   */
+  async process() {
+    // Se cede el turno para que send() responda antes de la primera entrega
+    await new Promise(resolve => setImmediate(resolve));
+
+    while (this.queue.length > 0) {
+      await this.deliver(this.queue.shift());
+    }
+  }
+
+  /**
+   * Intenta entregar un trabajo y programa un reintento si falla
+   * @private
+   * @async
+   * @param {Object} job - Trabajo
+   * @returns {Promise<void>}
+   */
+  async deliver(job) {
+    const maxAttempts = this.maxAttempts || config.get('emailMaxAttempts');
+    const retryDelay = this.retryDelay || config.get('emailRetryDelay');
+    job.attempts += 1;
+
+    try {
+      const { messageId } = await this.getTransport().send(job.message);
+      logger.info('Email sent', { id: job.id, template: job.template, messageId, attempts: job.attempts });
+      this.complete(job);
+    } catch (error) {
+      if (job.attempts >= maxAttempts) {
+        logger.error('Email delivery failed', { id: job.id, template: job.template, attempts: job.attempts, error: error.message });
+        this.failed.push({ id: job.id, template: job.template, to: job.message.to, error: error.message, failedAt: new Date() });
+        this.failed.splice(0, this.failed.length - FAILED_HISTORY);
+        this.complete(job);
+        return;
+      }
+
+      const delay = Math.min(retryDelay * 2 ** (job.attempts - 1), MAX_RETRY_DELAY);
+      logger.warn('Email delivery failed, retrying', {
+        id: job.id,
+        template: job.template,
+        attempt: job.attempts,
+        retryInMs: delay,
+        error: error.message
+      });
+
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(timer);
+        this.enqueue(job);
+      }, delay);
+      this.retryTimers.add(timer);
+    }
+  }
+
+  /**
+   * Saca un trabajo de los pendientes
+   * @private
+   * @param {Object} job - Trabajo
+   * @returns {void}
+   */
+  complete(job) {
+    this.pending.delete(job);
+    this.settle();
+  }
+
+  /**
+   * Resuelve las esperas de drain() cuando no quedan pendientes
+   * @private
+   * @returns {void}
+   */
+  settle() {
+    if (this.pending.size === 0) {
+      this.waiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+}
+
+// Exporta una instancia única de MailService
+const mailService = new MailService();
+
+module.exports = mailService;
+module.exports.MailService = MailService;
@@ -0,0 +1,417 @@
+/**
+ * Pedidos y pagos con proveedores intercambiables
+ * @module services/paymentService
+ * @description Crea pedidos a partir del catálogo, inicia pagos con el proveedor elegido y
+ * aplica sus webhooks. El estado del pago solo avanza por las transiciones de
+ * `Payment.TRANSITIONS` y cada evento se aplica una sola vez (`models/PaymentEvent`).
+ */
+
+const config = require('../config/config');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const PaymentEvent = require('../models/PaymentEvent');
+const { logger } = require('../utils/logger');
+const { StripeProvider, PayPalProvider } = require('../utils/paymentProviders');
+const {
+  BadGatewayError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/errorHandler');
+const { ROLES } = require('../config/roles');
+const { PAYMENT_PROVIDERS } = require('../config/constants');
+
+const { ORDER_STATUS } = Order;
+const { PAYMENT_STATUS, PAYMENT_METHODS, TRANSITIONS } = Payment;
+
+/**
+ * Crea un proveedor a partir de su configuración
+ * @param {string} name - Proveedor
+ * @param {Object} settings - Credenciales (de `config.getPaymentConfig()`)
+ * @returns {import('../utils/paymentProviders').PaymentProvider} Proveedor
+ * @throws {Error} Si el proveedor no está soportado
+ */
+const createProvider = (name, settings) => {
+  switch (name) {
+    case 'stripe':
+      return new StripeProvider(settings);
+    case 'paypal':
+      return new PayPalProvider(settings);
+    default:
+      throw new Error(`Unsupported payment provider: ${name}`);
+  }
+};
+
+/**
+ * Convierte el fallo de una llamada a un proveedor en un 502
+ * @param {Error} error - Error original
+ * @returns {Error} BadGatewayError si el error viene del proveedor; el original si no
+ */
+const toGatewayError = (error) => {
+  if (!error.provider) {
+    return error;
+  }
+
+  logger.error('Payment provider request failed', { provider: error.provider, status: error.providerStatus, error: error.message });
+  return new BadGatewayError('Payment provider request failed', 'PAYMENT_PROVIDER_ERROR');
+};
+
+/**
+ * Construye una URL de vuelta del cliente para un pedido
+ * @param {string} path - Ruta en el cliente
+ * @param {string} orderId - ID del pedido
+ * @returns {string} URL absoluta
+ */
+const buildReturnUrl = (path, orderId) => {
+  const url = new URL(path, config.get('appUrl'));
+  url.searchParams.set('order', orderId);
+  return url.toString();
+};
+
+/**
+ * Clase que gestiona pedidos, pagos y webhooks
+ * @class PaymentService
+ */
+class PaymentService {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Devuelve un proveedor, creándolo a partir de la configuración la primera vez
+   * @param {string} name - Proveedor
+   * @returns {import('../utils/paymentProviders').PaymentProvider|null} Proveedor, o null si no está configurado
+   */
+  getProvider(name) {
+    if (!PAYMENT_PROVIDERS.includes(name)) {
+      return null;
+    }
+
+    if (!this.providers.has(name)) {
+      const settings = config.getPaymentConfig()[name];
+      this.providers.set(name, settings ? createProvider(name, settings) : null);
+    }
+
+    return this.providers.get(name);
+  }
+
+  /**
+   * Sustituye un proveedor (p. ej. por uno con un `fetch` que reproduce respuestas grabadas)
+   * @param {string} name - Proveedor
+   * @param {import('../utils/paymentProviders').PaymentProvider|null} provider - Proveedor, o null para desactivarlo
+   * @returns {void}
+   */
+  setProvider(name, provider) {
+    this.providers.set(name, provider);
+  }
+
+  /**
+   * Proveedores configurados con los datos públicos que necesita el cliente
+   * @returns {{currency: string, providers: Object[]}} Moneda y proveedores
+   */
+  listProviders() {
+    const providers = PAYMENT_PROVIDERS
+      .map(name => this.getProvider(name))
+      .filter(Boolean)
+      .map(provider => ({ name: provider.name, ...provider.getPublicConfig() }));
+
+    return { currency: config.get('paymentCurrency'), providers };
+  }
+
+  /**
+   * Crea un pedido y lo envía a una página de pago del proveedor
+   * @async
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} data - Datos del pago
+   * @param {string} data.provider - Proveedor
+   * @param {Array<{productId: string, quantity: number}>} data.items - Productos
+   * @returns {Promise<{order: Object, payment: Object, url: string}>} Pedido, pago y URL a la que redirigir al comprador
+   */
+  async createCheckout(user, { provider, items }) {
+    const { order, payment, result } = await this.startPayment(user, provider, items, PAYMENT_METHODS.CHECKOUT);
+    return { order, payment, url: result.url };
+  }
+
+  /**
+   * Crea un pedido y un cobro que el cliente completa con el SDK del proveedor
+   * @async
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} data - Datos del pago
+   * @param {string} data.provider - Proveedor
+   * @param {Array<{productId: string, quantity: number}>} data.items - Productos
+   * @returns {Promise<{order: Object, payment: Object, clientSecret: (string|null)}>} Pedido, pago y secreto del cliente (Stripe)
+   */
+  async createPaymentIntent(user, { provider, items }) {
+    const { order, payment, result } = await this.startPayment(user, provider, items, PAYMENT_METHODS.INTENT);
+    return { order, payment, clientSecret: result.clientSecret };
+  }
+
+  /**
+   * Devuelve un pedido con sus pagos
+   * @async
+   * @param {string} orderId - ID del pedido
+   * @param {Object} user - Usuario autenticado (solo el comprador o un administrador)
+   * @returns {Promise<Object>} Pedido con `payments`
+   * @throws {NotFoundError} Si el pedido no existe
+   * @throws {ForbiddenError} Si el pedido es de otro usuario
+   */
+  async getOrder(orderId, user) {
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    if (order.userId !== user.id && user.role !== ROLES.ADMIN) {
+      throw new ForbiddenError();
+    }
+
+    return { ...order, payments: await Payment.findByOrder(order.id) };
+  }
+
+  /**
+   * Verifica y aplica un webhook
+   * @async
+   * @param {string} name - Proveedor
+   * @param {Buffer} rawBody - Cuerpo sin parsear (la firma se calcula sobre él)
+   * @param {Object} headers - Cabeceras de la solicitud
+   * @returns {Promise<{duplicate: boolean}>} Si el evento ya se había recibido
+   * @throws {NotFoundError} Si el proveedor no está configurado
+   * @throws {BadRequestError} Si la firma no es válida o el cuerpo no es un evento
+   * @throws {ConflictError} Si otra entrega del mismo evento se está aplicando
+   */
+  async handleWebhook(name, rawBody, headers) {
+    const provider = this.getProvider(name);
+
+    if (!provider) {
+      throw new NotFoundError('Payment provider not found');
+    }
+
+    let verified;
+    try {
+      verified = Buffer.isBuffer(rawBody) && await provider.verifyWebhook(rawBody, headers);
+    } catch (error) {
+      throw toGatewayError(error);
+    }
+
+    if (!verified) {
+      throw new BadRequestError('Invalid webhook signature', 'WEBHOOK_SIGNATURE_INVALID');
+    }
+
+    let event;
+    try {
+      event = provider.parseEvent(rawBody);
+    } catch (error) {
+      event = null;
+    }
+
+    if (!event || !event.id || !event.type) {
+      throw new BadRequestError('Malformed webhook event', 'MALFORMED_BODY');
+    }
+
+    const record = await PaymentEvent.begin(name, event);
+    if (!record) {
+      const existing = await PaymentEvent.find(name, event.id);
+      if (existing && !existing.processedAt) {
+        // Sin un 2xx el proveedor reintenta, por si la entrega que lo está aplicando falla
+        throw new ConflictError('Payment event is already being processed', 'WEBHOOK_IN_PROGRESS');
+      }
+
+      logger.info('Duplicate payment event ignored', { provider: name, eventId: event.id, type: event.type });
+      return { duplicate: true };
+    }
+
+    try {
+      const payment = await this.applyEvent(provider, event);
+      await PaymentEvent.complete(record, payment ? payment.id : null);
+    } catch (error) {
+      // Sin el registro, el reintento del proveedor vuelve a aplicar el evento
+      await PaymentEvent.release(record);
+      throw toGatewayError(error);
+    }
+
+    return { duplicate: false };
+  }
+
+  /**
+   * Crea el pedido y el pago y llama al proveedor
+   * @private
+   * @async
+   * @param {Object} user - Usuario autenticado
+   * @param {string} providerName - Proveedor
+   * @param {Array<{productId: string, quantity: number}>} items - Productos
+   * @param {string} method - Forma de pago (ver PAYMENT_METHODS)
+   * @returns {Promise<{order: Object, payment: Object, result: Object}>} Pedido, pago con su referencia y respuesta del proveedor
+   */
+  async startPayment(user, providerName, items, method) {
+    const provider = this.getProvider(providerName);
+
+    if (!provider) {
+      throw new ValidationError('Validation failed', [
+        { field: 'provider', message: 'Payment provider is not available', location: 'body' }
+      ]);
+    }
+
+    const order = await Order.create({ userId: user.id, items: await this.priceItems(items), currency: config.get('paymentCurrency') });
+    const payment = await Payment.create(order, provider.name, method);
+
+    let result;
+    try {
+      result = method === PAYMENT_METHODS.CHECKOUT
+        ? await provider.createCheckout({
+          order,
+          payment,
+          successUrl: buildReturnUrl('/checkout/success', order.id),
+          cancelUrl: buildReturnUrl('/checkout/cancel', order.id)
+        })
+        : await provider.createPaymentIntent({ order, payment });
+    } catch (error) {
+      await Payment.transition(payment, PAYMENT_STATUS.FAILED);
+      throw toGatewayError(error);
+    }
+
+    logger.info('Payment started', { orderId: order.id, paymentId: payment.id, provider: provider.name, method, amount: order.amount });
+
+    return {
+      order,
+      payment: await Payment.update(payment.id, { reference: result.reference }),
+      result
+    };
+  }
+
+  /**
+   * Construye las líneas del pedido con los precios del catálogo
+   * @private
+   * @async
+   * @param {Array<{productId: string, quantity: number}>} items - Productos pedidos (se agrupan los repetidos)
+   * @returns {Promise<Object[]>} Líneas con nombre y precio unitario en unidades mínimas
+   * @throws {ValidationError} Si algún producto no existe o el total es cero
+   */
+  async priceItems(items) {
+    const quantities = new Map();
+    items.forEach(({ productId, quantity }) => {
+      quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+    });
+
+    const products = await Promise.all([...quantities.keys()].map(productId => Product.findById(productId)));
+    const missing = [...quantities.keys()].filter((productId, index) => !products[index]);
+
+    if (missing.length > 0) {
+      throw new ValidationError('Validation failed', missing.map(productId => ({
+        field: `items[${items.findIndex(item => item.productId === productId)}].productId`,
+        message: 'Product not found',
+        location: 'body'
+      })));
+    }
+
+    const lines = products.map(product => ({
+      productId: product.id,
+      name: product.name,
+      unitAmount: Math.round(product.price * 100),
+      quantity: quantities.get(product.id)
+    }));
+
+    if (lines.every(line => line.unitAmount === 0)) {
+      throw new ValidationError('Validation failed', [
+        { field: 'items', message: 'Order total must be greater than zero', location: 'body' }
+      ]);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Aplica un evento verificado a su pago y a su pedido
+   * @private
+   * @async
+   * @param {import('../utils/paymentProviders').PaymentProvider} provider - Proveedor
+   * @param {import('../utils/paymentProviders').ProviderEvent} event - Evento
+   * @returns {Promise<Object|null>} Pago afectado, o null si el evento no afecta a ninguno
+   */
+  async applyEvent(provider, event) {
+    if (!event.status) {
+      return null;
+    }
+
+    const payment = await Payment.findForEvent(provider.name, event);
+    const context = { provider: provider.name, eventId: event.id, type: event.type };
+
+    if (!payment) {
+      logger.warn('Payment event does not match any payment', context);
+      return null;
+    }
+
+    if (event.status === PAYMENT_STATUS.REFUNDED && event.refundedAmount < payment.amount) {
+      logger.info('Partial refund recorded without changing the payment', { ...context, paymentId: payment.id, refundedAmount: event.refundedAmount });
+      return payment;
+    }
+
+    let { status } = event;
+    const changes = {};
+
+    if (event.transactionId && !payment.transactionId) {
+      changes.transactionId = event.transactionId;
+    }
+
+    // El comprador ha aprobado: se captura aquí (idempotente en el proveedor) si el pago sigue abierto
+    if (event.capture && TRANSITIONS[payment.status].includes(PAYMENT_STATUS.SUCCEEDED)) {
+      const captured = await provider.capture(payment.reference);
+      status = captured.status;
+      changes.transactionId = captured.transactionId || changes.transactionId;
+    }
+
+    const updated = await Payment.transition(payment, status, changes);
+
+    if (!updated) {
+      // Otro evento ha cambiado el estado entretanto: se vuelve a evaluar con el estado nuevo
+      const current = await Payment.findById(payment.id);
+      if (current && current.status !== payment.status) {
+        return this.applyEvent(provider, event);
+      }
+
+      logger.info('Payment event ignored for the current payment status', { ...context, paymentId: payment.id, from: payment.status, to: status });
+      return Object.keys(changes).length > 0 ? Payment.update(payment.id, changes) : payment;
+    }
+
+    logger.info('Payment status changed', { ...context, paymentId: payment.id, orderId: payment.orderId, from: payment.status, to: status });
+    await this.syncOrder(updated);
+
+    return updated;
+  }
+
+  /**
+   * Lleva el pedido al estado que corresponde al pago
+   * @private
+   * @async
+   * @param {Object} payment - Pago actualizado
+   * @returns {Promise<void>}
+   */
+  async syncOrder(payment) {
+    const order = await Order.findById(payment.orderId);
+
+    if (!order) {
+      return;
+    }
+
+    if (payment.status === PAYMENT_STATUS.SUCCEEDED) {
+      if (order.status !== ORDER_STATUS.PENDING) {
+        logger.warn('Payment succeeded for an order that is not pending', { orderId: order.id, paymentId: payment.id, status: order.status });
+        return;
+      }
+      await Order.setStatus(order.id, ORDER_STATUS.PAID);
+    }
+
+    if (payment.status === PAYMENT_STATUS.REFUNDED && order.status === ORDER_STATUS.PAID) {
+      await Order.setStatus(order.id, ORDER_STATUS.REFUNDED);
+    }
+  }
+}
+
+// Exporta una instancia única de PaymentService
+const paymentService = new PaymentService();
+
+module.exports = paymentService;
+module.exports.PaymentService = PaymentService;
@@ -0,0 +1,212 @@
+/**
+ * Coordinador del apagado ordenado del servicio
+ * @module services/shutdownManager
+ */
+
+const healthService = require('./healthService');
+const { logger } = require('../utils/logger');
+const { ServiceUnavailableError } = require('../utils/errorHandler');
+
+/**
+ * Tiempo máximo por defecto del apagado en milisegundos (hasta que `configure()` aplique `shutdownTimeout`)
+ * @constant {number}
+ */
+const DEFAULT_SHUTDOWN_TIMEOUT = 10000;
+
+/**
+ * Clase que coordina el apagado: deja de aceptar solicitudes, marca el servicio
+ * como no listo, drena conexiones y ejecuta los hooks de limpieza registrados
+ * @class ShutdownManager
+ */
+class ShutdownManager {
+  /**
+   * Crea una instancia de ShutdownManager
+   * @constructor
+   * @param {Object} [options] - Opciones del coordinador
+   * @param {number} [options.timeout] - Tiempo máximo del apagado en milisegundos
+   * @param {Function} [options.exit=process.exit] - Función para terminar el proceso
+   * @param {Object} [options.health=healthService] - Servicio de salud a marcar como no listo
+   */
+  constructor({
+    timeout = DEFAULT_SHUTDOWN_TIMEOUT,
+    exit = (code) => process.exit(code),
+    health = healthService
+  } = {}) {
+    this.timeout = timeout;
+    this.exit = exit;
+    this.health = health;
+    this.hooks = [];
+    this.servers = [];
+    this.shuttingDown = false;
+    this.shutdownPromise = null;
+    this.listening = false;
+  }
+
+  /**
+   * Registra un hook asíncrono de limpieza
+   * @description Los hooks se ejecutan en orden inverso al de registro, de modo que
+   * lo último en inicializarse es lo primero en cerrarse
+   * @param {string} name - Nombre del hook (para los logs)
+   * @param {Function} hook - Función asíncrona de limpieza
+   * @returns {Function} Función que elimina el hook
+   */
+  register(name, hook) {
+    const entry = { name, hook };
+    this.hooks.push(entry);
+
+    return () => {
+      this.hooks = this.hooks.filter(candidate => candidate !== entry);
+    };
+  }
+
+  /**
+   * Aplica los ajustes validados de la configuración
+   * @param {Object} settings - Ajustes
+   * @param {number} settings.timeout - Tiempo máximo del apagado en milisegundos (`shutdownTimeout`)
+   * @returns {void}
+   */
+  configure({ timeout }) {
+    this.timeout = timeout;
+  }
+
+  /**
+   * Asocia un servidor HTTP cuyas conexiones se drenarán al apagar
+   * @param {import('http').Server} server - Servidor HTTP
+   * @returns {void}
+   */
+  attach(server) {
+    this.servers.push(server);
+  }
+
+  /**
+   * Middleware que rechaza las solicitudes recibidas durante el apagado
+   * @description Las conexiones keep-alive existentes pueden seguir enviando
+   * solicitudes tras `server.close()`; se responden con 503 y `Connection: close`
+   * @returns {Function} Middleware de Express
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.shuttingDown) {
+        return next();
+      }
+
+      res.setHeader('Connection', 'close');
+      next(new ServiceUnavailableError('Server is shutting down', 'SHUTTING_DOWN'));
+    };
+  }
+
+  /**
+   * Escucha las señales de terminación y los errores no capturados del proceso
+   * @returns {void}
+   */
+  listen() {
+    if (this.listening) {
+      return;
+    }
+    this.listening = true;
+
+    ['SIGTERM', 'SIGINT'].forEach((signal) => {
+      process.on(signal, () => {
+        logger.info(`${signal} recibido, cerrando servidor...`);
+        this.shutdown(signal);
+      });
+    });
+
+    process.on('uncaughtException', (error) => {
+      logger.error('Excepción no capturada', { error });
+      this.shutdown('uncaughtException', 1);
+    });
+
+    process.on('unhandledRejection', (reason) => {
+      logger.error('Promesa rechazada sin manejar', { error: reason });
+      this.shutdown('unhandledRejection', 1);
+    });
+  }
+
+  /**
+   * Ejecuta el apagado ordenado y termina el proceso
+   * @async
+   * @param {string} reason - Motivo del apagado
+   * @param {number} [exitCode=0] - Código de salida si la limpieza tiene éxito
+   * @returns {Promise<number>} Código de salida utilizado
+   */
+  shutdown(reason, exitCode = 0) {
+    if (this.shutdownPromise) {
+      return this.shutdownPromise;
+    }
+
+    this.shuttingDown = true;
+    this.health.markShuttingDown();
+
+    let timer;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        logger.error(`El apagado superó el tiempo máximo de ${this.timeout}ms`);
+        this.servers.forEach(server => server.closeAllConnections());
+        resolve(false);
+      }, this.timeout);
+    });
+
+    this.shutdownPromise = Promise.race([this.cleanup(), deadline])
+      .then((succeeded) => {
+        clearTimeout(timer);
+        const code = succeeded ? exitCode : 1;
+        logger.info('Servidor cerrado', { reason, exitCode: code });
+        this.exit(code);
+        return code;
+      });
+
+    return this.shutdownPromise;
+  }
+
+  /**
+   * Cierra los servidores y ejecuta los hooks de limpieza
+   * @private
+   * @async
+   * @returns {Promise<boolean>} Si toda la limpieza terminó sin errores
+   */
+  async cleanup() {
+    let succeeded = true;
+
+    try {
+      await Promise.all(this.servers.map(server => this.closeServer(server)));
+    } catch (error) {
+      logger.error('Error al cerrar el servidor HTTP', { error });
+      succeeded = false;
+    }
+
+    for (const { name, hook } of [...this.hooks].reverse()) {
+      try {
+        await hook();
+      } catch (error) {
+        logger.error(`Error en el hook de apagado "${name}"`, { error });
+        succeeded = false;
+      }
+    }
+
+    return succeeded;
+  }
+
+  /**
+   * Deja de aceptar conexiones y cierra las conexiones keep-alive inactivas
+   * @private
+   * @param {import('http').Server} server - Servidor HTTP
+   * @returns {Promise<void>} Se resuelve cuando terminan las solicitudes en curso
+   */
+  closeServer(server) {
+    return new Promise((resolve, reject) => {
+      // Las conexiones quedan inactivas al terminar su solicitud en curso
+      const drain = setInterval(() => server.closeIdleConnections(), 250);
+
+      server.close((error) => {
+        clearInterval(drain);
+        return error && error.code !== 'ERR_SERVER_NOT_RUNNING' ? reject(error) : resolve();
+      });
+      server.closeIdleConnections();
+    });
+  }
+}
+
+// Exporta una instancia única de ShutdownManager
+module.exports = new ShutdownManager();
+module.exports.ShutdownManager = ShutdownManager;
@@ -0,0 +1,102 @@
+/**
+ * Acceso al almacenamiento de ficheros subidos
+ * @module services/storageService
+ * @description Elige el driver según `STORAGE_DRIVER` y centraliza la firma de URLs
+ * de descarga y el borrado de ficheros que ya no se usan.
+ */
+
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const { LocalFileStorage, S3FileStorage } = require('../utils/fileStorage');
+
+/**
+ * Ruta desde la que la API sirve los ficheros del driver local
+ * @constant {string}
+ */
+const FILES_PATH = '/files';
+
+/**
+ * Crea el driver indicado en la configuración
+ * @param {Object} settings - Resultado de `config.getStorageConfig()`
+ * @returns {import('../utils/fileStorage').FileStorage} Driver
+ * @throws {Error} Si el driver no está soportado o el driver local no tiene secreto de firma
+ */
+const createDriver = (settings) => {
+  switch (settings.driver) {
+    case 'local':
+      if (!settings.signingSecret) {
+        throw new Error('Local storage needs STORAGE_SIGNING_SECRET or SESSION_SECRET to sign download URLs');
+      }
+      return new LocalFileStorage({ directory: settings.directory, signingSecret: settings.signingSecret, baseUrl: FILES_PATH });
+    case 's3':
+      return new S3FileStorage(settings.s3);
+    default:
+      throw new Error(`Unsupported storage driver: ${settings.driver}`);
+  }
+};
+
+/**
+ * Clase que da acceso al driver de almacenamiento activo
+ * @class StorageService
+ */
+class StorageService {
+  constructor() {
+    this.driver = null;
+  }
+
+  /**
+   * Devuelve el driver activo, creándolo a partir de la configuración la primera vez
+   * @returns {import('../utils/fileStorage').FileStorage} Driver
+   */
+  getDriver() {
+    if (!this.driver) {
+      this.driver = createDriver(config.getStorageConfig());
+    }
+
+    return this.driver;
+  }
+
+  /**
+   * Sustituye el driver (p. ej. por un `S3FileStorage` con un cliente propio)
+   * @param {import('../utils/fileStorage').FileStorage} driver - Driver
+   * @returns {void}
+   */
+  setDriver(driver) {
+    this.driver = driver;
+  }
+
+  /**
+   * Genera una URL de descarga firmada con la vigencia configurada
+   * @async
+   * @param {string} key - Clave del fichero
+   * @returns {Promise<{url: string, expiresAt: Date}>} URL y caducidad
+   */
+  async getSignedUrl(key) {
+    const expiresIn = config.get('signedUrlExpiration');
+    const url = await this.getDriver().getSignedUrl(key, { expiresIn });
+    return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+  }
+
+  /**
+   * Elimina ficheros sin interrumpir la operación que los ha dejado huérfanos
+   * @async
+   * @param {...string} keys - Claves (se ignoran las vacías)
+   * @returns {Promise<void>}
+   */
+  async discard(...keys) {
+    await Promise.all(keys.filter(Boolean).map(async (key) => {
+      try {
+        await this.getDriver().delete(key);
+      } catch (error) {
+        logger.error('Failed to delete stored file', { key, error: error.message });
+      }
+    }));
+  }
+}
+
+// Exporta una instancia única de StorageService
+const storageService = new StorageService();
+
+module.exports = storageService;
+module.exports.StorageService = StorageService;
+module.exports.FILES_PATH = FILES_PATH;
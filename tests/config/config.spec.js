@@ -0,0 +1,108 @@
+const { ConfigManager } = require('../../config/config');
+
+describe('ConfigManager hot reload', () => {
+  const variables = ['LOG_LEVEL', 'RATE_LIMIT_MAX', 'PORT', 'FEATURE_FLAG_NEW_CHECKOUT'];
+  const original = Object.fromEntries(variables.map(name => [name, process.env[name]]));
+  let manager;
+
+  beforeEach(async () => {
+    process.env.LOG_LEVEL = 'info';
+    process.env.RATE_LIMIT_MAX = '100';
+    process.env.PORT = '3000';
+    delete process.env.FEATURE_FLAG_NEW_CHECKOUT;
+    manager = new ConfigManager();
+    await manager.loadConfig();
+  });
+
+  afterEach(() => {
+    manager.disableHotReload();
+    variables.forEach((name) => {
+      if (original[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = original[name];
+      }
+    });
+  });
+
+  it('refuses to reload before the configuration is loaded', async () => {
+    await expect(new ConfigManager().reload()).rejects.toThrow('no ha sido cargada');
+  });
+
+  it('applies changes to reloadable keys and notifies their listeners', async () => {
+    const onLogLevel = jest.fn();
+    const onAny = jest.fn();
+    manager.onChange('logLevel', onLogLevel);
+    manager.on('change', onAny);
+
+    process.env.LOG_LEVEL = 'debug';
+    process.env.FEATURE_FLAG_NEW_CHECKOUT = '25%';
+    const changes = await manager.reload();
+
+    expect(manager.get('logLevel')).toBe('debug');
+    expect(manager.get('featureFlags')).toEqual({ 'new-checkout': { enabled: true, percentage: 25 } });
+    expect(onLogLevel).toHaveBeenCalledWith('debug', 'info');
+    expect(onAny).toHaveBeenCalledWith(changes);
+    expect(changes.map(change => change.key).sort()).toEqual(['featureFlags', 'logLevel']);
+  });
+
+  it('stops notifying a listener once unsubscribed', async () => {
+    const listener = jest.fn();
+    const unsubscribe = manager.onChange('rateLimitMax', listener);
+
+    process.env.RATE_LIMIT_MAX = '200';
+    await manager.reload();
+    unsubscribe();
+    process.env.RATE_LIMIT_MAX = '300';
+    await manager.reload();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(200, 100);
+    expect(manager.get('rateLimitMax')).toBe(300);
+  });
+
+  it('ignores changes to keys that need a restart', async () => {
+    const listener = jest.fn();
+    manager.onChange('port', listener);
+    manager.on('change', listener);
+
+    process.env.PORT = '4000';
+    const changes = await manager.reload();
+
+    expect(changes).toEqual([]);
+    expect(manager.get('port')).toBe(3000);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('keeps the current configuration when the new one is invalid', async () => {
+    process.env.RATE_LIMIT_MAX = 'lots';
+    process.env.LOG_LEVEL = 'debug';
+
+    expect(await manager.reload()).toEqual([]);
+    expect(manager.get('rateLimitMax')).toBe(100);
+    expect(manager.get('logLevel')).toBe('info');
+  });
+
+  it('shares one reload between concurrent calls', async () => {
+    const listener = jest.fn();
+    manager.onChange('logLevel', listener);
+
+    process.env.LOG_LEVEL = 'warn';
+    const [first, second] = await Promise.all([manager.reload(), manager.reload()]);
+
+    expect(first).toBe(second);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('reloads on SIGHUP until hot reload is disabled', async () => {
+    const reload = jest.spyOn(manager, 'reload').mockResolvedValue([]);
+
+    manager.enableHotReload({ watchFiles: false });
+    manager.enableHotReload({ watchFiles: false });
+    process.emit('SIGHUP');
+    expect(reload).toHaveBeenCalledTimes(1);
+
+    manager.disableHotReload();
+    expect(process.listenerCount('SIGHUP')).toBe(0);
+  });
+});
@@ -0,0 +1,80 @@
+const schema = require('../../config/schema');
+
+describe('config schema', () => {
+  const base = {
+    databaseUrl: 'mongodb://localhost:27017/app',
+    jwtSecret: 'a-production-jwt-secret-of-at-least-32-chars',
+    emailHost: 'smtp.example.com',
+    storageSigningSecret: 'a-production-storage-signing-secret-32'
+  };
+  const sessionSecret = 'a-production-session-secret-of-32-chars';
+
+  it('requires a session secret in production', () => {
+    const { errors } = schema.validate({ ...base, environment: 'production' });
+
+    expect(errors).toEqual([expect.stringContaining('sessionSecret')]);
+    expect(schema.validate({ ...base, environment: 'production', sessionSecret }).errors).toEqual([]);
+  });
+
+  it('rejects short or example session secrets in production', () => {
+    for (const weak of ['default-session-secret', 'your_session_secret', 'short']) {
+      const { errors } = schema.validate({ ...base, environment: 'production', sessionSecret: weak });
+      expect(errors).toContainEqual(expect.stringContaining('sessionSecret'));
+    }
+  });
+
+  it('leaves the session secret optional outside production, without a default', () => {
+    const { value, errors } = schema.validate({ ...base, environment: 'development' });
+
+    expect(errors).toEqual([]);
+    expect(value.sessionSecret).toBeUndefined();
+  });
+
+  it('requires a signing secret for the local storage driver at startup', () => {
+    const { storageSigningSecret, ...withoutSecrets } = base;
+
+    expect(schema.validate({ ...withoutSecrets, environment: 'development' }).errors)
+      .toEqual([expect.stringContaining('storageSigningSecret" or sessionSecret is required')]);
+    expect(schema.validate({ ...withoutSecrets, environment: 'development', sessionSecret: 'dev' }).errors).toEqual([]);
+    expect(schema.validate({ ...withoutSecrets, environment: 'development', storageDriver: 's3', s3Bucket: 'uploads' }).errors)
+      .toEqual([]);
+  });
+
+  it('reads TRUST_PROXY as a flag, a hop count or a list of proxies', () => {
+    const trustProxy = env => schema.validate({ ...base, ...schema.fromEnvironment(env) }).value.trustProxy;
+
+    expect(trustProxy({})).toBe(false);
+    expect(trustProxy({ TRUST_PROXY: 'true' })).toBe(true);
+    expect(trustProxy({ TRUST_PROXY: '1' })).toBe(1);
+    expect(trustProxy({ TRUST_PROXY: 'loopback, 10.0.0.0/8' })).toEqual(['loopback', '10.0.0.0/8']);
+  });
+
+  it('reads FEATURE_FLAG_* variables as switches, percentages or JSON definitions', () => {
+    const { value, errors } = schema.validate({
+      ...base,
+      ...schema.fromEnvironment({
+        FEATURE_FLAG_NEW_CHECKOUT: '25%',
+        FEATURE_FLAG_SEARCH: 'on',
+        FEATURE_FLAG_LEGACY: 'false',
+        FEATURE_FLAG_BETA: '{"roles": "admin, support", "users": ["u1"]}',
+        FEATURE_FLAG_EMPTY: ''
+      })
+    });
+
+    expect(errors).toEqual([]);
+    expect(value.featureFlags).toEqual({
+      'new-checkout': { enabled: true, percentage: 25 },
+      search: { enabled: true },
+      legacy: { enabled: false },
+      beta: { enabled: true, roles: ['admin', 'support'], users: ['u1'] }
+    });
+  });
+
+  it('rejects feature flags it cannot read', () => {
+    const { errors } = schema.validate({ ...base, ...schema.fromEnvironment({ FEATURE_FLAG_CHECKOUT: '150%' }) });
+
+    expect(errors).toEqual([expect.stringContaining('featureFlags.checkout.percentage')]);
+    expect(schema.validate({ ...base, ...schema.fromEnvironment({ FEATURE_FLAG_CHECKOUT: 'maybe' }) }).errors)
+      .toEqual([expect.stringContaining('featureFlags.checkout')]);
+  });
+});
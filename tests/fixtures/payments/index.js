@@ -0,0 +1,34 @@
+/**
+ * Respuestas y eventos grabados de Stripe y PayPal
+ * @module tests/fixtures/payments
+ * @description Los proveedores se crean con un `fetch` que reproduce estas respuestas, así
+ * que ninguna prueba llama a las APIs reales.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Lee una respuesta o un evento grabado
+ * @param {string} provider - `stripe` o `paypal`
+ * @param {string} name - Nombre del fichero sin extensión (p. ej. `charge.refunded`)
+ * @returns {Object} Contenido del fichero
+ */
+const fixture = (provider, name) => JSON.parse(fs.readFileSync(path.join(__dirname, provider, `${name}.json`), 'utf8'));
+
+/**
+ * Crea un `fetch` que responde según la ruta con las grabaciones indicadas
+ * @param {Object<string, ({status: number, body: Object}|function(Object): {status: number, body: Object})>} routes - Respuesta por ruta de la API
+ * @returns {jest.Mock} Implementación de fetch; `mock.calls` guarda las llamadas
+ */
+const replayFetch = routes => jest.fn(async (url, options) => {
+  const route = routes[new URL(url).pathname];
+  const { status, body } = typeof route === 'function' ? route(options) : (route || { status: 404, body: {} });
+
+  return { ok: status < 300, status, json: async () => body };
+});
+
+module.exports = {
+  fixture,
+  replayFetch
+};
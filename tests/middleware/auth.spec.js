@@ -0,0 +1,39 @@
+const { requireScope } = require('../../middleware/auth');
+
+describe('requireScope', () => {
+  const run = (middleware, req) => {
+    const next = jest.fn();
+    middleware(req, {}, next);
+    return next.mock.calls[0][0];
+  };
+
+  const keyRequest = (permissions, params = {}) => ({
+    user: { id: 'u1', role: 'user', permissions },
+    apiKey: { id: 'k1' },
+    params
+  });
+
+  it('lets bearer token requests through whatever their permissions', () => {
+    const req = { user: { id: 'u1', role: 'user', permissions: [] } };
+
+    expect(run(requireScope('admin:access'), req)).toBeUndefined();
+  });
+
+  it('rejects unauthenticated requests', () => {
+    expect(run(requireScope('orders:read'), {})).toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects API keys without every listed scope', () => {
+    expect(run(requireScope('orders:read'), keyRequest(['orders:read']))).toBeUndefined();
+
+    expect(run(requireScope('orders:read', 'payments:create'), keyRequest(['orders:read'])))
+      .toMatchObject({ statusCode: 403, code: 'API_KEY_SCOPE_MISSING', message: expect.stringContaining('payments:create') });
+  });
+
+  it('resolves scopes that depend on the request', () => {
+    const scope = req => (req.params.id === req.user.id ? 'profile:read' : 'users:read');
+
+    expect(run(requireScope(scope), keyRequest(['profile:read'], { id: 'u1' }))).toBeUndefined();
+    expect(run(requireScope(scope), keyRequest(['profile:read'], { id: 'u2' }))).toMatchObject({ statusCode: 403 });
+  });
+});
@@ -0,0 +1,95 @@
+const express = require('express');
+const request = require('supertest');
+const { cache, invalidateOnChange, setCacheStore, getCacheStore } = require('../../middleware/cache');
+const { MemoryCacheStore } = require('../../utils/cacheStores');
+
+/**
+ * Aplicación con un recurso cuya lectura se puede pausar a mitad
+ */
+const createApp = () => {
+  let value = 'v1';
+  let gate = null;
+  const app = express();
+
+  app.get('/items', cache({ ttl: 60 }), async (req, res) => {
+    const snapshot = value;
+    if (gate) {
+      await gate;
+    }
+    res.json({ value: snapshot });
+  });
+
+  app.put('/items', invalidateOnChange('/items'), (req, res) => {
+    value = 'v2';
+    res.json({ value });
+  });
+
+  return {
+    app,
+    pauseReads() {
+      let release;
+      gate = new Promise((resolve) => {
+        release = resolve;
+      });
+      return () => {
+        gate = null;
+        release();
+      };
+    }
+  };
+};
+
+/**
+ * Cede un turno: las escrituras en caché ocurren después de responder
+ */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('cache', () => {
+  beforeEach(() => {
+    setCacheStore(new MemoryCacheStore());
+  });
+
+  it('serves a hit with the same ETag and answers 304 to If-None-Match', async () => {
+    const { app } = createApp();
+
+    const miss = await request(app).get('/items');
+    await settle();
+    const hit = await request(app).get('/items');
+
+    expect(miss.headers['x-cache']).toBe('MISS');
+    expect(hit.headers['x-cache']).toBe('HIT');
+    expect(hit.headers.etag).toBe(miss.headers.etag);
+    expect((await request(app).get('/items').set('If-None-Match', miss.headers.etag)).status).toBe(304);
+  });
+
+  it('drops the cached response after a successful write', async () => {
+    const { app } = createApp();
+
+    await request(app).get('/items');
+    await settle();
+    await request(app).put('/items').send({});
+    await settle();
+
+    const response = await request(app).get('/items');
+    expect(response.headers['x-cache']).toBe('MISS');
+    expect(response.body).toEqual({ value: 'v2' });
+  });
+
+  it('does not store a read that started before an invalidation', async () => {
+    const { app, pauseReads } = createApp();
+    const resume = pauseReads();
+
+    const slowRead = request(app).get('/items').then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    await request(app).put('/items').send({});
+    await settle();
+    resume();
+
+    expect((await slowRead).body).toEqual({ value: 'v1' });
+    await settle();
+
+    expect(await getCacheStore().get('/items')).toBeUndefined();
+    expect((await request(app).get('/items')).body).toEqual({ value: 'v2' });
+  });
+});
@@ -0,0 +1,113 @@
+const express = require('express');
+const request = require('supertest');
+const config = require('../../config/config');
+const { contractValidator, ContractValidator } = require('../../middleware/contractValidator');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { setRateLimitStore } = require('../../middleware/rateLimiter');
+const userRoutes = require('../../routes/users');
+const mailService = require('../../services/mailService');
+const User = require('../../models/User');
+const UserToken = require('../../models/UserToken');
+const MemoryStore = require('../../models/stores/MemoryStore');
+const { MemoryRateLimitStore } = require('../../utils/rateLimitStores');
+const { MemoryTransport } = require('../../utils/mailTransports');
+const { getSpec } = require('../../utils/openapi');
+
+const newUser = { name: 'Ana Garcia', email: 'ana@example.com', password: 'Secret123' };
+
+/**
+ * Aplicación con el router real de usuarios detrás del validador de contrato
+ */
+const createApp = (onResponseViolation) => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(contractValidator({ validateResponses: true, onResponseViolation }));
+  app.use('/api/users', userRoutes);
+  app.use(errorHandler);
+
+  return app;
+};
+
+describe('contractValidator', () => {
+  let violations;
+  let app;
+
+  beforeAll(async () => {
+    await config.loadConfig();
+  });
+
+  beforeEach(() => {
+    User.setStore(new MemoryStore({ unique: ['email'] }));
+    UserToken.setStore(new MemoryStore({ unique: ['tokenHash'] }));
+    mailService.setTransport(new MemoryTransport());
+    setRateLimitStore(() => new MemoryRateLimitStore());
+    violations = [];
+    app = createApp(violation => violations.push(violation));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await mailService.drain();
+  });
+
+  it('accepts POST /api/users when the response matches the User schema', async () => {
+    const response = await request(app).post('/api/users').send(newUser).expect(201);
+
+    expect(response.body.data).toMatchObject({ email: 'ana@example.com', name: 'Ana Garcia' });
+    expect(violations).toEqual([]);
+  });
+
+  it('catches POST /api/users returning a field the spec does not declare', async () => {
+    const create = User.create;
+    jest.spyOn(User, 'create').mockImplementation(async data => ({ ...(await create(data)), lastLoginIp: '203.0.113.7' }));
+
+    const response = await request(app).post('/api/users').send(newUser);
+
+    expect(violations).toEqual([{
+      operation: 'POST /api/users',
+      statusCode: 201,
+      errors: [expect.objectContaining({ field: 'data.lastLoginIp', location: 'response' })]
+    }]);
+    // El usuario ya existe: el cliente recibe la respuesta real, no un 500
+    expect(response.status).toBe(201);
+    expect(await User.findByEmail('ana@example.com')).toMatchObject({ id: response.body.data.id });
+  });
+
+  it('rejects a body that breaks the declared field rules before the handler runs', async () => {
+    const response = await request(app)
+      .post('/api/users')
+      .send({ ...newUser, email: 'not-an-email', password: 'short' })
+      .expect(422);
+
+    expect(response.body.errors.map(error => error.field)).toEqual(expect.arrayContaining(['email', 'password']));
+    expect(await User.findByEmail('ana@example.com')).toBeNull();
+  });
+
+  it('fills in schema defaults in the request body', () => {
+    const validator = new ContractValidator(getSpec());
+    const req = { query: {}, body: { provider: 'stripe', items: [{ productId: 'p1' }] } };
+
+    expect(validator.validateRequest(validator.match('POST', '/api/payments/checkout'), req)).toEqual([]);
+    expect(req.body.items).toEqual([{ productId: 'p1', quantity: 1 }]);
+  });
+
+  it('strips undeclared body fields, also in nested objects', () => {
+    const validator = new ContractValidator(getSpec());
+    const req = {
+      query: {},
+      body: { provider: 'stripe', items: [{ productId: 'p1', quantity: 2, price: 1 }], total: 1, userId: 'someone-else' }
+    };
+
+    expect(validator.validateRequest(validator.match('POST', '/api/payments/checkout'), req)).toEqual([]);
+    expect(req.body).toEqual({ provider: 'stripe', items: [{ productId: 'p1', quantity: 2 }] });
+  });
+
+  it('converts form fields to the declared types', () => {
+    const validator = new ContractValidator(getSpec());
+    const req = { query: {}, body: { name: 'Teclado', price: '49.90', category: 'perifericos' } };
+
+    expect(validator.validateRequest(validator.match('POST', '/api/products'), req)).toEqual([]);
+    expect(req.body.price).toBe(49.9);
+  });
+});
@@ -0,0 +1,118 @@
+const express = require('express');
+const request = require('supertest');
+const { errorHandler, normalizeError, asyncHandler, PROBLEM_CONTENT_TYPE } = require('../../middleware/errorHandler');
+const { AppError, NotFoundError, RateLimitedError, ValidationError } = require('../../utils/errorHandler');
+
+/**
+ * Aplicación que lanza el error indicado
+ */
+const createApp = (error) => {
+  const app = express();
+
+  app.use((req, res, next) => {
+    req.id = 'req-1';
+    next();
+  });
+  app.get('/fail', asyncHandler(async () => {
+    throw error;
+  }));
+  app.use(errorHandler);
+
+  return app;
+};
+
+describe('errorHandler', () => {
+  const environment = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = environment;
+  });
+
+  it('renders catalog errors as problem+json', async () => {
+    const response = await request(createApp(new NotFoundError('Order not found', 'ORDER_NOT_FOUND')))
+      .get('/fail?page=2')
+      .expect(404);
+
+    expect(response.headers['content-type']).toContain(PROBLEM_CONTENT_TYPE);
+    expect(response.body).toEqual({
+      type: '/problems/order-not-found',
+      title: 'Not Found',
+      status: 404,
+      detail: 'Order not found',
+      instance: '/fail?page=2',
+      code: 'ORDER_NOT_FOUND',
+      requestId: 'req-1'
+    });
+  });
+
+  it('includes field errors and Retry-After', async () => {
+    const validation = await request(createApp(new ValidationError(undefined, [{ field: 'email', message: 'Required', location: 'body' }])))
+      .get('/fail')
+      .expect(422);
+    expect(validation.body.errors).toEqual([{ field: 'email', message: 'Required', location: 'body' }]);
+
+    const limited = await request(createApp(new RateLimitedError(undefined, 30))).get('/fail').expect(429);
+    expect(limited.headers['retry-after']).toBe('30');
+    expect(limited.body.retryAfter).toBe(30);
+  });
+
+  it('hides the detail of unexpected errors outside development', async () => {
+    const response = await request(createApp(new Error('connection string postgres://admin:secret@db')))
+      .get('/fail')
+      .expect(500);
+
+    expect(response.body).toMatchObject({ code: 'INTERNAL_ERROR', detail: 'An unexpected error occurred' });
+    expect(response.body).not.toHaveProperty('stack');
+  });
+
+  it('shows the detail and stack of unexpected errors in development', async () => {
+    process.env.NODE_ENV = 'development';
+
+    const response = await request(createApp(new Error('Boom'))).get('/fail').expect(500);
+
+    expect(response.body).toMatchObject({ detail: 'Boom', stack: expect.stringContaining('Boom') });
+  });
+});
+
+describe('normalizeError', () => {
+  it('returns catalog errors unchanged', () => {
+    const error = new NotFoundError();
+
+    expect(normalizeError(error)).toBe(error);
+  });
+
+  it.each([
+    [Object.assign(new Error('Cast to ObjectId failed'), { name: 'CastError' }), 400, 'INVALID_ID'],
+    [Object.assign(new Error('E11000'), { code: 11000, keyValue: { email: 'ana@example.com' } }), 409, 'DUPLICATE_KEY'],
+    [Object.assign(new Error('jwt malformed'), { name: 'JsonWebTokenError' }), 401, 'TOKEN_INVALID'],
+    [Object.assign(new Error('jwt expired'), { name: 'TokenExpiredError' }), 401, 'TOKEN_EXPIRED'],
+    [Object.assign(new Error('Unexpected token'), { type: 'entity.parse.failed' }), 400, 'MALFORMED_BODY'],
+    [Object.assign(new Error('too large'), { type: 'entity.too.large' }), 413, 'PAYLOAD_TOO_LARGE'],
+    [Object.assign(new Error('Gone'), { status: 410 }), 410, 'BAD_REQUEST'],
+    [new Error('Boom'), 500, 'INTERNAL_ERROR']
+  ])('maps %s to %i %s', (error, statusCode, code) => {
+    expect(normalizeError(error)).toMatchObject({ statusCode, code });
+  });
+
+  it('names the duplicated fields and maps Mongoose validation errors', () => {
+    const duplicate = Object.assign(new Error('E11000'), { code: 11000, keyValue: { email: 'ana@example.com' } });
+    expect(normalizeError(duplicate).message).toBe('Duplicate value for field: email');
+
+    const invalid = Object.assign(new Error('Validation failed'), {
+      name: 'ValidationError',
+      errors: { name: { path: 'name', message: 'Name is required' } }
+    });
+    expect(normalizeError(invalid)).toMatchObject({
+      statusCode: 422,
+      errors: [{ field: 'name', message: 'Name is required', location: undefined }]
+    });
+  });
+
+  it('treats unknown errors as non-operational', () => {
+    const normalized = normalizeError(new Error('Boom'));
+
+    expect(normalized).toBeInstanceOf(AppError);
+    expect(normalized.isOperational).toBe(false);
+    expect(normalizeError(Object.assign(new Error('Gone'), { status: 410 })).isOperational).toBe(true);
+  });
+});
@@ -0,0 +1,59 @@
+const express = require('express');
+const request = require('supertest');
+const config = require('../../config/config');
+const { featureFlags, requireFlag } = require('../../middleware/featureFlags');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+/**
+ * Aplicación con un usuario opcional (cabecera `X-User`) y una ruta tras un flag
+ */
+const createApp = () => {
+  const app = express();
+
+  app.use(featureFlags);
+  app.use((req, res, next) => {
+    if (req.get('X-User')) {
+      req.user = { id: req.get('X-User'), role: 'user' };
+    }
+    next();
+  });
+  app.get('/flags', (req, res) => res.json({ beta: req.flags.isEnabled('beta'), all: req.flags.all() }));
+  app.get('/beta', requireFlag('beta'), (req, res) => res.json({ ok: true }));
+  app.use(errorHandler);
+
+  return app;
+};
+
+describe('featureFlags middleware', () => {
+  beforeAll(async () => {
+    await config.loadConfig();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(config, 'get').mockImplementation((key, fallback) => (
+      key === 'featureFlags' ? { beta: { enabled: true, users: ['u1'] }, search: { enabled: true } } : fallback
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('evaluates req.flags for the user attached later in the chain', async () => {
+    const app = createApp();
+
+    expect((await request(app).get('/flags').set('X-User', 'u1').expect(200)).body)
+      .toEqual({ beta: true, all: { beta: true, search: true } });
+    expect((await request(app).get('/flags').expect(200)).body)
+      .toEqual({ beta: false, all: { beta: false, search: true } });
+  });
+
+  it('hides a route behind a disabled flag as if it did not exist', async () => {
+    const app = createApp();
+
+    const response = await request(app).get('/beta').set('X-User', 'u2').expect(404);
+    expect(response.body.code).toBe('ROUTE_NOT_FOUND');
+
+    await request(app).get('/beta').set('X-User', 'u1').expect(200);
+  });
+});
@@ -0,0 +1,53 @@
+const express = require('express');
+const request = require('supertest');
+const config = require('../../config/config');
+const { rateLimiter, setRateLimitStore } = require('../../middleware/rateLimiter');
+const { MemoryRateLimitStore } = require('../../utils/rateLimitStores');
+
+/**
+ * Aplicación con dos endpoints que comparten la política `auth`
+ */
+const createApp = (trustProxy = false) => {
+  const app = express();
+
+  app.set('trust proxy', trustProxy);
+  app.post('/login', rateLimiter('auth', 'login'), (req, res) => res.json({ ok: true }));
+  app.post('/forgot-password', rateLimiter('auth', 'forgot-password'), (req, res) => res.json({ ok: true }));
+  app.use((error, req, res, next) => res.status(error.statusCode).json({ code: error.code }));
+
+  return app;
+};
+
+const exhaust = async (app, path, headers = {}) => {
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    await request(app).post(path).set(headers).expect(200);
+  }
+};
+
+describe('rateLimiter', () => {
+  beforeAll(async () => {
+    await config.loadConfig();
+  });
+
+  beforeEach(() => {
+    setRateLimitStore(() => new MemoryRateLimitStore());
+  });
+
+  it('keeps a separate counter for each scope of a policy', async () => {
+    const app = createApp();
+
+    await exhaust(app, '/login');
+
+    await request(app).post('/login').expect(429);
+    await request(app).post('/forgot-password').expect(200);
+  });
+
+  it('tells clients apart by X-Forwarded-For when the proxy is trusted', async () => {
+    const app = createApp(1);
+
+    await exhaust(app, '/login', { 'X-Forwarded-For': '203.0.113.7' });
+
+    await request(app).post('/login').set('X-Forwarded-For', '203.0.113.7').expect(429);
+    await request(app).post('/login').set('X-Forwarded-For', '198.51.100.1').expect(200);
+  });
+});
@@ -0,0 +1,76 @@
+const express = require('express');
+const request = require('supertest');
+const { createRequestPipeline } = require('../../middleware/requestPipeline');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+const settings = {
+  compressionEnabled: false,
+  contentTypeEnforced: true,
+  allowedContentTypes: ['application/json', 'application/x-www-form-urlencoded'],
+  bodyLimit: '1kb',
+  bodyLimits: { '/api/products': '4kb' },
+  mongoSanitizeEnabled: true,
+  hppEnabled: true
+};
+
+/**
+ * Aplicación que devuelve lo que el pipeline deja en la solicitud
+ */
+const createApp = (overrides = {}) => {
+  const app = express();
+
+  app.use(createRequestPipeline({ ...settings, ...overrides }));
+  app.all('*', (req, res) => res.json({ body: req.body, query: req.query }));
+  app.use(errorHandler);
+
+  return app;
+};
+
+describe('requestPipeline', () => {
+  it('rejects a body with an unsupported Content-Type with 415', async () => {
+    const response = await request(createApp())
+      .post('/api/items')
+      .set('Content-Type', 'text/plain')
+      .send('hello')
+      .expect(415);
+
+    expect(response.body.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+  });
+
+  it('lets POSTs without a body through, as fetch sends them', async () => {
+    await request(createApp()).post('/api/auth/logout').set('Content-Length', '0').expect(200);
+    await request(createApp()).post('/api/auth/logout').expect(200);
+  });
+
+  it('skips the Content-Type check when it is disabled', async () => {
+    await request(createApp({ contentTypeEnforced: false }))
+      .post('/api/items')
+      .set('Content-Type', 'text/plain')
+      .send('hello')
+      .expect(200);
+  });
+
+  it('applies the limit of the longest matching route prefix', async () => {
+    const body = { text: 'x'.repeat(2048) };
+
+    await request(createApp()).post('/api/items').send(body).expect(413);
+    await request(createApp()).post('/api/products').send(body).expect(200);
+    await request(createApp()).post('/api/products/p1/reviews').send(body).expect(200);
+  });
+
+  it('parses urlencoded bodies', async () => {
+    const response = await request(createApp()).post('/api/items').type('form').send('name=Ana').expect(200);
+
+    expect(response.body.body).toEqual({ name: 'Ana' });
+  });
+
+  it('strips NoSQL operators and keeps the last repeated query parameter', async () => {
+    const response = await request(createApp())
+      .post('/api/items?sort=name&sort=price')
+      .send({ email: { $gt: '' }, name: 'Ana' })
+      .expect(200);
+
+    expect(response.body.body).toEqual({ email: {}, name: 'Ana' });
+    expect(response.body.query).toEqual({ sort: 'price' });
+  });
+});
@@ -0,0 +1,126 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  DOCS_PATH,
+  createOriginMatcher,
+  buildCorsOptions,
+  corsPolicy,
+  securityHeaders
+} = require('../../middleware/security');
+
+const settings = {
+  origins: ['https://app.example.com', 'https://*.example.org', '*.example.net'],
+  methods: ['GET', 'POST'],
+  headers: ['Content-Type', 'Authorization'],
+  credentials: true
+};
+
+describe('createOriginMatcher', () => {
+  const matches = createOriginMatcher(settings.origins);
+
+  it('matches exact origins, ignoring case and trailing slashes in the pattern', () => {
+    expect(matches('https://app.example.com')).toBe(true);
+    expect(matches('HTTPS://APP.EXAMPLE.COM')).toBe(true);
+    expect(createOriginMatcher(['https://app.example.com/'])('https://app.example.com')).toBe(true);
+
+    expect(matches('http://app.example.com')).toBe(false);
+    expect(matches('https://app.example.com:8443')).toBe(false);
+    expect(matches('https://app.example.com.evil.test')).toBe(false);
+    expect(matches('https://evilapp.example.com')).toBe(false);
+  });
+
+  it('matches any subdomain of a wildcard but not the root domain', () => {
+    expect(matches('https://shop.example.org')).toBe(true);
+    expect(matches('https://a.b.example.org')).toBe(true);
+
+    expect(matches('https://example.org')).toBe(false);
+    expect(matches('http://shop.example.org')).toBe(false);
+    expect(matches('https://shop.example.org.evil.test')).toBe(false);
+    expect(matches('https://evil-example.org')).toBe(false);
+  });
+
+  it('accepts http and https when the pattern has no scheme', () => {
+    expect(matches('http://shop.example.net')).toBe(true);
+    expect(matches('https://shop.example.net')).toBe(true);
+    expect(matches('ftp://shop.example.net')).toBe(false);
+  });
+
+  it('treats dots literally', () => {
+    expect(matches('https://appxexample.com')).toBe(false);
+  });
+
+  it('allows every origin with *', () => {
+    expect(createOriginMatcher(['*'])('https://anything.test')).toBe(true);
+  });
+});
+
+describe('buildCorsOptions', () => {
+  it('reflects only allowed origins and keeps credentials for an explicit list', () => {
+    expect(buildCorsOptions(settings, 'https://app.example.com')).toMatchObject({
+      origin: true,
+      methods: ['GET', 'POST'],
+      allowedHeaders: ['Content-Type', 'Authorization'],
+      credentials: true
+    });
+    expect(buildCorsOptions(settings, 'https://evil.test').origin).toBe(false);
+    expect(buildCorsOptions(settings, undefined).origin).toBe(false);
+  });
+
+  it('never allows credentials together with *', () => {
+    expect(buildCorsOptions({ ...settings, origins: ['*'] }, 'https://evil.test'))
+      .toMatchObject({ origin: '*', credentials: false });
+  });
+
+  it('exposes the request id and rate limit headers', () => {
+    expect(buildCorsOptions(settings, 'https://app.example.com').exposedHeaders)
+      .toEqual(expect.arrayContaining(['X-Request-Id', 'RateLimit-Remaining', 'Retry-After']));
+  });
+});
+
+describe('corsPolicy', () => {
+  it('follows changes to the settings between requests', async () => {
+    let current = settings;
+    const app = express();
+    app.use(corsPolicy(() => current));
+    app.get('/items', (req, res) => res.json([]));
+
+    const allowed = await request(app).get('/items').set('Origin', 'https://app.example.com');
+    expect(allowed.headers['access-control-allow-origin']).toBe('https://app.example.com');
+    expect(allowed.headers['access-control-allow-credentials']).toBe('true');
+
+    current = { ...settings, origins: ['https://other.example.com'] };
+    const denied = await request(app).get('/items').set('Origin', 'https://app.example.com');
+    expect(denied.headers['access-control-allow-origin']).toBeUndefined();
+  });
+});
+
+describe('securityHeaders', () => {
+  const createApp = sslEnabled => {
+    const app = express();
+    app.use(securityHeaders({ sslEnabled }));
+    app.get('/api/items', (req, res) => res.json([]));
+    app.get(`${DOCS_PATH}/index.html`, (req, res) => res.send('<html></html>'));
+    return app;
+  };
+
+  it('locks API responses down with default-src none', async () => {
+    const response = await request(createApp(false)).get('/api/items');
+
+    expect(response.headers['content-security-policy']).toContain("default-src 'none'");
+    expect(response.headers['content-security-policy']).toContain("frame-ancestors 'none'");
+    expect(response.headers['x-content-type-options']).toBe('nosniff');
+  });
+
+  it('lets the documentation load its own assets and inline styles', async () => {
+    const response = await request(createApp(false)).get(`${DOCS_PATH}/index.html`);
+
+    expect(response.headers['content-security-policy']).toContain("default-src 'self'");
+    expect(response.headers['content-security-policy']).toContain("style-src 'self' 'unsafe-inline'");
+  });
+
+  it('sends HSTS only when SSL is enabled', async () => {
+    expect((await request(createApp(false)).get('/api/items')).headers['strict-transport-security']).toBeUndefined();
+    expect((await request(createApp(true)).get('/api/items')).headers['strict-transport-security'])
+      .toBe('max-age=15552000; includeSubDomains');
+  });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { upload, detectType, toBytes } = require('../../middleware/upload');
+const { errorHandler } = require('../../middleware/errorHandler');
+const storageService = require('../../services/storageService');
+const { LocalFileStorage } = require('../../utils/fileStorage');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(56, 1)]);
+
+/**
+ * Aplicación que devuelve lo que la subida deja en la solicitud
+ */
+const createApp = () => {
+  const app = express();
+
+  app.post('/avatar', upload({ field: 'avatar', prefix: 'avatars', maxSize: '1kb' }), (req, res) => {
+    res.json({ file: req.file, body: req.body });
+  });
+  app.use(errorHandler);
+
+  return app;
+};
+
+/**
+ * Ficheros del almacenamiento, incluidos los temporales
+ */
+const storedFiles = dir => (fs.existsSync(dir) ? fs.readdirSync(dir, { recursive: true }) : [])
+  .filter(name => fs.statSync(path.join(dir, name)).isFile());
+
+describe('upload', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-'));
+    storageService.setDriver(new LocalFileStorage({ directory, signingSecret: 'test-signing-secret' }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('stores a file whose content matches an allowed type', async () => {
+    const response = await request(createApp())
+      .post('/avatar')
+      .field('caption', 'me')
+      .attach('avatar', PNG, { filename: 'me.png', contentType: 'image/png' })
+      .expect(200);
+
+    expect(response.body.body).toEqual({ caption: 'me' });
+    expect(response.body.file).toMatchObject({ contentType: 'image/png', size: PNG.length, originalName: 'me.png' });
+    expect(response.body.file.key).toMatch(/^avatars\/[0-9a-f-]+\.png$/);
+    expect(storedFiles(directory)).toEqual([response.body.file.key]);
+  });
+
+  it('rejects content whose magic bytes do not match the declared image type with 415', async () => {
+    const response = await request(createApp())
+      .post('/avatar')
+      .attach('avatar', Buffer.from('<?php echo "not an image"; ?>'), { filename: 'me.png', contentType: 'image/png' })
+      .expect(415);
+
+    expect(response.body.code).toBe('UNSUPPORTED_FILE_TYPE');
+    expect(storedFiles(directory)).toEqual([]);
+  });
+
+  it('rejects an image declared with a type that is not allowed with 415', async () => {
+    await request(createApp())
+      .post('/avatar')
+      .attach('avatar', PNG, { filename: 'me.svg', contentType: 'image/svg+xml' })
+      .expect(415);
+  });
+
+  it('rejects a file over the size limit with 413 and leaves nothing in storage', async () => {
+    const large = Buffer.concat([PNG, Buffer.alloc(4096, 1)]);
+
+    const response = await request(createApp())
+      .post('/avatar')
+      .attach('avatar', large, { filename: 'me.png', contentType: 'image/png' })
+      .expect(413);
+
+    expect(response.body.code).toBe('FILE_TOO_LARGE');
+    expect(storedFiles(directory)).toEqual([]);
+  });
+
+  it('responds 422 when the file is missing', async () => {
+    const response = await request(createApp())
+      .post('/avatar')
+      .field('caption', 'me')
+      .expect(422);
+
+    expect(response.body.errors).toEqual([expect.objectContaining({ field: 'avatar', message: 'File is required' })]);
+  });
+
+  it('responds 415 to requests that are not multipart', async () => {
+    await request(createApp())
+      .post('/avatar')
+      .send({ avatar: 'me.png' })
+      .expect(415);
+  });
+});
+
+describe('detectType', () => {
+  it('recognizes supported images by their first bytes', () => {
+    expect(detectType(PNG)).toBe('image/png');
+    expect(detectType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]))).toBe('image/jpeg');
+    expect(detectType(Buffer.from('GIF89a'))).toBe('image/gif');
+    expect(detectType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+    expect(detectType(Buffer.from('RIFF\0\0\0\0WAVEfmt '))).toBeNull();
+  });
+});
+
+describe('toBytes', () => {
+  it('converts sizes with units to bytes', () => {
+    expect(toBytes(512)).toBe(512);
+    expect(toBytes('500kb')).toBe(500 * 1024);
+    expect(toBytes('2MB')).toBe(2 * 1024 * 1024);
+    expect(() => toBytes('2gb')).toThrow('Invalid size: 2gb');
+  });
+});
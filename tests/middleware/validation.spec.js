@@ -0,0 +1,51 @@
+const { validate, loginValidationRules, unlockValidationRules } = require('../../middleware/validation');
+
+/**
+ * Ejecuta un middleware de validación y devuelve el error pasado a next(), si lo hay
+ */
+const run = async (middleware, body) => {
+  const req = { body };
+  let error;
+  await middleware(req, {}, (err) => {
+    error = err;
+  });
+  return { req, error };
+};
+
+describe('validation', () => {
+  describe('unlockValidationRules', () => {
+    it('normalizes the email exactly like the login does', async () => {
+      const email = 'John.Doe+x@Gmail.com';
+      const login = await run(validate(loginValidationRules()), { email, password: 'secret' });
+      const unlock = await run(validate(unlockValidationRules()), { email });
+
+      expect(unlock.error).toBeUndefined();
+      expect(unlock.req.body.email).toBe(login.req.body.email);
+    });
+
+    it('accepts an IP on its own', async () => {
+      const { error } = await run(validate(unlockValidationRules()), { ip: '203.0.113.7' });
+
+      expect(error).toBeUndefined();
+    });
+
+    it('requires an email or an IP', async () => {
+      const { error } = await run(validate(unlockValidationRules()), {});
+
+      expect(error).toMatchObject({
+        statusCode: 422,
+        errors: [expect.objectContaining({ field: 'ip', message: 'Either email or ip is required' })]
+      });
+    });
+
+    it('rejects a malformed email or IP', async () => {
+      const { error } = await run(validate(unlockValidationRules()), { email: 'nope', ip: '999.1.1.1' });
+
+      expect(error.errors).toHaveLength(2);
+      expect(error.errors).toEqual(expect.arrayContaining([
+        expect.objectContaining({ field: 'email', message: 'Invalid email format' }),
+        expect.objectContaining({ field: 'ip', message: 'Invalid IP address' })
+      ]));
+    });
+  });
+});
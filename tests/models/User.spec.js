@@ -0,0 +1,66 @@
+const User = require('../../models/User');
+const MemoryStore = require('../../models/stores/MemoryStore');
+
+describe('User model', () => {
+  beforeEach(() => {
+    User.setStore(new MemoryStore({ unique: ['email'] }));
+  });
+
+  it('hashes the password and never returns the hash', async () => {
+    const user = await User.create({ name: 'Ana', email: 'Ana@Example.com', password: 'Secret123' });
+
+    expect(user).toMatchObject({ email: 'ana@example.com', role: 'user', emailVerified: false });
+    expect(user).not.toHaveProperty('passwordHash');
+
+    const stored = await User.getStore().findById(user.id);
+    expect(stored.passwordHash).toEqual(expect.any(String));
+    expect(stored.passwordHash).not.toBe('Secret123');
+  });
+
+  it('rejects a second account with the same email', async () => {
+    await User.create({ name: 'Ana', email: 'ana@example.com', password: 'Secret123' });
+
+    await expect(User.create({ name: 'Otra', email: 'ANA@example.com', password: 'Secret123' }))
+      .rejects.toMatchObject({ code: 11000 });
+  });
+
+  it('finds users by email regardless of case', async () => {
+    const user = await User.create({ name: 'Ana', email: 'ana@example.com', password: 'Secret123' });
+
+    expect(await User.findByEmail('ANA@EXAMPLE.COM')).toMatchObject({ id: user.id });
+    expect(await User.findByEmail('nobody@example.com')).toBeNull();
+  });
+
+  it('verifies credentials and passwords', async () => {
+    const user = await User.create({ name: 'Ana', email: 'ana@example.com', password: 'Secret123' });
+
+    expect(await User.verifyCredentials('ana@example.com', 'Secret123')).toMatchObject({ id: user.id });
+    expect(await User.verifyCredentials('ana@example.com', 'wrong')).toBeNull();
+    expect(await User.verifyCredentials('nobody@example.com', 'Secret123')).toBeNull();
+    expect(await User.verifyPassword(user.id, 'Secret123')).toBe(true);
+    expect(await User.verifyPassword(user.id, 'wrong')).toBe(false);
+    expect(await User.verifyPassword('missing', 'Secret123')).toBe(false);
+  });
+
+  it('rehashes the password on update', async () => {
+    const user = await User.create({ name: 'Ana', email: 'ana@example.com', password: 'Secret123' });
+
+    const updated = await User.update(user.id, { name: 'Ana María', password: 'Changed456' });
+
+    expect(updated).toMatchObject({ name: 'Ana María' });
+    expect(updated).not.toHaveProperty('passwordHash');
+    expect(await User.verifyPassword(user.id, 'Changed456')).toBe(true);
+    expect(await User.update('missing', { name: 'X' })).toBeNull();
+  });
+
+  it('paginates users in creation order', async () => {
+    for (const name of ['Ana', 'Bea', 'Cris']) {
+      await User.create({ name, email: `${name}@example.com`, password: 'Secret123' });
+    }
+
+    const { users, total } = await User.findAll({ page: 2, limit: 2 });
+
+    expect(total).toBe(3);
+    expect(users.map(user => user.name)).toEqual(['Cris']);
+  });
+});
@@ -0,0 +1,70 @@
+const MemoryStore = require('../../../models/stores/MemoryStore');
+
+describe('MemoryStore', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new MemoryStore({ unique: ['email'] });
+    await store.insert({ id: 'a', email: 'ana@example.com', age: 30, tags: 'x' });
+    await store.insert({ id: 'b', email: 'bob@example.com', age: 25, tags: 'y' });
+    await store.insert({ id: 'c', email: 'cris@example.com', age: 40, tags: 'x' });
+  });
+
+  it('assigns an id on insert and returns copies', async () => {
+    const doc = await store.insert({ email: 'dan@example.com' });
+
+    expect(doc.id).toEqual(expect.any(String));
+
+    doc.email = 'changed@example.com';
+    expect((await store.findById(doc.id)).email).toBe('dan@example.com');
+  });
+
+  it('rejects duplicate unique values with code 11000', async () => {
+    await expect(store.insert({ email: 'ana@example.com' })).rejects.toMatchObject({
+      code: 11000,
+      keyValue: { email: 'ana@example.com' }
+    });
+    await expect(store.updateById('b', { email: 'ana@example.com' })).rejects.toMatchObject({ code: 11000 });
+  });
+
+  it('supports comparison, set and regex operators', async () => {
+    const ids = async filter => (await store.find(filter, { sort: { id: 1 } })).map(doc => doc.id);
+
+    expect(await ids({ age: { $gte: 30 } })).toEqual(['a', 'c']);
+    expect(await ids({ age: { $gt: 25, $lt: 40 } })).toEqual(['a']);
+    expect(await ids({ id: { $in: ['a', 'b'] } })).toEqual(['a', 'b']);
+    expect(await ids({ tags: { $ne: 'x' } })).toEqual(['b']);
+    expect(await ids({ email: { $regex: '^B', $options: 'i' } })).toEqual(['b']);
+    expect(await ids({ $or: [{ age: 25 }, { age: 40 }] })).toEqual(['b', 'c']);
+  });
+
+  it('sorts, skips and limits', async () => {
+    const page = await store.find({}, { sort: { age: -1 }, skip: 1, limit: 1 });
+
+    expect(page.map(doc => doc.id)).toEqual(['a']);
+    expect(await store.count({ tags: 'x' })).toBe(2);
+  });
+
+  it('updates only when the condition matches', async () => {
+    expect(await store.updateById('a', { age: 31 }, { age: 29 })).toBeNull();
+    expect(await store.updateById('a', { age: 31 }, { age: 30 })).toMatchObject({ id: 'a', age: 31 });
+    expect(await store.updateById('missing', { age: 1 })).toBeNull();
+  });
+
+  it('lets only one of two concurrent conditional updates win', async () => {
+    const results = await Promise.all([
+      store.updateById('a', { tags: 'first' }, { tags: 'x' }),
+      store.updateById('a', { tags: 'second' }, { tags: 'x' })
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  it('deletes and clears documents', async () => {
+    expect(await store.deleteById('a')).toBe(true);
+    expect(await store.deleteById('a')).toBe(false);
+
+    await store.clear();
+    expect(await store.count()).toBe(0);
+  });
+});
@@ -0,0 +1,85 @@
+const config = require('../../config/config');
+const accountService = require('../../services/accountService');
+const mailService = require('../../services/mailService');
+const User = require('../../models/User');
+const UserToken = require('../../models/UserToken');
+const RefreshToken = require('../../models/RefreshToken');
+const MemoryStore = require('../../models/stores/MemoryStore');
+const { MemoryTransport } = require('../../utils/mailTransports');
+
+describe('accountService.updateUser', () => {
+  let user;
+  let transport;
+
+  beforeAll(async () => {
+    await config.loadConfig();
+  });
+
+  beforeEach(async () => {
+    User.setStore(new MemoryStore({ unique: ['email'] }));
+    UserToken.setStore(new MemoryStore({ unique: ['tokenHash'] }));
+    RefreshToken.setStore(new MemoryStore());
+    transport = new MemoryTransport();
+    mailService.setTransport(transport);
+    user = await User.create({ name: 'Ana', email: 'ana@example.com', password: 'Secret123' });
+    await RefreshToken.create({ jti: 'session-1', userId: user.id, familyId: 'f1', expiresAt: new Date(Date.now() + 60000) });
+  });
+
+  it('requires the current password to change your own password', async () => {
+    await expect(accountService.updateUser(user.id, { password: 'Changed456' }, { actor: user }))
+      .rejects.toMatchObject({ statusCode: 422, errors: [expect.objectContaining({ field: 'currentPassword' })] });
+
+    await expect(accountService.updateUser(user.id, { password: 'Changed456' }, { actor: user, currentPassword: 'wrong' }))
+      .rejects.toMatchObject({ statusCode: 422, code: 'CURRENT_PASSWORD_INVALID' });
+
+    expect(await User.verifyPassword(user.id, 'Secret123')).toBe(true);
+    expect((await RefreshToken.findById('session-1')).revoked).toBe(false);
+  });
+
+  it('changes the password and revokes every session', async () => {
+    await accountService.updateUser(user.id, { password: 'Changed456' }, { actor: user, currentPassword: 'Secret123' });
+
+    expect(await User.verifyPassword(user.id, 'Changed456')).toBe(true);
+    expect((await RefreshToken.findById('session-1')).revoked).toBe(true);
+  });
+
+  it('lets an admin reset another user\'s password without the current one', async () => {
+    const admin = { id: 'admin-1', role: 'admin' };
+
+    await accountService.updateUser(user.id, { password: 'Changed456' }, { actor: admin });
+
+    expect(await User.verifyPassword(user.id, 'Changed456')).toBe(true);
+    expect((await RefreshToken.findById('session-1')).revoked).toBe(true);
+  });
+
+  it('keeps sessions when the password does not change', async () => {
+    const updated = await accountService.updateUser(user.id, { name: 'Ana María' }, { actor: user });
+
+    expect(updated.name).toBe('Ana María');
+    expect((await RefreshToken.findById('session-1')).revoked).toBe(false);
+  });
+
+  it('marks a new email as unverified and sends a verification link to it', async () => {
+    await User.update(user.id, { emailVerified: true, emailVerifiedAt: new Date() });
+
+    const updated = await accountService.updateUser(user.id, { email: 'Ana.New@Example.com' }, { actor: user });
+    await mailService.drain();
+
+    expect(updated).toMatchObject({ email: 'ana.new@example.com', emailVerified: false, emailVerifiedAt: null });
+    expect(transport.sentTo('ana@example.com')).toEqual([]);
+
+    const [message] = transport.sentTo('ana.new@example.com');
+    const token = new URL(message.text.match(/http\S+/)[0]).searchParams.get('token');
+    expect(await accountService.verifyEmail(token)).toMatchObject({ email: 'ana.new@example.com', emailVerified: true });
+  });
+
+  it('keeps the verification when the email does not change', async () => {
+    await User.update(user.id, { emailVerified: true, emailVerifiedAt: new Date() });
+
+    const updated = await accountService.updateUser(user.id, { email: 'ANA@example.com', name: 'Ana María' }, { actor: user });
+    await mailService.drain();
+
+    expect(updated).toMatchObject({ emailVerified: true, emailVerifiedAt: expect.any(Date) });
+    expect(transport.messages).toEqual([]);
+  });
+});
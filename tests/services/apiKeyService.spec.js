@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+const apiKeyService = require('../../services/apiKeyService');
+const ApiKey = require('../../models/ApiKey');
+const AuditLog = require('../../models/AuditLog');
+const User = require('../../models/User');
+const MemoryStore = require('../../models/stores/MemoryStore');
+const { getPermissions } = require('../../config/roles');
+
+describe('apiKeyService', () => {
+  let store;
+  let owner;
+  let actor;
+
+  beforeAll(async () => {
+    await config.loadConfig();
+  });
+
+  beforeEach(async () => {
+    store = new MemoryStore({ unique: ['keyHash'] });
+    ApiKey.setStore(store);
+    AuditLog.setStore(new MemoryStore());
+    User.setStore(new MemoryStore({ unique: ['email'] }));
+    owner = await User.create({ name: 'Ana', email: 'ana@example.com', password: 'Secret123' });
+    actor = { id: owner.id, role: owner.role, permissions: getPermissions(owner.role) };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const issue = (scopes = ['orders:read']) => apiKeyService.issue(actor, { name: 'cron', scopes });
+
+  it('stores only the hash and a visible prefix of the key', async () => {
+    const { apiKey, key } = await issue();
+    const record = await store.findById(apiKey.id);
+
+    expect(key).toMatch(new RegExp(`^${ApiKey.KEY_PREFIX}`));
+    expect(record.keyHash).toBe(crypto.createHash('sha256').update(key).digest('hex'));
+    expect(key.startsWith(record.prefix)).toBe(true);
+    expect(Object.values(record)).not.toContain(key);
+    expect(apiKey).not.toHaveProperty('keyHash');
+  });
+
+  it('rejects scopes the user does not hold', async () => {
+    await expect(issue(['orders:read', 'users:delete']))
+      .rejects.toMatchObject({ statusCode: 422, errors: [expect.objectContaining({ field: 'scopes' })] });
+
+    expect(await ApiKey.findByUser(owner.id)).toHaveLength(0);
+  });
+
+  it('authenticates a key as its owner with the scopes the owner still holds', async () => {
+    const { key } = await issue(['orders:read', 'profile:read']);
+
+    const result = await apiKeyService.authenticate(key);
+    expect(result.user).toMatchObject({ id: owner.id, permissions: ['orders:read', 'profile:read'] });
+
+    await store.updateById(result.apiKey.id, { scopes: ['orders:read', 'users:delete'] });
+    expect((await apiKeyService.authenticate(key)).user.permissions).toEqual(['orders:read']);
+  });
+
+  it('returns null for unknown keys', async () => {
+    expect(await apiKeyService.authenticate(`${ApiKey.KEY_PREFIX}unknown`)).toBeNull();
+  });
+
+  it('stops accepting the old value once a key is rotated', async () => {
+    const { apiKey, key } = await issue();
+
+    const rotated = await apiKeyService.rotate(apiKey.id, actor);
+
+    expect(rotated.key).not.toBe(key);
+    expect(await apiKeyService.authenticate(key)).toBeNull();
+    expect((await apiKeyService.authenticate(rotated.key)).apiKey.id).toBe(apiKey.id);
+  });
+
+  it('revokes a key and refuses to rotate it afterwards', async () => {
+    const { apiKey, key } = await issue();
+
+    await apiKeyService.revoke(apiKey.id, actor);
+
+    expect(await apiKeyService.authenticate(key)).toBeNull();
+    await expect(apiKeyService.rotate(apiKey.id, actor))
+      .rejects.toMatchObject({ statusCode: 409, code: 'API_KEY_INACTIVE' });
+  });
+
+  it('does not let other users manage a key', async () => {
+    const { apiKey } = await issue();
+    const other = { id: 'someone-else', role: 'user', permissions: getPermissions('user') };
+
+    await expect(apiKeyService.revoke(apiKey.id, other)).rejects.toMatchObject({ statusCode: 403 });
+    await expect(apiKeyService.rotate(apiKey.id, other)).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('updates lastUsedAt at most once a minute', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    const { apiKey, key } = await issue();
+    const touch = jest.spyOn(ApiKey, 'touch');
+
+    await apiKeyService.authenticate(key);
+    await apiKeyService.authenticate(key);
+    jest.setSystemTime(new Date('2026-01-01T10:00:30Z'));
+    await apiKeyService.authenticate(key);
+    expect(touch).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime(new Date('2026-01-01T10:01:01Z'));
+    await apiKeyService.authenticate(key);
+    expect(touch).toHaveBeenCalledTimes(2);
+    expect((await ApiKey.findById(apiKey.id)).lastUsedAt).toEqual(new Date('2026-01-01T10:01:01Z'));
+
+    touch.mockRestore();
+  });
+});
@@ -0,0 +1,109 @@
+const jwt = require('jsonwebtoken');
+const config = require('../../config/config');
+const authService = require('../../services/authService');
+const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
+const RevokedToken = require('../../models/RevokedToken');
+const MemoryStore = require('../../models/stores/MemoryStore');
+
+describe('authService', () => {
+  let user;
+  let tokens;
+
+  const jtiOf = token => jwt.decode(token).jti;
+
+  beforeAll(async () => {
+    await config.loadConfig();
+  });
+
+  beforeEach(async () => {
+    User.setStore(new MemoryStore({ unique: ['email'] }));
+    RefreshToken.setStore(new MemoryStore());
+    RevokedToken.setStore(new MemoryStore());
+    ({ user, tokens } = await authService.register({ name: 'Ana', email: 'ana@example.com', password: 'Secret123' }));
+  });
+
+  describe('refresh', () => {
+    it('rotates the refresh token within the same family', async () => {
+      const rotated = await authService.refresh(tokens.refreshToken);
+
+      expect(rotated.refreshToken).not.toBe(tokens.refreshToken);
+      await expect(authService.verifyAccessToken(rotated.accessToken)).resolves.toMatchObject({ sub: user.id });
+
+      const previous = await RefreshToken.findById(jtiOf(tokens.refreshToken));
+      const current = await RefreshToken.findById(jtiOf(rotated.refreshToken));
+      expect(previous.revoked).toBe(true);
+      expect(current).toMatchObject({ revoked: false, familyId: previous.familyId, userId: user.id });
+    });
+
+    it('revokes the whole family when a rotated token is reused', async () => {
+      const rotated = await authService.refresh(tokens.refreshToken);
+
+      await expect(authService.refresh(tokens.refreshToken))
+        .rejects.toMatchObject({ statusCode: 401, code: 'REFRESH_TOKEN_REUSED' });
+
+      expect((await RefreshToken.findById(jtiOf(rotated.refreshToken))).revoked).toBe(true);
+      await expect(authService.refresh(rotated.refreshToken))
+        .rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    });
+
+    it('leaves other sessions alone when a family is revoked', async () => {
+      const other = await authService.issueTokens(user);
+      await authService.refresh(tokens.refreshToken);
+
+      await expect(authService.refresh(tokens.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+
+      await expect(authService.refresh(other.refreshToken)).resolves.toHaveProperty('accessToken');
+    });
+
+    it('lets only one of two concurrent refreshes succeed', async () => {
+      const results = await Promise.allSettled([
+        authService.refresh(tokens.refreshToken),
+        authService.refresh(tokens.refreshToken)
+      ]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    });
+
+    it('rejects unknown and access tokens', async () => {
+      const { jwtSecret } = config.getSecurityConfig();
+      const unknown = jwt.sign({ type: 'refresh' }, jwtSecret, { subject: user.id, jwtid: 'unknown', expiresIn: 60 });
+
+      await expect(authService.refresh(unknown)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_INVALID' });
+      await expect(authService.refresh(tokens.accessToken)).rejects.toMatchObject({ code: 'TOKEN_INVALID' });
+    });
+  });
+
+  describe('logout', () => {
+    it('revokes the access token and the family of the given refresh token', async () => {
+      const other = await authService.issueTokens(user);
+      const auth = await authService.verifyAccessToken(tokens.accessToken);
+
+      await authService.logout(auth, tokens.refreshToken);
+
+      await expect(authService.verifyAccessToken(tokens.accessToken))
+        .rejects.toMatchObject({ statusCode: 401, code: 'TOKEN_REVOKED' });
+      expect((await RefreshToken.findById(jtiOf(tokens.refreshToken))).revoked).toBe(true);
+      expect((await RefreshToken.findById(jtiOf(other.refreshToken))).revoked).toBe(false);
+    });
+
+    it('revokes every session of the user without a refresh token', async () => {
+      const other = await authService.issueTokens(user);
+      const auth = await authService.verifyAccessToken(tokens.accessToken);
+
+      await authService.logout(auth);
+
+      await expect(authService.refresh(tokens.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+      await expect(authService.refresh(other.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('refuses to revoke another user\'s refresh token', async () => {
+      const { tokens: theirs } = await authService.register({ name: 'Luis', email: 'luis@example.com', password: 'Secret123' });
+      const auth = await authService.verifyAccessToken(tokens.accessToken);
+
+      await expect(authService.logout(auth, theirs.refreshToken))
+        .rejects.toMatchObject({ code: 'REFRESH_TOKEN_INVALID' });
+      expect((await RefreshToken.findById(jtiOf(theirs.refreshToken))).revoked).toBe(false);
+    });
+  });
+});
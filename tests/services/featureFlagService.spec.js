@@ -0,0 +1,81 @@
+const { FeatureFlagService } = require('../../services/featureFlagService');
+
+describe('FeatureFlagService', () => {
+  const flags = {
+    search: { enabled: true },
+    legacy: { enabled: false, roles: ['admin'] },
+    beta: { enabled: true, users: ['u1'], roles: ['admin'] },
+    checkout: { enabled: true, percentage: 30 },
+    dark: { enabled: true, percentage: 0 },
+    nobody: { enabled: true, users: [] }
+  };
+  const service = new FeatureFlagService(() => flags);
+
+  it('turns off unknown and disabled flags, even for targeted users', () => {
+    expect(service.isEnabled('missing')).toBe(false);
+    expect(service.isEnabled('legacy', { role: 'admin' })).toBe(false);
+  });
+
+  it('turns on flags without targeting for everyone', () => {
+    expect(service.isEnabled('search')).toBe(true);
+    expect(service.isEnabled('search', { userId: 'u2', role: 'user' })).toBe(true);
+  });
+
+  it('turns on targeted flags for the listed users or roles only', () => {
+    expect(service.isEnabled('beta', { userId: 'u1', role: 'user' })).toBe(true);
+    expect(service.isEnabled('beta', { userId: 'u2', role: 'admin' })).toBe(true);
+    expect(service.isEnabled('beta', { userId: 'u2', role: 'user' })).toBe(false);
+    expect(service.isEnabled('beta')).toBe(false);
+    expect(service.isEnabled('nobody', { userId: 'u1' })).toBe(false);
+  });
+
+  it('rolls out a percentage of subjects, stable per subject', () => {
+    const subjects = Array.from({ length: 1000 }, (_, index) => `user-${index}`);
+    const enabled = subjects.filter(userId => service.isEnabled('checkout', { userId }));
+
+    expect(enabled.length).toBeGreaterThan(250);
+    expect(enabled.length).toBeLessThan(350);
+    expect(enabled.every(userId => service.isEnabled('checkout', { userId }))).toBe(true);
+    expect(subjects.some(userId => service.isEnabled('dark', { userId }))).toBe(false);
+  });
+
+  it('keeps subjects enabled when the percentage grows', () => {
+    let percentage = 30;
+    const growing = new FeatureFlagService(() => ({ checkout: { enabled: true, percentage } }));
+    const subjects = Array.from({ length: 200 }, (_, index) => `user-${index}`);
+    const before = subjects.filter(userId => growing.isEnabled('checkout', { userId }));
+
+    percentage = 60;
+
+    expect(before.every(userId => growing.isEnabled('checkout', { userId }))).toBe(true);
+    expect(subjects.filter(userId => growing.isEnabled('checkout', { userId })).length).toBeGreaterThan(before.length);
+  });
+
+  it('uses the subject for the percentage when there is no user, and is off without either', () => {
+    const ips = Array.from({ length: 200 }, (_, index) => `10.0.0.${index}`);
+
+    expect(ips.some(subject => service.isEnabled('checkout', { subject }))).toBe(true);
+    expect(service.isEnabled('checkout')).toBe(false);
+  });
+
+  it('reads the definitions on every call, so configuration changes apply at once', () => {
+    let current = { search: { enabled: true } };
+    const live = new FeatureFlagService(() => current);
+
+    expect(live.isEnabled('search')).toBe(true);
+    current = { search: { enabled: false } };
+    expect(live.isEnabled('search')).toBe(false);
+  });
+
+  it('evaluates and lists every flag', () => {
+    expect(service.evaluate({ userId: 'u1', role: 'user' })).toMatchObject({
+      search: true,
+      legacy: false,
+      beta: true,
+      dark: false,
+      nobody: false
+    });
+    expect(service.list()).toContainEqual({ name: 'beta', enabled: true, users: ['u1'], roles: ['admin'] });
+    expect(service.list()).toHaveLength(Object.keys(flags).length);
+  });
+});
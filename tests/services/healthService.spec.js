@@ -0,0 +1,70 @@
+const net = require('net');
+const config = require('../../config/config');
+const healthService = require('../../services/healthService');
+const { HealthService } = require('../../services/healthService');
+
+describe('HealthService', () => {
+  beforeAll(async () => {
+    await config.loadConfig();
+  });
+
+  it('is ready when only non-critical checks fail', async () => {
+    const service = new HealthService();
+    service.registerCheck('database', () => {});
+    service.registerCheck('cache', () => {
+      throw new Error('unreachable');
+    }, { critical: false });
+
+    expect(await service.getReadiness()).toMatchObject({
+      ready: true,
+      checks: { database: { status: 'UP' }, cache: { status: 'DOWN', critical: false, error: 'unreachable' } }
+    });
+  });
+
+  it('is not ready when a critical check fails, times out or the service is shutting down', async () => {
+    const service = new HealthService();
+    service.registerCheck('database', () => new Promise(() => {}), { timeout: 10 });
+
+    expect(await service.getReadiness()).toMatchObject({ ready: false, checks: { database: { status: 'DOWN' } } });
+
+    service.unregisterCheck('database');
+    service.markShuttingDown();
+    expect(await service.getReadiness()).toMatchObject({ ready: false, shuttingDown: true });
+  });
+
+  describe('redis check', () => {
+    let getSpy;
+
+    const withRedisHost = (host, port) => {
+      const get = config.get.bind(config);
+      getSpy = jest.spyOn(config, 'get').mockImplementation((key, defaultValue) => {
+        if (key === 'redisHost') return host;
+        if (key === 'redisPort') return port;
+        return get(key, defaultValue);
+      });
+    };
+
+    afterEach(() => {
+      getSpy.mockRestore();
+    });
+
+    it('is skipped when REDIS_HOST is not configured', async () => {
+      withRedisHost(undefined, 6379);
+
+      const { checks } = await healthService.getReadiness();
+      expect(checks.redis).toMatchObject({ status: 'SKIPPED', critical: false });
+    });
+
+    it('pings the configured Redis and reports it as a non-critical failure', async () => {
+      // Un puerto que estaba libre: la conexión se rechaza
+      const server = net.createServer();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address();
+      await new Promise(resolve => server.close(resolve));
+      withRedisHost('127.0.0.1', port);
+
+      const { checks } = await healthService.getReadiness();
+      expect(checks.redis).toMatchObject({ status: 'DOWN', critical: false });
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const { LoginProtectionService } = require('../../services/loginProtectionService');
+const AuditLog = require('../../models/AuditLog');
+const MemoryStore = require('../../models/stores/MemoryStore');
+
+const EMAIL = 'ana@example.com';
+const IP = '203.0.113.7';
+
+describe('LoginProtectionService', () => {
+  let now;
+  let service;
+
+  const fail = (email = EMAIL, ip = IP) => service.recordFailure(service.beginAttempt(email, ip));
+  const succeed = (email = EMAIL, ip = IP) => service.recordSuccess(service.beginAttempt(email, ip));
+  const advance = (ms) => {
+    now += ms;
+  };
+
+  beforeEach(() => {
+    AuditLog.setStore(new MemoryStore());
+    now = Date.UTC(2025, 0, 1);
+    service = new LoginProtectionService({ clock: () => now });
+  });
+
+  it('throttles retries with a growing delay after the free attempts', async () => {
+    await fail();
+    await fail();
+    await fail();
+
+    expect(() => service.beginAttempt(EMAIL, IP)).toThrow(expect.objectContaining({ code: 'LOGIN_THROTTLED', retryAfter: 1 }));
+
+    advance(1000);
+    await fail();
+    expect(() => service.beginAttempt(EMAIL, IP)).toThrow(expect.objectContaining({ code: 'LOGIN_THROTTLED', retryAfter: 2 }));
+  });
+
+  it('locks the account at the threshold until the lock expires', async () => {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      advance(30 * 1000);
+      await fail();
+    }
+
+    expect(() => service.beginAttempt(EMAIL, IP)).toThrow(expect.objectContaining({ code: 'ACCOUNT_LOCKED', retryAfter: 15 * 60 }));
+    expect(service.listLocks()).toEqual([expect.objectContaining({ type: 'account', subject: EMAIL, failures: 5 })]);
+    expect((await AuditLog.findAll({ event: AuditLog.AUDIT_EVENTS.ACCOUNT_LOCKED })).total).toBe(1);
+
+    advance(15 * 60 * 1000);
+    expect(() => service.beginAttempt(EMAIL, IP)).not.toThrow();
+    expect(service.listLocks()).toEqual([]);
+  });
+
+  it('forgets failures once the window has passed', async () => {
+    await fail();
+    await fail();
+    await fail();
+
+    advance(15 * 60 * 1000);
+    await fail();
+    await fail();
+
+    expect(() => service.beginAttempt(EMAIL, IP)).not.toThrow();
+  });
+
+  it('blocks an IP that fails across many accounts', async () => {
+    for (let attempt = 0; attempt < 20; attempt += 1) {
+      advance(30 * 1000);
+      await fail(`user${attempt}@example.com`);
+    }
+
+    expect(() => service.beginAttempt('someone@example.com', IP)).toThrow(expect.objectContaining({ code: 'IP_BLOCKED' }));
+    expect(() => service.beginAttempt('someone@example.com', '198.51.100.1')).not.toThrow();
+  });
+
+  it('counts parallel attempts before the password is checked', () => {
+    const results = [];
+
+    // Ningún intento se resuelve todavía: son solicitudes a la espera de bcrypt
+    for (let attempt = 0; attempt < 10; attempt += 1) {
+      try {
+        results.push(service.beginAttempt(EMAIL, IP));
+      } catch (error) {
+        results.push(error.code);
+      }
+    }
+
+    expect(results.filter(result => typeof result === 'object')).toHaveLength(3);
+    expect(results.slice(3)).toEqual(Array(7).fill('LOGIN_THROTTLED'));
+  });
+
+  it('does not let parallel attempts exceed the lock threshold', async () => {
+    service = new LoginProtectionService({ clock: () => now, accountFreeAttempts: 100, ipFreeAttempts: 100 });
+    const attempts = [];
+
+    for (let attempt = 0; attempt < 8; attempt += 1) {
+      try {
+        attempts.push(service.beginAttempt(EMAIL, IP));
+      } catch (error) {
+        expect(error.code).toBe('ACCOUNT_LOCKED');
+      }
+    }
+
+    expect(attempts).toHaveLength(5);
+    await Promise.all(attempts.map(attempt => service.recordFailure(attempt)));
+    expect((await AuditLog.findAll({ event: AuditLog.AUDIT_EVENTS.ACCOUNT_LOCKED })).total).toBe(1);
+  });
+
+  it('clears the account on success but keeps the other failures of the IP', async () => {
+    await fail();
+    await fail('other@example.com');
+    succeed();
+
+    expect(service.accounts.has(EMAIL)).toBe(false);
+    expect(service.ips.get(IP).failures).toBe(2);
+  });
+
+  it('lifts a lock set by an attempt that turned out to be correct', async () => {
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      advance(60 * 1000);
+      await fail();
+    }
+
+    advance(60 * 1000);
+    succeed();
+
+    expect(service.listLocks()).toEqual([]);
+    expect((await AuditLog.findAll({ event: AuditLog.AUDIT_EVENTS.ACCOUNT_LOCKED })).total).toBe(0);
+  });
+
+  it('unlocks accounts and IPs early and audits it', async () => {
+    service = new LoginProtectionService({ clock: () => now, accountThreshold: 1, ipThreshold: 1 });
+    await fail();
+
+    expect(await service.unlock({ email: EMAIL, ip: IP }, 'admin-1')).toEqual({ account: true, ip: true });
+    expect(() => service.beginAttempt(EMAIL, IP)).not.toThrow();
+    expect((await AuditLog.findAll({ subject: EMAIL })).entries.map(entry => entry.event))
+      .toEqual(expect.arrayContaining([AuditLog.AUDIT_EVENTS.ACCOUNT_LOCKED, AuditLog.AUDIT_EVENTS.ACCOUNT_UNLOCKED]));
+  });
+});
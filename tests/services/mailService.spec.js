@@ -0,0 +1,69 @@
+const config = require('../../config/config');
+const { MailService } = require('../../services/mailService');
+const { MemoryTransport } = require('../../utils/mailTransports');
+
+describe('MailService', () => {
+  let transport;
+  let mailService;
+
+  beforeAll(async () => {
+    await config.loadConfig();
+  });
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    mailService = new MailService({ transport, maxAttempts: 3, retryDelay: 1 });
+  });
+
+  afterEach(() => mailService.close());
+
+  it('renders the template and delivers it through the transport', async () => {
+    mailService.send('verify-email', 'ana@example.com', { name: 'Ana', url: 'http://localhost:3000/verify-email?token=abc', expiresIn: '24 hours' });
+    expect(transport.messages).toHaveLength(0);
+
+    await mailService.drain();
+
+    const [message] = transport.sentTo('ana@example.com');
+    expect(message).toMatchObject({ from: config.get('emailFrom'), to: 'ana@example.com', messageId: expect.any(String) });
+    expect(message.text).toContain('http://localhost:3000/verify-email?token=abc');
+    expect(mailService.getStatus()).toEqual({ pending: 0, failed: 0 });
+  });
+
+  it('keeps messages per recipient in order and forgets them on clear', async () => {
+    mailService.send('password-changed', 'ana@example.com', { name: 'Ana' });
+    mailService.send('password-changed', 'bea@example.com', { name: 'Bea' });
+    mailService.send('password-changed', 'ana@example.com', { name: 'Ana' });
+    await mailService.drain();
+
+    expect(transport.sentTo('ana@example.com')).toHaveLength(2);
+    expect(transport.sentTo('bea@example.com')).toHaveLength(1);
+    expect(transport.sentTo('nobody@example.com')).toEqual([]);
+
+    transport.clear();
+    expect(transport.messages).toEqual([]);
+  });
+
+  it('retries a failed delivery', async () => {
+    const send = jest.spyOn(transport, 'send').mockRejectedValueOnce(new Error('connection reset'));
+
+    mailService.send('password-changed', 'ana@example.com', { name: 'Ana' });
+    await mailService.drain();
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(transport.sentTo('ana@example.com')).toHaveLength(1);
+  });
+
+  it('gives up after the last attempt and records the failure', async () => {
+    jest.spyOn(transport, 'send').mockRejectedValue(new Error('mailbox unavailable'));
+
+    mailService.send('password-changed', 'ana@example.com', { name: 'Ana' });
+    await mailService.drain();
+
+    expect(mailService.getStatus()).toEqual({ pending: 0, failed: 1 });
+  });
+
+  it('rejects unknown templates before queueing', () => {
+    expect(() => mailService.send('missing-template', 'ana@example.com')).toThrow();
+    expect(mailService.getStatus().pending).toBe(0);
+  });
+});
@@ -0,0 +1,320 @@
+const config = require('../../config/config');
+const paymentService = require('../../services/paymentService');
+const Product = require('../../models/Product');
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const PaymentEvent = require('../../models/PaymentEvent');
+const MemoryStore = require('../../models/stores/MemoryStore');
+const { StripeProvider, PayPalProvider, signStripePayload } = require('../../utils/paymentProviders');
+const { fixture, replayFetch } = require('../fixtures/payments');
+
+const WEBHOOK_SECRET = 'whsec_recorded';
+const SIGNED_AT = 1760000100;
+const buyer = { id: 'buyer-1', role: 'user' };
+
+const stripeWebhook = (event, { timestamp = SIGNED_AT, secret = WEBHOOK_SECRET } = {}) => {
+  const rawBody = Buffer.from(JSON.stringify(event));
+  return paymentService.handleWebhook('stripe', rawBody, {
+    'stripe-signature': signStripePayload(rawBody.toString('utf8'), secret, timestamp)
+  });
+};
+
+const paypalWebhook = event => paymentService.handleWebhook('paypal', Buffer.from(JSON.stringify(event)), {
+  'paypal-auth-algo': 'SHA256withRSA',
+  'paypal-cert-url': 'https://api.sandbox.paypal.com/v1/notifications/certs/CERT-360caa42-fca2a594-a5cafa77',
+  'paypal-transmission-id': '69cd13f0-d67a-11e5-baa3-778b53f4ae55',
+  'paypal-transmission-sig': 'recorded-signature',
+  'paypal-transmission-time': '2025-10-09T10:01:41Z'
+});
+
+const statusOf = async ({ payment, order }) => ({
+  payment: (await Payment.findById(payment.id)).status,
+  order: (await Order.findById(order.id)).status
+});
+
+describe('paymentService', () => {
+  let product;
+
+  beforeAll(async () => {
+    await config.loadConfig();
+  });
+
+  beforeEach(async () => {
+    Product.setStore(new MemoryStore());
+    Order.setStore(new MemoryStore());
+    Payment.setStore(new MemoryStore());
+    PaymentEvent.setStore(new MemoryStore({ unique: ['eventKey'] }));
+    product = await Product.create({ name: 'Chair', price: 25, category: 'furniture' });
+  });
+
+  describe('Stripe', () => {
+    let fetch;
+
+    beforeEach(() => {
+      fetch = replayFetch({
+        '/v1/checkout/sessions': { status: 200, body: fixture('stripe', 'checkout-session') },
+        '/v1/payment_intents': { status: 200, body: fixture('stripe', 'payment-intent') }
+      });
+      paymentService.setProvider('stripe', new StripeProvider({
+        secretKey: 'sk_test_recorded',
+        webhookSecret: WEBHOOK_SECRET,
+        fetch,
+        clock: () => SIGNED_AT * 1000
+      }));
+    });
+
+    const checkout = () => paymentService.createCheckout(buyer, { provider: 'stripe', items: [{ productId: product.id, quantity: 1 }] });
+    const intent = () => paymentService.createPaymentIntent(buyer, { provider: 'stripe', items: [{ productId: product.id, quantity: 1 }] });
+
+    it('creates a checkout session with the payment ID as idempotency key', async () => {
+      const { order, payment, url } = await checkout();
+
+      expect(url).toBe(fixture('stripe', 'checkout-session').url);
+      expect(order).toMatchObject({ amount: 2500, status: 'pending' });
+      expect(payment).toMatchObject({ status: 'pending', reference: 'cs_test_a1Fq9kL2mN3oP4qR5sT6uV7wX8yZ' });
+
+      const [, options] = fetch.mock.calls[0];
+      expect(options.headers['Idempotency-Key']).toBe(payment.id);
+      expect(new URLSearchParams(options.body).get('metadata[orderId]')).toBe(order.id);
+    });
+
+    it('marks the payment failed and answers 502 when Stripe rejects the request', async () => {
+      paymentService.setProvider('stripe', new StripeProvider({
+        secretKey: 'sk_test_recorded',
+        webhookSecret: WEBHOOK_SECRET,
+        fetch: replayFetch({ '/v1/checkout/sessions': { status: 402, body: fixture('stripe', 'card-declined') } })
+      }));
+
+      await expect(checkout()).rejects.toMatchObject({ statusCode: 502, code: 'PAYMENT_PROVIDER_ERROR' });
+      expect((await Payment.getStore().find({}))[0].status).toBe('failed');
+    });
+
+    it('rejects bad, stale and missing signatures', async () => {
+      const event = fixture('stripe', 'checkout.session.completed');
+
+      await expect(stripeWebhook(event, { secret: 'whsec_other' })).rejects.toMatchObject({ statusCode: 400, code: 'WEBHOOK_SIGNATURE_INVALID' });
+      await expect(stripeWebhook(event, { timestamp: SIGNED_AT - 301 })).rejects.toMatchObject({ code: 'WEBHOOK_SIGNATURE_INVALID' });
+      await expect(paymentService.handleWebhook('stripe', Buffer.from(JSON.stringify(event)), {}))
+        .rejects.toMatchObject({ code: 'WEBHOOK_SIGNATURE_INVALID' });
+      expect(await PaymentEvent.getStore().count()).toBe(0);
+    });
+
+    it('applies a completed checkout once and ignores redeliveries', async () => {
+      const started = await checkout();
+      const event = fixture('stripe', 'checkout.session.completed');
+
+      expect(await stripeWebhook(event)).toEqual({ duplicate: false });
+      expect(await stripeWebhook(event)).toEqual({ duplicate: true });
+
+      expect(await statusOf(started)).toEqual({ payment: 'succeeded', order: 'paid' });
+      expect(await Payment.findById(started.payment.id)).toMatchObject({ transactionId: 'pi_3QbCheckoutRecorded' });
+    });
+
+    it('ignores events that arrive after the payment has moved on', async () => {
+      const started = await checkout();
+
+      await stripeWebhook(fixture('stripe', 'checkout.session.completed'));
+      await stripeWebhook(fixture('stripe', 'checkout.session.expired'));
+
+      expect(await statusOf(started)).toEqual({ payment: 'succeeded', order: 'paid' });
+    });
+
+    it('records asynchronous checkout payments', async () => {
+      const started = await checkout();
+      const completed = fixture('stripe', 'checkout.session.completed');
+      completed.data.object.payment_status = 'unpaid';
+
+      await stripeWebhook(completed);
+      expect(await statusOf(started)).toEqual({ payment: 'processing', order: 'pending' });
+
+      await stripeWebhook(fixture('stripe', 'checkout.session.async_payment_failed'));
+      expect(await statusOf(started)).toEqual({ payment: 'failed', order: 'pending' });
+
+      await stripeWebhook(fixture('stripe', 'checkout.session.async_payment_succeeded'));
+      expect(await statusOf(started)).toEqual({ payment: 'succeeded', order: 'paid' });
+    });
+
+    it('cancels an expired checkout', async () => {
+      const started = await checkout();
+
+      await stripeWebhook(fixture('stripe', 'checkout.session.expired'));
+
+      expect(await statusOf(started)).toEqual({ payment: 'canceled', order: 'pending' });
+    });
+
+    it('refunds the order only on a full refund', async () => {
+      const started = await checkout();
+      await stripeWebhook(fixture('stripe', 'checkout.session.completed'));
+
+      const partial = fixture('stripe', 'charge.refunded');
+      partial.id = 'evt_3QbChargePartialRefund';
+      partial.data.object.amount_refunded = 1000;
+      await stripeWebhook(partial);
+      expect(await statusOf(started)).toEqual({ payment: 'succeeded', order: 'paid' });
+
+      await stripeWebhook(fixture('stripe', 'charge.refunded'));
+      expect(await statusOf(started)).toEqual({ payment: 'refunded', order: 'refunded' });
+    });
+
+    it('follows a payment intent through processing, failure and success', async () => {
+      const started = await intent();
+      expect(started.clientSecret).toBe(fixture('stripe', 'payment-intent').client_secret);
+
+      await stripeWebhook(fixture('stripe', 'payment_intent.processing'));
+      expect(await statusOf(started)).toEqual({ payment: 'processing', order: 'pending' });
+
+      await stripeWebhook(fixture('stripe', 'payment_intent.payment_failed'));
+      expect(await statusOf(started)).toEqual({ payment: 'failed', order: 'pending' });
+
+      await stripeWebhook(fixture('stripe', 'payment_intent.succeeded'));
+      expect(await statusOf(started)).toEqual({ payment: 'succeeded', order: 'paid' });
+    });
+
+    it('cancels a payment intent', async () => {
+      const started = await intent();
+
+      await stripeWebhook(fixture('stripe', 'payment_intent.canceled'));
+
+      expect(await statusOf(started)).toEqual({ payment: 'canceled', order: 'pending' });
+    });
+
+    it('acknowledges event types it does not handle', async () => {
+      const started = await checkout();
+
+      expect(await stripeWebhook(fixture('stripe', 'customer.created'))).toEqual({ duplicate: false });
+      expect(await statusOf(started)).toEqual({ payment: 'pending', order: 'pending' });
+    });
+
+    it('lets only one of two concurrent events change the status first', async () => {
+      const started = await intent();
+
+      await Promise.all([
+        stripeWebhook(fixture('stripe', 'payment_intent.succeeded')),
+        stripeWebhook(fixture('stripe', 'payment_intent.payment_failed'))
+      ]);
+
+      // Fallido -> completado es válido y completado -> fallido no: en cualquier orden acaba completado
+      expect(await statusOf(started)).toEqual({ payment: 'succeeded', order: 'paid' });
+    });
+
+    it('asks for a retry while another delivery is applying the event', async () => {
+      const started = await checkout();
+      const event = fixture('stripe', 'checkout.session.completed');
+      await PaymentEvent.begin('stripe', { id: event.id, type: event.type });
+
+      await expect(stripeWebhook(event)).rejects.toMatchObject({ statusCode: 409, code: 'WEBHOOK_IN_PROGRESS' });
+      expect(await statusOf(started)).toEqual({ payment: 'pending', order: 'pending' });
+    });
+
+    it('applies an event again when the delivery that claimed it never finished', async () => {
+      const started = await checkout();
+      const event = fixture('stripe', 'checkout.session.completed');
+      await PaymentEvent.begin('stripe', { id: event.id, type: event.type }, new Date(Date.now() - PaymentEvent.PROCESSING_LEASE - 1000));
+
+      expect(await stripeWebhook(event)).toEqual({ duplicate: false });
+      expect(await statusOf(started)).toEqual({ payment: 'succeeded', order: 'paid' });
+      expect(await stripeWebhook(event)).toEqual({ duplicate: true });
+    });
+  });
+
+  describe('PayPal', () => {
+    let verification;
+    let captureResponse;
+    let fetch;
+
+    beforeEach(() => {
+      verification = fixture('paypal', 'verify-webhook-signature');
+      captureResponse = { status: 201, body: fixture('paypal', 'capture') };
+      fetch = replayFetch({
+        '/v1/oauth2/token': { status: 200, body: fixture('paypal', 'oauth-token') },
+        '/v2/checkout/orders': { status: 201, body: fixture('paypal', 'order') },
+        '/v2/checkout/orders/5O190127TN364715T/capture': () => captureResponse,
+        '/v1/notifications/verify-webhook-signature': () => ({ status: 200, body: verification })
+      });
+      paymentService.setProvider('paypal', new PayPalProvider({
+        clientId: 'client-recorded',
+        clientSecret: 'secret-recorded',
+        webhookId: '1JE4291016473214C',
+        fetch
+      }));
+    });
+
+    const checkout = () => paymentService.createCheckout(buyer, { provider: 'paypal', items: [{ productId: product.id, quantity: 1 }] });
+    const requestsTo = path => fetch.mock.calls.filter(([url]) => new URL(url).pathname === path);
+
+    it('creates an order and returns the approval link', async () => {
+      const { order, payment, url } = await checkout();
+
+      expect(url).toBe('https://www.sandbox.paypal.com/checkoutnow?token=5O190127TN364715T');
+      expect(payment.reference).toBe('5O190127TN364715T');
+
+      const [[, options]] = requestsTo('/v2/checkout/orders');
+      expect(options.headers['PayPal-Request-Id']).toBe(payment.id);
+      expect(JSON.parse(options.body).purchase_units[0]).toMatchObject({
+        custom_id: order.id,
+        amount: { currency_code: 'USD', value: '25.00' }
+      });
+    });
+
+    it('rejects events PayPal does not verify', async () => {
+      await checkout();
+      verification = fixture('paypal', 'verify-webhook-signature-failure');
+
+      await expect(paypalWebhook(fixture('paypal', 'PAYMENT.CAPTURE.COMPLETED')))
+        .rejects.toMatchObject({ statusCode: 400, code: 'WEBHOOK_SIGNATURE_INVALID' });
+
+      const [[, options]] = requestsTo('/v1/notifications/verify-webhook-signature');
+      expect(JSON.parse(options.body)).toMatchObject({
+        webhook_id: '1JE4291016473214C',
+        transmission_id: '69cd13f0-d67a-11e5-baa3-778b53f4ae55'
+      });
+    });
+
+    it('captures an approved order and ignores the later capture event', async () => {
+      const started = await checkout();
+
+      expect(await paypalWebhook(fixture('paypal', 'CHECKOUT.ORDER.APPROVED'))).toEqual({ duplicate: false });
+      expect(await statusOf(started)).toEqual({ payment: 'succeeded', order: 'paid' });
+      expect(await Payment.findById(started.payment.id)).toMatchObject({ transactionId: '3C679366HH908993F' });
+
+      await paypalWebhook(fixture('paypal', 'PAYMENT.CAPTURE.COMPLETED'));
+      expect(await paypalWebhook(fixture('paypal', 'CHECKOUT.ORDER.APPROVED'))).toEqual({ duplicate: true });
+      expect(requestsTo('/v2/checkout/orders/5O190127TN364715T/capture')).toHaveLength(1);
+    });
+
+    it('forgets the event when the capture fails so the retry applies it', async () => {
+      const started = await checkout();
+      captureResponse = { status: 500, body: fixture('paypal', 'capture-error') };
+
+      await expect(paypalWebhook(fixture('paypal', 'CHECKOUT.ORDER.APPROVED')))
+        .rejects.toMatchObject({ statusCode: 502, code: 'PAYMENT_PROVIDER_ERROR' });
+      expect(await statusOf(started)).toEqual({ payment: 'pending', order: 'pending' });
+
+      captureResponse = { status: 201, body: fixture('paypal', 'capture') };
+      expect(await paypalWebhook(fixture('paypal', 'CHECKOUT.ORDER.APPROVED'))).toEqual({ duplicate: false });
+      expect(await statusOf(started)).toEqual({ payment: 'succeeded', order: 'paid' });
+    });
+
+    it('follows capture events through pending, denial and completion', async () => {
+      const started = await checkout();
+
+      await paypalWebhook(fixture('paypal', 'PAYMENT.CAPTURE.PENDING'));
+      expect(await statusOf(started)).toEqual({ payment: 'processing', order: 'pending' });
+
+      await paypalWebhook(fixture('paypal', 'PAYMENT.CAPTURE.DENIED'));
+      expect(await statusOf(started)).toEqual({ payment: 'failed', order: 'pending' });
+
+      await paypalWebhook(fixture('paypal', 'PAYMENT.CAPTURE.COMPLETED'));
+      expect(await statusOf(started)).toEqual({ payment: 'succeeded', order: 'paid' });
+    });
+
+    it('refunds the order when the capture is refunded', async () => {
+      const started = await checkout();
+      await paypalWebhook(fixture('paypal', 'CHECKOUT.ORDER.APPROVED'));
+
+      await paypalWebhook(fixture('paypal', 'PAYMENT.CAPTURE.REFUNDED'));
+
+      expect(await statusOf(started)).toEqual({ payment: 'refunded', order: 'refunded' });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const express = require('express');
+const request = require('supertest');
+const { ShutdownManager } = require('../../services/shutdownManager');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+describe('ShutdownManager', () => {
+  let exit;
+  let health;
+  let manager;
+
+  beforeEach(() => {
+    exit = jest.fn();
+    health = { markShuttingDown: jest.fn() };
+    manager = new ShutdownManager({ exit, health });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('runs the hooks in reverse order and exits with the given code', async () => {
+    const calls = [];
+    manager.register('database', async () => calls.push('database'));
+    manager.register('mail-queue', async () => calls.push('mail-queue'));
+
+    expect(await manager.shutdown('SIGTERM')).toBe(0);
+    expect(calls).toEqual(['mail-queue', 'database']);
+    expect(health.markShuttingDown).toHaveBeenCalled();
+    expect(exit).toHaveBeenCalledWith(0);
+  });
+
+  it('exits with 1 when a hook fails', async () => {
+    manager.register('database', async () => {
+      throw new Error('connection lost');
+    });
+
+    expect(await manager.shutdown('SIGTERM')).toBe(1);
+  });
+
+  it('gives up after the configured timeout', async () => {
+    jest.useFakeTimers();
+    manager.configure({ timeout: 2000 });
+    manager.register('stuck', () => new Promise(() => {}));
+
+    const done = manager.shutdown('SIGTERM');
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(exit).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(await done).toBe(1);
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+
+  it('answers 503 to requests that arrive while shutting down', async () => {
+    const app = express();
+    app.use(manager.middleware());
+    app.get('/items', (req, res) => res.json([]));
+    app.use(errorHandler);
+
+    await request(app).get('/items').expect(200);
+    await manager.shutdown('SIGTERM');
+
+    const response = await request(app).get('/items').expect(503);
+    expect(response.headers.connection).toBe('close');
+  });
+});
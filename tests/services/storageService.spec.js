@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const config = require('../../config/config');
+const storageService = require('../../services/storageService');
+const { StorageService, FILES_PATH } = require('../../services/storageService');
+const filesRoutes = require('../../routes/files');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { logger } = require('../../utils/logger');
+const { LocalFileStorage, S3FileStorage } = require('../../utils/fileStorage');
+
+describe('storageService', () => {
+  let directory;
+
+  beforeAll(async () => {
+    await config.loadConfig();
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    storageService.setDriver(new LocalFileStorage({ directory, signingSecret: 'test-signing-secret', baseUrl: FILES_PATH }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('getDriver', () => {
+    const settings = overrides => ({ ...config.getStorageConfig(), directory, ...overrides });
+
+    it('creates the driver named in the configuration', () => {
+      jest.spyOn(config, 'getStorageConfig').mockReturnValueOnce(settings({ driver: 'local', signingSecret: 'secret' }));
+      expect(new StorageService().getDriver()).toBeInstanceOf(LocalFileStorage);
+
+      jest.spyOn(config, 'getStorageConfig').mockReturnValueOnce(settings({ driver: 's3', s3: { bucket: 'uploads' } }));
+      expect(new StorageService().getDriver()).toBeInstanceOf(S3FileStorage);
+    });
+
+    it('fails without a signing secret for the local driver or with an unknown driver', () => {
+      jest.spyOn(config, 'getStorageConfig').mockReturnValueOnce(settings({ driver: 'local', signingSecret: undefined }));
+      expect(() => new StorageService().getDriver()).toThrow(/STORAGE_SIGNING_SECRET/);
+
+      jest.spyOn(config, 'getStorageConfig').mockReturnValueOnce(settings({ driver: 'ftp' }));
+      expect(() => new StorageService().getDriver()).toThrow('Unsupported storage driver: ftp');
+    });
+  });
+
+  describe('signed URLs', () => {
+    const app = express();
+    app.use(FILES_PATH, filesRoutes);
+    app.use(errorHandler);
+
+    beforeEach(async () => {
+      await storageService.getDriver().put('avatars/abc.png', Readable.from([Buffer.from('image')]));
+    });
+
+    it('returns a URL that downloads the file until it expires', async () => {
+      const { url, expiresAt } = await storageService.getSignedUrl('avatars/abc.png');
+
+      expect(expiresAt.getTime()).toBeCloseTo(Date.now() + config.get('signedUrlExpiration') * 1000, -3);
+
+      const response = await request(app).get(url).expect(200);
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.body.toString()).toBe('image');
+    });
+
+    it('responds 403 to a tampered URL', async () => {
+      const { url } = await storageService.getSignedUrl('avatars/abc.png');
+      const expires = Number(new URL(url, 'http://localhost').searchParams.get('expires'));
+
+      const response = await request(app).get(url.replace(`expires=${expires}`, `expires=${expires + 3600}`)).expect(403);
+      expect(response.body.code).toBe('SIGNED_URL_INVALID');
+
+      await request(app).get(url.replace('avatars/abc.png', 'avatars/xyz.png')).expect(403);
+      await request(app).get(`${FILES_PATH}/avatars/abc.png`).expect(403);
+    });
+
+    it('responds 404 to a signed URL of a missing file', async () => {
+      await storageService.discard('avatars/abc.png');
+
+      const { url } = await storageService.getSignedUrl('avatars/abc.png');
+      await request(app).get(url).expect(404);
+    });
+  });
+
+  describe('discard', () => {
+    it('deletes files, skipping empty keys and logging failures', async () => {
+      const driver = storageService.getDriver();
+      const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+      await driver.put('avatars/abc.png', Readable.from([Buffer.from('image')]));
+
+      await expect(storageService.discard('avatars/abc.png', null, '../invalid')).resolves.toBeUndefined();
+      expect(await driver.open('avatars/abc.png')).toBeNull();
+      expect(error).toHaveBeenCalledTimes(1);
+      expect(error).toHaveBeenCalledWith('Failed to delete stored file', { key: '../invalid', error: 'Invalid storage key' });
+    });
+  });
+});
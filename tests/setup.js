@@ -0,0 +1,10 @@
+/**
+ * Entorno común de las pruebas
+ * @description Se ejecuta antes de cada archivo de pruebas: fija el entorno `test` (logs en
+ * silencio, correo en memoria) y los valores obligatorios de la configuración
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-that-is-long-enough-for-tests';
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'mongodb://localhost:27017/test';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret-that-is-long-enough';
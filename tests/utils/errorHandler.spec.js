@@ -0,0 +1,89 @@
+const errorCatalog = require('../../utils/errorHandler');
+
+const {
+  DEFAULT_CODES,
+  AppError,
+  ValidationError,
+  RateLimitedError,
+  createError
+} = errorCatalog;
+
+describe('error catalog', () => {
+  const classes = [
+    ['BadRequestError', 400],
+    ['UnauthorizedError', 401],
+    ['ForbiddenError', 403],
+    ['NotFoundError', 404],
+    ['ConflictError', 409],
+    ['PayloadTooLargeError', 413],
+    ['UnsupportedMediaTypeError', 415],
+    ['ValidationError', 422],
+    ['RateLimitedError', 429],
+    ['BadGatewayError', 502],
+    ['ServiceUnavailableError', 503]
+  ];
+
+  it.each(classes)('%s has status %i and its default code', (name, statusCode) => {
+    const error = new errorCatalog[name]();
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({ name, statusCode, code: DEFAULT_CODES[statusCode], isOperational: true });
+    expect(error.message).toEqual(expect.any(String));
+    expect(error.stack).toContain(name);
+  });
+
+  it('keeps custom messages and codes', () => {
+    const error = new errorCatalog.ConflictError('API key is revoked', 'API_KEY_INACTIVE');
+
+    expect(error).toMatchObject({ message: 'API key is revoked', code: 'API_KEY_INACTIVE', statusCode: 409, status: 'fail' });
+  });
+
+  it('derives the code of a plain AppError from its status', () => {
+    expect(new AppError('Boom', 500).code).toBe('INTERNAL_ERROR');
+    expect(new AppError('Gone', 410).code).toBe('BAD_REQUEST');
+    expect(new AppError('Timeout', 504)).toMatchObject({ code: 'INTERNAL_ERROR', status: 'error' });
+    expect(new AppError('Boom', 500, false).isOperational).toBe(false);
+  });
+
+  it('normalizes field errors, including the express-validator format', () => {
+    const error = new ValidationError('Validation failed', [
+      { field: 'email', message: 'Email is invalid', location: 'body' },
+      { path: 'price', msg: 'Price must be positive', location: 'body' },
+      { param: 'page', msg: 'Page must be an integer', location: 'query' }
+    ]);
+
+    expect(error.errors).toEqual([
+      { field: 'email', message: 'Email is invalid', location: 'body' },
+      { field: 'price', message: 'Price must be positive', location: 'body' },
+      { field: 'page', message: 'Page must be an integer', location: 'query' }
+    ]);
+  });
+
+  it('carries retryAfter on rate limit errors', () => {
+    expect(new RateLimitedError(undefined, 30)).toMatchObject({ retryAfter: 30, code: 'RATE_LIMITED' });
+  });
+
+  describe('createError', () => {
+    it('creates the catalog class for a status', () => {
+      expect(createError(404, 'No such order')).toBeInstanceOf(errorCatalog.NotFoundError);
+      expect(createError(404, 'No such order').message).toBe('No such order');
+      expect(createError(503, 'Down')).toBeInstanceOf(errorCatalog.ServiceUnavailableError);
+    });
+
+    it('falls back to AppError for statuses outside the catalog', () => {
+      const error = createError(418, 'Teapot');
+
+      expect(error.constructor).toBe(AppError);
+      expect(error).toMatchObject({ statusCode: 418, code: 'BAD_REQUEST' });
+    });
+
+    it('creates a validation error with the given status when there are field errors', () => {
+      const error = createError(400, 'Validation failed', [{ path: 'email', msg: 'Required', location: 'body' }]);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error).toMatchObject({ statusCode: 400, status: 'fail', code: 'VALIDATION_FAILED' });
+      expect(error.errors).toEqual([{ field: 'email', message: 'Required', location: 'body' }]);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { LocalFileStorage, isValidKey } = require('../../utils/fileStorage');
+
+describe('LocalFileStorage', () => {
+  const now = Date.parse('2026-01-01T10:00:00Z');
+  let directory;
+  let clock;
+  let storage;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    clock = jest.fn(() => now);
+    storage = new LocalFileStorage({ directory, signingSecret: 'test-signing-secret', clock });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const parse = (url) => {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    return { key: pathname.replace('/files/', ''), expires: searchParams.get('expires'), signature: searchParams.get('signature') };
+  };
+
+  it('requires a signing secret', () => {
+    expect(() => new LocalFileStorage({ directory })).toThrow('LocalFileStorage requires a signing secret');
+  });
+
+  it('stores, opens and deletes files', async () => {
+    await storage.put('avatars/abc.png', Readable.from([Buffer.from('image')]));
+
+    const file = await storage.open('avatars/abc.png');
+    expect(file.size).toBe(5);
+    file.stream.destroy();
+    expect(fs.readdirSync(path.join(directory, 'avatars'))).toEqual(['abc.png']);
+
+    await storage.delete('avatars/abc.png');
+    expect(await storage.open('avatars/abc.png')).toBeNull();
+    await expect(storage.delete('avatars/abc.png')).resolves.toBeUndefined();
+  });
+
+  it('leaves no partial file when the stream fails', async () => {
+    const failing = new Readable({ read() { this.destroy(new Error('client aborted')); } });
+
+    await expect(storage.put('avatars/abc.png', failing)).rejects.toThrow('client aborted');
+    expect(fs.readdirSync(path.join(directory, 'avatars'))).toEqual([]);
+  });
+
+  it('refuses keys outside the expected format', async () => {
+    expect(isValidKey('avatars/abc.png')).toBe(true);
+    expect(isValidKey('../secrets/abc.png')).toBe(false);
+    expect(isValidKey('avatars/../../etc.png')).toBe(false);
+
+    await expect(storage.open('../etc/passwd')).rejects.toThrow('Invalid storage key');
+  });
+
+  it('signs download URLs that verify until they expire', async () => {
+    const url = await storage.getSignedUrl('avatars/abc.png', { expiresIn: 60 });
+    const { key, expires, signature } = parse(url);
+
+    expect(url).toMatch(/^\/files\/avatars\/abc\.png\?expires=\d+&signature=/);
+    expect(Number(expires)).toBe(now / 1000 + 60);
+    expect(storage.verify(key, expires, signature)).toBe(true);
+
+    clock.mockReturnValue(now + 61 * 1000);
+    expect(storage.verify(key, expires, signature)).toBe(false);
+  });
+
+  it('rejects tampered download URLs', async () => {
+    const { key, expires, signature } = parse(await storage.getSignedUrl('avatars/abc.png', { expiresIn: 60 }));
+
+    expect(storage.verify('avatars/other.png', expires, signature)).toBe(false);
+    expect(storage.verify(key, Number(expires) + 3600, signature)).toBe(false);
+    expect(storage.verify(key, expires, `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`)).toBe(false);
+    expect(storage.verify(key, expires, undefined)).toBe(false);
+
+    const other = new LocalFileStorage({ directory, signingSecret: 'another-secret', clock });
+    expect(other.verify(key, expires, signature)).toBe(false);
+  });
+});
@@ -0,0 +1,32 @@
+const os = require('os');
+const path = require('path');
+const winston = require('winston');
+const { logger, redact, setLogFile } = require('../../utils/logger');
+
+const fileTransports = () => logger.transports.filter(transport => transport instanceof winston.transports.File);
+
+describe('logger', () => {
+  afterEach(() => {
+    setLogFile(undefined);
+  });
+
+  it('adds a file transport once the path is known and replaces it on later calls', () => {
+    const [first, second] = ['app-test-1.log', 'app-test-2.log'].map(name => path.join(os.tmpdir(), name));
+
+    expect(fileTransports()).toEqual([]);
+
+    setLogFile(first);
+    expect(fileTransports().map(transport => transport.filename)).toEqual(['app-test-1.log']);
+
+    setLogFile(second);
+    expect(fileTransports().map(transport => transport.filename)).toEqual(['app-test-2.log']);
+
+    setLogFile(undefined);
+    expect(fileTransports()).toEqual([]);
+  });
+
+  it('redacts sensitive keys at any depth', () => {
+    expect(redact({ user: { email: 'ana@example.com', password: 'x' }, headers: { authorization: 'Bearer t' } }))
+      .toEqual({ user: { email: 'ana@example.com', password: '[REDACTED]' }, headers: { authorization: '[REDACTED]' } });
+  });
+});
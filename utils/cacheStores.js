@@ -0,0 +1,190 @@
+/**
+ * Almacenes de la caché de respuestas
+ * @module utils/cacheStores
+ */
+
+/**
+ * Interfaz común de los almacenes de caché
+ * @typedef {Object} CacheStore
+ * @property {function(string): Promise<*>} get - Devuelve el valor vigente de una clave o undefined
+ * @property {function(string, *, number): Promise<void>} set - Guarda un valor serializable con TTL en segundos
+ * @property {function(string): Promise<void>} delete - Elimina una clave
+ * @property {function(string): Promise<number>} deleteByPrefix - Elimina las claves que empiezan por un prefijo
+ * @property {function(): Promise<void>} clear - Vacía la caché
+ */
+
+/**
+ * Caché LRU en memoria del proceso (no se comparte entre instancias)
+ * @class MemoryCacheStore
+ * @description Un Map conserva el orden de inserción: cada lectura mueve la clave al
+ * final, así que la primera es siempre la menos usada y la que se expulsa al llenarse.
+ */
+class MemoryCacheStore {
+  /**
+   * Crea una caché en memoria
+   * @param {Object} [options] - Opciones
+   * @param {number} [options.maxSize=1000] - Máximo de entradas
+   * @param {function(): number} [options.clock=Date.now] - Reloj en milisegundos, inyectable en pruebas
+   */
+  constructor({ maxSize = 1000, clock = Date.now } = {}) {
+    this.maxSize = maxSize;
+    this.clock = clock;
+    this.entries = new Map();
+  }
+
+  /**
+   * Devuelve el valor vigente de una clave
+   * @param {string} key - Clave
+   * @returns {Promise<*>} Valor o undefined si no existe o ha caducado
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+
+    if (entry.expiresAt <= this.clock()) {
+      return undefined;
+    }
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Guarda un valor, expulsando la entrada menos usada si se supera el tamaño
+   * @param {string} key - Clave
+   * @param {*} value - Valor
+   * @param {number} ttl - Segundos de vida
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: this.clock() + ttl * 1000 });
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Elimina una clave
+   * @param {string} key - Clave
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Elimina las claves que empiezan por un prefijo
+   * @param {string} prefix - Prefijo
+   * @returns {Promise<number>} Claves eliminadas
+   */
+  async deleteByPrefix(prefix) {
+    const keys = [...this.entries.keys()].filter(key => key.startsWith(prefix));
+    keys.forEach(key => this.entries.delete(key));
+    return keys.length;
+  }
+
+  /**
+   * Vacía la caché
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Caché en Redis compartida entre instancias
+ * @class RedisCacheStore
+ * @description Igual que RedisRateLimitStore, recibe una función `sendCommand` que envía
+ * un comando en crudo, p. ej. `(...args) => client.sendCommand(args)` en node-redis.
+ * Redis expulsa por su cuenta según su `maxmemory-policy`; `CACHE_MAX_SIZE` no aplica.
+ */
+class RedisCacheStore {
+  /**
+   * Crea una caché sobre Redis
+   * @param {Object} options - Opciones
+   * @param {function(...string): Promise<*>} options.sendCommand - Envía un comando a Redis
+   * @param {string} [options.prefix='cache:'] - Prefijo de las claves
+   * @param {number} [options.scanCount=100] - Claves por iteración de SCAN al invalidar
+   */
+  constructor({ sendCommand, prefix = 'cache:', scanCount = 100 }) {
+    if (typeof sendCommand !== 'function') {
+      throw new Error('RedisCacheStore requires a sendCommand function');
+    }
+
+    this.sendCommand = sendCommand;
+    this.prefix = prefix;
+    this.scanCount = scanCount;
+  }
+
+  /**
+   * Devuelve el valor vigente de una clave
+   * @param {string} key - Clave
+   * @returns {Promise<*>} Valor o undefined
+   */
+  async get(key) {
+    const raw = await this.sendCommand('GET', `${this.prefix}${key}`);
+    return raw === null || raw === undefined ? undefined : JSON.parse(raw);
+  }
+
+  /**
+   * Guarda un valor serializado como JSON
+   * @param {string} key - Clave
+   * @param {*} value - Valor
+   * @param {number} ttl - Segundos de vida
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    await this.sendCommand('SET', `${this.prefix}${key}`, JSON.stringify(value), 'EX', String(Math.max(1, Math.ceil(ttl))));
+  }
+
+  /**
+   * Elimina una clave
+   * @param {string} key - Clave
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.sendCommand('DEL', `${this.prefix}${key}`);
+  }
+
+  /**
+   * Elimina las claves que empiezan por un prefijo, recorriéndolas con SCAN
+   * @param {string} prefix - Prefijo
+   * @returns {Promise<number>} Claves eliminadas
+   */
+  async deleteByPrefix(prefix) {
+    const pattern = `${this.prefix}${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
+    let cursor = '0';
+    let deleted = 0;
+
+    do {
+      const [next, keys] = await this.sendCommand('SCAN', cursor, 'MATCH', pattern, 'COUNT', String(this.scanCount));
+      cursor = String(next);
+
+      if (keys.length > 0) {
+        deleted += Number(await this.sendCommand('DEL', ...keys));
+      }
+    } while (cursor !== '0');
+
+    return deleted;
+  }
+
+  /**
+   * Vacía la caché (solo las claves con el prefijo de este almacén)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.deleteByPrefix('');
+  }
+}
+
+module.exports = {
+  MemoryCacheStore,
+  RedisCacheStore
+};
@@ -0,0 +1,281 @@
+/**
+ * Catálogo de errores tipados de la aplicación
+ * @module utils/errorHandler
+ */
+
+/**
+ * Códigos de error por defecto para cada código de estado HTTP
+ * @constant {Object<number, string>}
+ */
+const DEFAULT_CODES = Object.freeze({
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'VALIDATION_FAILED',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE'
+});
+
+/**
+ * Normaliza un error de campo al formato `{ field, message, location }`
+ * @param {Object} error - Error de campo (propio o de express-validator)
+ * @returns {{field: string, message: string, location: (string|undefined)}} Error normalizado
+ */
+const normalizeFieldError = (error) => ({
+  field: error.field || error.path || error.param,
+  message: error.message || error.msg,
+  location: error.location
+});
+
+/**
+ * Clase para manejo de errores personalizados
+ * @class AppError
+ * @extends Error
+ */
+class AppError extends Error {
+  /**
+   * Crea un error personalizado
+   * @param {string} message - Mensaje del error
+   * @param {number} statusCode - Código de estado HTTP
+   * @param {boolean} isOperational - Indica si el error es operacional
+   * @param {string} [code] - Código estable y legible por máquinas
+   */
+  constructor(message, statusCode, isOperational = true, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.isOperational = isOperational;
+    this.code = code || DEFAULT_CODES[statusCode] || (statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+    this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Solicitud mal formada (400)
+ * @class BadRequestError
+ * @extends AppError
+ */
+class BadRequestError extends AppError {
+  /**
+   * @param {string} [message='Bad request'] - Mensaje del error
+   * @param {string} [code='BAD_REQUEST'] - Código del error
+   */
+  constructor(message = 'Bad request', code = 'BAD_REQUEST') {
+    super(message, 400, true, code);
+  }
+}
+
+/**
+ * Falta autenticación o no es válida (401)
+ * @class UnauthorizedError
+ * @extends AppError
+ */
+class UnauthorizedError extends AppError {
+  /**
+   * @param {string} [message='Authentication required'] - Mensaje del error
+   * @param {string} [code='UNAUTHORIZED'] - Código del error
+   */
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED') {
+    super(message, 401, true, code);
+  }
+}
+
+/**
+ * Usuario autenticado sin permiso para la acción (403)
+ * @class ForbiddenError
+ * @extends AppError
+ */
+class ForbiddenError extends AppError {
+  /**
+   * @param {string} [message='You do not have permission to perform this action'] - Mensaje del error
+   * @param {string} [code='FORBIDDEN'] - Código del error
+   */
+  constructor(message = 'You do not have permission to perform this action', code = 'FORBIDDEN') {
+    super(message, 403, true, code);
+  }
+}
+
+/**
+ * Recurso inexistente (404)
+ * @class NotFoundError
+ * @extends AppError
+ */
+class NotFoundError extends AppError {
+  /**
+   * @param {string} [message='Resource not found'] - Mensaje del error
+   * @param {string} [code='NOT_FOUND'] - Código del error
+   */
+  constructor(message = 'Resource not found', code = 'NOT_FOUND') {
+    super(message, 404, true, code);
+  }
+}
+
+/**
+ * Conflicto con el estado actual del recurso (409)
+ * @class ConflictError
+ * @extends AppError
+ */
+class ConflictError extends AppError {
+  /**
+   * @param {string} [message='Resource already exists'] - Mensaje del error
+   * @param {string} [code='CONFLICT'] - Código del error
+   */
+  constructor(message = 'Resource already exists', code = 'CONFLICT') {
+    super(message, 409, true, code);
+  }
+}
+
+/**
+ * El cuerpo o un fichero supera el tamaño permitido (413)
+ * @class PayloadTooLargeError
+ * @extends AppError
+ */
+class PayloadTooLargeError extends AppError {
+  /**
+   * @param {string} [message='Payload too large'] - Mensaje del error
+   * @param {string} [code='PAYLOAD_TOO_LARGE'] - Código del error
+   */
+  constructor(message = 'Payload too large', code = 'PAYLOAD_TOO_LARGE') {
+    super(message, 413, true, code);
+  }
+}
+
+/**
+ * Tipo de contenido de la solicitud no admitido (415)
+ * @class UnsupportedMediaTypeError
+ * @extends AppError
+ */
+class UnsupportedMediaTypeError extends AppError {
+  /**
+   * @param {string} [message='Unsupported media type'] - Mensaje del error
+   * @param {string} [code='UNSUPPORTED_MEDIA_TYPE'] - Código del error
+   */
+  constructor(message = 'Unsupported media type', code = 'UNSUPPORTED_MEDIA_TYPE') {
+    super(message, 415, true, code);
+  }
+}
+
+/**
+ * Datos de entrada que no superan la validación (422)
+ * @class ValidationError
+ * @extends AppError
+ */
+class ValidationError extends AppError {
+  /**
+   * @param {string} [message='Validation failed'] - Mensaje del error
+   * @param {Array<Object>} [errors=[]] - Errores por campo; acepta también el formato de express-validator
+   * @param {string} [code='VALIDATION_FAILED'] - Código del error
+   */
+  constructor(message = 'Validation failed', errors = [], code = 'VALIDATION_FAILED') {
+    super(message, 422, true, code);
+    this.errors = errors.map(normalizeFieldError);
+  }
+}
+
+/**
+ * Se ha superado el límite de solicitudes (429)
+ * @class RateLimitedError
+ * @extends AppError
+ */
+class RateLimitedError extends AppError {
+  /**
+   * @param {string} [message='Too many requests, please try again later'] - Mensaje del error
+   * @param {number} [retryAfter] - Segundos hasta poder reintentar
+   * @param {string} [code='RATE_LIMITED'] - Código del error
+   */
+  constructor(message = 'Too many requests, please try again later', retryAfter, code = 'RATE_LIMITED') {
+    super(message, 429, true, code);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Un servicio externo ha fallado o ha respondido algo inesperado (502)
+ * @class BadGatewayError
+ * @extends AppError
+ */
+class BadGatewayError extends AppError {
+  /**
+   * @param {string} [message='Upstream service error'] - Mensaje del error
+   * @param {string} [code='BAD_GATEWAY'] - Código del error
+   */
+  constructor(message = 'Upstream service error', code = 'BAD_GATEWAY') {
+    super(message, 502, true, code);
+  }
+}
+
+/**
+ * El servicio no puede atender la solicitud temporalmente (503)
+ * @class ServiceUnavailableError
+ * @extends AppError
+ */
+class ServiceUnavailableError extends AppError {
+  /**
+   * @param {string} [message='Service unavailable'] - Mensaje del error
+   * @param {string} [code='SERVICE_UNAVAILABLE'] - Código del error
+   */
+  constructor(message = 'Service unavailable', code = 'SERVICE_UNAVAILABLE') {
+    super(message, 503, true, code);
+  }
+}
+
+/**
+ * Clases del catálogo indexadas por código de estado HTTP
+ * @constant {Object<number, Function>}
+ */
+const ERROR_CLASSES = Object.freeze({
+  400: BadRequestError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  413: PayloadTooLargeError,
+  415: UnsupportedMediaTypeError,
+  422: ValidationError,
+  429: RateLimitedError,
+  502: BadGatewayError,
+  503: ServiceUnavailableError
+});
+
+/**
+ * Crea el error del catálogo correspondiente a un código de estado
+ * @param {number} statusCode - Código de estado HTTP
+ * @param {string} message - Mensaje del error
+ * @param {Array} [details] - Errores por campo (solo para validación)
+ * @returns {AppError} Error tipado
+ */
+const createError = (statusCode, message, details) => {
+  if (details !== undefined) {
+    const error = new ValidationError(message, details);
+    error.statusCode = statusCode;
+    error.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+    return error;
+  }
+
+  const ErrorClass = ERROR_CLASSES[statusCode];
+  return ErrorClass ? new ErrorClass(message) : new AppError(message, statusCode);
+};
+
+module.exports = {
+  DEFAULT_CODES,
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  ValidationError,
+  RateLimitedError,
+  BadGatewayError,
+  ServiceUnavailableError,
+  createError
+};
@@ -0,0 +1,245 @@
+/**
+ * Drivers de almacenamiento de ficheros subidos
+ * @module utils/fileStorage
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Interfaz común de los drivers de almacenamiento
+ * @typedef {Object} FileStorage
+ * @property {function(string, import('stream').Readable, {contentType: string}): Promise<void>} put - Guarda el contenido de un stream con una clave
+ * @property {function(string): Promise<void>} delete - Elimina un fichero (no falla si no existe)
+ * @property {function(string, {expiresIn: number}): Promise<string>} getSignedUrl - URL de descarga firmada que caduca en `expiresIn` segundos
+ */
+
+/**
+ * Formato de las claves: `<prefijo>/<nombre>.<extensión>`, sin rutas relativas
+ * @constant {RegExp}
+ */
+const KEY_PATTERN = /^[a-z0-9-]+\/[a-zA-Z0-9-]+\.[a-z0-9]+$/;
+
+/**
+ * Comprueba que una clave tiene el formato esperado
+ * @param {string} key - Clave
+ * @returns {boolean} Si es válida
+ */
+const isValidKey = key => typeof key === 'string' && KEY_PATTERN.test(key);
+
+/**
+ * Almacenamiento en el disco local
+ * @class LocalFileStorage
+ * @description Las descargas las sirve la propia API en `baseUrl`; la URL lleva la
+ * caducidad y una firma HMAC sobre clave y caducidad, así que no se puede alargar ni
+ * reutilizar para otro fichero.
+ */
+class LocalFileStorage {
+  /**
+   * Crea un almacenamiento en disco
+   * @param {Object} options - Opciones
+   * @param {string} options.directory - Directorio raíz (se crea si no existe)
+   * @param {string} options.signingSecret - Secreto de las firmas de URL
+   * @param {string} [options.baseUrl='/files'] - Ruta desde la que se sirven los ficheros
+   * @param {function(): number} [options.clock=Date.now] - Reloj en milisegundos, inyectable en pruebas
+   */
+  constructor({ directory, signingSecret, baseUrl = '/files', clock = Date.now }) {
+    if (!signingSecret) {
+      throw new Error('LocalFileStorage requires a signing secret');
+    }
+
+    this.directory = path.resolve(directory);
+    this.signingSecret = signingSecret;
+    this.baseUrl = baseUrl;
+    this.clock = clock;
+  }
+
+  /**
+   * Guarda el contenido del stream; se escribe en un fichero temporal y se renombra al terminar
+   * @param {string} key - Clave
+   * @param {import('stream').Readable} stream - Contenido
+   * @returns {Promise<void>}
+   */
+  async put(key, stream) {
+    const file = this.resolve(key);
+    const partial = `${file}.${crypto.randomUUID()}.part`;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    try {
+      await pipeline(stream, fs.createWriteStream(partial, { flags: 'wx' }));
+      await fs.promises.rename(partial, file);
+    } catch (error) {
+      await fs.promises.rm(partial, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina un fichero
+   * @param {string} key - Clave
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  /**
+   * Abre un fichero para servirlo
+   * @param {string} key - Clave
+   * @returns {Promise<{stream: import('fs').ReadStream, size: number}|null>} Stream y tamaño, o null si no existe
+   */
+  async open(key) {
+    const file = this.resolve(key);
+
+    try {
+      const { size } = await fs.promises.stat(file);
+      return { stream: fs.createReadStream(file), size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Genera una URL de descarga firmada
+   * @param {string} key - Clave
+   * @param {Object} options - Opciones
+   * @param {number} options.expiresIn - Segundos de validez
+   * @returns {Promise<string>} URL relativa a la API
+   */
+  async getSignedUrl(key, { expiresIn }) {
+    const expires = Math.floor(this.clock() / 1000) + expiresIn;
+    return `${this.baseUrl}/${key}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  /**
+   * Comprueba la firma y la caducidad de una URL de descarga
+   * @param {string} key - Clave
+   * @param {(string|number)} expires - Caducidad en segundos desde epoch
+   * @param {string} signature - Firma recibida
+   * @returns {boolean} Si la URL es válida y no ha caducado
+   */
+  verify(key, expires, signature) {
+    const expected = Buffer.from(this.sign(key, expires));
+    const received = Buffer.from(String(signature || ''));
+
+    return Number(expires) * 1000 > this.clock()
+      && expected.length === received.length
+      && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Firma clave y caducidad
+   * @private
+   * @param {string} key - Clave
+   * @param {(string|number)} expires - Caducidad en segundos desde epoch
+   * @returns {string} Firma HMAC-SHA256 en base64url
+   */
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${key}:${expires}`).digest('base64url');
+  }
+
+  /**
+   * Ruta del fichero de una clave dentro del directorio raíz
+   * @private
+   * @param {string} key - Clave
+   * @returns {string} Ruta absoluta
+   * @throws {Error} Si la clave no es válida
+   */
+  resolve(key) {
+    if (!isValidKey(key)) {
+      throw new Error('Invalid storage key');
+    }
+
+    return path.join(this.directory, key);
+  }
+}
+
+/**
+ * Almacenamiento en S3 o en un servicio compatible (MinIO, LocalStack...)
+ * @class S3FileStorage
+ * @description Las subidas se envían por partes sin conocer el tamaño de antemano y las
+ * descargas van directas al bucket con URLs prefirmadas. Para un servicio compatible se
+ * indica `endpoint` y, normalmente, `forcePathStyle`.
+ */
+class S3FileStorage {
+  /**
+   * Crea un almacenamiento sobre un bucket
+   * @param {Object} options - Opciones
+   * @param {string} options.bucket - Bucket
+   * @param {string} [options.region='us-east-1'] - Región
+   * @param {string} [options.endpoint] - URL de un servicio compatible con S3
+   * @param {boolean} [options.forcePathStyle=false] - URLs `endpoint/bucket/clave` en lugar de `bucket.endpoint/clave`
+   * @param {string} [options.accessKeyId] - Credenciales; si faltan, se usa la cadena por defecto del SDK
+   * @param {string} [options.secretAccessKey] - Credenciales
+   * @param {import('@aws-sdk/client-s3').S3Client} [options.client] - Cliente ya creado, inyectable en pruebas
+   */
+  constructor({ bucket, region = 'us-east-1', endpoint, forcePathStyle = false, accessKeyId, secretAccessKey, client }) {
+    if (!bucket) {
+      throw new Error('S3FileStorage requires a bucket');
+    }
+
+    // Solo se carga si se usa S3
+    const { S3Client } = require('@aws-sdk/client-s3');
+
+    this.bucket = bucket;
+    this.client = client || new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  /**
+   * Sube el contenido del stream
+   * @param {string} key - Clave
+   * @param {import('stream').Readable} stream - Contenido
+   * @param {Object} options - Opciones
+   * @param {string} options.contentType - Tipo MIME
+   * @returns {Promise<void>}
+   */
+  async put(key, stream, { contentType }) {
+    const { Upload } = require('@aws-sdk/lib-storage');
+
+    await new Upload({
+      client: this.client,
+      params: { Bucket: this.bucket, Key: key, Body: stream, ContentType: contentType }
+    }).done();
+  }
+
+  /**
+   * Elimina un objeto
+   * @param {string} key - Clave
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  /**
+   * Genera una URL de descarga prefirmada
+   * @param {string} key - Clave
+   * @param {Object} options - Opciones
+   * @param {number} options.expiresIn - Segundos de validez
+   * @returns {Promise<string>} URL absoluta del bucket
+   */
+  async getSignedUrl(key, { expiresIn }) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+    return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), { expiresIn });
+  }
+}
+
+module.exports = {
+  isValidKey,
+  LocalFileStorage,
+  S3FileStorage
+};
@@ -0,0 +1,143 @@
+/**
+ * Logger estructurado de la aplicación basado en winston
+ * @module utils/logger
+ */
+
+const path = require('path');
+const winston = require('winston');
+
+/**
+ * Patrón de las claves cuyo valor se oculta en los logs
+ * @constant {RegExp}
+ */
+const SENSITIVE_KEYS = /pass(word)?|secret|token|authorization|cookie|api[-_]?key|credential/i;
+
+/**
+ * Texto con el que se sustituyen los valores sensibles
+ * @constant {string}
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Tamaño máximo de cada fichero de log antes de rotarlo (10 MB)
+ * @constant {number}
+ */
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Número de ficheros rotados que se conservan
+ * @constant {number}
+ */
+const MAX_FILES = 5;
+
+/**
+ * Copia un valor ocultando las claves sensibles y serializando los errores
+ * @param {*} value - Valor a sanear
+ * @param {WeakSet} [seen] - Objetos ya visitados (para referencias circulares)
+ * @returns {*} Copia saneada del valor
+ */
+const redact = (value, seen = new WeakSet()) => {
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      ...(value.statusCode && { statusCode: value.statusCode }),
+      ...(value.code && { code: value.code }),
+      stack: value.stack
+    }, seen);
+  }
+
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, SENSITIVE_KEYS.test(key) ? REDACTED : redact(item, seen)])
+  );
+};
+
+/**
+ * Formato de winston que oculta los datos sensibles de cada entrada
+ * @type {winston.Logform.Format}
+ */
+const redactFormat = winston.format((info) => {
+  Object.keys(info).forEach((key) => {
+    if (key === 'level' || key === 'message') {
+      return;
+    }
+    info[key] = SENSITIVE_KEYS.test(key) ? REDACTED : redact(info[key]);
+  });
+  return info;
+});
+
+/**
+ * Crea los transportes iniciales del logger
+ * @description El fichero se añade después con `setLogFile()`, cuando la configuración
+ * (que también escribe en este logger) ya está cargada
+ * @returns {winston.transport[]} Transportes configurados
+ */
+const createTransports = () => [
+  new winston.transports.Console({
+    silent: process.env.NODE_ENV === 'test'
+  })
+];
+
+/**
+ * Logger principal de la aplicación
+ * @type {winston.Logger}
+ */
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  defaultMeta: { service: process.env.npm_package_name || 'fullstack-app' },
+  format: winston.format.combine(
+    redactFormat(),
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: createTransports()
+});
+
+/**
+ * Transporte de fichero activo, si hay uno
+ * @type {winston.transport|null}
+ */
+let fileTransport = null;
+
+/**
+ * Escribe también los logs en un fichero rotado, sustituyendo el anterior si lo había
+ * @param {string} [filePath] - Ruta del fichero (relativa al directorio de trabajo); sin ella solo se usa la consola
+ * @returns {void}
+ */
+const setLogFile = (filePath) => {
+  if (fileTransport) {
+    logger.remove(fileTransport);
+    fileTransport = null;
+  }
+
+  if (filePath) {
+    fileTransport = new winston.transports.File({
+      filename: path.resolve(process.cwd(), filePath),
+      maxsize: MAX_FILE_SIZE,
+      maxFiles: MAX_FILES,
+      tailable: true,
+      // Se abre con la primera entrada: sustituir el fichero antes de escribir no deja uno vacío
+      lazy: true
+    });
+    logger.add(fileTransport);
+  }
+};
+
+module.exports = {
+  logger,
+  redact,
+  setLogFile
+};
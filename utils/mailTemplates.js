@@ -0,0 +1,115 @@
+/**
+ * Plantillas de correo
+ * @module utils/mailTemplates
+ * @description Cada plantilla tiene asunto, texto plano y HTML con marcadores `{{variable}}`.
+ * En el HTML los valores se escapan; en el asunto y el texto se insertan tal cual.
+ */
+
+/**
+ * Plantillas disponibles
+ * @constant {Object<string, {subject: string, text: string, html: string}>}
+ */
+const TEMPLATES = Object.freeze({
+  'verify-email': {
+    subject: 'Confirm your email address',
+    text: [
+      'Hi {{name}},',
+      '',
+      'Confirm your email address by opening this link:',
+      '{{url}}',
+      '',
+      'The link expires in {{expiresIn}}. If you did not create an account, ignore this message.'
+    ].join('\n'),
+    html: [
+      '<p>Hi {{name}},</p>',
+      '<p>Confirm your email address by opening this link:</p>',
+      '<p><a href="{{url}}">Confirm email</a></p>',
+      '<p>The link expires in {{expiresIn}}. If you did not create an account, ignore this message.</p>'
+    ].join('\n')
+  },
+
+  'password-reset': {
+    subject: 'Reset your password',
+    text: [
+      'Hi {{name}},',
+      '',
+      'Someone asked to reset the password for this account. To choose a new one, open this link:',
+      '{{url}}',
+      '',
+      'The link expires in {{expiresIn}} and can only be used once. If it was not you, ignore this message.'
+    ].join('\n'),
+    html: [
+      '<p>Hi {{name}},</p>',
+      '<p>Someone asked to reset the password for this account. To choose a new one, open this link:</p>',
+      '<p><a href="{{url}}">Reset password</a></p>',
+      '<p>The link expires in {{expiresIn}} and can only be used once. If it was not you, ignore this message.</p>'
+    ].join('\n')
+  },
+
+  'password-changed': {
+    subject: 'Your password was changed',
+    text: [
+      'Hi {{name}},',
+      '',
+      'The password for this account was just reset and all sessions were signed out.',
+      'If it was not you, contact support immediately.'
+    ].join('\n'),
+    html: [
+      '<p>Hi {{name}},</p>',
+      '<p>The password for this account was just reset and all sessions were signed out.</p>',
+      '<p>If it was not you, contact support immediately.</p>'
+    ].join('\n')
+  }
+});
+
+/**
+ * Escapa un valor para insertarlo en HTML
+ * @param {*} value - Valor
+ * @returns {string} Texto escapado
+ */
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Sustituye los marcadores de una cadena
+ * @param {string} source - Cadena con marcadores
+ * @param {Object} data - Valores
+ * @param {function(*): string} format - Da formato a cada valor
+ * @returns {string} Cadena resultante
+ * @throws {Error} Si falta algún valor
+ */
+const interpolate = (source, data, format) => source.replace(/{{\s*(\w+)\s*}}/g, (placeholder, name) => {
+  if (data[name] === undefined || data[name] === null) {
+    throw new Error(`Missing template variable: ${name}`);
+  }
+  return format(data[name]);
+});
+
+/**
+ * Genera asunto, texto y HTML a partir de una plantilla
+ * @param {string} name - Nombre de la plantilla (ver TEMPLATES)
+ * @param {Object} [data={}] - Valores de los marcadores
+ * @returns {{subject: string, text: string, html: string}} Contenido del mensaje
+ * @throws {Error} Si la plantilla no existe o falta algún valor
+ */
+const render = (name, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return {
+    subject: interpolate(template.subject, data, String),
+    text: interpolate(template.text, data, String),
+    html: interpolate(template.html, data, escapeHtml)
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  render
+};
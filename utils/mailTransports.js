@@ -0,0 +1,139 @@
+/**
+ * Transportes de correo
+ * @module utils/mailTransports
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Interfaz común de los transportes de correo
+ * @typedef {Object} MailTransport
+ * @property {function(Object): Promise<{messageId: string}>} send - Entrega un mensaje `{ from, to, subject, text, html }`
+ * @property {function(): Promise<void>} [close] - Libera conexiones abiertas
+ */
+
+/**
+ * Transporte en memoria para pruebas
+ * @class MemoryTransport
+ * @description Guarda los mensajes en `messages` en lugar de enviarlos, para que las
+ * pruebas comprueben qué se habría mandado sin un servidor SMTP.
+ */
+class MemoryTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  /**
+   * Guarda el mensaje
+   * @param {Object} message - Mensaje
+   * @returns {Promise<{messageId: string}>} ID asignado
+   */
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    this.messages.push({ ...message, messageId, sentAt: new Date() });
+    return { messageId };
+  }
+
+  /**
+   * Mensajes enviados a una dirección, del más antiguo al más reciente
+   * @param {string} to - Destinatario
+   * @returns {Object[]} Mensajes
+   */
+  sentTo(to) {
+    return this.messages.filter(message => message.to === to);
+  }
+
+  /**
+   * Olvida los mensajes guardados
+   * @returns {void}
+   */
+  clear() {
+    this.messages = [];
+  }
+}
+
+/**
+ * Transporte que escribe cada mensaje como un fichero JSON
+ * @class FileTransport
+ * @description Útil en desarrollo para abrir los correos (y sus enlaces) sin enviarlos
+ */
+class FileTransport {
+  /**
+   * Crea un transporte a disco
+   * @param {Object} options - Opciones
+   * @param {string} options.directory - Directorio de salida (se crea si no existe)
+   */
+  constructor({ directory }) {
+    this.directory = directory;
+  }
+
+  /**
+   * Escribe el mensaje en `<directorio>/<fecha>-<id>.json`
+   * @param {Object} message - Mensaje
+   * @returns {Promise<{messageId: string}>} ID asignado
+   */
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    const sentAt = new Date();
+    const file = path.join(this.directory, `${sentAt.toISOString().replace(/[:.]/g, '-')}-${messageId}.json`);
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, messageId, sentAt }, null, 2));
+
+    return { messageId };
+  }
+}
+
+/**
+ * Transporte SMTP sobre nodemailer
+ * @class SmtpTransport
+ */
+class SmtpTransport {
+  /**
+   * Crea un transporte SMTP
+   * @param {Object} options - Opciones
+   * @param {string} options.host - Servidor SMTP
+   * @param {number} options.port - Puerto
+   * @param {boolean} [options.secure=false] - TLS desde el inicio (puerto 465); si no, STARTTLS cuando el servidor lo ofrece
+   * @param {string} [options.user] - Usuario
+   * @param {string} [options.pass] - Contraseña
+   */
+  constructor({ host, port, secure = false, user, pass }) {
+    // Solo se carga si se usa SMTP
+    const nodemailer = require('nodemailer');
+
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      pool: true,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  /**
+   * Envía el mensaje
+   * @param {Object} message - Mensaje
+   * @returns {Promise<{messageId: string}>} ID asignado por el servidor
+   */
+  async send({ from, to, subject, text, html }) {
+    const info = await this.transporter.sendMail({ from, to, subject, text, html });
+    return { messageId: info.messageId };
+  }
+
+  /**
+   * Cierra las conexiones del pool
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.transporter.close();
+  }
+}
+
+module.exports = {
+  MemoryTransport,
+  FileTransport,
+  SmtpTransport
+};
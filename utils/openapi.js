@@ -0,0 +1,170 @@
+/**
+ * Especificación OpenAPI 3 generada a partir de las anotaciones `@swagger`
+ * @module utils/openapi
+ */
+
+const path = require('path');
+const swaggerJsdoc = require('swagger-jsdoc');
+const { name, version, description } = require('../package.json');
+
+/**
+ * Archivos con anotaciones `@swagger`
+ * @constant {string[]}
+ */
+const ANNOTATED_FILES = [path.join(__dirname, '../routes/*.js')];
+
+/**
+ * Métodos HTTP que se documentan como operaciones
+ * @constant {string[]}
+ */
+const OPERATION_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Definición base del documento; las rutas se añaden desde las anotaciones
+ * @constant {Object}
+ */
+const definition = Object.freeze({
+  openapi: '3.0.3',
+  info: {
+    title: name,
+    version,
+    description
+  },
+  servers: [{ url: '/' }],
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT'
+      },
+      apiKeyAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key'
+      }
+    },
+    schemas: {
+      Problem: {
+        type: 'object',
+        description: 'Error en formato application/problem+json (RFC 7807)',
+        properties: {
+          type: { type: 'string', example: '/problems/not-found' },
+          title: { type: 'string', example: 'Not Found' },
+          status: { type: 'integer', example: 404 },
+          detail: { type: 'string', example: 'Resource not found' },
+          instance: { type: 'string', example: '/api/products/123' },
+          code: { type: 'string', example: 'NOT_FOUND' },
+          requestId: { type: 'string' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string' },
+                message: { type: 'string' },
+                location: { type: 'string' }
+              }
+            }
+          },
+          retryAfter: { type: 'integer' }
+        }
+      }
+    }
+  }
+});
+
+/**
+ * Documento generado (se construye una vez por proceso)
+ * @type {Object|null}
+ */
+let spec = null;
+
+/**
+ * Construye (o devuelve ya construido) el documento OpenAPI
+ * @returns {Object} Documento OpenAPI 3
+ * @throws {Error} Si alguna anotación no es YAML válido
+ */
+const getSpec = () => {
+  if (!spec) {
+    spec = swaggerJsdoc({ definition, apis: ANNOTATED_FILES, failOnErrors: true });
+  }
+
+  return spec;
+};
+
+/**
+ * Une dos segmentos de ruta sin dejar barras duplicadas ni finales
+ * @param {string} prefix - Prefijo
+ * @param {string} routePath - Ruta relativa
+ * @returns {string} Ruta completa
+ */
+const joinPath = (prefix, routePath) => {
+  const joined = `${prefix}/${routePath}`.replace(/\/{2,}/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+};
+
+/**
+ * Convierte una ruta de Express (`/users/:id`) al formato OpenAPI (`/users/{id}`)
+ * @param {string} routePath - Ruta de Express
+ * @returns {string} Ruta OpenAPI
+ */
+const toOpenApiPath = routePath => routePath.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Lista las operaciones (`METHOD /ruta`) definidas en un router de Express
+ * @param {string} prefix - Ruta donde se monta el router
+ * @param {express.Router} router - Router
+ * @returns {string[]} Operaciones
+ */
+const listRouterOperations = (prefix, router) => router.stack
+  .filter(layer => layer.route)
+  .flatMap(({ route }) => Object.keys(route.methods)
+    .filter(method => OPERATION_METHODS.includes(method))
+    .map(method => `${method.toUpperCase()} ${toOpenApiPath(joinPath(prefix, route.path))}`));
+
+/**
+ * Lista las operaciones montadas en la aplicación
+ * @param {Array<{prefix: string, routeTable?: Array, router?: express.Router}>} mounts - Tablas de rutas o routers y su prefijo
+ * @returns {string[]} Operaciones (`METHOD /ruta`)
+ */
+const listRoutes = mounts => mounts.flatMap(({ prefix, routeTable, router }) => {
+  if (router) {
+    return listRouterOperations(prefix, router);
+  }
+
+  return routeTable.flatMap(entry => (entry.router
+    ? listRouterOperations(joinPath(prefix, entry.path), entry.router)
+    : [`${entry.method.toUpperCase()} ${toOpenApiPath(joinPath(prefix, entry.path))}`]));
+});
+
+/**
+ * Lista las operaciones descritas en un documento OpenAPI
+ * @param {Object} document - Documento OpenAPI
+ * @returns {string[]} Operaciones (`METHOD /ruta`)
+ */
+const listDocumentedOperations = document => Object.entries(document.paths || {})
+  .flatMap(([routePath, item]) => Object.keys(item)
+    .filter(method => OPERATION_METHODS.includes(method))
+    .map(method => `${method.toUpperCase()} ${routePath}`));
+
+/**
+ * Compara las rutas montadas con las documentadas
+ * @param {Object} document - Documento OpenAPI
+ * @param {string[]} routes - Operaciones montadas (ver listRoutes)
+ * @returns {{undocumented: string[], unknown: string[]}} Rutas sin anotación y anotaciones sin ruta
+ */
+const checkRouteCoverage = (document, routes) => {
+  const documented = listDocumentedOperations(document);
+
+  return {
+    undocumented: routes.filter(route => !documented.includes(route)),
+    unknown: documented.filter(operation => !routes.includes(operation))
+  };
+};
+
+module.exports = {
+  getSpec,
+  listRoutes,
+  checkRouteCoverage
+};
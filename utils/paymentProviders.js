@@ -0,0 +1,560 @@
+/**
+ * Proveedores de pago
+ * @module utils/paymentProviders
+ * @description Clientes mínimos de las APIs REST de Stripe y PayPal. Las llamadas usan
+ * `fetch`, que se puede inyectar para reproducir respuestas grabadas en pruebas, y los
+ * eventos de webhook se traducen a un formato común que no depende del proveedor.
+ */
+
+const crypto = require('crypto');
+const { PAYMENT_STATUS } = require('../models/Payment');
+
+/**
+ * Interfaz común de los proveedores de pago
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - Nombre del proveedor
+ * @property {function(Object): Promise<{reference: string, url: string}>} createCheckout - Crea una página de pago alojada por el proveedor
+ * @property {function(Object): Promise<{reference: string, clientSecret: (string|null)}>} createPaymentIntent - Crea un cobro que el cliente completa con el SDK del proveedor
+ * @property {function(Buffer, Object): Promise<boolean>} verifyWebhook - Comprueba la firma de un webhook sobre el cuerpo sin parsear
+ * @property {function(Buffer): ProviderEvent} parseEvent - Traduce el cuerpo de un webhook al formato común
+ * @property {function(): Object} getPublicConfig - Datos que el cliente necesita (claves públicas)
+ */
+
+/**
+ * Evento de webhook en formato común
+ * @typedef {Object} ProviderEvent
+ * @property {string} id - ID del evento en el proveedor
+ * @property {string} type - Tipo de evento en el proveedor
+ * @property {(string|null)} status - Estado de pago resultante, o null si el evento no lo cambia
+ * @property {string} [reference] - Objeto creado al iniciar el pago
+ * @property {string} [transactionId] - Cobro
+ * @property {string} [orderId] - Pedido, leído de los metadatos
+ * @property {number} [refundedAmount] - Total reembolsado en unidades mínimas (eventos de reembolso)
+ * @property {boolean} [capture] - El comprador ha aprobado el pago y falta capturarlo (PayPal)
+ */
+
+/**
+ * Segundos de antigüedad máxima de un webhook de Stripe (protege frente a reenvíos)
+ * @constant {number}
+ */
+const STRIPE_SIGNATURE_TOLERANCE = 300;
+
+/**
+ * URL de la API de PayPal según el modo
+ * @constant {Object<string, string>}
+ */
+const PAYPAL_API_URLS = Object.freeze({
+  sandbox: 'https://api-m.sandbox.paypal.com',
+  live: 'https://api-m.paypal.com'
+});
+
+/**
+ * Crea el error de una llamada fallida a un proveedor
+ * @param {string} provider - Proveedor
+ * @param {string} message - Mensaje
+ * @param {number} [status] - Código HTTP devuelto por el proveedor
+ * @returns {Error} Error con `provider` y `providerStatus`
+ */
+const providerError = (provider, message, status) => {
+  const error = new Error(`${provider}: ${message}`);
+  error.provider = provider;
+  error.providerStatus = status;
+  return error;
+};
+
+/**
+ * Hace una llamada HTTP y devuelve la respuesta JSON
+ * @async
+ * @param {Function} fetch - Implementación de fetch
+ * @param {string} provider - Proveedor (para los errores)
+ * @param {string} url - URL
+ * @param {Object} options - Opciones de fetch
+ * @returns {Promise<Object>} Cuerpo de la respuesta
+ * @throws {Error} Si la llamada falla o la respuesta no es 2xx
+ */
+const requestJson = async (fetch, provider, url, options) => {
+  let response;
+
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw providerError(provider, `request failed: ${error.message}`);
+  }
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const message = body.error_description
+      || (body.error && body.error.message)
+      || body.message
+      || `HTTP ${response.status}`;
+    throw providerError(provider, message, response.status);
+  }
+
+  return body;
+};
+
+/**
+ * Codifica parámetros anidados al formato de formulario de Stripe (`a[b][0][c]=1`)
+ * @param {Object} params - Parámetros
+ * @param {string} [prefix=''] - Prefijo de los nombres
+ * @param {URLSearchParams} [form] - Formulario en construcción
+ * @returns {URLSearchParams} Formulario
+ */
+const toStripeForm = (params, prefix = '', form = new URLSearchParams()) => {
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      toStripeForm(value, name, form);
+    } else {
+      form.append(name, String(value));
+    }
+  });
+
+  return form;
+};
+
+/**
+ * Genera la cabecera `Stripe-Signature` de un cuerpo
+ * @description La usa la verificación y sirve para firmar fixtures de webhooks en pruebas
+ * @param {string} payload - Cuerpo sin parsear
+ * @param {string} secret - Secreto del endpoint (`whsec_...`)
+ * @param {number} [timestamp] - Segundos desde epoch; por defecto, ahora
+ * @returns {string} Cabecera `t=...,v1=...`
+ */
+const signStripePayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Estado de pago de cada evento de Stripe que se procesa
+ * @constant {Object<string, function(Object): (string|null)>}
+ */
+const STRIPE_EVENTS = Object.freeze({
+  'checkout.session.completed': session => (session.payment_status === 'paid' ? PAYMENT_STATUS.SUCCEEDED : PAYMENT_STATUS.PROCESSING),
+  'checkout.session.async_payment_succeeded': () => PAYMENT_STATUS.SUCCEEDED,
+  'checkout.session.async_payment_failed': () => PAYMENT_STATUS.FAILED,
+  'checkout.session.expired': () => PAYMENT_STATUS.CANCELED,
+  'payment_intent.processing': () => PAYMENT_STATUS.PROCESSING,
+  'payment_intent.succeeded': () => PAYMENT_STATUS.SUCCEEDED,
+  'payment_intent.payment_failed': () => PAYMENT_STATUS.FAILED,
+  'payment_intent.canceled': () => PAYMENT_STATUS.CANCELED,
+  'charge.refunded': () => PAYMENT_STATUS.REFUNDED
+});
+
+/**
+ * Proveedor Stripe
+ * @class StripeProvider
+ * @description Checkout crea una sesión de Stripe Checkout; los intents, un PaymentIntent
+ * para Stripe Elements. El ID del pedido viaja en `metadata.orderId` de ambos.
+ */
+class StripeProvider {
+  /**
+   * Crea el proveedor
+   * @param {Object} options - Opciones
+   * @param {string} options.secretKey - Clave secreta (`sk_...`)
+   * @param {string} [options.publishableKey] - Clave pública que se entrega al cliente
+   * @param {string} options.webhookSecret - Secreto del endpoint de webhooks (`whsec_...`)
+   * @param {string} [options.apiUrl='https://api.stripe.com'] - URL de la API (p. ej. stripe-mock en local)
+   * @param {Function} [options.fetch] - Implementación de fetch, inyectable en pruebas
+   * @param {function(): number} [options.clock=Date.now] - Reloj en milisegundos
+   */
+  constructor({ secretKey, publishableKey, webhookSecret, apiUrl = 'https://api.stripe.com', fetch, clock = Date.now }) {
+    if (!secretKey || !webhookSecret) {
+      throw new Error('StripeProvider requires a secret key and a webhook secret');
+    }
+
+    this.name = 'stripe';
+    this.secretKey = secretKey;
+    this.publishableKey = publishableKey;
+    this.webhookSecret = webhookSecret;
+    this.apiUrl = apiUrl;
+    this.fetch = fetch || globalThis.fetch;
+    this.clock = clock;
+  }
+
+  /**
+   * Crea una sesión de Stripe Checkout
+   * @param {Object} options - Opciones
+   * @param {Object} options.order - Pedido
+   * @param {Object} options.payment - Pago (su ID es la clave de idempotencia)
+   * @param {string} options.successUrl - URL de vuelta tras pagar
+   * @param {string} options.cancelUrl - URL de vuelta si se cancela
+   * @returns {Promise<{reference: string, url: string}>} ID de la sesión y URL de pago
+   */
+  async createCheckout({ order, payment, successUrl, cancelUrl }) {
+    const session = await this.request('/v1/checkout/sessions', {
+      mode: 'payment',
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      client_reference_id: order.id,
+      metadata: { orderId: order.id },
+      payment_intent_data: { metadata: { orderId: order.id } },
+      line_items: order.items.map(item => ({
+        quantity: item.quantity,
+        price_data: {
+          currency: order.currency,
+          unit_amount: item.unitAmount,
+          product_data: { name: item.name }
+        }
+      }))
+    }, payment.id);
+
+    return { reference: session.id, url: session.url };
+  }
+
+  /**
+   * Crea un PaymentIntent
+   * @param {Object} options - Opciones
+   * @param {Object} options.order - Pedido
+   * @param {Object} options.payment - Pago (su ID es la clave de idempotencia)
+   * @returns {Promise<{reference: string, clientSecret: string}>} ID del intent y secreto para el cliente
+   */
+  async createPaymentIntent({ order, payment }) {
+    const intent = await this.request('/v1/payment_intents', {
+      amount: order.amount,
+      currency: order.currency,
+      metadata: { orderId: order.id },
+      automatic_payment_methods: { enabled: true }
+    }, payment.id);
+
+    return { reference: intent.id, clientSecret: intent.client_secret };
+  }
+
+  /**
+   * Comprueba la cabecera `Stripe-Signature`
+   * @param {Buffer} rawBody - Cuerpo sin parsear
+   * @param {Object} headers - Cabeceras de la solicitud
+   * @returns {Promise<boolean>} Si la firma es válida y reciente
+   */
+  async verifyWebhook(rawBody, headers) {
+    const fields = String(headers['stripe-signature'] || '').split(',').map(field => field.split('='));
+    const timestamp = Number((fields.find(([name]) => name === 't') || [])[1]);
+    const signatures = fields.filter(([name]) => name === 'v1').map(([, value]) => Buffer.from(value || ''));
+
+    if (!Number.isInteger(timestamp) || Math.abs(this.clock() / 1000 - timestamp) > STRIPE_SIGNATURE_TOLERANCE) {
+      return false;
+    }
+
+    const [, expectedHex] = signStripePayload(rawBody.toString('utf8'), this.webhookSecret, timestamp).split('v1=');
+    const expected = Buffer.from(expectedHex);
+
+    return signatures.some(signature => signature.length === expected.length && crypto.timingSafeEqual(signature, expected));
+  }
+
+  /**
+   * Traduce un evento de Stripe
+   * @param {Buffer} rawBody - Cuerpo sin parsear
+   * @returns {ProviderEvent} Evento
+   */
+  parseEvent(rawBody) {
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const object = (event.data && event.data.object) || {};
+    const toStatus = STRIPE_EVENTS[event.type];
+    const isCharge = object.object === 'charge';
+
+    return {
+      id: event.id,
+      type: event.type,
+      status: toStatus ? toStatus(object) : null,
+      reference: isCharge ? undefined : object.id,
+      transactionId: isCharge ? object.payment_intent : (object.payment_intent || object.id),
+      orderId: (object.metadata && object.metadata.orderId) || object.client_reference_id || undefined,
+      refundedAmount: isCharge ? object.amount_refunded : undefined
+    };
+  }
+
+  /**
+   * Datos públicos para el cliente
+   * @returns {{publishableKey: (string|undefined)}} Clave pública
+   */
+  getPublicConfig() {
+    return { publishableKey: this.publishableKey };
+  }
+
+  /**
+   * Hace un POST a la API de Stripe
+   * @private
+   * @param {string} path - Ruta de la API
+   * @param {Object} params - Parámetros
+   * @param {string} idempotencyKey - Clave de idempotencia (reintentos con la misma clave no duplican el cobro)
+   * @returns {Promise<Object>} Objeto creado
+   */
+  async request(path, params, idempotencyKey) {
+    return requestJson(this.fetch, this.name, `${this.apiUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Idempotency-Key': idempotencyKey
+      },
+      body: toStripeForm(params).toString()
+    });
+  }
+}
+
+/**
+ * Estado de pago de cada evento de PayPal que se procesa
+ * @constant {Object<string, string>}
+ */
+const PAYPAL_EVENTS = Object.freeze({
+  'CHECKOUT.ORDER.APPROVED': PAYMENT_STATUS.PROCESSING,
+  'PAYMENT.CAPTURE.PENDING': PAYMENT_STATUS.PROCESSING,
+  'PAYMENT.CAPTURE.COMPLETED': PAYMENT_STATUS.SUCCEEDED,
+  'PAYMENT.CAPTURE.DENIED': PAYMENT_STATUS.FAILED,
+  'PAYMENT.CAPTURE.DECLINED': PAYMENT_STATUS.FAILED,
+  'PAYMENT.CAPTURE.REFUNDED': PAYMENT_STATUS.REFUNDED
+});
+
+/**
+ * Estado de pago de cada estado de una captura de PayPal
+ * @constant {Object<string, string>}
+ */
+const PAYPAL_CAPTURE_STATUS = Object.freeze({
+  COMPLETED: PAYMENT_STATUS.SUCCEEDED,
+  PENDING: PAYMENT_STATUS.PROCESSING,
+  DECLINED: PAYMENT_STATUS.FAILED,
+  FAILED: PAYMENT_STATUS.FAILED
+});
+
+/**
+ * Convierte un importe de PayPal (`"12.50"`) a unidades mínimas
+ * @param {Object} [money] - Importe `{ value, currency_code }`
+ * @returns {number|undefined} Importe en unidades mínimas
+ */
+const fromPaypalAmount = money => (money ? Math.round(Number(money.value) * 100) : undefined);
+
+/**
+ * Proveedor PayPal
+ * @class PayPalProvider
+ * @description Checkout y los intents crean una orden de PayPal (intent CAPTURE); con
+ * checkout se devuelve el enlace de aprobación y con el intent el cliente usa el ID en el
+ * SDK de JavaScript. Cuando el comprador aprueba, el webhook `CHECKOUT.ORDER.APPROVED`
+ * dispara la captura. El ID del pedido viaja en `custom_id`.
+ */
+class PayPalProvider {
+  /**
+   * Crea el proveedor
+   * @param {Object} options - Opciones
+   * @param {string} options.clientId - Client ID de la aplicación
+   * @param {string} options.clientSecret - Secreto de la aplicación
+   * @param {string} options.webhookId - ID del webhook registrado (para verificar firmas)
+   * @param {string} [options.mode='sandbox'] - `sandbox` o `live`
+   * @param {string} [options.apiUrl] - URL de la API; por defecto, la del modo
+   * @param {Function} [options.fetch] - Implementación de fetch, inyectable en pruebas
+   * @param {function(): number} [options.clock=Date.now] - Reloj en milisegundos
+   */
+  constructor({ clientId, clientSecret, webhookId, mode = 'sandbox', apiUrl, fetch, clock = Date.now }) {
+    if (!clientId || !clientSecret || !webhookId) {
+      throw new Error('PayPalProvider requires a client ID, a client secret and a webhook ID');
+    }
+
+    this.name = 'paypal';
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.webhookId = webhookId;
+    this.mode = mode;
+    this.apiUrl = apiUrl || PAYPAL_API_URLS[mode];
+    this.fetch = fetch || globalThis.fetch;
+    this.clock = clock;
+    this.token = null;
+  }
+
+  /**
+   * Crea una orden y devuelve el enlace de aprobación
+   * @param {Object} options - Opciones
+   * @param {Object} options.order - Pedido
+   * @param {Object} options.payment - Pago (su ID es la clave de idempotencia)
+   * @param {string} options.successUrl - URL de vuelta tras aprobar
+   * @param {string} options.cancelUrl - URL de vuelta si se cancela
+   * @returns {Promise<{reference: string, url: string}>} ID de la orden y URL de aprobación
+   */
+  async createCheckout({ order, payment, successUrl, cancelUrl }) {
+    const paypalOrder = await this.createOrder(order, payment, {
+      paypal: { experience_context: { return_url: successUrl, cancel_url: cancelUrl, user_action: 'PAY_NOW' } }
+    });
+    const link = (paypalOrder.links || []).find(({ rel }) => rel === 'payer-action' || rel === 'approve');
+
+    if (!link) {
+      throw providerError(this.name, 'order has no approval link');
+    }
+
+    return { reference: paypalOrder.id, url: link.href };
+  }
+
+  /**
+   * Crea una orden para completarla con el SDK de JavaScript
+   * @param {Object} options - Opciones
+   * @param {Object} options.order - Pedido
+   * @param {Object} options.payment - Pago (su ID es la clave de idempotencia)
+   * @returns {Promise<{reference: string, clientSecret: null}>} ID de la orden (PayPal no usa secreto de cliente)
+   */
+  async createPaymentIntent({ order, payment }) {
+    const paypalOrder = await this.createOrder(order, payment);
+    return { reference: paypalOrder.id, clientSecret: null };
+  }
+
+  /**
+   * Captura una orden aprobada
+   * @param {string} reference - ID de la orden
+   * @returns {Promise<{transactionId: (string|undefined), status: string}>} Captura y estado de pago resultante
+   */
+  async capture(reference) {
+    const result = await this.request(`/v2/checkout/orders/${encodeURIComponent(reference)}/capture`, {}, `${reference}:capture`);
+    const [purchaseUnit = {}] = result.purchase_units || [];
+    const [capture = {}] = (purchaseUnit.payments && purchaseUnit.payments.captures) || [];
+
+    return {
+      transactionId: capture.id,
+      status: PAYPAL_CAPTURE_STATUS[capture.status] || PAYMENT_STATUS.PROCESSING
+    };
+  }
+
+  /**
+   * Verifica un webhook con la API de PayPal
+   * @description PayPal firma con certificados rotativos; su endpoint de verificación
+   * comprueba la firma, el certificado y que el evento va dirigido a `webhookId`
+   * @param {Buffer} rawBody - Cuerpo sin parsear
+   * @param {Object} headers - Cabeceras de la solicitud
+   * @returns {Promise<boolean>} Si PayPal confirma la firma
+   */
+  async verifyWebhook(rawBody, headers) {
+    let event;
+
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      return false;
+    }
+
+    const result = await this.request('/v1/notifications/verify-webhook-signature', {
+      auth_algo: headers['paypal-auth-algo'],
+      cert_url: headers['paypal-cert-url'],
+      transmission_id: headers['paypal-transmission-id'],
+      transmission_sig: headers['paypal-transmission-sig'],
+      transmission_time: headers['paypal-transmission-time'],
+      webhook_id: this.webhookId,
+      webhook_event: event
+    });
+
+    return result.verification_status === 'SUCCESS';
+  }
+
+  /**
+   * Traduce un evento de PayPal
+   * @param {Buffer} rawBody - Cuerpo sin parsear
+   * @returns {ProviderEvent} Evento
+   */
+  parseEvent(rawBody) {
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const resource = event.resource || {};
+    const type = event.event_type;
+
+    if (type === 'CHECKOUT.ORDER.APPROVED') {
+      const [purchaseUnit = {}] = resource.purchase_units || [];
+      return { id: event.id, type, status: PAYPAL_EVENTS[type], reference: resource.id, orderId: purchaseUnit.custom_id, capture: true };
+    }
+
+    const related = (resource.supplementary_data && resource.supplementary_data.related_ids) || {};
+    const isRefund = type === 'PAYMENT.CAPTURE.REFUNDED';
+    // Un reembolso enlaza con su captura en `links` (rel `up`)
+    const up = (resource.links || []).find(({ rel }) => rel === 'up');
+
+    return {
+      id: event.id,
+      type,
+      status: PAYPAL_EVENTS[type] || null,
+      reference: related.order_id,
+      transactionId: isRefund ? (up && up.href.split('/').pop()) : resource.id,
+      orderId: resource.custom_id,
+      refundedAmount: isRefund
+        ? fromPaypalAmount((resource.seller_payable_breakdown && resource.seller_payable_breakdown.total_refunded_amount) || resource.amount)
+        : undefined
+    };
+  }
+
+  /**
+   * Datos públicos para el cliente
+   * @returns {{clientId: string, mode: string}} Client ID y modo para el SDK de JavaScript
+   */
+  getPublicConfig() {
+    return { clientId: this.clientId, mode: this.mode };
+  }
+
+  /**
+   * Crea una orden de PayPal
+   * @private
+   * @param {Object} order - Pedido
+   * @param {Object} payment - Pago
+   * @param {Object} [paymentSource] - Origen del pago y contexto de la experiencia de compra
+   * @returns {Promise<Object>} Orden creada
+   */
+  async createOrder(order, payment, paymentSource) {
+    return this.request('/v2/checkout/orders', {
+      intent: 'CAPTURE',
+      purchase_units: [{
+        reference_id: order.id,
+        custom_id: order.id,
+        amount: { currency_code: order.currency.toUpperCase(), value: (order.amount / 100).toFixed(2) }
+      }],
+      payment_source: paymentSource
+    }, payment.id);
+  }
+
+  /**
+   * Obtiene un token OAuth, reutilizándolo hasta un minuto antes de que caduque
+   * @private
+   * @returns {Promise<string>} Token de acceso
+   */
+  async getAccessToken() {
+    if (this.token && this.token.expiresAt > this.clock()) {
+      return this.token.value;
+    }
+
+    const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+    const result = await requestJson(this.fetch, this.name, `${this.apiUrl}/v1/oauth2/token`, {
+      method: 'POST',
+      headers: { Authorization: `Basic ${credentials}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'grant_type=client_credentials'
+    });
+
+    this.token = { value: result.access_token, expiresAt: this.clock() + (result.expires_in - 60) * 1000 };
+    return this.token.value;
+  }
+
+  /**
+   * Hace un POST JSON a la API de PayPal
+   * @private
+   * @param {string} path - Ruta de la API
+   * @param {Object} body - Cuerpo
+   * @param {string} [requestId] - `PayPal-Request-Id` (idempotencia)
+   * @returns {Promise<Object>} Respuesta
+   */
+  async request(path, body, requestId) {
+    const headers = {
+      Authorization: `Bearer ${await this.getAccessToken()}`,
+      'Content-Type': 'application/json'
+    };
+
+    if (requestId) {
+      headers['PayPal-Request-Id'] = requestId;
+    }
+
+    return requestJson(this.fetch, this.name, `${this.apiUrl}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+  }
+}
+
+module.exports = {
+  StripeProvider,
+  PayPalProvider,
+  signStripePayload
+};
@@ -0,0 +1,179 @@
+/**
+ * Almacenes de contadores para el rate limiting
+ * @module utils/rateLimitStores
+ * @description Implementan la interfaz `Store` de express-rate-limit. Cada política
+ * usa su propio almacén; al recargar la configuración se vuelve a llamar a `init()`
+ * con la nueva ventana sin perder los contadores.
+ */
+
+/**
+ * Contadores en memoria del proceso (no se comparten entre instancias)
+ * @class MemoryRateLimitStore
+ */
+class MemoryRateLimitStore {
+  /**
+   * Crea un almacén en memoria
+   */
+  constructor() {
+    this.windowMs = 60 * 1000;
+    this.hits = new Map();
+    this.prunedAt = Date.now();
+    this.localKeys = true;
+  }
+
+  /**
+   * Recibe las opciones del limitador
+   * @param {Object} options - Opciones de express-rate-limit
+   * @returns {void}
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  /**
+   * Incrementa el contador de una clave
+   * @param {string} key - Clave del cliente
+   * @returns {Promise<{totalHits: number, resetTime: Date}>} Estado del contador
+   */
+  async increment(key) {
+    const now = Date.now();
+    this.prune(now);
+
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetTime.getTime() <= now) {
+      entry = { totalHits: 0, resetTime: new Date(now + this.windowMs) };
+      this.hits.set(key, entry);
+    }
+
+    entry.totalHits += 1;
+    return { totalHits: entry.totalHits, resetTime: entry.resetTime };
+  }
+
+  /**
+   * Decrementa el contador de una clave
+   * @param {string} key - Clave del cliente
+   * @returns {Promise<void>}
+   */
+  async decrement(key) {
+    const entry = this.hits.get(key);
+    if (entry && entry.totalHits > 0) {
+      entry.totalHits -= 1;
+    }
+  }
+
+  /**
+   * Reinicia el contador de una clave
+   * @param {string} key - Clave del cliente
+   * @returns {Promise<void>}
+   */
+  async resetKey(key) {
+    this.hits.delete(key);
+  }
+
+  /**
+   * Elimina las ventanas caducadas, como mucho una vez por ventana
+   * @private
+   * @param {number} now - Marca de tiempo actual
+   * @returns {void}
+   */
+  prune(now) {
+    if (now - this.prunedAt < this.windowMs) {
+      return;
+    }
+
+    this.prunedAt = now;
+    this.hits.forEach((entry, key) => {
+      if (entry.resetTime.getTime() <= now) {
+        this.hits.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Script Lua que incrementa y fija la caducidad de forma atómica
+ * @constant {string}
+ */
+const INCREMENT_SCRIPT = `
+local totalHits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl <= 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { totalHits, ttl }
+`;
+
+/**
+ * Contadores compartidos en Redis (o un servidor compatible)
+ * @class RedisRateLimitStore
+ * @description No depende de ningún cliente concreto: recibe una función `sendCommand`
+ * que envía un comando en crudo, p. ej. `(...args) => client.sendCommand(args)` en
+ * node-redis o `(command, ...args) => client.call(command, ...args)` en ioredis
+ */
+class RedisRateLimitStore {
+  /**
+   * Crea un almacén sobre Redis
+   * @param {Object} options - Opciones
+   * @param {function(...string): Promise<*>} options.sendCommand - Envía un comando a Redis
+   * @param {string} [options.prefix='rl:'] - Prefijo de las claves (distinto para cada política)
+   */
+  constructor({ sendCommand, prefix = 'rl:' }) {
+    if (typeof sendCommand !== 'function') {
+      throw new Error('RedisRateLimitStore requires a sendCommand function');
+    }
+
+    this.sendCommand = sendCommand;
+    this.prefix = prefix;
+    this.windowMs = 60 * 1000;
+    this.localKeys = false;
+  }
+
+  /**
+   * Recibe las opciones del limitador
+   * @param {Object} options - Opciones de express-rate-limit
+   * @returns {void}
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  /**
+   * Incrementa el contador de una clave
+   * @param {string} key - Clave del cliente
+   * @returns {Promise<{totalHits: number, resetTime: Date}>} Estado del contador
+   */
+  async increment(key) {
+    const [totalHits, ttl] = await this.sendCommand(
+      'EVAL', INCREMENT_SCRIPT, '1', `${this.prefix}${key}`, String(this.windowMs)
+    );
+
+    return {
+      totalHits: Number(totalHits),
+      resetTime: new Date(Date.now() + Number(ttl))
+    };
+  }
+
+  /**
+   * Decrementa el contador de una clave
+   * @param {string} key - Clave del cliente
+   * @returns {Promise<void>}
+   */
+  async decrement(key) {
+    await this.sendCommand('DECR', `${this.prefix}${key}`);
+  }
+
+  /**
+   * Reinicia el contador de una clave
+   * @param {string} key - Clave del cliente
+   * @returns {Promise<void>}
+   */
+  async resetKey(key) {
+    await this.sendCommand('DEL', `${this.prefix}${key}`);
+  }
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore
+};